@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  buildRequestCBOR,
+  Location,
+  CodeLanguage,
+} = require("@chainlink/functions-toolkit");
+const {
+  SOLIDITY_PATH,
+  SOURCES,
+  minifySource,
+  readSource,
+  toSolidityString,
+} = require("./lib/sources");
+const { STRIPE_STATUSES } = require("./lib/stripe-response");
+
+// Minifies the Functions sources and generates src/StripeSources.sol.
+// Usage:
+//   npm run build:sources   - regenerate src/StripeSources.sol
+//   npm run check:sources   - fail if the committed Solidity has drifted
+
+// Chainlink Functions rejects requests whose CBOR payload exceeds 30 KB.
+const MAX_REQUEST_BYTES = 30 * 1024;
+
+// DON-hosted secrets are referenced on-chain by abi.encode(uint8 slot, uint64 version).
+const DON_HOSTED_SECRETS_REFERENCE = "0x" + "00".repeat(64);
+
+const requestSize = (source, args) => {
+  const cbor = buildRequestCBOR({
+    codeLocation: Location.Inline,
+    codeLanguage: CodeLanguage.JavaScript,
+    source,
+    secretsLocation: Location.DONHosted,
+    encryptedSecretsReference: DON_HOSTED_SECRETS_REFERENCE,
+    args,
+  });
+  return (cbor.length - 2) / 2;
+};
+
+// The sources hard-code their status numbers (`const CAPTURED = 1;`), since
+// they cannot import lib/stripe-response.js; fail the build if one drifts.
+const checkStatusConstants = (file, source) => {
+  for (const [, name, value] of source.matchAll(
+    /^const ([A-Z_]+) = (\d+);$/gm
+  )) {
+    if (STRIPE_STATUSES[value] !== name.toLowerCase()) {
+      throw new Error(
+        `${file}: ${name} = ${value}, but STRIPE_STATUSES[${value}] is "${STRIPE_STATUSES[value]}"`
+      );
+    }
+  }
+};
+
+const pascalCase = (status) =>
+  status.replace(/(^|_)([a-z])/g, (_, __, letter) => letter.toUpperCase());
+
+// File-level, so contracts that only decode responses can import the enum
+// without inheriting the sources
+const renderStatusEnum = () =>
+  [
+    "/// @notice Status of an ABI-encoded Stripe source response, numbered as STRIPE_STATUSES in",
+    "/// javascript/lib/stripe-response.js.",
+    "enum StripeStatus {",
+    STRIPE_STATUSES.map((status) => `    ${pascalCase(status)}`).join(",\n"),
+    "}",
+  ].join("\n");
+
+const renderStatusNames = () =>
+  [
+    "    function _stripeStatusName(StripeStatus status) internal pure returns (string memory) {",
+    ...STRIPE_STATUSES.slice(1).map(
+      (status) =>
+        `        if (status == StripeStatus.${pascalCase(
+          status
+        )}) return "${status}";`
+    ),
+    `        return "${STRIPE_STATUSES[0]}";`,
+    "    }",
+  ].join("\n");
+
+const renderFunction = ({ notice, solidityFunction }, minified) =>
+  [
+    "    /**",
+    `     * @notice ${notice}`,
+    "     * @dev This is called by the main contract and passed to a Chainlink Functions request.",
+    "     */",
+    `    function ${solidityFunction}() internal pure returns (string memory) {`,
+    "        return",
+    `        "${toSolidityString(minified)}";`,
+    "    }",
+  ].join("\n");
+
+const renderContract = (functions) =>
+  [
+    "// src/StripeSources.sol",
+    "",
+    "// SPDX-License-Identifier: MIT",
+    "pragma solidity ^0.8.19;",
+    "",
+    "// Generated by javascript/build-sources.js from the readable sources in javascript/.",
+    "// Do not edit by hand: change the JavaScript and run `npm run build:sources`.",
+    "",
+    renderStatusEnum(),
+    "",
+    "contract StripeSources {",
+    [renderStatusNames(), ...functions].join("\n\n"),
+    "}",
+    "",
+  ].join("\n");
+
+const buildSources = async () => {
+  const functions = [];
+  for (const [name, config] of Object.entries(SOURCES)) {
+    const readable = readSource(name);
+    checkStatusConstants(config.file, readable);
+    const minified = await minifySource(readable);
+    const size = requestSize(minified, config.sampleArgs);
+
+    console.log(
+      `  - ${config.file}: ${Buffer.byteLength(readable)} → ${Buffer.byteLength(
+        minified
+      )} bytes minified, ${size} bytes per request`
+    );
+    if (size > MAX_REQUEST_BYTES) {
+      throw new Error(
+        `${config.file} request is ${size} bytes, over the ${MAX_REQUEST_BYTES} byte Functions limit`
+      );
+    }
+    functions.push(renderFunction(config, minified));
+  }
+  return renderContract(functions);
+};
+
+const main = async () => {
+  const check = process.argv.includes("--check");
+  const relativePath = path.relative(process.cwd(), SOLIDITY_PATH);
+
+  console.log(`\n🔧 Building Functions sources...`);
+  const contract = await buildSources();
+
+  if (check) {
+    const committed = fs.readFileSync(SOLIDITY_PATH).toString();
+    if (committed !== contract) {
+      console.error(
+        `\n❌ ${relativePath} is out of date with the JavaScript sources. Run \`npm run build:sources\` and commit the result.`
+      );
+      process.exit(1);
+    }
+    console.log(`\n✅ ${relativePath} matches the JavaScript sources.`);
+    return;
+  }
+
+  fs.writeFileSync(SOLIDITY_PATH, contract);
+  console.log(`\n✅ Wrote ${relativePath}`);
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+const { parseArgs } = require("util");
+const { resolveConfig } = require("./lib/config");
+const { NETWORKS } = require("./lib/networks");
+require("@chainlink/env-enc").config();
+
+// creditshaft <command> [options]
+// Network, consumer, slot and secrets version come from flags or
+// deployments/<network>.json (see lib/config.js), so no command needs source
+// edits to run.
+
+const COMMANDS = {
+  capture: require("./commands/capture"),
+  release: require("./commands/release"),
+  secrets: require("./commands/secrets"),
+  "upload-secrets": require("./commands/upload-secrets"),
+  simulate: require("./commands/simulate"),
+  decode: require("./commands/decode"),
+  "open-position": require("./commands/open-position"),
+  "preview-capture": require("./commands/preview-capture"),
+  "estimate-cost": require("./commands/estimate-cost"),
+  subscription: require("./commands/subscription"),
+  watch: require("./commands/watch"),
+  index: require("./commands/index"),
+  risk: require("./commands/risk"),
+  keeper: require("./commands/keeper"),
+  repay: require("./commands/repay"),
+  "stripe-webhook": require("./commands/stripe-webhook"),
+  reconcile: require("./commands/reconcile"),
+  "release-closed": require("./commands/release-closed"),
+  networks: require("./commands/networks"),
+  "lp-report": require("./commands/lp-report"),
+  reauthorize: require("./commands/reauthorize"),
+  "verify-hold": require("./commands/verify-hold"),
+};
+
+const GLOBAL_OPTIONS = {
+  network: { type: "string", default: "sepolia" },
+  consumer: { type: "string" },
+  "subscription-id": { type: "string" },
+  slot: { type: "string" },
+  "secrets-version": { type: "string" },
+  "gas-limit": { type: "string" },
+  "skip-validation": { type: "boolean" },
+  "skip-preflight": { type: "boolean" },
+  "preflight-real-secrets": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const printUsage = () => {
+  console.log("Usage: creditshaft <command> [options]\n\nCommands:");
+  for (const command of Object.values(COMMANDS)) {
+    console.log(`  ${command.usage}\n      ${command.description}`);
+  }
+  console.log(`
+Global options:
+  --network <name>          ${Object.keys(NETWORKS).join(", ")}
+                            (default: sepolia; addresses from deployments/<name>.json)
+  --consumer <address>      Functions consumer contract
+  --subscription-id <id>    Functions subscription ID
+  --slot <id>               DON-hosted secrets slot (default: 0)
+  --secrets-version <ver>   DON-hosted secrets version
+  --gas-limit <gas>         Callback gas limit (default: 300000)
+  --skip-validation         Do not check deployment addresses for contract code
+  --skip-preflight          Send Functions requests without a passing pre-flight simulation
+                            (pre-flight runs each source on mock keys that return a canned
+                            answer: it checks the args, the response encoding and the callback
+                            gas, never what the payment provider would answer)
+  --preflight-real-secrets  Pre-flight the read-only verify source with the real keys from the
+                            environment, so it runs against the provider; the others stay on mocks`);
+};
+
+const main = async () => {
+  const [name, ...rest] = process.argv.slice(2);
+  const command = COMMANDS[name];
+  if (!command) {
+    printUsage();
+    if (name && name !== "--help" && name !== "-h") {
+      throw new Error(`Unknown command "${name}"`);
+    }
+    return;
+  }
+
+  const { values, positionals } = parseArgs({
+    args: rest,
+    options: { ...GLOBAL_OPTIONS, ...command.options },
+    allowPositionals: true,
+  });
+  if (values.help) {
+    console.log(
+      `Usage: creditshaft ${command.usage}\n\n${command.description}`
+    );
+    return;
+  }
+
+  await command.run({ config: resolveConfig(values), positionals, values });
+};
+
+main().catch((e) => {
+  console.error(`\n❌ ${e.reason || e.message || e}`);
+  process.exit(1);
+});
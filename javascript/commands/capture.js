@@ -0,0 +1,39 @@
+const { getSigner } = require("../lib/config");
+const { readSource } = require("../lib/sources");
+const {
+  logResponse,
+  sendRequest,
+  waitForResponse,
+} = require("../lib/functions");
+
+module.exports = {
+  usage: "capture <paymentIntentId> [--amount <cents>] [--nonce <nonce>]",
+  description:
+    "Capture a held Stripe payment through a Functions request (reuse --nonce to retry the same capture idempotently)",
+  options: {
+    amount: { type: "string" },
+    nonce: { type: "string" },
+  },
+  run: async ({ config, positionals: [paymentIntentId], values }) => {
+    if (!paymentIntentId) throw new Error("Payment Intent ID required");
+
+    const signer = await getSigner(config);
+    // The nonce is part of Stripe's idempotency key, like the contract's
+    // chargeRequestNonce; an empty amount captures the full hold.
+    const nonce = values.nonce || String(Date.now());
+    const args = [paymentIntentId, values.amount || "", nonce];
+    console.log(`Capture nonce ${nonce}`);
+
+    const transaction = await sendRequest(config, signer, {
+      name: "capture",
+      source: readSource("capture"),
+      args,
+    });
+    const response = await waitForResponse(
+      config,
+      signer.provider,
+      transaction.hash
+    );
+    logResponse(response, "capture");
+  },
+};
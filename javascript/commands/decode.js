@@ -0,0 +1,50 @@
+const {
+  decodeStripeResponse,
+  encodeStripeResponse,
+  hashPaymentIntentId,
+} = require("../lib/stripe-response");
+
+module.exports = {
+  usage:
+    "decode <responseHex> [--payment-intent <id>] | decode --encode <status> <amountCents> <currency> <paymentIntentId> [--released <cents>]",
+  description:
+    "Decode a Stripe source response (optionally checking its payment intent hash), or encode one for tests",
+  options: {
+    encode: { type: "boolean" },
+    released: { type: "string" },
+    "payment-intent": { type: "string" },
+  },
+  run: async ({ positionals, values }) => {
+    if (values.encode) {
+      const [status, amount, currency, paymentIntentId] = positionals;
+      if (!paymentIntentId)
+        throw new Error(
+          "Usage: decode --encode <status> <amountCents> <currency> <paymentIntentId>"
+        );
+      const released = values.released || 0;
+      console.log(
+        encodeStripeResponse({
+          status,
+          amount,
+          released,
+          currency,
+          paymentIntentId,
+        })
+      );
+      return;
+    }
+
+    const [responseHex] = positionals;
+    if (!responseHex) throw new Error("Response hex required");
+    const decoded = decodeStripeResponse(responseHex);
+    console.log(decoded);
+
+    const paymentIntentId = values["payment-intent"];
+    if (
+      paymentIntentId &&
+      decoded.paymentIntentHash !== hashPaymentIntentId(paymentIntentId)
+    ) {
+      throw new Error(`Response is not for payment intent ${paymentIntentId}`);
+    }
+  },
+};
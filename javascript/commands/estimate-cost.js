@@ -0,0 +1,41 @@
+const ethers = require("ethers");
+const { getSigner } = require("../lib/config");
+const { getLeverageContract } = require("../lib/leverage");
+const {
+  createSubscriptionManager,
+  estimateRequestCosts,
+} = require("../lib/subscription");
+
+module.exports = {
+  usage: "estimate-cost [--gas-limit <gas>]",
+  description:
+    "Estimate the LINK cost of the leverage contract's requests and of manual capture and release requests at the current gas price",
+  options: {},
+  run: async ({ config }) => {
+    const signer = await getSigner(config);
+    const costs = await estimateRequestCosts(
+      config,
+      await createSubscriptionManager(config, signer),
+      getLeverageContract(config, signer)
+    );
+
+    console.log(
+      `Gas price ${ethers.utils.formatUnits(costs.gasPriceWei, "gwei")} gwei`
+    );
+    for (const [sender, requests] of [
+      ["CreditShaftLeverage", costs.leverage],
+      ["Functions consumer", costs.consumer],
+    ]) {
+      console.log(sender);
+      for (const [name, { callbackGasLimit, costInJuels }] of Object.entries(
+        requests
+      )) {
+        console.log(
+          `  ${name.padEnd(12)} ${ethers.utils.formatEther(
+            costInJuels
+          )} LINK (callback gas limit ${callbackGasLimit})`
+        );
+      }
+    }
+  },
+};
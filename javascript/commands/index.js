@@ -0,0 +1,76 @@
+const { getProvider, requireAddress } = require("../lib/config");
+const {
+  createIndexer,
+  defaultDatabasePath,
+  lastIndexedBlock,
+  openDatabase,
+} = require("../lib/indexer");
+const { DEFAULT_PORT, createApiServer } = require("../lib/indexer-api");
+const { findDeploymentBlock } = require("../lib/logs");
+
+const DEFAULT_INTERVAL_SECONDS = 12;
+
+module.exports = {
+  usage:
+    "index [--from-block <block>] [--db <file>] [--once] [--interval <seconds>] [--serve] [--port <port>]",
+  description:
+    "Index CreditShaftLeverage position, pre-auth and automation events into SQLite and serve them over HTTP/JSON",
+  options: {
+    "from-block": { type: "string" },
+    db: { type: "string" },
+    once: { type: "boolean" },
+    interval: { type: "string" },
+    serve: { type: "boolean" },
+    port: { type: "string" },
+  },
+  run: async ({ config, values }) => {
+    const address = requireAddress(config, "CreditShaftLeverage");
+    const provider = await getProvider(config);
+    const file = values.db || defaultDatabasePath(config);
+    const db = openDatabase(file);
+    const indexer = createIndexer({ db, provider, address });
+    const intervalMs =
+      Number(values.interval || DEFAULT_INTERVAL_SECONDS) * 1000;
+
+    let fromBlock;
+    if (lastIndexedBlock(db) === null) {
+      fromBlock = values["from-block"]
+        ? Number(values["from-block"])
+        : await findDeploymentBlock(provider, address);
+      console.log(
+        `Backfilling ${address} from block ${fromBlock} into ${file}`
+      );
+    }
+
+    if (values.serve) {
+      const api = createApiServer({
+        db,
+        port: Number(values.port || DEFAULT_PORT),
+      });
+      console.log(`🌐 Position API listening on ${await api.start()}`);
+    }
+
+    for (;;) {
+      try {
+        const { reorged, events, lastBlock } = await indexer.sync({
+          fromBlock,
+        });
+        if (reorged > 0) {
+          console.log(`⚠️ Reorg: rolled back ${reorged} blocks and reindexed`);
+        }
+        if (events > 0 || reorged > 0) {
+          console.log(`✅ Indexed ${events} events up to block ${lastBlock}`);
+        }
+      } catch (e) {
+        // A failed RPC call ends --once; a running indexer (and its API)
+        // stays up and resumes from the last indexed block on the next sync
+        if (values.once) throw e;
+        console.log(`❌ ${e.reason || e.message}`);
+      }
+      if (values.once) break;
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+    // With --serve the API keeps answering from what was indexed
+    if (!values.serve) db.close();
+  },
+};
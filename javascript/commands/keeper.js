@@ -0,0 +1,196 @@
+const { getSigner } = require("../lib/config");
+const { getLeverageContract } = require("../lib/leverage");
+const { preflight } = require("../lib/preflight");
+const { readOnChainSource } = require("../lib/sources");
+const {
+  DEFAULT_BUMP_PERCENT,
+  DEFAULT_CONFIRM_TIMEOUT_SECONDS,
+  DEFAULT_LOOKBACK_BLOCKS,
+  DEFAULT_MAX_BUMPS,
+  chargeRequestArgs,
+  createTransactionSender,
+  encodePerformData,
+  findInFlightRequests,
+  receiptEvents,
+  scanAll,
+  scanUpkeep,
+} = require("../lib/keeper");
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+const SCANS = { upkeep: scanUpkeep, full: scanAll };
+
+const charge = async ({
+  leverage,
+  sender,
+  user,
+  fromBlock,
+  now,
+  dryRun,
+  preflightOptions,
+}) => {
+  const inFlight = await findInFlightRequests(leverage, user, fromBlock, now);
+  if (inFlight.length > 0) {
+    console.log(`⏳ ${user}: charge request ${inFlight[0]} still in flight`);
+    return;
+  }
+  // Anything that would revert on-chain is skipped before paying gas
+  try {
+    await leverage.callStatic.chargeExpiredPreAuth(user);
+  } catch (e) {
+    console.log(`❌ ${user}: charge would revert - ${e.reason || e.message}`);
+    return;
+  }
+  // The capture source the contract embeds, with the args it would build
+  try {
+    await preflight(
+      "capture",
+      {
+        source: readOnChainSource("capture"),
+        args: await chargeRequestArgs(leverage, user),
+        gasLimit: await leverage.gasLimit(),
+      },
+      preflightOptions
+    );
+  } catch (e) {
+    console.log(`❌ ${user}: ${e.message}`);
+    return;
+  }
+  if (dryRun) {
+    console.log(`🧪 ${user}: would send chargeExpiredPreAuth`);
+    return;
+  }
+
+  const receipt = await sender.send(
+    () => leverage.populateTransaction.chargeExpiredPreAuth(user),
+    `Charge ${user}`
+  );
+  const initiated = receiptEvents(leverage, receipt).find(
+    (event) => event.name === "PreAuthChargeInitiated"
+  );
+  console.log(
+    receipt.status === 1 && initiated
+      ? `✅ ${user}: charge request ${initiated.args.requestId} sent`
+      : `❌ ${user}: chargeExpiredPreAuth reverted in ${receipt.transactionHash}`
+  );
+};
+
+// closeUnsafePositionPublic only accepts calls from the contract itself, so
+// closures go through performUpkeep, which swallows failures: success shows
+// as a PositionClosed event in the receipt. Closing is never pre-flighted,
+// although the contract sends a hold release request from the close: an
+// unsafe position must not wait on the payment provider, a failed release
+// only emits HoldReleaseFailed and release-closed cancels the hold later.
+const close = async ({ leverage, sender, user, dryRun }) => {
+  if (dryRun) {
+    console.log(`🧪 ${user}: would close through performUpkeep`);
+    return;
+  }
+  const receipt = await sender.send(
+    () =>
+      leverage.populateTransaction.performUpkeep(encodePerformData([], [user])),
+    `Close ${user}`
+  );
+  const closed = receiptEvents(leverage, receipt).some(
+    (event) => event.name === "PositionClosed"
+  );
+  console.log(
+    closed
+      ? `✅ ${user}: unsafe position closed`
+      : `❌ ${user}: closure failed in ${receipt.transactionHash}`
+  );
+};
+
+module.exports = {
+  usage:
+    "keeper [--scan upkeep|full] [--dry-run] [--once] [--interval <seconds>] [--lookback-blocks <n>] [--confirm-timeout <seconds>] [--max-bumps <n>] [--bump-percent <percent>]",
+  description:
+    "Charge expired pre-auths and close unsafe positions without Chainlink Automation, skipping charges already in flight",
+  options: {
+    scan: { type: "string", default: "upkeep" },
+    "dry-run": { type: "boolean" },
+    once: { type: "boolean" },
+    interval: { type: "string" },
+    "lookback-blocks": { type: "string" },
+    "confirm-timeout": { type: "string" },
+    "max-bumps": { type: "string" },
+    "bump-percent": { type: "string" },
+  },
+  run: async ({ config, values }) => {
+    const scan = SCANS[values.scan];
+    if (!scan)
+      throw new Error(`Unknown scan "${values.scan}" - use upkeep or full`);
+    const dryRun = Boolean(values["dry-run"]);
+    const signer = await getSigner(config);
+    const leverage = getLeverageContract(config, signer);
+    const sender = createTransactionSender(signer, {
+      confirmTimeoutSeconds: Number(
+        values["confirm-timeout"] || DEFAULT_CONFIRM_TIMEOUT_SECONDS
+      ),
+      maxBumps: Number(values["max-bumps"] || DEFAULT_MAX_BUMPS),
+      bumpPercent: Number(values["bump-percent"] || DEFAULT_BUMP_PERCENT),
+    });
+    const lookback = Number(
+      values["lookback-blocks"] || DEFAULT_LOOKBACK_BLOCKS
+    );
+    console.log(
+      `Keeper ${await signer.getAddress()} on ${config.network.name} (${
+        values.scan
+      } scan${dryRun ? ", dry run" : ""})`
+    );
+
+    // One pass over the users the scan finds
+    const poll = async () => {
+      const work = await scan(leverage);
+      const latest = await signer.provider.getBlock("latest");
+      const fromBlock = Math.max(0, latest.number - lookback);
+      console.log(
+        `\n${new Date().toISOString()} ${work.charge.length} to charge, ${
+          work.close.length
+        } to close`
+      );
+      // Like performUpkeep, one failing user does not stop the others
+      const jobs = [
+        ...work.charge.map(
+          (user) => () =>
+            charge({
+              leverage,
+              sender,
+              user,
+              fromBlock,
+              now: latest.timestamp,
+              dryRun,
+              preflightOptions: config.preflight,
+            })
+        ),
+        ...work.close.map(
+          (user) => () => close({ leverage, sender, user, dryRun })
+        ),
+      ];
+      for (const job of jobs) {
+        try {
+          await job();
+        } catch (e) {
+          console.log(`❌ ${e.reason || e.message}`);
+        }
+      }
+    };
+
+    for (;;) {
+      try {
+        await poll();
+      } catch (e) {
+        // A failed scan or RPC call ends --once; a running keeper retries it
+        // on the next poll
+        if (values.once) throw e;
+        console.log(`❌ ${e.reason || e.message}`);
+      }
+      if (values.once) return;
+      await new Promise((resolve) =>
+        setTimeout(
+          resolve,
+          Number(values.interval || DEFAULT_INTERVAL_SECONDS) * 1000
+        )
+      );
+    }
+  },
+};
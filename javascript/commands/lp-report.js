@@ -0,0 +1,128 @@
+const fs = require("fs");
+const ethers = require("ethers");
+const { getProvider } = require("../lib/config");
+const { findDeploymentBlock } = require("../lib/logs");
+const {
+  buildReport,
+  getCoreContracts,
+  toJson,
+} = require("../lib/lp-analytics");
+
+const DEFAULT_POINTS = 10;
+
+const usdc = (value) => `${ethers.utils.formatUnits(value, 6)} USDC`;
+const percent = (value) => (value === null ? "-" : `${value.toFixed(2)}%`);
+const date = (timestamp) => new Date(timestamp * 1000).toISOString();
+
+const printReport = (report, values) => {
+  const { pool, totals, snapshots, positions } = report;
+  console.log(
+    `\n💧 CreditShaftCore ${report.core} (blocks ${report.fromBlock}-${report.toBlock})`
+  );
+  console.log(`  Pool value       ${usdc(pool.total.add(pool.fees))}`);
+  console.log(`    LP principal   ${usdc(pool.total)}`);
+  console.log(`    Fees/rewards   ${usdc(pool.fees)}`);
+  console.log(
+    `  Available        ${usdc(pool.available)} (utilization ${percent(
+      pool.utilizationPct
+    )})`
+  );
+  console.log(
+    `  Share price      ${ethers.utils.formatUnits(
+      pool.sharePrice,
+      6
+    )} USDC per LP token (${ethers.utils.formatUnits(
+      pool.supply,
+      6
+    )} LP tokens)`
+  );
+  console.log(`  Realized APY     ${percent(report.apyPct)}`);
+  console.log(
+    `  Flash loans      ${totals.flashLoans} for ${usdc(
+      totals.flashLoanVolume
+    )}, premiums ${usdc(totals.flashLoanPremiums)}`
+  );
+  console.log(`  LP profits       ${usdc(totals.rewards)}`);
+  if (!pool.unattributed.isZero()) {
+    console.log(
+      `⚠️ ${usdc(
+        pool.unattributed
+      )} of pool value is not explained by the replayed events (direct receiveRewards calls, or events before --from-block)`
+    );
+  }
+
+  const points = snapshots.slice(-Number(values.points || DEFAULT_POINTS));
+  if (points.length > 0) {
+    console.log(`\nShare price (last ${points.length} changes):`);
+    for (const snapshot of points) {
+      console.log(
+        `  ${date(snapshot.timestamp)}  ${ethers.utils
+          .formatUnits(snapshot.sharePrice, 6)
+          .padEnd(10)}  ${snapshot.type} ${usdc(snapshot.amount)}`
+      );
+    }
+  }
+
+  console.log(`\n${positions.length} liquidity providers:`);
+  for (const position of positions) {
+    console.log(
+      `  ${position.lp}  value ${usdc(position.value)}  deposited ${usdc(
+        position.deposited
+      )}  withdrawn ${usdc(position.withdrawn)}  PnL ${usdc(
+        position.pnl
+      )} (${percent(position.returnPct)})`
+    );
+  }
+};
+
+module.exports = {
+  usage:
+    "lp-report [--from-block <block>] [--lp <address>] [--points <n>] [--format text|json] [--out <file>]",
+  description:
+    "Replay CreditShaftCore's deposits, withdrawals, flash loan premiums and LP profits into share price history, realized APY, utilization and per-LP PnL",
+  options: {
+    "from-block": { type: "string" },
+    lp: { type: "string" },
+    points: { type: "string" },
+    format: { type: "string", default: "text" },
+    out: { type: "string" },
+  },
+  run: async ({ config, values }) => {
+    if (!["text", "json"].includes(values.format))
+      throw new Error(`Unknown format "${values.format}" - use text or json`);
+    const provider = await getProvider(config);
+    const contracts = await getCoreContracts(config, provider);
+
+    const toBlock = await provider.getBlockNumber();
+    const fromBlock = values["from-block"]
+      ? Number(values["from-block"])
+      : await findDeploymentBlock(provider, contracts.core.address);
+    console.error(
+      `📡 Replaying pool events from blocks ${fromBlock}-${toBlock}`
+    );
+    const report = await buildReport(contracts, { fromBlock, toBlock });
+    if (values.lp) {
+      const lp = ethers.utils.getAddress(values.lp);
+      report.positions = report.positions.filter(
+        (position) => position.lp === lp
+      );
+    }
+
+    if (values.format === "json") {
+      const json = toJson(report) + "\n";
+      if (values.out) {
+        fs.writeFileSync(values.out, json);
+        console.error(`Report written to ${values.out}`);
+      } else {
+        process.stdout.write(json);
+      }
+    } else {
+      printReport(report, values);
+      if (values.out) {
+        fs.writeFileSync(values.out, toJson(report) + "\n");
+        console.log(`\nJSON report written to ${values.out}`);
+      }
+    }
+    if (!report.pool.unattributed.isZero()) process.exitCode = 1;
+  },
+};
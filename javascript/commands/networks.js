@@ -0,0 +1,38 @@
+const { loadDeployment } = require("../lib/config");
+const { NETWORKS, getNetwork } = require("../lib/networks");
+
+module.exports = {
+  usage: "networks",
+  description:
+    "List the supported networks with their Functions router, DON ID, RPC variable and deployment",
+  options: {},
+  run: async () => {
+    for (const name of Object.keys(NETWORKS)) {
+      const network = getNetwork(name);
+      const deployment = loadDeployment(network);
+      const rpcEnv = network.rpcUrlEnv.find((env) => process.env[env]);
+      console.log(`\n${name} (chain ${network.chainId})`);
+      console.log(`  Functions router  ${network.functionsRouter || "-"}`);
+      console.log(`  DON ID            ${network.donId || "-"}`);
+      console.log(`  LINK              ${network.linkToken || "-"}`);
+      console.log(`  LINK/USD feed     ${network.linkUsdFeed || "-"}`);
+      console.log(`  Explorer          ${network.explorerUrl || "-"}`);
+      console.log(
+        `  RPC               ${
+          rpcEnv
+            ? `${rpcEnv} is set`
+            : network.rpcUrl || `set ${network.rpcUrlEnv[0]}`
+        }`
+      );
+      console.log(
+        `  Deployment        ${
+          deployment.source
+            ? `${deployment.source} (${
+                Object.keys(deployment.contracts).length
+              } contracts)`
+            : "none"
+        }`
+      );
+    }
+  },
+};
@@ -0,0 +1,107 @@
+const ethers = require("ethers");
+const { getProvider, getSigner } = require("../lib/config");
+const {
+  DEFAULT_HOLD_BUFFER_BPS,
+  bufferedHoldCents,
+  computePreAuth,
+  getLeverageContract,
+  openPosition,
+} = require("../lib/leverage");
+const {
+  DEFAULT_PROVIDER,
+  createPaymentProvider,
+} = require("../lib/payment-providers");
+
+const DEFAULT_EXPIRY_DAYS = 6; // card authorizations expire after 7 days
+
+module.exports = {
+  usage:
+    "open-position <linkAmount> --leverage <ratio> --customer <cus> --payment-method <pm> [--provider stripe|rest] [--expiry-days <days>] [--hold-buffer <bps>] [--dry-run]",
+  description:
+    "Hold the pre-auth on a card with the payment provider (Stripe by default) and open a leveraged position with it",
+  options: {
+    leverage: { type: "string" },
+    customer: { type: "string" },
+    "payment-method": { type: "string" },
+    provider: { type: "string", default: DEFAULT_PROVIDER },
+    "expiry-days": { type: "string" },
+    "hold-buffer": { type: "string" },
+    "dry-run": { type: "boolean" },
+  },
+  run: async ({ config, positionals: [linkAmount], values }) => {
+    if (!linkAmount) throw new Error("LINK amount required");
+    if (!values.leverage)
+      throw new Error("--leverage required, e.g. 200 for 2x");
+    const collateralAmount = ethers.utils.parseEther(linkAmount);
+    const leverageRatio = Number(values.leverage);
+    const expiryDays = Number(values["expiry-days"] || DEFAULT_EXPIRY_DAYS);
+    const holdBufferBps = Number(
+      values["hold-buffer"] || DEFAULT_HOLD_BUFFER_BPS
+    );
+    if (!Number.isInteger(holdBufferBps) || holdBufferBps < 0)
+      throw new Error("--hold-buffer must be whole basis points, e.g. 200");
+
+    if (values["dry-run"]) {
+      const leverage = getLeverageContract(config, await getProvider(config));
+      const linkPrice = await leverage.getLINKPrice();
+      const preAuth = computePreAuth(
+        linkPrice,
+        leverageRatio,
+        collateralAmount
+      );
+      console.log(
+        `\n${linkAmount} LINK at ${ethers.utils.formatUnits(
+          linkPrice,
+          8
+        )} USD, ${leverageRatio / 100}x leverage`
+      );
+      console.log(
+        `  Collateral value    $${ethers.utils.formatUnits(
+          preAuth.collateralUSDValue,
+          6
+        )}`
+      );
+      console.log(
+        `  Borrow              $${ethers.utils.formatUnits(
+          preAuth.borrowUSDValue,
+          6
+        )}`
+      );
+      console.log(
+        `  Pre-auth            $${ethers.utils.formatUnits(
+          preAuth.holdCents,
+          2
+        )}`
+      );
+      console.log(
+        `  Card hold           $${ethers.utils.formatUnits(
+          bufferedHoldCents(preAuth.holdCents, holdBufferBps),
+          2
+        )} (${holdBufferBps / 100}% buffer)`
+      );
+      return;
+    }
+
+    if (!values.customer || !values["payment-method"])
+      throw new Error("--customer and --payment-method required");
+
+    const leverage = getLeverageContract(config, await getSigner(config));
+    const { paymentReference, receipt } = await openPosition(
+      leverage,
+      createPaymentProvider(values.provider),
+      {
+        leverageRatio,
+        collateralAmount,
+        expiryTime: Math.floor(Date.now() / 1000) + expiryDays * 86400,
+        customer: values.customer,
+        paymentMethod: values["payment-method"],
+        metadata: { network: config.network.name },
+        preflight: config.preflight,
+        holdBufferBps,
+      }
+    );
+    console.log(
+      `\n✅ Position opened in block ${receipt.blockNumber} with payment reference ${paymentReference}`
+    );
+  },
+};
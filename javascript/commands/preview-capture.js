@@ -0,0 +1,57 @@
+const ethers = require("ethers");
+const { getProvider } = require("../lib/config");
+const { getLeverageContract, previewCapture } = require("../lib/leverage");
+
+const usdc = (amount) => `$${ethers.utils.formatUnits(amount, 6)}`;
+const cents = (amount) => `$${ethers.utils.formatUnits(amount, 2)}`;
+
+module.exports = {
+  usage: "preview-capture <user>",
+  description:
+    "Show how much of a position's card hold a pre-auth charge would capture and release",
+  options: {},
+  run: async ({ config, positionals: [user] }) => {
+    if (!user || !ethers.utils.isAddress(user))
+      throw new Error("User address required");
+
+    const leverage = getLeverageContract(config, await getProvider(config));
+    const preview = await previewCapture(leverage, user);
+    const { position } = preview;
+
+    console.log(`\nPosition of ${user}`);
+    console.log(`  Payment intent      ${position.stripePaymentIntentId}`);
+    console.log(
+      `  Aave debt           ${usdc(
+        position.borrowedUSDC
+      )} (${ethers.utils.formatEther(
+        position.suppliedLINK
+      )} LINK at ${ethers.utils.formatUnits(preview.linkPrice, 8)} USD)`
+    );
+    console.log(`  Collateral value    ${usdc(preview.collateralValueUSDC)}`);
+    console.log(`  Uncovered debt      ${usdc(preview.uncoveredUSDC)}`);
+    console.log(`  Card hold           ${cents(preview.holdCents)}`);
+    console.log(`\n  Capture             ${cents(preview.captureCents)}`);
+    console.log(`  Release             ${cents(preview.releaseCents)}`);
+
+    if (!preview.onChainCaptureCents.eq(preview.captureCents)) {
+      console.log(
+        `\n⚠️ The contract would capture ${cents(
+          preview.onChainCaptureCents
+        )} - it may run different code than this script expects`
+      );
+    }
+    if (position.preAuthCharged) {
+      console.log("\nThe pre-auth has already been charged for this position");
+    } else if (preview.readyToCharge) {
+      console.log(
+        "\n✅ Ready to charge: chargeExpiredPreAuth would send this capture now"
+      );
+    } else {
+      console.log(
+        `\nNot ready to charge until ${new Date(
+          position.preAuthExpiryTime.toNumber() * 1000
+        ).toISOString()}`
+      );
+    }
+  },
+};
@@ -0,0 +1,80 @@
+const ethers = require("ethers");
+const { getProvider, getSigner } = require("../lib/config");
+const { getLeverageContract } = require("../lib/leverage");
+const { createProviderResolver } = require("../lib/payment-providers");
+const {
+  DEFAULT_TIMEOUT_MINUTES,
+  DEFAULT_WITHIN_HOURS,
+  findDueReauthorizations,
+  reauthorizeHolds,
+} = require("../lib/reauthorization");
+
+const ICONS = {
+  reauthorized: "✅",
+  requested: "📤",
+  would_reauthorize: "🧪",
+  pending: "⏳",
+  not_due: "💤",
+  skipped: "⏭️",
+  failed: "❌",
+};
+
+module.exports = {
+  usage:
+    "reauthorize [user...] [--within <hours>] [--dry-run] [--wait] [--timeout <minutes>]",
+  description:
+    "Roll card holds that lapse or fall due within --within hours (default 24) onto a fresh off-session hold on the position's saved card, instead of charging them",
+  options: {
+    within: { type: "string" },
+    "dry-run": { type: "boolean" },
+    wait: { type: "boolean" },
+    timeout: { type: "string" },
+  },
+  run: async ({ config, positionals, values }) => {
+    const dryRun = Boolean(values["dry-run"]);
+    // Only the owner or the position holder may request a re-authorization
+    const leverage = getLeverageContract(
+      config,
+      dryRun ? await getProvider(config) : await getSigner(config)
+    );
+    const provider = leverage.provider;
+    const latest = await provider.getBlock("latest");
+
+    const entries = await findDueReauthorizations(
+      leverage,
+      createProviderResolver(),
+      {
+        users:
+          positionals.length > 0
+            ? positionals.map((user) => ethers.utils.getAddress(user))
+            : undefined,
+        withinSeconds: Number(values.within || DEFAULT_WITHIN_HOURS) * 3600,
+        now: latest.timestamp,
+      }
+    );
+    const due = entries.filter((entry) => entry.result === "due").length;
+    console.log(`${entries.length} positions checked, ${due} holds due`);
+
+    const report = await reauthorizeHolds(leverage, entries, {
+      dryRun,
+      wait: Boolean(values.wait),
+      timeoutMs: Number(values.timeout || DEFAULT_TIMEOUT_MINUTES) * 60 * 1000,
+      preflight: config.preflight,
+      onEntry: (entry) =>
+        console.log(
+          `${ICONS[entry.result]} ${entry.user} ${entry.paymentIntentId}: ${
+            entry.result
+          } (${entry.detail})`
+        ),
+    });
+
+    const counts = {};
+    for (const { result } of report) counts[result] = (counts[result] || 0) + 1;
+    console.log(
+      `\n${Object.entries(counts)
+        .map(([result, count]) => `${result}: ${count}`)
+        .join(", ")}`
+    );
+    if (counts.failed) process.exitCode = 1;
+  },
+};
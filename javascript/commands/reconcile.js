@@ -0,0 +1,106 @@
+const fs = require("fs");
+const { getProvider } = require("../lib/config");
+const { getLeverageContract } = require("../lib/leverage");
+const { findDeploymentBlock } = require("../lib/logs");
+const { createStripeClient } = require("../lib/stripe");
+const {
+  DEFAULT_PROVIDER,
+  parsePaymentReference,
+} = require("../lib/payment-providers");
+const {
+  fetchCharges,
+  fetchPaymentIntents,
+  loadPaymentIntents,
+  reconcile,
+  summarize,
+  toCsv,
+} = require("../lib/reconcile");
+
+const FORMATS = {
+  csv: toCsv,
+  json: (rows) => JSON.stringify(rows, null, 2),
+};
+
+// Intents from the API, plus any charged intent the listing did not reach
+// (e.g. created before --created-after).
+const fetchIntents = async (charges, values) => {
+  const stripe = createStripeClient();
+  const createdAfter = values["created-after"]
+    ? Math.floor(new Date(values["created-after"]).getTime() / 1000)
+    : undefined;
+  const intents = await fetchPaymentIntents(stripe, { createdAfter });
+  const listed = new Set(intents.map((intent) => intent.id));
+  for (const id of new Set(charges.map((charge) => charge.paymentIntentId))) {
+    if (!id || listed.has(id)) continue;
+    try {
+      intents.push(await stripe.retrievePaymentIntent(id));
+    } catch (e) {
+      if (e.status !== 404) throw e;
+    }
+  }
+  return intents;
+};
+
+module.exports = {
+  usage:
+    "reconcile [--intents <export.json>] [--created-after <date>] [--from-block <block>] [--format csv|json] [--out <file>]",
+  description:
+    "Match every on-chain PreAuthCharged with a Stripe capture of the same amount, and report mismatches, orphan captures and charges missing in Stripe",
+  options: {
+    intents: { type: "string" },
+    "created-after": { type: "string" },
+    "from-block": { type: "string" },
+    format: { type: "string", default: "csv" },
+    out: { type: "string" },
+  },
+  run: async ({ config, values }) => {
+    const format = FORMATS[values.format];
+    if (!format)
+      throw new Error(`Unknown format "${values.format}" - use csv or json`);
+    const provider = await getProvider(config);
+    const leverage = getLeverageContract(config, provider);
+
+    const toBlock = await provider.getBlockNumber();
+    const fromBlock = values["from-block"]
+      ? Number(values["from-block"])
+      : await findDeploymentBlock(provider, leverage.address);
+    console.error(
+      `📡 Collecting PreAuthCharged events from blocks ${fromBlock}-${toBlock}`
+    );
+    // Positions backed by another payment provider have nothing in Stripe;
+    // charges without a known reference stay in the report
+    const charges = (
+      await fetchCharges(leverage, { fromBlock, toBlock })
+    ).filter(
+      (charge) =>
+        !charge.paymentIntentId ||
+        parsePaymentReference(charge.paymentIntentId).provider ===
+          DEFAULT_PROVIDER
+    );
+    const intents = values.intents
+      ? loadPaymentIntents(values.intents)
+      : await fetchIntents(charges, values);
+    console.error(
+      `${charges.length} on-chain charges, ${intents.length} payment intents`
+    );
+
+    const rows = reconcile(charges, intents);
+    const report = format(rows) + "\n";
+    if (values.out) {
+      fs.writeFileSync(values.out, report);
+      console.error(`Report written to ${values.out}`);
+    } else {
+      process.stdout.write(report);
+    }
+
+    const summary = summarize(rows);
+    console.error(
+      Object.entries(summary)
+        .map(([result, count]) => `${result}: ${count}`)
+        .join(", ")
+    );
+    if (rows.some((entry) => entry.result !== "matched")) {
+      process.exitCode = 1;
+    }
+  },
+};
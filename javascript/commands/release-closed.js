@@ -0,0 +1,75 @@
+const fs = require("fs");
+const { getProvider } = require("../lib/config");
+const { getLeverageContract } = require("../lib/leverage");
+const { findDeploymentBlock } = require("../lib/logs");
+const { createProviderResolver } = require("../lib/payment-providers");
+const {
+  DEFAULT_BATCH_SIZE,
+  findClosedHolds,
+  releaseHolds,
+} = require("../lib/holds");
+
+const ICONS = {
+  released: "✅",
+  would_release: "🧪",
+  skipped: "⏭️",
+  failed: "❌",
+};
+
+module.exports = {
+  usage:
+    "release-closed [--from-block <block>] [--batch-size <n>] [--dry-run] [--out <report.json>]",
+  description:
+    "Release the card holds of closed positions and the stray holds of re-authorizations that their payment provider still holds, in batches, and report every hold found",
+  options: {
+    "from-block": { type: "string" },
+    "batch-size": { type: "string" },
+    "dry-run": { type: "boolean" },
+    out: { type: "string" },
+  },
+  run: async ({ config, values }) => {
+    const provider = await getProvider(config);
+    const leverage = getLeverageContract(config, provider);
+
+    const toBlock = await provider.getBlockNumber();
+    const fromBlock = values["from-block"]
+      ? Number(values["from-block"])
+      : await findDeploymentBlock(provider, leverage.address);
+    console.log(
+      `📡 Collecting closed positions and stray holds from blocks ${fromBlock}-${toBlock}`
+    );
+    const holds = await findClosedHolds(leverage, { fromBlock, toBlock });
+    const stray = holds.filter((hold) => hold.strayBlock !== undefined).length;
+    console.log(
+      `${holds.length - stray} closed positions, ${stray} stray holds`
+    );
+
+    const report = await releaseHolds(createProviderResolver(), holds, {
+      batchSize: Number(values["batch-size"] || DEFAULT_BATCH_SIZE),
+      dryRun: Boolean(values["dry-run"]),
+      onBatch: (entries, done, total) => {
+        for (const entry of entries) {
+          console.log(
+            `${ICONS[entry.result]} ${entry.user} ${
+              entry.paymentIntentId || "-"
+            }: ${entry.result} (${entry.detail})`
+          );
+        }
+        console.log(`   ${done}/${total} checked`);
+      },
+    });
+
+    const counts = {};
+    for (const { result } of report) counts[result] = (counts[result] || 0) + 1;
+    console.log(
+      `\n${Object.entries(counts)
+        .map(([result, count]) => `${result}: ${count}`)
+        .join(", ")}`
+    );
+    if (values.out) {
+      fs.writeFileSync(values.out, JSON.stringify(report, null, 2) + "\n");
+      console.log(`Report written to ${values.out}`);
+    }
+    if (counts.failed) process.exitCode = 1;
+  },
+};
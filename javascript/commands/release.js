@@ -0,0 +1,29 @@
+const { getSigner } = require("../lib/config");
+const { readSource } = require("../lib/sources");
+const {
+  logResponse,
+  sendRequest,
+  waitForResponse,
+} = require("../lib/functions");
+
+module.exports = {
+  usage: "release <paymentIntentId>",
+  description: "Cancel a Stripe hold through a Functions request",
+  options: {},
+  run: async ({ config, positionals: [paymentIntentId] }) => {
+    if (!paymentIntentId) throw new Error("Payment Intent ID required");
+
+    const signer = await getSigner(config);
+    const transaction = await sendRequest(config, signer, {
+      name: "release",
+      source: readSource("release"),
+      args: [paymentIntentId],
+    });
+    const response = await waitForResponse(
+      config,
+      signer.provider,
+      transaction.hash
+    );
+    logResponse(response, "release");
+  },
+};
@@ -0,0 +1,147 @@
+const ethers = require("ethers");
+const { getSigner, requireAddress } = require("../lib/config");
+const { getActiveUsers, getLeverageContract } = require("../lib/leverage");
+const { findDeploymentBlock } = require("../lib/logs");
+const {
+  ensureAllowance,
+  findDebtors,
+  getDebts,
+  getRepayContracts,
+  planRepayments,
+  repay,
+} = require("../lib/repay");
+
+const usdcAmount = (amount) => `${ethers.utils.formatUnits(amount, 6)} USDC`;
+const parseUSDC = (value) =>
+  value === undefined ? undefined : ethers.utils.parseUnits(value, 6);
+
+// AaveStrategy borrows for every leverage position on its own account, so its
+// debt is the sum of the positions' borrowedUSDC.
+const logStrategyPositions = async (config, signer) => {
+  const leverage = getLeverageContract(config, signer);
+  const positions = [];
+  for (const user of await getActiveUsers(leverage)) {
+    const { borrowedUSDC } = await leverage.positions(user);
+    positions.push({ user, borrowedUSDC });
+  }
+  positions.sort((a, b) =>
+    b.borrowedUSDC.gt(a.borrowedUSDC)
+      ? 1
+      : b.borrowedUSDC.lt(a.borrowedUSDC)
+      ? -1
+      : 0
+  );
+  console.log(`\nAaveStrategy debt backs ${positions.length} positions:`);
+  for (const { user, borrowedUSDC } of positions) {
+    console.log(`  ${user}  ${usdcAmount(borrowedUSDC)}`);
+  }
+};
+
+const resolveDebtors = async ({
+  config,
+  signer,
+  debtToken,
+  positionals,
+  values,
+}) => {
+  if (values.strategy) {
+    await logStrategyPositions(config, signer);
+    return getDebts(debtToken, [requireAddress(config, "AaveStrategy")]);
+  }
+  if (positionals.length > 0) {
+    for (const address of positionals) {
+      if (!ethers.utils.isAddress(address))
+        throw new Error(`Invalid address "${address}"`);
+    }
+    return getDebts(debtToken, positionals.map(ethers.utils.getAddress));
+  }
+
+  // Every borrower since the debt token was deployed, unless the range is
+  // narrowed with --from-block or --lookback-blocks
+  const toBlock = await signer.provider.getBlockNumber();
+  const fromBlock = values["from-block"]
+    ? Number(values["from-block"])
+    : values["lookback-blocks"]
+    ? Math.max(0, toBlock - Number(values["lookback-blocks"]))
+    : await findDeploymentBlock(signer.provider, debtToken.address);
+  console.log(
+    `📡 Collecting USDC borrowers from blocks ${fromBlock}-${toBlock}`
+  );
+  return findDebtors(debtToken, { fromBlock, toBlock });
+};
+
+module.exports = {
+  usage:
+    "repay [address...] [--strategy] [--from-block <block>] [--lookback-blocks <n>] [--max-spend <usdc>] [--max-per-debtor <usdc>] [--min-debt <usdc>] [--dry-run]",
+  description:
+    "Repay Aave USDC debt for given addresses, the AaveStrategy behind the leverage positions, or every borrower found in debt token mints",
+  options: {
+    strategy: { type: "boolean" },
+    "from-block": { type: "string" },
+    "lookback-blocks": { type: "string" },
+    "max-spend": { type: "string" },
+    "max-per-debtor": { type: "string" },
+    "min-debt": { type: "string" },
+    "dry-run": { type: "boolean" },
+  },
+  run: async ({ config, positionals, values }) => {
+    const signer = await getSigner(config);
+    const contracts = await getRepayContracts(config, signer);
+    const debtors = await resolveDebtors({
+      config,
+      signer,
+      debtToken: contracts.debtToken,
+      positionals,
+      values,
+    });
+
+    const balance = await contracts.usdc.balanceOf(signer.address);
+    const { plan, total } = planRepayments(debtors, {
+      balance,
+      maxSpend: parseUSDC(values["max-spend"]),
+      maxPerDebtor: parseUSDC(values["max-per-debtor"]),
+      minDebt: parseUSDC(values["min-debt"]),
+    });
+
+    console.log(
+      `\nRepayment plan (${usdcAmount(total)} of your ${usdcAmount(balance)}):`
+    );
+    if (plan.length === 0) {
+      console.log("  No debt to repay");
+      return;
+    }
+    plan.forEach(({ address, debt, amount }, i) => {
+      console.log(
+        `  ${String(i + 1).padStart(3)}. ${address}  debt ${usdcAmount(
+          debt
+        )}  repay ${
+          amount.isZero() ? "- (over the limit)" : usdcAmount(amount)
+        }`
+      );
+    });
+    if (values["dry-run"] || total.isZero()) return;
+
+    await ensureAllowance(
+      contracts.usdc,
+      signer.address,
+      contracts.pool.address,
+      total
+    );
+
+    const repaid = plan.filter((entry) => !entry.amount.isZero());
+    for (const entry of repaid) {
+      await repay(contracts, entry);
+    }
+
+    console.log("\n📊 Debt before → after:");
+    const after = await getDebts(
+      contracts.debtToken,
+      repaid.map((entry) => entry.address)
+    );
+    repaid.forEach(({ address, debt }, i) => {
+      console.log(
+        `  ${address}  ${usdcAmount(debt)} → ${usdcAmount(after[i].debt)}`
+      );
+    });
+  },
+};
@@ -0,0 +1,159 @@
+const ethers = require("ethers");
+const { getProvider } = require("../lib/config");
+const { UNSAFE_LTV_BPS, getLeverageContract } = require("../lib/leverage");
+const {
+  DEFAULT_SHOCKS,
+  DEFAULT_WARN_LEVELS,
+  applyShock,
+  assessPositions,
+  defaultStatePath,
+  detectCrossings,
+  loadLevels,
+  saveLevels,
+} = require("../lib/risk");
+const { sendWebhook } = require("../lib/alerts");
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+const DEFAULT_TOP = 20;
+
+const percent = (bps) => `${(bps / 100).toFixed(2)}%`;
+const price = (value) => `$${ethers.utils.formatUnits(value, 8)}`;
+// A comma-separated option as numbers; `valid` checks each entry
+const parseList = (value, fallback, option, valid) => {
+  if (!value) return fallback;
+  return value.split(",").map((entry) => {
+    const number = Number(entry);
+    if (entry.trim() === "" || !valid(number)) {
+      throw new Error(`Invalid --${option} entry "${entry}"`);
+    }
+    return number;
+  });
+};
+
+const describeAlert = (alert) => {
+  if (alert.closed) return `${alert.user} closed`;
+  const direction = alert.level > alert.previousLevel ? "crossed" : "fell to";
+  const level = alert.level
+    ? percent(alert.level)
+    : `below ${percent(alert.previousLevel)}`;
+  return `${alert.user} ${direction} ${level} LTV (now ${percent(
+    alert.ltvBps
+  )})${alert.unsafe ? " - above the unsafe threshold" : ""}${
+    alert.inUpkeepWindow ? "" : " - outside checkUpkeep's scan window"
+  }`;
+};
+
+const check = async ({ config, leverage, levels, shocks, values, state }) => {
+  const { linkPrice, assessments } = await assessPositions(leverage);
+  const top = Number(values.top || DEFAULT_TOP);
+
+  console.log(
+    `\n${assessments.length} active positions at LINK ${price(
+      linkPrice
+    )} (unsafe above ${percent(UNSAFE_LTV_BPS)})`
+  );
+  for (const a of assessments.slice(0, top)) {
+    console.log(
+      `  ${a.user}  LTV ${percent(a.ltvBps).padStart(7)}  ${
+        a.ltvBps > UNSAFE_LTV_BPS
+          ? "UNSAFE"
+          : `${percent(a.distanceBps)} to unsafe`
+      }  at ${price(a.unsafePrice)}${
+        a.inUpkeepWindow ? "" : "  (not scanned by checkUpkeep)"
+      }`
+    );
+  }
+
+  for (const shock of shocks) {
+    const shocked = applyShock(assessments, linkPrice, shock);
+    const counts = levels.map(
+      (level) => shocked.filter((a) => a.ltvBps >= level).length
+    );
+    console.log(
+      `  LINK ${shock > 0 ? "+" : ""}${shock}%: ${levels
+        .map((level, i) => `${counts[i]} at ≥${percent(level)}`)
+        .join(", ")}`
+    );
+  }
+
+  // detectCrossings moves the copy to the new levels; state only follows once
+  // the alerts are delivered, so an undelivered crossing alerts again
+  const current = { ...state.levels };
+  const alerts = detectCrossings(assessments, current, levels);
+  for (const alert of alerts) {
+    console.log(`${alert.unsafe ? "🚨" : "⚠️"} ${describeAlert(alert)}`);
+  }
+  const webhook = values.webhook || process.env.RISK_WEBHOOK_URL;
+  if (webhook && alerts.length > 0) {
+    await sendWebhook(webhook, {
+      network: config.network.name,
+      linkPrice: linkPrice.toString(),
+      alerts: alerts.map((alert) => ({
+        ...alert,
+        message: describeAlert(alert),
+      })),
+    });
+  }
+  state.levels = current;
+  saveLevels(state.file, state.levels);
+  return assessments;
+};
+
+module.exports = {
+  usage:
+    "risk [--levels <bps,...>] [--shocks <percent,...>] [--webhook <url>] [--top <n>] [--watch] [--interval <seconds>] [--state <file>]",
+  description:
+    "Rank active positions by distance to the unsafe LTV, simulate LINK price shocks and alert when a position crosses a warning level",
+  options: {
+    levels: { type: "string" },
+    shocks: { type: "string" },
+    webhook: { type: "string" },
+    top: { type: "string" },
+    watch: { type: "boolean" },
+    interval: { type: "string" },
+    state: { type: "string" },
+  },
+  run: async ({ config, values }) => {
+    // Levels are LTVs in basis points, shocks LINK price moves in percent
+    const levels = parseList(
+      values.levels,
+      DEFAULT_WARN_LEVELS,
+      "levels",
+      (level) => Number.isInteger(level) && level > 0
+    ).sort((a, b) => a - b);
+    const shocks = parseList(
+      values.shocks,
+      DEFAULT_SHOCKS,
+      "shocks",
+      (shock) => Number.isFinite(shock) && shock > -100
+    );
+    const leverage = getLeverageContract(config, await getProvider(config));
+    const file = values.state || defaultStatePath(config);
+    // Last warning level per user, so each crossing alerts once across runs
+    const state = { file, levels: loadLevels(file) };
+
+    const run = () =>
+      check({ config, leverage, levels, shocks, values, state });
+
+    if (!values.watch) {
+      const assessments = await run();
+      if (assessments.some((a) => a.ltvBps > UNSAFE_LTV_BPS)) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+    for (;;) {
+      try {
+        await run();
+      } catch (e) {
+        console.log(`❌ ${e.reason || e.message}`);
+      }
+      await new Promise((resolve) =>
+        setTimeout(
+          resolve,
+          Number(values.interval || DEFAULT_INTERVAL_SECONDS) * 1000
+        )
+      );
+    }
+  },
+};
@@ -0,0 +1,164 @@
+const { getSigner } = require("../lib/config");
+const {
+  CONTRACT_SLOT_ID,
+  DEFAULT_EXPIRATION_MINUTES,
+  DEFAULT_WARN_HOURS,
+  createSecretsManager,
+  listSecrets,
+  recordSecrets,
+  updateContractVersion,
+  uploadSecrets,
+} = require("../lib/secrets");
+const { getLeverageContract } = require("../lib/leverage");
+
+const formatExpiry = (expiresAt) => {
+  const hours = (expiresAt - Date.now() / 1000) / 3600;
+  const date = new Date(expiresAt * 1000).toISOString();
+  return hours > 0 ? `${date} (in ${hours.toFixed(1)}h)` : `${date} (expired)`;
+};
+
+const upload = async ({ config, values }) => {
+  const signer = await getSigner(config);
+  const secretsManager = await createSecretsManager(config, signer);
+  const uploaded = await uploadSecrets(config, secretsManager, {
+    expirationMinutes: Number(
+      values["expiration-minutes"] || DEFAULT_EXPIRATION_MINUTES
+    ),
+  });
+
+  const file = recordSecrets(config, uploaded);
+  console.log(
+    `\n✅ Secrets uploaded to slot ${uploaded.slotId} as version ${
+      uploaded.version
+    }, expiring ${formatExpiry(uploaded.expiresAt)}. Recorded in ${file}`
+  );
+
+  if (values["update-contract"]) {
+    await setVersion({ config, positionals: [String(uploaded.version)] });
+  } else if (uploaded.slotId === CONTRACT_SLOT_ID) {
+    console.log(
+      `\nRun "creditshaft secrets set-version" (or upload with --update-contract) so CreditShaftLeverage uses version ${uploaded.version}`
+    );
+  }
+};
+
+const list = async ({ config }) => {
+  const signer = await getSigner(config);
+  const slots = await listSecrets(
+    config,
+    await createSecretsManager(config, signer)
+  );
+  if (slots.length === 0) {
+    console.log(`No DON-hosted secrets for ${signer.address}`);
+    return;
+  }
+  for (const { slotId, version, expiresAt } of slots) {
+    console.log(
+      `  slot ${slotId}  version ${version}  expires ${formatExpiry(expiresAt)}`
+    );
+  }
+};
+
+// Warns (and exits non-zero) when a slot is close to expiry or the contract
+// points at a version the DON no longer holds, before charges start failing.
+const status = async ({ config, values }) => {
+  const warnHours = Number(values["warn-hours"] || DEFAULT_WARN_HOURS);
+  const signer = await getSigner(config);
+  const slots = await listSecrets(
+    config,
+    await createSecretsManager(config, signer)
+  );
+  const warnings = [];
+
+  for (const { slotId, version, expiresAt } of slots) {
+    const hoursLeft = (expiresAt - Date.now() / 1000) / 3600;
+    console.log(
+      `  slot ${slotId}  version ${version}  expires ${formatExpiry(expiresAt)}`
+    );
+    if (hoursLeft < warnHours) {
+      warnings.push(
+        `slot ${slotId} ${
+          hoursLeft > 0 ? `expires in ${hoursLeft.toFixed(1)}h` : "has expired"
+        } - run "creditshaft secrets upload --slot ${slotId}"`
+      );
+    }
+  }
+
+  const live = slots.find((slot) => slot.slotId === CONTRACT_SLOT_ID);
+  const recorded = config.deployment.secrets?.[CONTRACT_SLOT_ID];
+  const contractVersion = (
+    await getLeverageContract(config, signer).donHostedSecretsVersion()
+  ).toNumber();
+  console.log(`\n  CreditShaftLeverage secrets version ${contractVersion}`);
+
+  if (!live) {
+    warnings.push(`slot ${CONTRACT_SLOT_ID} is empty - charges will fail`);
+  } else if (live.version !== contractVersion) {
+    warnings.push(
+      `CreditShaftLeverage uses version ${contractVersion} but slot ${CONTRACT_SLOT_ID} holds ${live.version} - run "creditshaft secrets set-version ${live.version}"`
+    );
+  }
+  if (live && recorded && recorded.version !== live.version) {
+    warnings.push(
+      `${config.deployment.source} records version ${recorded.version} for slot ${CONTRACT_SLOT_ID}, the DON holds ${live.version}`
+    );
+  }
+
+  if (warnings.length === 0) {
+    console.log("\n✅ Secrets are live and the contract is up to date");
+    return;
+  }
+  for (const warning of warnings) console.log(`\n⚠️ ${warning}`);
+  process.exitCode = 1;
+};
+
+const setVersion = async ({ config, positionals }) => {
+  if (config.slotId !== CONTRACT_SLOT_ID) {
+    throw new Error(
+      `CreditShaftLeverage reads secrets from slot ${CONTRACT_SLOT_ID}, not slot ${config.slotId}`
+    );
+  }
+  const version = Number(
+    positionals[0] ||
+      config.deployment.secrets?.[CONTRACT_SLOT_ID]?.version ||
+      config.secretsVersion
+  );
+  if (!version)
+    throw new Error(
+      "No secrets version - pass one or run creditshaft secrets upload"
+    );
+
+  const transaction = await updateContractVersion(
+    config,
+    await getSigner(config),
+    version
+  );
+  console.log(
+    `\n✅ CreditShaftLeverage now uses secrets version ${version}. See ${config.network.explorerUrl}/tx/${transaction.hash}`
+  );
+};
+
+const ACTIONS = { upload, list, status, "set-version": setVersion };
+
+module.exports = {
+  usage:
+    "secrets <upload|list|status|set-version> [version] [--expiration-minutes <minutes>] [--update-contract] [--warn-hours <hours>]",
+  description:
+    "Upload STRIPE_SECRET_KEY to the DON and record it in the deployment file, list slots, warn on expiry or a stale contract version, or update the contract's secrets version",
+  options: {
+    "expiration-minutes": { type: "string" },
+    "update-contract": { type: "boolean" },
+    "warn-hours": { type: "string" },
+  },
+  run: async ({ config, positionals, values }) => {
+    const [name, ...rest] = positionals;
+    const action = ACTIONS[name];
+    if (!action)
+      throw new Error(
+        `Unknown secrets action "${name || ""}" - use one of ${Object.keys(
+          ACTIONS
+        ).join(", ")}`
+      );
+    await action({ config, positionals: rest, values });
+  },
+};
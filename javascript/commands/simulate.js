@@ -0,0 +1,57 @@
+const { simulateScript } = require("@chainlink/functions-toolkit");
+const { SOURCES, readSource } = require("../lib/sources");
+const { logResult } = require("../lib/functions");
+const {
+  MOCK_SECRETS,
+  assessSimulation,
+  realSecrets,
+} = require("../lib/preflight");
+
+module.exports = {
+  usage: `simulate <${Object.keys(SOURCES).join(
+    "|"
+  )}> <args...> [--real-secrets]`,
+  description:
+    "Run a source locally with simulateScript (requires Deno) and check it would pass the pre-flight gate. Without --real-secrets the mock keys return a canned answer before any provider call",
+  options: {
+    "real-secrets": { type: "boolean" },
+  },
+  run: async ({ config, positionals: [name, ...args], values }) => {
+    if (!SOURCES[name])
+      throw new Error(
+        `Unknown source "${name}". Expected one of: ${Object.keys(SOURCES).join(
+          ", "
+        )}`
+      );
+
+    const secrets = values["real-secrets"] ? realSecrets() : MOCK_SECRETS;
+
+    console.log(`Start simulation of ${SOURCES[name].file}...`);
+    const response = await simulateScript({
+      source: readSource(name),
+      args,
+      bytesArgs: [],
+      secrets,
+    });
+
+    if (response.capturedTerminalOutput) {
+      console.log(response.capturedTerminalOutput);
+    }
+    logResult(response, name);
+
+    const { problems, callbackGas } = assessSimulation(name, response, {
+      args,
+      gasLimit: config.gasLimit,
+    });
+    if (problems.length > 0) {
+      console.log(
+        `\n⚠️ Would fail the pre-flight gate: ${problems.join("; ")}`
+      );
+      process.exitCode = 1;
+    } else {
+      console.log(
+        `\n✅ Passes the pre-flight gate, about ${callbackGas} of ${config.gasLimit} callback gas`
+      );
+    }
+  },
+};
@@ -0,0 +1,217 @@
+const fs = require("fs");
+const { getProvider, getSigner } = require("../lib/config");
+const { getLeverageContract } = require("../lib/leverage");
+const {
+  findPendingReauthorization,
+  reauthorizeHolds,
+} = require("../lib/reauthorization");
+const { createStripeClient } = require("../lib/stripe");
+const { sendWebhook } = require("../lib/alerts");
+const {
+  DEFAULT_PORT,
+  WEBHOOK_PATH,
+  createEventHandler,
+  createWebhookServer,
+  defaultStorePath,
+  loadStore,
+  saveStore,
+  signPayload,
+} = require("../lib/stripe-webhook");
+
+// Mismatches a replacement hold can fix; a dispute needs a person
+const REAUTHORIZABLE = ["hold_canceled", "hold_released", "hold_reduced"];
+
+const requireSecret = (values) => {
+  const secret = values.secret || process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret)
+    throw new Error(
+      "STRIPE_WEBHOOK_SECRET not provided - use the whsec_ secret of the endpoint or of stripe listen"
+    );
+  return secret;
+};
+
+const describeMismatch = (entry) =>
+  `${entry.wallet}: ${entry.reason} on ${entry.paymentIntent} - ${entry.detail}`;
+
+const serve = async ({ config, values }) => {
+  const secret = requireSecret(values);
+  const stripe = createStripeClient();
+  // requestHoldReauthorization has to be sent as the owner
+  const leverage = getLeverageContract(
+    config,
+    values.reauthorize ? await getSigner(config) : await getProvider(config)
+  );
+  const file = values.state || defaultStorePath(config);
+  const store = loadStore(file);
+  const alertWebhook = values["alert-webhook"] || process.env.RISK_WEBHOOK_URL;
+
+  // The contract places the replacement hold and moves the position onto it
+  // (see reauthorize), and checkEvent compares events with the intent the
+  // position points at now. A replacement that lands after the position moved
+  // on is never the position's: StrayHoldPlaced hands it to release-closed.
+  const reauthorize = async (entry) => {
+    const latest = await leverage.provider.getBlock("latest");
+    const pending = await findPendingReauthorization(
+      leverage,
+      entry.wallet,
+      latest.timestamp
+    );
+    if (pending.requestId) {
+      console.log(
+        `⏳ ${entry.wallet}: re-authorization request ${pending.requestId} still in flight`
+      );
+      return { reauthorizationPending: pending.requestId };
+    }
+    const [result] = await reauthorizeHolds(
+      leverage,
+      [
+        {
+          user: entry.wallet,
+          paymentIntentId: entry.paymentIntent,
+          result: "due",
+        },
+      ],
+      { preflight: config.preflight }
+    );
+    if (result.result !== "requested") {
+      console.log(
+        `❌ ${entry.wallet}: re-authorization failed - ${result.detail}`
+      );
+      return { reauthorizationFailed: result.detail };
+    }
+    console.log(
+      `🔁 ${entry.wallet}: re-authorization request ${result.requestId} replaces ${entry.paymentIntent}`
+    );
+    return { reauthorizationRequested: result.requestId };
+  };
+
+  const onMismatch = async (entry) => {
+    console.log(`🚨 ${describeMismatch(entry)}`);
+    const actions = [];
+    if (values.reauthorize && REAUTHORIZABLE.includes(entry.reason)) {
+      actions.push(await reauthorize(entry));
+    }
+    if (alertWebhook) {
+      try {
+        await sendWebhook(alertWebhook, {
+          network: config.network.name,
+          mismatch: { ...entry, actions },
+          message: describeMismatch(entry),
+        });
+        actions.push({ alerted: true });
+      } catch (e) {
+        console.log(`❌ Alert webhook failed - ${e.message}`);
+      }
+    }
+    return actions;
+  };
+
+  const server = createWebhookServer({
+    secret,
+    port: Number(values.port || DEFAULT_PORT),
+    handleEvent: createEventHandler({ leverage, stripe, store, onMismatch }),
+    onHandled: (event, record) => {
+      saveStore(file, store);
+      console.log(
+        `${new Date().toISOString()} ${event.id} ${event.type}: ${
+          record.outcome
+        }`
+      );
+    },
+  });
+  const url = await server.start();
+  console.log(
+    `Listening for Stripe events on ${url} (${config.network.name}, leverage ${
+      leverage.address
+    }${values.reauthorize ? ", re-authorizing" : ""})`
+  );
+  console.log(`Forward test events with: stripe listen --forward-to ${url}`);
+};
+
+// Signs fixture payloads with the webhook secret and delivers them, so the
+// receiver can be exercised without Stripe.
+const replay = async ({ positionals, values }) => {
+  if (positionals.length === 0)
+    throw new Error("Pass one or more event fixture files to replay");
+  const secret = requireSecret(values);
+  const url =
+    values.url ||
+    `http://127.0.0.1:${values.port || DEFAULT_PORT}${WEBHOOK_PATH}`;
+
+  for (const fixture of positionals) {
+    const payload = fs.readFileSync(fixture).toString();
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Stripe-Signature": signPayload(payload, secret),
+      },
+      body: payload,
+    });
+    const body = await response.json();
+    console.log(
+      `${response.ok ? "✅" : "❌"} ${fixture}: ${response.status} ${
+        body.outcome || body.error
+      }`
+    );
+    if (!response.ok) process.exitCode = 1;
+  }
+};
+
+const mismatches = async ({ config, values }) => {
+  const { events, mismatches } = loadStore(
+    values.state || defaultStorePath(config)
+  );
+  console.log(
+    `\n${Object.keys(events).length} events received, ${
+      mismatches.length
+    } mismatches`
+  );
+  for (const entry of mismatches) {
+    const actions = (entry.actions || [])
+      .map((action) =>
+        action.reauthorizationRequested
+          ? `re-authorization requested in ${action.reauthorizationRequested}`
+          : action.reauthorizationPending
+          ? "re-authorization already in flight"
+          : action.reauthorizationFailed
+          ? "re-authorization failed"
+          : "alerted"
+      )
+      .join(", ");
+    console.log(
+      `  ${new Date(entry.recordedAt * 1000).toISOString()}  ${describeMismatch(
+        entry
+      )}${actions ? ` (${actions})` : ""}`
+    );
+  }
+  if (mismatches.length > 0) process.exitCode = 1;
+};
+
+const ACTIONS = { serve, replay, mismatches };
+
+module.exports = {
+  usage:
+    "stripe-webhook <serve|replay|mismatches> [fixture...] [--port <port>] [--secret <whsec>] [--reauthorize] [--alert-webhook <url>] [--url <url>] [--state <file>]",
+  description:
+    "Receive signature-verified Stripe events, record card holds that were canceled, reduced or disputed under an open position, and optionally re-authorize or alert",
+  options: {
+    port: { type: "string" },
+    secret: { type: "string" },
+    reauthorize: { type: "boolean" },
+    "alert-webhook": { type: "string" },
+    url: { type: "string" },
+    state: { type: "string" },
+  },
+  run: async ({ config, positionals, values }) => {
+    const [name, ...rest] = positionals;
+    const action = ACTIONS[name];
+    if (!action)
+      throw new Error(
+        `Unknown stripe-webhook action "${
+          name || ""
+        }" - use one of ${Object.keys(ACTIONS).join(", ")}`
+      );
+    await action({ config, positionals: rest, values });
+  },
+};
@@ -0,0 +1,194 @@
+const ethers = require("ethers");
+const { getSigner } = require("../lib/config");
+const { findOpenHolds, getLeverageContract } = require("../lib/leverage");
+const {
+  DEFAULT_WINDOW_HOURS,
+  LEVERAGE_REQUESTS,
+  countHoldRequests,
+  createSubscriptionManager,
+  estimateRequestCosts,
+  fundSubscription,
+  getSubscription,
+  projectRequests,
+} = require("../lib/subscription");
+
+const link = (juels) => `${ethers.utils.formatEther(juels)} LINK`;
+
+// Balance, consumers and the requests the balance covers: a charge for every
+// position whose pre-auth expires within --window-hours and a
+// re-authorization for the due ones that can roll over. The other open holds
+// are counted apart, as they need a request only after the window or on close.
+const loadStatus = async ({ config, values }) => {
+  const windowHours = Number(values["window-hours"] || DEFAULT_WINDOW_HOURS);
+  const signer = await getSigner(config);
+  const subscriptionManager = await createSubscriptionManager(config, signer);
+  const leverage = getLeverageContract(config, signer);
+
+  const subscription = await getSubscription(config, subscriptionManager);
+  const costs = await estimateRequestCosts(
+    config,
+    subscriptionManager,
+    leverage
+  );
+  const holds = await findOpenHolds(
+    leverage,
+    Math.floor(Date.now() / 1000) + windowHours * 3600
+  );
+  const dueCharges = holds.filter((hold) => hold.due);
+  const { requests, later } = countHoldRequests(holds);
+  const projection = projectRequests(subscription, costs.leverage, requests);
+  return {
+    subscriptionManager,
+    leverage,
+    windowHours,
+    subscription,
+    costs,
+    dueCharges,
+    requests,
+    later,
+    projection,
+  };
+};
+
+const status = async (options) => {
+  const { config } = options;
+  const {
+    leverage,
+    windowHours,
+    subscription,
+    costs,
+    dueCharges,
+    requests,
+    later,
+    projection,
+  } = await loadStatus(options);
+  const warnings = [];
+
+  console.log(`\nSubscription ${config.subscriptionId}`);
+  console.log(`  Owner               ${subscription.owner}`);
+  console.log(`  Balance             ${link(subscription.balance)}`);
+  console.log(`  Blocked             ${link(subscription.blockedBalance)}`);
+  console.log(`  Consumers`);
+  for (const consumer of subscription.consumers) {
+    console.log(`    ${consumer}`);
+  }
+
+  const consumers = subscription.consumers.map((address) =>
+    address.toLowerCase()
+  );
+  const required = [["CreditShaftLeverage", leverage.address]];
+  if (config.consumer) required.push(["FunctionsConsumer", config.consumer]);
+  for (const [name, address] of required) {
+    if (!consumers.includes(address.toLowerCase())) {
+      warnings.push(
+        `${name} (${address}) is not a consumer - its requests will revert`
+      );
+    }
+  }
+
+  console.log(
+    `\n  Requests at ${ethers.utils.formatUnits(
+      costs.gasPriceWei,
+      "gwei"
+    )} gwei`
+  );
+  for (const name of LEVERAGE_REQUESTS) {
+    console.log(
+      `    ${name.padEnd(17)} ${link(costs.leverage[name].costInJuels)}`
+    );
+  }
+  console.log(`  Balance covers      ${projection.coveredRequests} requests`);
+  console.log(
+    `  Open holds need ${requests.charge} charges and ${
+      requests.reauthorize
+    } re-authorizations within ${windowHours}h: ${link(
+      projection.requiredBalance
+    )}`
+  );
+  for (const { user, preAuthExpiryTime } of dueCharges) {
+    console.log(
+      `    ${user}  ${new Date(
+        preAuthExpiryTime.toNumber() * 1000
+      ).toISOString()}`
+    );
+  }
+
+  console.log(
+    `  ${later} other open holds need a charge or release after ${windowHours}h or when they close (${link(
+      costs.leverage.release.costInJuels * BigInt(later)
+    )}, not reserved)`
+  );
+
+  if (projection.shortfall > 0n) {
+    warnings.push(
+      `the balance is ${link(
+        projection.shortfall
+      )} short of the requests the open holds need - run "creditshaft subscription fund"`
+    );
+  }
+
+  if (warnings.length === 0) {
+    console.log("\n✅ Subscription covers the requests the open holds need");
+    return;
+  }
+  for (const warning of warnings) console.log(`\n⚠️ ${warning}`);
+  process.exitCode = 1;
+};
+
+// Funds the given amount of LINK, or by default the shortfall for the requests
+// the open holds need.
+const fund = async (options) => {
+  const { config, positionals } = options;
+  let juelsAmount;
+  let subscriptionManager;
+  if (positionals[0]) {
+    juelsAmount = ethers.utils.parseEther(positionals[0]).toBigInt();
+    subscriptionManager = await createSubscriptionManager(
+      config,
+      await getSigner(config)
+    );
+  } else {
+    const loaded = await loadStatus(options);
+    subscriptionManager = loaded.subscriptionManager;
+    juelsAmount = loaded.projection.shortfall;
+    if (juelsAmount === 0n) {
+      console.log(
+        `\n✅ Subscription ${config.subscriptionId} already covers the requests the open holds need - pass an amount to fund anyway`
+      );
+      return;
+    }
+  }
+
+  const receipt = await fundSubscription(
+    config,
+    subscriptionManager,
+    juelsAmount
+  );
+  console.log(
+    `\n✅ Subscription ${config.subscriptionId} funded with ${link(
+      juelsAmount
+    )}. See ${config.network.explorerUrl}/tx/${receipt.transactionHash}`
+  );
+};
+
+const ACTIONS = { status, fund };
+
+module.exports = {
+  usage: "subscription <status|fund> [linkAmount] [--window-hours <hours>]",
+  description:
+    "Report the Functions subscription balance, consumers and whether it covers the requests the open holds need, or top it up",
+  options: {
+    "window-hours": { type: "string" },
+  },
+  run: async ({ config, positionals, values }) => {
+    const [name, ...rest] = positionals;
+    const action = ACTIONS[name];
+    if (!action)
+      throw new Error(
+        `Unknown subscription action "${name || ""}" - use one of ${Object.keys(
+          ACTIONS
+        ).join(", ")}`
+      );
+    await action({ config, positionals: rest, values });
+  },
+};
@@ -0,0 +1,14 @@
+const secrets = require("./secrets");
+
+// The command `secrets upload` replaced, kept as an alias of it so scripts
+// that still call upload-secrets keep working.
+module.exports = {
+  usage: "upload-secrets [--expiration-minutes <minutes>] [--update-contract]",
+  description: 'Alias of "secrets upload"',
+  options: {
+    "expiration-minutes": secrets.options["expiration-minutes"],
+    "update-contract": secrets.options["update-contract"],
+  },
+  run: ({ positionals, ...options }) =>
+    secrets.run({ ...options, positionals: ["upload", ...positionals] }),
+};
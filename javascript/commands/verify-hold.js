@@ -0,0 +1,80 @@
+const ethers = require("ethers");
+const { getSigner } = require("../lib/config");
+const { computePreAuth, getLeverageContract } = require("../lib/leverage");
+const {
+  DEFAULT_TIMEOUT_MINUTES,
+  verifyHold,
+} = require("../lib/hold-verification");
+
+const DEFAULT_EXPIRY_DAYS = 6; // same default as open-position
+
+module.exports = {
+  usage:
+    "verify-hold <paymentReference> <linkAmount> --leverage <ratio> [--expiry-days <days>] [--timeout <minutes>]",
+  description:
+    "Have the contract check a card hold against the position it would back (manual capture, requires_capture, USD, your wallet, covers the pre-auth, outlives the expiry) and print the verdict",
+  options: {
+    leverage: { type: "string" },
+    "expiry-days": { type: "string" },
+    timeout: { type: "string" },
+  },
+  run: async ({
+    config,
+    positionals: [paymentReference, linkAmount],
+    values,
+  }) => {
+    if (!paymentReference || !linkAmount)
+      throw new Error("Payment reference and LINK amount required");
+    if (!values.leverage)
+      throw new Error("--leverage required, e.g. 200 for 2x");
+    const collateralAmount = ethers.utils.parseEther(linkAmount);
+    const leverageRatio = Number(values.leverage);
+    const expiryDays = Number(values["expiry-days"] || DEFAULT_EXPIRY_DAYS);
+    const expiryTime = Math.floor(Date.now() / 1000) + expiryDays * 86400;
+
+    const leverage = getLeverageContract(config, await getSigner(config));
+    const preAuth = computePreAuth(
+      await leverage.getLINKPrice(),
+      leverageRatio,
+      collateralAmount
+    );
+    console.log(
+      `Checking ${paymentReference} covers $${ethers.utils.formatUnits(
+        preAuth.holdCents,
+        2
+      )} until ${new Date(expiryTime * 1000).toISOString()}`
+    );
+
+    const verdict = await verifyHold(
+      leverage,
+      {
+        leverageRatio,
+        collateralAmount,
+        expiryTime,
+        paymentReference,
+        holdCents: preAuth.holdCents,
+      },
+      {
+        timeoutMs:
+          Number(values.timeout || DEFAULT_TIMEOUT_MINUTES) * 60 * 1000,
+        preflight: config.preflight,
+      }
+    );
+    if (!verdict.verified) {
+      console.log(`\n❌ ${verdict.reason} (request ${verdict.requestId})`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(
+      `\n✅ Hold verified: $${ethers.utils.formatUnits(
+        verdict.holdCents,
+        2
+      )} held until ${new Date(
+        verdict.authorizationExpiry * 1000
+      ).toISOString()} (request ${verdict.requestId})`
+    );
+    console.log(
+      "openLeveragePosition accepts this hold for the next hour, once"
+    );
+  },
+};
@@ -0,0 +1,117 @@
+const ethers = require("ethers");
+const { getProvider, requireConfig } = require("../lib/config");
+const {
+  DEFAULT_LOOKBACK_BLOCKS,
+  DEFAULT_TIMEOUT_MINUTES,
+  defaultStatePath,
+  flagTimedOut,
+  loadState,
+  saveState,
+  scanBlocks,
+} = require("../lib/charge-requests");
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+const usdc = (amount) => `$${ethers.utils.formatUnits(amount, 6)}`;
+const cents = (amount) => `$${ethers.utils.formatUnits(amount, 2)}`;
+
+const describe = (request) => {
+  const { status, stripe, settled, failure, fulfilled } = request;
+  if (status === "pending") return `requested ${usdc(request.amountUSDC)}`;
+  if (status === "settled")
+    return `settled (${stripe?.status}): captured ${cents(
+      settled.capturedCents
+    )}, released ${cents(settled.releasedCents)}`;
+  if (status === "failed")
+    return `failed${stripe ? ` (${stripe.status})` : ""}: ${failure.reason}`;
+  if (status === "callback_failed")
+    return `fulfilled with ${fulfilled.fulfillmentCode} - the contract callback did not run`;
+  return `fulfilled (${fulfilled.fulfillmentCode}) without an outcome event`;
+};
+
+module.exports = {
+  usage:
+    "watch [--from-block <block>] [--timeout-minutes <minutes>] [--state <file>] [--once] [--interval <seconds>]",
+  description:
+    "Follow pre-auth charge requests from PreAuthChargeInitiated to the Functions fulfillment and the contract's outcome event, flagging requests that never fulfilled",
+  options: {
+    "from-block": { type: "string" },
+    "timeout-minutes": { type: "string" },
+    state: { type: "string" },
+    once: { type: "boolean" },
+    interval: { type: "string" },
+  },
+  run: async ({ config, values }) => {
+    requireConfig(config, "subscriptionId", "pass --subscription-id");
+    const timeoutSeconds =
+      Number(values["timeout-minutes"] || DEFAULT_TIMEOUT_MINUTES) * 60;
+    const intervalMs =
+      Number(values.interval || DEFAULT_INTERVAL_SECONDS) * 1000;
+    const stateFile = values.state || defaultStatePath(config);
+    const state = loadState(stateFile);
+    const provider = await getProvider(config);
+
+    let nextBlock = values["from-block"]
+      ? Number(values["from-block"])
+      : state.lastBlock !== null
+      ? state.lastBlock + 1
+      : Math.max(
+          0,
+          (await provider.getBlockNumber()) - DEFAULT_LOOKBACK_BLOCKS
+        );
+    console.log(`Watching charge requests from block ${nextBlock}`);
+
+    let timedOut = 0;
+    // One scan of the blocks mined since the last one
+    const poll = async () => {
+      const latest = await provider.getBlockNumber();
+      if (latest >= nextBlock) {
+        const touched = await scanBlocks(
+          config,
+          provider,
+          state,
+          nextBlock,
+          latest
+        );
+        for (const request of touched) {
+          const icon = { settled: "✅", pending: "⏳" }[request.status] || "❌";
+          console.log(
+            `${icon} ${request.user} ${request.requestId} ${describe(request)}`
+          );
+        }
+        nextBlock = latest + 1;
+      }
+
+      const { timestamp } = await provider.getBlock(latest);
+      for (const request of flagTimedOut(state, timestamp, timeoutSeconds)) {
+        timedOut++;
+        console.log(
+          `⚠️ ${request.user} ${request.requestId} not fulfilled ${Math.floor(
+            (timestamp - request.initiated.timestamp) / 60
+          )} minutes after ${request.initiated.txHash}`
+        );
+      }
+      saveState(stateFile, state);
+    };
+
+    for (;;) {
+      try {
+        await poll();
+      } catch (e) {
+        // A failed RPC call ends --once; a running watcher retries the same
+        // blocks on the next poll
+        if (values.once) throw e;
+        console.log(`❌ ${e.reason || e.message}`);
+      }
+      if (values.once) break;
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+
+    console.log(
+      `\n${Object.keys(state.requests).length} requests for ${
+        Object.keys(state.users).length
+      } users recorded in ${stateFile}`
+    );
+    if (timedOut > 0) process.exitCode = 1;
+  },
+};
@@ -0,0 +1,633 @@
+const assert = require("assert");
+const ethers = require("ethers");
+const {
+  forgeBuild,
+  increaseTime,
+  revert,
+  snapshot,
+  startAnvil,
+} = require("./lib/anvil");
+const { receiptEvents } = require("./lib/keeper");
+const { computePreAuth, openPosition } = require("./lib/leverage");
+const { createIndexer, openDatabase } = require("./lib/indexer");
+const { createLocalDon, deployLocalStack } = require("./lib/local-stack");
+const { createStripeClient, createStripeProvider } = require("./lib/stripe");
+const { createStripeMock } = require("./lib/stripe-mock");
+
+// End-to-end scenarios on a local anvil chain: deploys the contracts with the
+// mocks from src/mocks, the toolkit's Functions router and a LINK/USD feed we
+// move by hand, then scripts protocol flows (open, move the price, run the
+// upkeep, fulfill the Functions requests, close) and asserts the events and
+// balances they produce. Requests are fulfilled by running the sources
+// embedded in the contract against the Stripe mock, so the contracts and
+// the JS sources are tested together. Needs Foundry (forge and anvil).
+// Usage: npm run e2e [-- <scenario name filter>] [--no-build]
+
+const STRIPE_KEY = "sk_test_e2e";
+const CUSTOMER = "cus_e2e";
+const PAYMENT_METHOD = "pm_card_visa";
+const COLLATERAL = ethers.utils.parseEther("100");
+const LEVERAGE_RATIO = 200;
+const EXPIRY_DAYS = 6;
+const DAY = 86400;
+const UPKEEP_GAS_LIMIT = 5000000;
+const VERIFICATION_FEE = ethers.utils.parseEther("0.01");
+const FULFILLED = 0; // FulfillmentCode.FULFILLED
+const LP_PROFIT_SHARE_BPS = 2000; // CreditShaftLeverage.LP_PROFIT_SHARE
+
+// Event values compare as strings, so numbers can be given either way
+const normalize = (value) =>
+  ethers.BigNumber.isBigNumber(value) || typeof value === "number"
+    ? value.toString()
+    : value;
+
+// Everything a scenario needs: the deployed stack, the position holder
+// (account 2), a keeper (account 3), the Stripe mock the DON talks to and
+// helpers for the steps scenarios are made of.
+const createContext = async (stack, provider, stripe, stripeUrl) => {
+  const user = provider.getSigner(2);
+  const keeper = provider.getSigner(3);
+  const userAddress = await user.getAddress();
+  const leverage = stack.leverage.connect(user);
+  const payments = createStripeProvider(
+    createStripeClient({ secretKey: STRIPE_KEY, apiBase: stripeUrl })
+  );
+  const don = createLocalDon(stack, {
+    secrets: { STRIPE_SECRET_KEY: STRIPE_KEY },
+    rewrite: { "https://api.stripe.com": stripeUrl },
+  });
+  await don.skipPending();
+
+  const now = async () => (await provider.getBlock("latest")).timestamp;
+  const linkPath = [stack.link.address, stack.usdc.address];
+
+  const open = async () => {
+    await (await stack.link.mint(userAddress, COLLATERAL)).wait();
+    return openPosition(leverage, payments, {
+      leverageRatio: LEVERAGE_RATIO,
+      collateralAmount: COLLATERAL,
+      expiryTime: (await now()) + EXPIRY_DAYS * DAY,
+      customer: CUSTOMER,
+      paymentMethod: PAYMENT_METHOD,
+      preflight: {},
+    });
+  };
+
+  const setPrice = async (usd) =>
+    (
+      await stack.priceFeed.updateAnswer(ethers.utils.parseUnits(usd, 8))
+    ).wait();
+
+  // Runs the upkeep the way Automation would: performUpkeep with whatever
+  // checkUpkeep asks for
+  const upkeep = async () => {
+    const { upkeepNeeded, performData } = await stack.leverage
+      .connect(keeper)
+      .checkUpkeep("0x");
+    assert.ok(upkeepNeeded, "checkUpkeep found nothing to do");
+    const transaction = await stack.leverage
+      .connect(keeper)
+      .performUpkeep(performData, { gasLimit: UPKEEP_GAS_LIMIT });
+    return transaction.wait();
+  };
+
+  // Fulfills the pending Functions requests and expects exactly `sources`
+  const fulfill = async (...sources) => {
+    const fulfillments = await don.fulfill();
+    assert.deepStrictEqual(
+      fulfillments.map((fulfillment) => fulfillment.source),
+      sources
+    );
+    for (const { source, result, resultCode } of fulfillments) {
+      assert.ok(
+        !result.errorString,
+        `${source} source threw: ${result.errorString}`
+      );
+      assert.strictEqual(resultCode, FULFILLED, `${source} callback failed`);
+    }
+    return fulfillments;
+  };
+
+  // The single `name` event the receipt has from the leverage contract
+  const expectEvent = (receipt, name, expected = {}) => {
+    const events = receiptEvents(stack.leverage, receipt).filter(
+      (event) => event.name === name
+    );
+    assert.strictEqual(events.length, 1, `expected one ${name} event`);
+    for (const [key, value] of Object.entries(expected)) {
+      assert.strictEqual(
+        normalize(events[0].args[key]),
+        normalize(value),
+        `${name}.${key}`
+      );
+    }
+    return events[0].args;
+  };
+  const expectNoEvent = (receipt, name) =>
+    assert.ok(
+      !receiptEvents(stack.leverage, receipt).some(
+        (event) => event.name === name
+      ),
+      `unexpected ${name} event`
+    );
+
+  // What closing at the current price will do, as _executeClosePosition
+  // works it out: repay the flash loan with LINK, share the profit with LPs.
+  // The core books the flash loan's premium as LP fees as well.
+  const previewClose = async () => {
+    const position = await stack.leverage.positions(userAddress);
+    const flashLoan = position.borrowedUSDC;
+    const premium = flashLoan.mul(9).div(10000);
+    const repay = flashLoan.add(premium);
+    const [linkToSwap] = await stack.uniswapRouter.getAmountsIn(
+      repay,
+      linkPath
+    );
+    const remaining = position.suppliedLINK.sub(1).sub(linkToSwap);
+    if (remaining.lte(position.collateralLINK)) {
+      return {
+        position,
+        premium,
+        profit: ethers.constants.Zero,
+        userLINK: remaining,
+      };
+    }
+    const profit = remaining.sub(position.collateralLINK);
+    const lpShare = profit.mul(LP_PROFIT_SHARE_BPS).div(10000);
+    const userShare = profit.sub(lpShare);
+    const [, lpShareUSDC] = await stack.uniswapRouter.getAmountsOut(
+      lpShare,
+      linkPath
+    );
+    return {
+      position,
+      premium,
+      profit,
+      userShare,
+      lpShare,
+      lpShareUSDC,
+      userLINK: position.collateralLINK.add(userShare),
+    };
+  };
+
+  const balances = async () => ({
+    userLINK: await stack.link.balanceOf(userAddress),
+    lpFees: await stack.core.totalFlashLoanFees(),
+  });
+
+  return {
+    ...stack,
+    provider,
+    stripe,
+    payments,
+    don,
+    user,
+    userAddress,
+    leverage,
+    now,
+    open,
+    setPrice,
+    upkeep,
+    fulfill,
+    expectEvent,
+    expectNoEvent,
+    previewClose,
+    balances,
+    increaseTime: (seconds) => increaseTime(provider, seconds),
+  };
+};
+
+const scenarios = [
+  // Runs first: the Stripe mock dates holds by the wall clock, so the chain
+  // must not have been moved days ahead yet when a hold is verified
+  {
+    name: "verified hold opens, unverified hold is refused",
+    run: async (t) => {
+      await (
+        await t.leverage
+          .connect(t.deployer)
+          .setHoldVerification(true, VERIFICATION_FEE)
+      ).wait();
+      await (await t.link.mint(t.userAddress, COLLATERAL)).wait();
+      await (
+        await t.link.connect(t.user).approve(t.leverage.address, COLLATERAL)
+      ).wait();
+
+      const preAuth = computePreAuth(
+        await t.leverage.getLINKPrice(),
+        LEVERAGE_RATIO,
+        COLLATERAL
+      );
+      const hold = await t.payments.authorize({
+        amountCents: preAuth.holdCents.toString(),
+        customer: CUSTOMER,
+        paymentMethod: PAYMENT_METHOD,
+        metadata: { wallet: t.userAddress },
+      });
+      await assert.rejects(
+        t.leverage.callStatic.openLeveragePosition(
+          LEVERAGE_RATIO,
+          COLLATERAL,
+          (await t.now()) + EXPIRY_DAYS * DAY,
+          hold.id,
+          CUSTOMER,
+          PAYMENT_METHOD
+        ),
+        /Hold not verified/
+      );
+      await assert.rejects(
+        t.leverage.callStatic.requestHoldVerification(
+          LEVERAGE_RATIO,
+          COLLATERAL,
+          (await t.now()) + EXPIRY_DAYS * DAY,
+          hold.id
+        ),
+        /Wrong verification fee/
+      );
+
+      // openPosition waits for the verdict, so the DON fulfills meanwhile
+      const stopFulfilling = t.don.autoFulfill();
+      let opened;
+      try {
+        opened = await t.open();
+      } finally {
+        await stopFulfilling();
+      }
+      t.expectEvent(opened.receipt, "PositionOpened", {
+        user: t.userAddress,
+        collateral: COLLATERAL,
+      });
+      const position = await t.leverage.positions(t.userAddress);
+      assert.strictEqual(
+        position.stripePaymentIntentId,
+        opened.paymentReference
+      );
+      assert.strictEqual(
+        t.stripe.intents()[opened.paymentReference].status,
+        "requires_capture"
+      );
+
+      // The fee stays in the contract until the owner withdraws it
+      const treasury = ethers.Wallet.createRandom().address;
+      assert.strictEqual(
+        (await t.provider.getBalance(t.leverage.address)).toString(),
+        VERIFICATION_FEE.toString()
+      );
+      await assert.rejects(
+        t.leverage.callStatic.withdrawVerificationFees(treasury)
+      );
+      await (
+        await t.leverage.connect(t.deployer).withdrawVerificationFees(treasury)
+      ).wait();
+      assert.strictEqual(
+        (await t.provider.getBalance(treasury)).toString(),
+        VERIFICATION_FEE.toString()
+      );
+    },
+  },
+  {
+    name: "open, price up, close shares the profit and releases the hold",
+    run: async (t) => {
+      const opened = await t.open();
+      t.expectEvent(opened.receipt, "PositionOpened", {
+        user: t.userAddress,
+        leverage: LEVERAGE_RATIO,
+        collateral: COLLATERAL,
+      });
+      const reference = opened.paymentReference;
+      assert.strictEqual(
+        t.stripe.intents()[reference].status,
+        "requires_capture"
+      );
+
+      await t.setPrice("18.00");
+      const expected = await t.previewClose();
+      assert.ok(expected.profit.gt(0), "no profit at the higher price");
+      const before = await t.balances();
+      const receipt = await (await t.leverage.closeLeveragePosition()).wait();
+      t.expectEvent(receipt, "PositionClosed", {
+        user: t.userAddress,
+        profit: expected.userShare,
+        lpShare: expected.lpShare,
+      });
+      t.expectEvent(receipt, "HoldReleaseInitiated", {
+        user: t.userAddress,
+        paymentIntentId: reference,
+      });
+      const after = await t.balances();
+      assert.strictEqual(
+        after.userLINK.sub(before.userLINK).toString(),
+        expected.userLINK.toString()
+      );
+      assert.strictEqual(
+        after.lpFees.sub(before.lpFees).toString(),
+        expected.lpShareUSDC.add(expected.premium).toString()
+      );
+      assert.strictEqual(
+        (await t.leverage.positions(t.userAddress)).isActive,
+        false
+      );
+
+      const [release] = await t.fulfill("release");
+      t.expectEvent(release.receipt, "HoldReleased", {
+        user: t.userAddress,
+        releasedCents: opened.heldCents,
+      });
+      assert.strictEqual(t.stripe.intents()[reference].status, "canceled");
+    },
+  },
+  {
+    name: "indexer projects the opened and the closed position",
+    run: async (t) => {
+      const opened = await t.open();
+      const db = openDatabase(":memory:");
+      const indexer = createIndexer({
+        db,
+        provider: t.provider,
+        address: t.leverage.address,
+      });
+      const row = () =>
+        db.prepare("SELECT * FROM positions WHERE user = ?").get(t.userAddress);
+
+      await indexer.sync();
+      const position = await t.leverage.positions(t.userAddress);
+      assert.deepStrictEqual(
+        {
+          status: row().status,
+          leverage: row().leverage,
+          collateral: row().collateral_link,
+          exposure: row().total_exposure_link,
+          borrowed: row().borrowed_usdc,
+          openedBlock: row().opened_block,
+        },
+        {
+          status: "open",
+          leverage: LEVERAGE_RATIO,
+          collateral: COLLATERAL.toString(),
+          exposure: position.suppliedLINK.toString(),
+          borrowed: position.borrowedUSDC.toString(),
+          openedBlock: opened.receipt.blockNumber,
+        }
+      );
+
+      await (await t.leverage.closeLeveragePosition()).wait();
+      await indexer.sync();
+      assert.strictEqual(row().status, "closed");
+      assert.strictEqual(row().preauth_status, "releasing");
+      // Still the debt the position carried, not cleared by the close
+      assert.strictEqual(row().borrowed_usdc, position.borrowedUSDC.toString());
+      db.close();
+    },
+  },
+  {
+    name: "price drop makes the upkeep close the unsafe position",
+    run: async (t) => {
+      const opened = await t.open();
+      await t.setPrice("11.00");
+      const expected = await t.previewClose();
+      assert.ok(expected.profit.isZero(), "still in profit at the lower price");
+      const before = await t.balances();
+
+      const receipt = await t.upkeep();
+      t.expectEvent(receipt, "AutomationExecuted", {
+        totalAttempts: 1,
+        successful: 1,
+        failed: 0,
+      });
+      t.expectEvent(receipt, "PositionClosed", {
+        user: t.userAddress,
+        profit: 0,
+        lpShare: 0,
+      });
+      const after = await t.balances();
+      assert.strictEqual(
+        after.userLINK.sub(before.userLINK).toString(),
+        expected.userLINK.toString()
+      );
+      assert.strictEqual(
+        after.lpFees.sub(before.lpFees).toString(),
+        expected.premium.toString()
+      );
+
+      const [release] = await t.fulfill("release");
+      t.expectEvent(release.receipt, "HoldReleased", {
+        releasedCents: opened.heldCents,
+      });
+      assert.strictEqual(
+        t.stripe.intents()[opened.paymentReference].status,
+        "canceled"
+      );
+    },
+  },
+  {
+    name: "upkeep short of gas for a close leaves it to the next upkeep",
+    run: async (t) => {
+      await t.open();
+      await t.setPrice("11.00");
+      const { performData } = await t.leverage.checkUpkeep("0x");
+      const receipt = await (
+        await t.leverage.performUpkeep(performData, { gasLimit: 1000000 })
+      ).wait();
+      t.expectEvent(receipt, "AutomationExecuted", {
+        totalAttempts: 1,
+        successful: 0,
+        failed: 1,
+      });
+      t.expectNoEvent(receipt, "PositionClosed");
+      assert.ok((await t.leverage.positions(t.userAddress)).isActive);
+
+      const retried = await t.upkeep();
+      t.expectEvent(retried, "PositionClosed", { user: t.userAddress });
+      t.expectEvent(retried, "HoldReleaseInitiated", { user: t.userAddress });
+    },
+  },
+  {
+    name: "expired pre-auth with covered debt releases the whole hold",
+    run: async (t) => {
+      const opened = await t.open();
+      await t.increaseTime(EXPIRY_DAYS * DAY + 1);
+      assert.ok(await t.leverage.isReadyForPreAuthCharge(t.userAddress));
+
+      const receipt = await t.upkeep();
+      t.expectEvent(receipt, "AutomationExecuted", {
+        totalAttempts: 1,
+        successful: 1,
+        failed: 0,
+      });
+      t.expectEvent(receipt, "PreAuthChargeInitiated", {
+        user: t.userAddress,
+        amount: 0,
+      });
+
+      const [charge] = await t.fulfill("capture");
+      assert.deepStrictEqual(charge.args, [opened.paymentReference, "0", "1"]);
+      t.expectEvent(charge.receipt, "PreAuthSettled", {
+        user: t.userAddress,
+        capturedCents: 0,
+        releasedCents: opened.heldCents,
+      });
+      t.expectNoEvent(charge.receipt, "PreAuthCharged");
+      const position = await t.leverage.positions(t.userAddress);
+      assert.ok(position.isActive && position.preAuthCharged);
+      assert.strictEqual(
+        t.stripe.intents()[opened.paymentReference].status,
+        "canceled"
+      );
+    },
+  },
+  {
+    name: "expired pre-auth under water captures the shortfall",
+    run: async (t) => {
+      const opened = await t.open();
+      await t.increaseTime(EXPIRY_DAYS * DAY + 1);
+      await t.setPrice("7.00");
+      const captureCents = await t.leverage.getCaptureAmountCents(
+        t.userAddress
+      );
+      assert.ok(
+        captureCents.gt(0) && captureCents.lt(opened.preAuth.holdCents)
+      );
+
+      // The charge goes out; closing fails as the collateral no longer
+      // repays the flash loan
+      const receipt = await t.upkeep();
+      t.expectEvent(receipt, "AutomationExecuted", {
+        totalAttempts: 2,
+        successful: 1,
+        failed: 1,
+      });
+      t.expectEvent(receipt, "PreAuthChargeInitiated", {
+        amount: captureCents.mul(10000),
+      });
+      t.expectNoEvent(receipt, "PositionClosed");
+
+      const [charge] = await t.fulfill("capture");
+      t.expectEvent(charge.receipt, "PreAuthSettled", {
+        capturedCents: captureCents,
+        releasedCents: opened.heldCents.sub(captureCents),
+      });
+      t.expectEvent(charge.receipt, "PreAuthCharged", {
+        amount: captureCents.mul(10000),
+      });
+      const intent = t.stripe.intents()[opened.paymentReference];
+      assert.strictEqual(intent.status, "succeeded");
+      assert.strictEqual(intent.amount_received, captureCents.toNumber());
+    },
+  },
+  {
+    name: "charge in flight at close still settles after it",
+    run: async (t) => {
+      const opened = await t.open();
+      await t.increaseTime(EXPIRY_DAYS * DAY + 1);
+      await (await t.leverage.chargeExpiredPreAuth(t.userAddress)).wait();
+
+      // The close leaves the hold to the charge and frees the user to open again
+      const receipt = await (await t.leverage.closeLeveragePosition()).wait();
+      t.expectEvent(receipt, "PositionClosed", { user: t.userAddress });
+      t.expectNoEvent(receipt, "HoldReleaseInitiated");
+      const pending = await t.leverage.pendingCharges(t.userAddress);
+      assert.strictEqual(pending.requestId, ethers.constants.HashZero);
+
+      const [charge] = await t.fulfill("capture");
+      t.expectNoEvent(charge.receipt, "PreAuthChargeFailed");
+      t.expectEvent(charge.receipt, "PreAuthSettled", {
+        user: t.userAddress,
+        capturedCents: 0,
+        releasedCents: opened.heldCents,
+      });
+      const settlement = await t.leverage.preAuthSettlements(t.userAddress);
+      assert.ok(settlement.releasedCents.eq(opened.heldCents));
+      assert.strictEqual(
+        (await t.leverage.positions(t.userAddress)).preAuthCharged,
+        false
+      );
+    },
+  },
+  {
+    name: "re-authorization rolls the position over to a new hold",
+    run: async (t) => {
+      const opened = await t.open();
+      const before = await t.leverage.positions(t.userAddress);
+      await t.increaseTime(5 * DAY);
+      const receipt = await (
+        await t.leverage.requestHoldReauthorization(t.userAddress)
+      ).wait();
+      t.expectEvent(receipt, "HoldReauthorizationInitiated", {
+        user: t.userAddress,
+      });
+
+      const [reauthorization] = await t.fulfill("reauthorize");
+      const { newPaymentIntentId, holdCents, preAuthExpiryTime } =
+        t.expectEvent(reauthorization.receipt, "HoldReauthorized", {
+          user: t.userAddress,
+          holdCents: opened.preAuth.holdCents,
+        });
+      const position = await t.leverage.positions(t.userAddress);
+      assert.strictEqual(position.stripePaymentIntentId, newPaymentIntentId);
+      assert.ok(position.preAuthExpiryTime.eq(preAuthExpiryTime));
+      assert.ok(preAuthExpiryTime.gt(before.preAuthExpiryTime));
+
+      const intents = t.stripe.intents();
+      assert.strictEqual(intents[opened.paymentReference].status, "canceled");
+      assert.strictEqual(
+        intents[newPaymentIntentId].status,
+        "requires_capture"
+      );
+      assert.strictEqual(
+        intents[newPaymentIntentId].amount,
+        holdCents.toNumber()
+      );
+    },
+  },
+];
+
+const runScenario = async (scenario, stack, provider) => {
+  const stripe = createStripeMock({ fixtures: {} });
+  const stripeUrl = await stripe.start();
+  try {
+    await scenario.run(await createContext(stack, provider, stripe, stripeUrl));
+  } finally {
+    await stripe.stop();
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const filter = args.find((arg) => !arg.startsWith("--")) || "";
+  const selected = scenarios.filter((s) => s.name.includes(filter));
+
+  if (!args.includes("--no-build")) forgeBuild();
+  const anvil = await startAnvil();
+  let failed = 0;
+  try {
+    console.log(`\n⛓️ Deploying the stack to anvil on ${anvil.url}`);
+    const stack = await deployLocalStack(anvil.provider);
+    let deployed = await snapshot(anvil.provider);
+
+    console.log(`\n🧪 Running ${selected.length} end-to-end scenarios\n`);
+    for (const scenario of selected) {
+      // Every scenario starts from the freshly deployed stack; a reverted
+      // snapshot is used up, so take it again
+      await revert(anvil.provider, deployed);
+      deployed = await snapshot(anvil.provider);
+      try {
+        await runScenario(scenario, stack, anvil.provider);
+        console.log(`  ✅ ${scenario.name}`);
+      } catch (e) {
+        failed++;
+        console.log(`  ❌ ${scenario.name}\n     ${e.message.split("\n")[0]}`);
+      }
+    }
+  } finally {
+    await anvil.stop();
+  }
+
+  const total = selected.length;
+  console.log(`\n${total - failed} passed, ${failed} failed (${total} total)`);
+  if (failed > 0) process.exit(1);
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
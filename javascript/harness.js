@@ -0,0 +1,1106 @@
+const assert = require("assert");
+const {
+  DEFAULT_FIXTURES: STRIPE_FIXTURES,
+  createStripeMock,
+  paymentIntent,
+} = require("./lib/stripe-mock");
+const {
+  DEFAULT_FIXTURES: REST_FIXTURES,
+  authorization,
+  createRestPaymentsMock,
+} = require("./lib/rest-payments-mock");
+const { DEFAULT_GAS_LIMIT } = require("./lib/config");
+const { runSource } = require("./lib/functions-sandbox");
+const { MOCK_SECRETS, assessSimulation } = require("./lib/preflight");
+const { SOURCES, readOnChainSource, readSource } = require("./lib/sources");
+const {
+  decodeReauthorizationResponse,
+  decodeStripeResponse,
+  decodeVerificationResponse,
+  encodeReauthorizationResponse,
+  encodeStripeResponse,
+  encodeVerificationResponse,
+} = require("./lib/stripe-response");
+
+// Offline harness: runs the Functions sources against the local Stripe and
+// REST payments mocks and asserts the decoded response for every payment
+// provider outcome we care about, and that the pre-flight gate accepts it.
+// Every scenario runs against both the readable source and the minified copy
+// embedded in src/StripeSources.sol.
+// Usage: npm run harness [-- <scenario name filter>]
+
+const TEST_KEY = "sk_test_harness";
+const MOCK_KEY = "sk_test_mock_key_for_simulation_only";
+const REST_KEY = "rest_test_harness";
+const WALLET = "0x1111111111111111111111111111111111111111";
+const reauthorizeArgs = (reference, paymentMethod = "pm_card_visa") => [
+  reference,
+  "15000",
+  "cus_harness",
+  paymentMethod,
+  "3",
+  WALLET,
+];
+
+// Holds for the verification source, placed at HOLD_CREATED so their 7-day
+// authorization expiry is fixed
+const HOLD_CREATED = 1767225600;
+const HOLD_EXPIRY = HOLD_CREATED + 7 * 86400;
+const holdIntent = (id, overrides = {}) =>
+  paymentIntent(id, {
+    created: HOLD_CREATED,
+    metadata: { wallet: WALLET },
+    ...overrides,
+  });
+const HOLD_FIXTURES = {
+  stripe: {
+    ...STRIPE_FIXTURES,
+    pi_hold: { intent: holdIntent("pi_hold") },
+    pi_hold_capture_before: {
+      intent: holdIntent("pi_hold_capture_before", {
+        latest_charge: {
+          payment_method_details: {
+            card: { capture_before: HOLD_CREATED + 2 * 86400 },
+          },
+        },
+      }),
+    },
+    pi_hold_other_wallet: {
+      intent: holdIntent("pi_hold_other_wallet", {
+        metadata: { wallet: "0x2222222222222222222222222222222222222222" },
+      }),
+    },
+    pi_hold_no_wallet: {
+      intent: holdIntent("pi_hold_no_wallet", { metadata: {} }),
+    },
+    pi_hold_automatic: {
+      intent: holdIntent("pi_hold_automatic", { capture_method: "automatic" }),
+    },
+    pi_hold_eur: { intent: holdIntent("pi_hold_eur", { currency: "eur" }) },
+    pi_hold_succeeded: {
+      intent: holdIntent("pi_hold_succeeded", {
+        status: "succeeded",
+        amount_capturable: 0,
+        amount_received: 10000,
+      }),
+    },
+  },
+  rest: {
+    ...REST_FIXTURES,
+    auth_hold: {
+      authorization: authorization("auth_hold", {
+        created: HOLD_CREATED,
+        metadata: { wallet: WALLET },
+      }),
+    },
+    auth_hold_captured: {
+      authorization: authorization("auth_hold_captured", {
+        status: "captured",
+        captured_amount: 10000,
+        created: HOLD_CREATED,
+        metadata: { wallet: WALLET },
+      }),
+    },
+  },
+};
+const verifyArgs = (
+  reference,
+  minHoldCents = "10000",
+  expiryTime = HOLD_CREATED + 6 * 86400
+) => [reference, minHoldCents, String(expiryTime), WALLET];
+
+// The re-authorization and verification sources answer with their own tuples
+const CODECS = {
+  capture: [encodeStripeResponse, decodeStripeResponse],
+  release: [encodeStripeResponse, decodeStripeResponse],
+  reauthorize: [encodeReauthorizationResponse, decodeReauthorizationResponse],
+  verify: [encodeVerificationResponse, decodeVerificationResponse],
+};
+
+const scenarios = [
+  // --- Capture (source.js) ---
+  {
+    name: "capture: requires_capture with amount",
+    source: "capture",
+    args: ["pi_requires_capture", "1000", "7"],
+    response: {
+      status: "captured",
+      amount: 1000,
+      released: 9000,
+      currency: "usd",
+      paymentIntentId: "pi_requires_capture",
+    },
+    intentStatus: "succeeded",
+  },
+  {
+    name: "capture: requires_capture without amount captures full hold",
+    source: "capture",
+    args: ["pi_requires_capture"],
+    response: {
+      status: "captured",
+      amount: 10000,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "pi_requires_capture",
+    },
+  },
+  {
+    name: "capture: already captured",
+    source: "capture",
+    args: ["pi_succeeded", "1000"],
+    response: {
+      status: "already_captured",
+      amount: 10000,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "pi_succeeded",
+    },
+  },
+  {
+    name: "capture: canceled",
+    source: "capture",
+    args: ["pi_canceled", "1000"],
+    response: {
+      status: "canceled",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "pi_canceled",
+    },
+  },
+  {
+    name: "capture: card_declined",
+    source: "capture",
+    args: ["pi_card_declined", "1000"],
+    response: {
+      status: "card_declined",
+      amount: 0,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "pi_card_declined",
+    },
+  },
+  {
+    name: "capture: expired authorization",
+    source: "capture",
+    args: ["pi_expired", "1000"],
+    response: {
+      status: "authorization_expired",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "pi_expired",
+    },
+  },
+  {
+    name: "capture: Stripe 5xx",
+    source: "capture",
+    args: ["pi_server_error", "1000"],
+    error:
+      /Stripe status check failed: \{"error":true,"message":"Internal Server Error","code":"500"/,
+  },
+  {
+    name: "capture: amount above the hold",
+    source: "capture",
+    args: ["pi_requires_capture", "20000"],
+    response: {
+      status: "capture_failed",
+      amount: 0,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "pi_requires_capture",
+    },
+    intentStatus: "requires_capture",
+  },
+  {
+    name: "capture: DON retry replays the same capture",
+    source: "capture",
+    args: ["pi_requires_capture", "1000", "7"],
+    runs: 3,
+    response: {
+      status: "captured",
+      amount: 1000,
+      released: 9000,
+      currency: "usd",
+      paymentIntentId: "pi_requires_capture",
+    },
+    providerWrites: 1,
+    idempotencyKey: "creditshaft-capture-pi_requires_capture-1000-7",
+  },
+  {
+    name: "capture: new request after a capture reports already captured",
+    source: "capture",
+    before: ["pi_requires_capture", "1000", "7"],
+    args: ["pi_requires_capture", "1000", "8"],
+    response: {
+      status: "already_captured",
+      amount: 1000,
+      released: 9000,
+      currency: "usd",
+      paymentIntentId: "pi_requires_capture",
+    },
+  },
+  {
+    name: "capture: nothing uncovered releases the whole hold",
+    source: "capture",
+    args: ["pi_requires_capture", "0", "9"],
+    runs: 2,
+    response: {
+      status: "released",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "pi_requires_capture",
+    },
+    intentStatus: "canceled",
+    providerWrites: 1,
+    idempotencyKey: "creditshaft-cancel-pi_requires_capture-0-9",
+  },
+  {
+    name: "capture: nothing uncovered on an expired authorization",
+    source: "capture",
+    args: ["pi_expired", "0", "9"],
+    response: {
+      status: "released",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "pi_expired",
+    },
+  },
+  {
+    name: "capture: nothing uncovered after a capture",
+    source: "capture",
+    args: ["pi_succeeded", "0", "9"],
+    response: {
+      status: "already_captured",
+      amount: 10000,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "pi_succeeded",
+    },
+  },
+  {
+    name: "capture: simulation key short-circuits",
+    source: "capture",
+    args: ["pi_requires_capture", "1000"],
+    secrets: { STRIPE_SECRET_KEY: MOCK_KEY },
+    response: {
+      status: "captured",
+      amount: 1000,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "pi_requires_capture",
+    },
+    httpRequests: 0,
+  },
+  {
+    name: "capture: pre-flight on a rest reference",
+    source: "capture",
+    args: ["rest:auth_authorized", "1000", "7"],
+    secrets: MOCK_SECRETS,
+    response: {
+      status: "captured",
+      amount: 1000,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "rest:auth_authorized",
+    },
+    httpRequests: 0,
+  },
+  {
+    name: "capture: missing payment intent",
+    source: "capture",
+    args: [],
+    error: /Payment Intent ID required/,
+  },
+  {
+    name: "capture: missing secret",
+    source: "capture",
+    args: ["pi_requires_capture"],
+    secrets: {},
+    error: /STRIPE_SECRET_KEY required/,
+  },
+  {
+    name: "capture: rest authorized with amount",
+    source: "capture",
+    args: ["rest:auth_authorized", "1000", "7"],
+    response: {
+      status: "captured",
+      amount: 1000,
+      released: 9000,
+      currency: "usd",
+      paymentIntentId: "rest:auth_authorized",
+    },
+    intentStatus: "captured",
+  },
+  {
+    name: "capture: rest already captured",
+    source: "capture",
+    args: ["rest:auth_captured", "1000"],
+    response: {
+      status: "already_captured",
+      amount: 10000,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "rest:auth_captured",
+    },
+  },
+  {
+    name: "capture: rest released",
+    source: "capture",
+    args: ["rest:auth_released", "1000"],
+    response: {
+      status: "canceled",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "rest:auth_released",
+    },
+  },
+  {
+    name: "capture: rest expired authorization",
+    source: "capture",
+    args: ["rest:auth_expired", "1000"],
+    response: {
+      status: "authorization_expired",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "rest:auth_expired",
+    },
+  },
+  {
+    name: "capture: rest card declined",
+    source: "capture",
+    args: ["rest:auth_declined", "1000"],
+    response: {
+      status: "card_declined",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "rest:auth_declined",
+    },
+  },
+  {
+    name: "capture: rest 5xx",
+    source: "capture",
+    args: ["rest:auth_server_error", "1000"],
+    error:
+      /Payment provider status check failed: \{"error":true,"message":"Internal Server Error","code":"500"/,
+  },
+  {
+    name: "capture: rest amount above the hold",
+    source: "capture",
+    args: ["rest:auth_authorized", "20000"],
+    response: {
+      status: "capture_failed",
+      amount: 0,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "rest:auth_authorized",
+    },
+    intentStatus: "authorized",
+  },
+  {
+    name: "capture: rest DON retry replays the same capture",
+    source: "capture",
+    args: ["rest:auth_authorized", "1000", "7"],
+    runs: 3,
+    response: {
+      status: "captured",
+      amount: 1000,
+      released: 9000,
+      currency: "usd",
+      paymentIntentId: "rest:auth_authorized",
+    },
+    providerWrites: 1,
+    idempotencyKey: "creditshaft-capture-auth_authorized-1000-7",
+  },
+  {
+    name: "capture: rest nothing uncovered releases the whole hold",
+    source: "capture",
+    args: ["rest:auth_authorized", "0", "9"],
+    runs: 2,
+    response: {
+      status: "released",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "rest:auth_authorized",
+    },
+    intentStatus: "released",
+    providerWrites: 1,
+    idempotencyKey: "creditshaft-cancel-auth_authorized-0-9",
+  },
+  {
+    name: "capture: rest missing secrets",
+    source: "capture",
+    args: ["rest:auth_authorized"],
+    secrets: { STRIPE_SECRET_KEY: TEST_KEY },
+    error: /PAYMENTS_REST_URL and PAYMENTS_REST_KEY required/,
+  },
+  {
+    name: "capture: unknown payment provider",
+    source: "capture",
+    args: ["paypal:PAY-123", "1000"],
+    error: /Unknown payment provider paypal/,
+    httpRequests: 0,
+  },
+
+  // --- Release (release-source.js) ---
+  {
+    name: "release: requires_capture",
+    source: "release",
+    args: ["pi_requires_capture"],
+    response: {
+      status: "released",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "pi_requires_capture",
+    },
+    intentStatus: "canceled",
+  },
+  {
+    name: "release: already succeeded",
+    source: "release",
+    args: ["pi_succeeded"],
+    response: {
+      status: "already_captured",
+      amount: 10000,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "pi_succeeded",
+    },
+  },
+  {
+    name: "release: already canceled",
+    source: "release",
+    args: ["pi_canceled"],
+    response: {
+      status: "released",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "pi_canceled",
+    },
+  },
+  {
+    name: "release: card_declined hold",
+    source: "release",
+    args: ["pi_card_declined"],
+    response: {
+      status: "released",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "pi_card_declined",
+    },
+  },
+  {
+    name: "release: expired authorization",
+    source: "release",
+    args: ["pi_expired"],
+    response: {
+      status: "released",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "pi_expired",
+    },
+  },
+  {
+    name: "release: Stripe 5xx",
+    source: "release",
+    args: ["pi_server_error"],
+    error:
+      /Stripe status check failed: \{"error":true,"message":"Internal Server Error","code":"500"/,
+  },
+  {
+    name: "release: simulation key short-circuits",
+    source: "release",
+    args: ["pi_requires_capture"],
+    secrets: { STRIPE_SECRET_KEY: MOCK_KEY },
+    response: {
+      status: "released",
+      amount: 0,
+      released: 5000,
+      currency: "usd",
+      paymentIntentId: "pi_requires_capture",
+    },
+    httpRequests: 0,
+  },
+  {
+    name: "release: pre-flight on a rest reference",
+    source: "release",
+    args: ["rest:auth_authorized"],
+    secrets: MOCK_SECRETS,
+    response: {
+      status: "released",
+      amount: 0,
+      released: 5000,
+      currency: "usd",
+      paymentIntentId: "rest:auth_authorized",
+    },
+    httpRequests: 0,
+  },
+  {
+    name: "release: rest authorized",
+    source: "release",
+    args: ["rest:auth_authorized"],
+    response: {
+      status: "released",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "rest:auth_authorized",
+    },
+    intentStatus: "released",
+  },
+  {
+    name: "release: rest already captured",
+    source: "release",
+    args: ["rest:auth_captured"],
+    response: {
+      status: "already_captured",
+      amount: 10000,
+      released: 0,
+      currency: "usd",
+      paymentIntentId: "rest:auth_captured",
+    },
+  },
+  {
+    name: "release: rest expired authorization",
+    source: "release",
+    args: ["rest:auth_expired"],
+    response: {
+      status: "released",
+      amount: 0,
+      released: 10000,
+      currency: "usd",
+      paymentIntentId: "rest:auth_expired",
+    },
+  },
+  {
+    name: "release: rest 5xx",
+    source: "release",
+    args: ["rest:auth_server_error"],
+    error:
+      /Payment provider status check failed: \{"error":true,"message":"Internal Server Error","code":"500"/,
+  },
+  {
+    name: "release: unknown payment provider",
+    source: "release",
+    args: ["paypal:PAY-123"],
+    error: /Unknown payment provider paypal/,
+    httpRequests: 0,
+  },
+
+  // --- Re-authorization (reauthorize-source.js) ---
+  {
+    name: "reauthorize: replaces a requires_capture hold",
+    source: "reauthorize",
+    args: reauthorizeArgs("pi_requires_capture"),
+    response: {
+      status: "reauthorized",
+      amount: 15000,
+      paymentIntentId: "pi_requires_capture",
+      newPaymentIntentId: "pi_mock_7",
+    },
+    statuses: {
+      pi_requires_capture: "canceled",
+      pi_mock_7: "requires_capture",
+    },
+  },
+  {
+    name: "reauthorize: DON retry replays the same hold",
+    source: "reauthorize",
+    args: reauthorizeArgs("pi_requires_capture"),
+    runs: 3,
+    response: {
+      status: "reauthorized",
+      amount: 15000,
+      paymentIntentId: "pi_requires_capture",
+      newPaymentIntentId: "pi_mock_7",
+    },
+    providerWrites: 2,
+    idempotencyKey: "creditshaft-reauth-pi_requires_capture-3",
+  },
+  {
+    name: "reauthorize: expired hold is replaced",
+    source: "reauthorize",
+    args: reauthorizeArgs("pi_expired"),
+    response: {
+      status: "reauthorized",
+      amount: 15000,
+      paymentIntentId: "pi_expired",
+      newPaymentIntentId: "pi_mock_7",
+    },
+    statuses: { pi_mock_7: "requires_capture" },
+  },
+  {
+    name: "reauthorize: already captured keeps the old hold",
+    source: "reauthorize",
+    args: reauthorizeArgs("pi_succeeded"),
+    response: {
+      status: "already_captured",
+      amount: 0,
+      paymentIntentId: "pi_succeeded",
+    },
+    statuses: { pi_mock_7: "canceled" },
+  },
+  {
+    name: "reauthorize: declined card keeps the old hold",
+    source: "reauthorize",
+    args: reauthorizeArgs("pi_requires_capture", "pm_card_chargeDeclined"),
+    response: {
+      status: "card_declined",
+      amount: 0,
+      paymentIntentId: "pi_requires_capture",
+    },
+    statuses: { pi_requires_capture: "requires_capture" },
+  },
+  {
+    name: "reauthorize: Stripe 5xx cancels the new hold",
+    source: "reauthorize",
+    args: reauthorizeArgs("pi_server_error"),
+    error: /Stripe cancel failed: 500 Internal Server Error/,
+    statuses: { pi_mock_7: "canceled" },
+  },
+  {
+    name: "reauthorize: simulation key short-circuits",
+    source: "reauthorize",
+    args: reauthorizeArgs("pi_requires_capture"),
+    secrets: { STRIPE_SECRET_KEY: MOCK_KEY },
+    response: {
+      status: "reauthorized",
+      amount: 15000,
+      paymentIntentId: "pi_requires_capture",
+      newPaymentIntentId: "pi_simulated_reauthorization",
+    },
+    httpRequests: 0,
+  },
+  {
+    name: "reauthorize: pre-flight on a rest reference",
+    source: "reauthorize",
+    args: reauthorizeArgs("rest:auth_authorized"),
+    secrets: MOCK_SECRETS,
+    response: {
+      status: "reauthorized",
+      amount: 15000,
+      paymentIntentId: "rest:auth_authorized",
+      newPaymentIntentId: "pi_simulated_reauthorization",
+    },
+    httpRequests: 0,
+  },
+  {
+    name: "reauthorize: missing payment method",
+    source: "reauthorize",
+    args: ["pi_requires_capture", "15000", "cus_harness"],
+    error: /Amount, customer and payment method required/,
+  },
+  {
+    name: "reauthorize: rest authorized hold",
+    source: "reauthorize",
+    args: reauthorizeArgs("rest:auth_authorized"),
+    response: {
+      status: "reauthorized",
+      amount: 15000,
+      paymentIntentId: "rest:auth_authorized",
+      newPaymentIntentId: "rest:auth_mock_7",
+    },
+    statuses: {
+      "rest:auth_authorized": "released",
+      "rest:auth_mock_7": "authorized",
+    },
+  },
+  {
+    name: "reauthorize: rest expired hold is replaced",
+    source: "reauthorize",
+    args: reauthorizeArgs("rest:auth_expired"),
+    response: {
+      status: "reauthorized",
+      amount: 15000,
+      paymentIntentId: "rest:auth_expired",
+      newPaymentIntentId: "rest:auth_mock_7",
+    },
+  },
+  {
+    name: "reauthorize: rest already captured",
+    source: "reauthorize",
+    args: reauthorizeArgs("rest:auth_captured"),
+    response: {
+      status: "already_captured",
+      amount: 0,
+      paymentIntentId: "rest:auth_captured",
+    },
+    statuses: { "rest:auth_mock_7": "released" },
+  },
+  {
+    name: "reauthorize: rest declined card",
+    source: "reauthorize",
+    args: reauthorizeArgs("rest:auth_authorized", "pm_card_chargeDeclined"),
+    response: {
+      status: "card_declined",
+      amount: 0,
+      paymentIntentId: "rest:auth_authorized",
+    },
+    statuses: { "rest:auth_authorized": "authorized" },
+  },
+
+  // --- Hold verification (verify-source.js) ---
+  {
+    name: "verify: authorized manual hold",
+    source: "verify",
+    args: verifyArgs("pi_hold"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_verified",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "pi_hold",
+    },
+    providerWrites: 0,
+  },
+  {
+    name: "verify: card capture_before sets the expiry",
+    source: "verify",
+    args: verifyArgs("pi_hold_capture_before", "10000", HOLD_CREATED + 86400),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_verified",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_CREATED + 2 * 86400,
+      paymentIntentId: "pi_hold_capture_before",
+    },
+  },
+  {
+    name: "verify: rejects an unknown intent",
+    source: "verify",
+    args: verifyArgs("pi_missing"),
+    fixtures: HOLD_FIXTURES,
+    response: { status: "hold_not_found", paymentIntentId: "pi_missing" },
+  },
+  {
+    name: "verify: rejects another wallet's hold",
+    source: "verify",
+    args: verifyArgs("pi_hold_other_wallet"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_wallet_mismatch",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "pi_hold_other_wallet",
+    },
+  },
+  {
+    name: "verify: rejects a hold without wallet metadata",
+    source: "verify",
+    args: verifyArgs("pi_hold_no_wallet"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_wallet_mismatch",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "pi_hold_no_wallet",
+    },
+  },
+  {
+    name: "verify: rejects automatic capture",
+    source: "verify",
+    args: verifyArgs("pi_hold_automatic"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_not_manual",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "pi_hold_automatic",
+    },
+  },
+  {
+    name: "verify: rejects a non-USD hold",
+    source: "verify",
+    args: verifyArgs("pi_hold_eur"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_wrong_currency",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "pi_hold_eur",
+    },
+  },
+  {
+    name: "verify: rejects a hold that is not requires_capture",
+    source: "verify",
+    args: verifyArgs("pi_hold_succeeded"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_not_capturable",
+      holdCents: 0,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "pi_hold_succeeded",
+    },
+  },
+  {
+    name: "verify: rejects a hold below the pre-auth",
+    source: "verify",
+    args: verifyArgs("pi_hold", "15000"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_insufficient",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "pi_hold",
+    },
+  },
+  {
+    name: "verify: rejects a hold that lapses before expiryTime",
+    source: "verify",
+    args: verifyArgs("pi_hold", "10000", HOLD_EXPIRY + 1),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_expires_early",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "pi_hold",
+    },
+  },
+  {
+    name: "verify: rejects when capture_before comes first",
+    source: "verify",
+    args: verifyArgs("pi_hold_capture_before"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_expires_early",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_CREATED + 2 * 86400,
+      paymentIntentId: "pi_hold_capture_before",
+    },
+  },
+  {
+    name: "verify: Stripe 5xx",
+    source: "verify",
+    args: verifyArgs("pi_server_error"),
+    fixtures: HOLD_FIXTURES,
+    error: /Stripe status check failed: 500 Internal Server Error/,
+  },
+  {
+    name: "verify: simulation key short-circuits",
+    source: "verify",
+    args: verifyArgs("pi_hold", "15000"),
+    secrets: { STRIPE_SECRET_KEY: MOCK_KEY },
+    response: {
+      status: "hold_verified",
+      holdCents: 15000,
+      authorizationExpiry: HOLD_CREATED + 6 * 86400,
+      paymentIntentId: "pi_hold",
+    },
+    httpRequests: 0,
+  },
+  {
+    name: "verify: pre-flight on a rest reference",
+    source: "verify",
+    args: verifyArgs("rest:auth_hold", "15000"),
+    secrets: MOCK_SECRETS,
+    response: {
+      status: "hold_verified",
+      holdCents: 15000,
+      authorizationExpiry: HOLD_CREATED + 6 * 86400,
+      paymentIntentId: "rest:auth_hold",
+    },
+    httpRequests: 0,
+  },
+  {
+    name: "verify: missing wallet",
+    source: "verify",
+    args: ["pi_hold", "10000", String(HOLD_EXPIRY)],
+    error: /Hold amount, expiry time and wallet required/,
+  },
+  {
+    name: "verify: rest authorized hold",
+    source: "verify",
+    args: verifyArgs("rest:auth_hold"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_verified",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "rest:auth_hold",
+    },
+    providerWrites: 0,
+  },
+  {
+    name: "verify: rest unknown authorization",
+    source: "verify",
+    args: verifyArgs("rest:auth_missing"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_not_found",
+      paymentIntentId: "rest:auth_missing",
+    },
+  },
+  {
+    name: "verify: rest rejects a captured hold",
+    source: "verify",
+    args: verifyArgs("rest:auth_hold_captured"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_not_capturable",
+      holdCents: 0,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "rest:auth_hold_captured",
+    },
+  },
+  {
+    name: "verify: rest rejects a hold below the pre-auth",
+    source: "verify",
+    args: verifyArgs("rest:auth_hold", "10001"),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_insufficient",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "rest:auth_hold",
+    },
+  },
+  {
+    name: "verify: rest rejects a hold that lapses before expiryTime",
+    source: "verify",
+    args: verifyArgs("rest:auth_hold", "10000", HOLD_EXPIRY + 1),
+    fixtures: HOLD_FIXTURES,
+    response: {
+      status: "hold_expires_early",
+      holdCents: 10000,
+      authorizationExpiry: HOLD_EXPIRY,
+      paymentIntentId: "rest:auth_hold",
+    },
+  },
+];
+
+// The mock and ID a payment reference points at, as the sources resolve it
+const resolveReference = (reference, stripeMock, restMock) => {
+  const [, provider, id] = reference.match(/^([a-z]+):(.+)$/) || [];
+  return provider === "rest"
+    ? { id, records: restMock.authorizations() }
+    : { id: reference, records: stripeMock.intents() };
+};
+
+const runScenario = async (scenario, source) => {
+  const { stripe, rest } = scenario.fixtures || {};
+  const mock = createStripeMock({ fixtures: stripe });
+  const restMock = createRestPaymentsMock({ fixtures: rest });
+  const url = await mock.start();
+  const restUrl = await restMock.start();
+  const run = (args) =>
+    runSource({
+      source,
+      args,
+      secrets: scenario.secrets || {
+        STRIPE_SECRET_KEY: TEST_KEY,
+        PAYMENTS_REST_URL: restUrl,
+        PAYMENTS_REST_KEY: REST_KEY,
+      },
+      rewrite: { "https://api.stripe.com": url },
+    });
+
+  try {
+    // `before` runs an earlier request against the same mock, `runs` repeats
+    // the request the way DON nodes and retries do; each run must agree.
+    if (scenario.before) await run(scenario.before);
+    const results = [];
+    for (let i = 0; i < (scenario.runs || 1); i++) {
+      results.push(await run(scenario.args));
+    }
+    const [result] = results;
+    for (const other of results.slice(1)) {
+      assert.deepStrictEqual(other, result);
+    }
+
+    if (scenario.error) {
+      assert.ok(
+        result.errorString,
+        `expected an error, got ${result.responseBytesHexstring}`
+      );
+      assert.match(result.errorString, scenario.error);
+    } else {
+      assert.ok(!result.errorString, `source threw: ${result.errorString}`);
+      // Compare decoded tuples so a mismatch names the differing field
+      const [encode, decode] = CODECS[scenario.source];
+      assert.deepStrictEqual(
+        decode(result.responseBytesHexstring),
+        decode(encode(scenario.response))
+      );
+      const { problems } = assessSimulation(scenario.source, result, {
+        args: scenario.args,
+        gasLimit: DEFAULT_GAS_LIMIT,
+      });
+      assert.deepStrictEqual(problems, []);
+    }
+
+    if (scenario.intentStatus) {
+      const { id, records } = resolveReference(
+        scenario.args[0],
+        mock,
+        restMock
+      );
+      assert.strictEqual(records[id].status, scenario.intentStatus);
+    }
+    for (const [reference, status] of Object.entries(scenario.statuses || {})) {
+      const { id, records } = resolveReference(reference, mock, restMock);
+      assert.strictEqual(records[id]?.status, status, reference);
+    }
+    if (scenario.httpRequests !== undefined) {
+      assert.strictEqual(result.httpRequests.length, scenario.httpRequests);
+    }
+    // Captures and cancels the providers executed, not counting idempotent
+    // replays
+    const writes = [...mock.requests, ...restMock.requests].filter(
+      (request) => request.method === "POST" && !request.replayed
+    );
+    if (scenario.providerWrites !== undefined) {
+      assert.strictEqual(writes.length, scenario.providerWrites);
+    }
+    if (scenario.idempotencyKey) {
+      assert.strictEqual(writes[0].idempotencyKey, scenario.idempotencyKey);
+    }
+  } finally {
+    await mock.stop();
+    await restMock.stop();
+  }
+};
+
+const main = async () => {
+  const filter = process.argv[2] || "";
+  const selected = scenarios.filter((s) => s.name.includes(filter));
+  const variants = [
+    { label: "readable", load: readSource },
+    { label: "on-chain", load: readOnChainSource },
+  ];
+  const total = selected.length * variants.length;
+
+  console.log(`\n🧪 Running ${total} Functions source scenarios\n`);
+
+  let failed = 0;
+  for (const { label, load } of variants) {
+    console.log(`  ${label} sources:`);
+    for (const scenario of selected) {
+      const name = `${scenario.name} (${SOURCES[scenario.source].file})`;
+      try {
+        await runScenario(scenario, load(scenario.source));
+        console.log(`    ✅ ${name}`);
+      } catch (e) {
+        failed++;
+        console.log(`    ❌ ${name}\n       ${e.message.split("\n")[0]}`);
+      }
+    }
+  }
+
+  console.log(`\n${total - failed} passed, ${failed} failed (${total} total)`);
+  if (failed > 0) process.exit(1);
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,13 @@
+// Posts a JSON alert to a webhook.
+const sendWebhook = async (url, payload) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook ${url} answered ${response.status}`);
+  }
+};
+
+module.exports = { sendWebhook };
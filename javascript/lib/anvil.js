@@ -0,0 +1,103 @@
+const { spawn, spawnSync } = require("child_process");
+const path = require("path");
+const ethers = require("ethers");
+
+// Throwaway local chain for end-to-end runs: builds the contracts with forge
+// and starts an anvil node that is stopped again afterwards. Both come with
+// Foundry; FORGE_BIN and ANVIL_BIN override the binaries on the PATH.
+
+const ROOT_DIR = path.resolve(__dirname, "../..");
+const DEFAULT_PORT = 8555; // clear of a development anvil on 8545
+const START_TIMEOUT_MS = 30000;
+const BUILD_TIMEOUT_MS = 15 * 60 * 1000;
+
+const notFound = (bin) =>
+  new Error(`${bin} not found - install Foundry: https://getfoundry.sh`);
+
+const forgeBuild = () => {
+  const bin = process.env.FORGE_BIN || "forge";
+  const result = spawnSync(bin, ["build"], {
+    cwd: ROOT_DIR,
+    stdio: "inherit",
+    timeout: BUILD_TIMEOUT_MS,
+  });
+  if (result.error?.code === "ENOENT") throw notFound(bin);
+  if (result.error) throw result.error;
+  if (result.status !== 0)
+    throw new Error(`forge build exited with ${result.status}`);
+};
+
+const startAnvil = async ({ port = DEFAULT_PORT } = {}) => {
+  const bin = process.env.ANVIL_BIN || "anvil";
+  const anvil = spawn(bin, ["--port", String(port), "--silent"], {
+    stdio: "ignore",
+  });
+  let failure;
+  anvil.once("error", (e) => {
+    failure = e.code === "ENOENT" ? notFound(bin) : e;
+  });
+  const exited = new Promise((resolve) => anvil.once("close", resolve));
+  const stop = async () => {
+    if (anvil.exitCode === null && !failure) anvil.kill();
+    await exited;
+  };
+
+  const url = `http://127.0.0.1:${port}`;
+  const provider = new ethers.providers.StaticJsonRpcProvider(url, {
+    chainId: 31337,
+    name: "anvil",
+  });
+  provider.pollingInterval = 250;
+
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    if (failure) throw failure;
+    if (anvil.exitCode !== null) {
+      throw new Error(
+        `anvil exited with ${anvil.exitCode} - is port ${port} free?`
+      );
+    }
+    try {
+      await provider.send("eth_chainId", []);
+      break;
+    } catch (e) {
+      if (Date.now() > deadline) {
+        await stop();
+        throw new Error(
+          `anvil did not answer on ${url} within ${START_TIMEOUT_MS / 1000}s`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+  }
+  return { url, provider, stop };
+};
+
+// Chain state helpers anvil shares with hardhat
+const increaseTime = async (provider, seconds) => {
+  await provider.send("evm_increaseTime", [seconds]);
+  await provider.send("evm_mine", []);
+};
+const snapshot = (provider) => provider.send("evm_snapshot", []);
+// ethers never lets its block number go back, so after a revert it would poll
+// for receipts only once the chain passes the old head again: reset its block
+// guards the way ethers does on a network change
+const revert = async (provider, id) => {
+  await provider.send("evm_revert", [id]);
+  provider._lastBlockNumber = -2;
+  provider._fastBlockNumber = null;
+  provider._fastBlockNumberPromise = null;
+  provider._fastQueryDate = 0;
+  provider._emitted.block = -2;
+  provider._maxInternalBlockNumber = -1024;
+  provider._internalBlockNumber = null;
+};
+
+module.exports = {
+  DEFAULT_PORT,
+  forgeBuild,
+  increaseTime,
+  revert,
+  snapshot,
+  startAnvil,
+};
@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+const { FulfillmentCode } = require("@chainlink/functions-toolkit");
+const { getLeverageContract } = require("./leverage");
+const { STRIPE_STATUSES } = require("./stripe-response");
+
+// Follows every pre-auth charge request from PreAuthChargeInitiated through
+// the router's fulfillment to the outcome CreditShaftLeverage emitted for it,
+// and keeps that lifecycle per user in a JSON state file between runs.
+
+const DATA_DIR = path.resolve(__dirname, "../../data");
+const DEFAULT_TIMEOUT_MINUTES = 30;
+// Where a first scan starts without --from-block: about a day of Sepolia blocks
+const DEFAULT_LOOKBACK_BLOCKS = 7200;
+const MAX_BLOCK_RANGE = 2000;
+
+const routerAbi = [
+  "event RequestProcessed(bytes32 indexed requestId, uint64 indexed subscriptionId, uint96 totalCostJuels, address transmitter, uint8 resultCode, bytes response, bytes err, bytes callbackReturnData)",
+];
+
+const LEVERAGE_EVENTS = [
+  "PreAuthChargeInitiated",
+  "StripeResponseReceived",
+  "PreAuthSettled",
+  "PreAuthCharged",
+  "PreAuthChargeFailed",
+];
+
+const defaultStatePath = (config) =>
+  path.join(DATA_DIR, `charge-requests-${config.network.name}.json`);
+
+const loadState = (file) =>
+  fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file).toString())
+    : { lastBlock: null, requests: {}, users: {} };
+
+const saveState = (file, state) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2) + "\n");
+};
+
+// Applies one decoded event to the state and returns the request it changed
+// (undefined for events of requests sent before the watcher started).
+const applyEvent = (state, { name, args, blockNumber, timestamp, txHash }) => {
+  if (name === "PreAuthChargeInitiated") {
+    // Rescanning blocks (--from-block) must not reset a known request
+    if (state.requests[args.requestId]) return state.requests[args.requestId];
+    const request = {
+      requestId: args.requestId,
+      user: args.user,
+      initiator: args.initiator,
+      amountUSDC: args.amount.toString(),
+      status: "pending",
+      initiated: { blockNumber, timestamp, txHash },
+    };
+    state.requests[args.requestId] = request;
+    state.users[args.user] = [
+      ...(state.users[args.user] || []),
+      args.requestId,
+    ];
+    return request;
+  }
+
+  // PreAuthCharged carries no request ID; it belongs to the request settled
+  // in the same transaction.
+  const request =
+    name === "PreAuthCharged"
+      ? Object.values(state.requests).find(
+          (r) => r.user === args.user && r.settled?.txHash === txHash
+        )
+      : state.requests[args.requestId];
+  if (!request) return undefined;
+
+  switch (name) {
+    case "RequestProcessed":
+      request.fulfilled = {
+        blockNumber,
+        timestamp,
+        txHash,
+        fulfillmentCode: FulfillmentCode[args.resultCode] || args.resultCode,
+        costJuels: args.totalCostJuels.toString(),
+      };
+      if (args.resultCode !== FulfillmentCode.FULFILLED) {
+        request.status = "callback_failed";
+      } else if (request.status === "pending") {
+        request.status = "fulfilled";
+      }
+      break;
+    case "StripeResponseReceived":
+      request.stripe = {
+        status: STRIPE_STATUSES[args.status] || `unknown(${args.status})`,
+        amountCents: args.amountCents.toString(),
+        releasedCents: args.releasedCents.toString(),
+        currency: ethers.utils.toUtf8String(args.currency).replace(/\0/g, ""),
+      };
+      break;
+    case "PreAuthSettled":
+      request.status = "settled";
+      request.settled = {
+        blockNumber,
+        timestamp,
+        txHash,
+        capturedCents: args.capturedCents.toString(),
+        releasedCents: args.releasedCents.toString(),
+      };
+      break;
+    case "PreAuthCharged":
+      request.chargedUSDC = args.amount.toString();
+      break;
+    case "PreAuthChargeFailed":
+      request.status = "failed";
+      request.failure = { blockNumber, timestamp, txHash, reason: args.reason };
+      break;
+  }
+  return request;
+};
+
+// Reads CreditShaftLeverage and router events for the subscription between
+// two blocks, in chain order, and applies them. Returns the touched requests.
+const scanBlocks = async (config, provider, state, fromBlock, toBlock) => {
+  const leverage = getLeverageContract(config, provider);
+  const router = new ethers.Contract(
+    config.functionsRouter,
+    routerAbi,
+    provider
+  );
+  const routerFilter = router.filters.RequestProcessed(
+    null,
+    config.subscriptionId
+  );
+
+  const touched = new Map();
+  const timestamps = {};
+  for (let start = fromBlock; start <= toBlock; start += MAX_BLOCK_RANGE) {
+    const end = Math.min(start + MAX_BLOCK_RANGE - 1, toBlock);
+    const logs = [
+      ...(await leverage.queryFilter("*", start, end)),
+      ...(await router.queryFilter(routerFilter, start, end)),
+    ]
+      .filter((log) =>
+        ["RequestProcessed", ...LEVERAGE_EVENTS].includes(log.event)
+      )
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    for (const log of logs) {
+      if (!timestamps[log.blockNumber]) {
+        timestamps[log.blockNumber] = (await log.getBlock()).timestamp;
+      }
+      const request = applyEvent(state, {
+        name: log.event,
+        args: log.args,
+        blockNumber: log.blockNumber,
+        timestamp: timestamps[log.blockNumber],
+        txHash: log.transactionHash,
+      });
+      if (request) touched.set(request.requestId, request);
+    }
+    state.lastBlock = end;
+  }
+  return [...touched.values()];
+};
+
+// Requests the DON has not fulfilled within the timeout. Each is flagged once,
+// so a long-running watcher warns only once.
+const flagTimedOut = (state, now, timeoutSeconds) => {
+  const flagged = [];
+  for (const request of Object.values(state.requests)) {
+    if (request.timedOut || request.status !== "pending") continue;
+    if (now - request.initiated.timestamp > timeoutSeconds) {
+      request.timedOut = true;
+      flagged.push(request);
+    }
+  }
+  return flagged;
+};
+
+module.exports = {
+  DEFAULT_LOOKBACK_BLOCKS,
+  DEFAULT_TIMEOUT_MINUTES,
+  applyEvent,
+  defaultStatePath,
+  flagTimedOut,
+  loadState,
+  saveState,
+  scanBlocks,
+};
@@ -0,0 +1,230 @@
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+const { DEFAULT_DEPENDENCIES, getNetwork } = require("./networks");
+
+// Resolves everything a command needs to talk to a network: flags first, then
+// deployments/<network>.json (or the latest forge broadcast for the chain when
+// there is no deployment file), then the static network defaults.
+
+const DEPLOYMENTS_DIR = path.resolve(__dirname, "../../deployments");
+const BROADCAST_DIR = path.resolve(__dirname, "../../broadcast");
+const DEFAULT_GAS_LIMIT = 300000;
+
+// Maps constructor arguments of our contracts to deployments/*.json
+// dependency keys, so broadcast runs yield the same shape as a deployment file.
+const CONSTRUCTOR_DEPENDENCIES = {
+  CreditShaftLeverage: [
+    null,
+    null,
+    "UNISWAP_ROUTER",
+    "LINK_PRICE_FEED",
+    "USDC",
+    "LINK",
+    "FUNCTIONS_ROUTER",
+    "DON_ID",
+    "SECRETS_VERSION",
+    "SUBSCRIPTION_ID",
+  ],
+  CreditShaftCore: ["USDC", null],
+  AaveStrategy: ["AAVE_POOL", null, null],
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file).toString());
+
+const loadBroadcastDeployment = (network) => {
+  if (!fs.existsSync(BROADCAST_DIR)) return null;
+
+  const runs = fs
+    .readdirSync(BROADCAST_DIR)
+    .map((script) =>
+      path.join(
+        BROADCAST_DIR,
+        script,
+        String(network.chainId),
+        "run-latest.json"
+      )
+    )
+    .filter((file) => fs.existsSync(file))
+    .map((file) => ({ file, run: readJson(file) }))
+    .sort((a, b) => a.run.timestamp - b.run.timestamp);
+  if (runs.length === 0) return null;
+
+  // Later runs override earlier ones, so each contract resolves to its most
+  // recent deployment across every script.
+  const contracts = {};
+  const dependencies = {};
+  for (const { run } of runs) {
+    for (const tx of run.transactions) {
+      if (tx.transactionType !== "CREATE" || !tx.contractName) continue;
+      contracts[tx.contractName] = ethers.utils.getAddress(tx.contractAddress);
+      (CONSTRUCTOR_DEPENDENCIES[tx.contractName] || []).forEach((key, i) => {
+        if (key && tx.arguments?.[i]) dependencies[key] = tx.arguments[i];
+      });
+    }
+  }
+
+  const latest = runs[runs.length - 1];
+  return {
+    network: network.name,
+    timestamp: String(latest.run.timestamp),
+    source: path.relative(process.cwd(), latest.file),
+    contracts,
+    dependencies,
+  };
+};
+
+const loadDeployment = (network) => {
+  const file = path.join(DEPLOYMENTS_DIR, `${network.name}.json`);
+  if (fs.existsSync(file)) {
+    const deployment = readJson(file);
+    return {
+      ...deployment,
+      contracts: deployment.contracts || {},
+      dependencies: deployment.dependencies || {},
+      source: path.relative(process.cwd(), file),
+    };
+  }
+  return (
+    loadBroadcastDeployment(network) || {
+      network: network.name,
+      source: null,
+      contracts: {},
+      dependencies: {},
+    }
+  );
+};
+
+// Writes the deployment back to deployments/<network>.json, creating the file
+// when the deployment was resolved from a broadcast run.
+const saveDeployment = (config) => {
+  const { source, ...deployment } = config.deployment;
+  const file = path.join(DEPLOYMENTS_DIR, `${config.network.name}.json`);
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + "\n");
+  config.deployment.source = path.relative(process.cwd(), file);
+  return file;
+};
+
+const resolveConfig = (values) => {
+  const network = getNetwork(values.network);
+  const deployment = loadDeployment(network);
+  const { contracts, dependencies } = deployment;
+
+  return {
+    network,
+    deployment,
+    contracts,
+    dependencies,
+    skipValidation: Boolean(values["skip-validation"]),
+    consumer: values.consumer || contracts.FunctionsConsumer,
+    functionsRouter: dependencies.FUNCTIONS_ROUTER || network.functionsRouter,
+    linkToken: dependencies.LINK || network.linkToken,
+    donId: dependencies.DON_ID
+      ? ethers.utils.parseBytes32String(dependencies.DON_ID)
+      : network.donId,
+    subscriptionId: Number(
+      values["subscription-id"] || dependencies.SUBSCRIPTION_ID
+    ),
+    slotId: Number(values.slot || 0),
+    secretsVersion: Number(
+      values["secrets-version"] || dependencies.SECRETS_VERSION
+    ),
+    gasLimit: Number(values["gas-limit"] || DEFAULT_GAS_LIMIT),
+    preflight: {
+      skip: Boolean(values["skip-preflight"]),
+      realSecrets: Boolean(values["preflight-real-secrets"]),
+    },
+  };
+};
+
+const requireConfig = (config, key, hint) => {
+  if (!config[key]) {
+    throw new Error(`${key} not configured - ${hint}`);
+  }
+  return config[key];
+};
+
+// Looks a name up in the deployment's contracts, then its dependencies, then
+// the network registry.
+const requireAddress = (config, name) => {
+  const address =
+    config.contracts[name] ||
+    config.dependencies[name] ||
+    config.network[DEFAULT_DEPENDENCIES[name]];
+  if (!address) {
+    throw new Error(
+      `${name} address not found for ${config.network.name} - add it to deployments/${config.network.name}.json`
+    );
+  }
+  return ethers.utils.getAddress(address);
+};
+
+// Every deployment address must have code on the connected chain; this
+// catches a stale deployment file or an RPC URL for the wrong network.
+const validateDeployment = async (config, provider) => {
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== config.network.chainId) {
+    throw new Error(
+      `RPC is connected to chain ${chainId}, but ${config.network.name} is chain ${config.network.chainId}`
+    );
+  }
+
+  const addresses = {
+    ...config.contracts,
+    ...config.dependencies,
+    FUNCTIONS_ROUTER: config.functionsRouter,
+  };
+  const missing = [];
+  for (const [name, address] of Object.entries(addresses)) {
+    if (!ethers.utils.isAddress(address)) continue;
+    const code = await provider.getCode(address);
+    if (code === "0x") missing.push(`${name} (${address})`);
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `No contract code on ${config.network.name} for ${missing.join(
+        ", "
+      )} - check ${config.deployment.source || "your deployment"}`
+    );
+  }
+};
+
+const getProvider = async (config) => {
+  const { network } = config;
+  const envName = network.rpcUrlEnv.find((name) => process.env[name]);
+  const rpcUrl = envName ? process.env[envName] : network.rpcUrl;
+  if (!rpcUrl)
+    throw new Error(
+      `rpcUrl not provided - set ${network.rpcUrlEnv[0]} in your environment variables`
+    );
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+
+  if (!config.skipValidation && !config.validated) {
+    await validateDeployment(config, provider);
+    config.validated = true;
+  }
+  return provider;
+};
+
+const getSigner = async (config) => {
+  const privateKey = process.env.PRIVATE_KEY;
+  if (!privateKey)
+    throw new Error(
+      "private key not provided - check your environment variables"
+    );
+  return new ethers.Wallet(privateKey, await getProvider(config));
+};
+
+module.exports = {
+  DEFAULT_GAS_LIMIT,
+  getProvider,
+  getSigner,
+  loadDeployment,
+  requireAddress,
+  requireConfig,
+  resolveConfig,
+  saveDeployment,
+  validateDeployment,
+};
@@ -0,0 +1,165 @@
+const {
+  DEFAULT_MAX_HTTP_REQUESTS,
+  DEFAULT_MAX_ON_CHAIN_RESPONSE_BYTES,
+} = require("@chainlink/functions-toolkit");
+
+// Runs a Functions source in-process, the same way the toolkit's Deno sandbox
+// does, but without Deno and with every request to `rewrite`'s keys sent to a
+// local host instead. Used to exercise our sources against the Stripe mock,
+// and for pre-flight simulations where Deno is missing.
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+const MAX_INT256 = 2n ** 255n - 1n;
+const MIN_INT256 = -(2n ** 255n);
+
+// The sandbox's Functions.encode* helpers: 32-byte big-endian words, two's
+// complement for negative int256s
+const toBigInt = (value, name) => {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number" && Number.isInteger(value)) {
+    return BigInt(value);
+  }
+  throw Error(`${name} invalid input`);
+};
+const toWord = (value) =>
+  Buffer.from(value.toString(16).padStart(64, "0"), "hex");
+
+const encodeUint256 = (result) => {
+  const value = toBigInt(result, "encodeUint256");
+  if (value < 0n || value > MAX_UINT256) {
+    throw Error("encodeUint256 invalid input");
+  }
+  return toWord(value);
+};
+const encodeInt256 = (result) => {
+  const value = toBigInt(result, "encodeInt256");
+  if (value < MIN_INT256 || value > MAX_INT256) {
+    throw Error("encodeInt256 invalid input");
+  }
+  return toWord(value < 0n ? 2n ** 256n + value : value);
+};
+const encodeString = (result) => {
+  if (typeof result !== "string") throw Error("encodeString invalid input");
+  return Buffer.from(result);
+};
+
+// Mirrors Functions.makeHttpRequest from the Deno sandbox: JSON bodies, query
+// `params`, and `{ error: true, code: "<status>" }` for any status >= 400.
+const makeHttpRequestFactory = ({ rewrite, maxHttpRequests, log }) => {
+  let httpRequests = 0;
+  return async ({
+    url,
+    method = "get",
+    params,
+    headers,
+    data,
+    timeout = 3000,
+    responseType = "json",
+  }) => {
+    try {
+      if (params) {
+        url += "?" + new URLSearchParams(params).toString();
+      }
+      for (const [from, to] of Object.entries(rewrite)) {
+        if (url.startsWith(from)) url = to + url.slice(from.length);
+      }
+
+      httpRequests++;
+      log.push({ method: method.toUpperCase(), url, headers, data });
+      if (httpRequests > maxHttpRequests) {
+        return { error: true, message: "Too Many Requests", code: "429" };
+      }
+
+      const controller = new AbortController();
+      const id = setTimeout(() => controller.abort(), timeout);
+      const result = await fetch(url, {
+        method: method.toUpperCase(),
+        headers,
+        body: data ? JSON.stringify(data) : undefined,
+        signal: controller.signal,
+      });
+      clearTimeout(id);
+
+      if (result.status >= 400) {
+        return {
+          error: true,
+          message: result.statusText,
+          code: result.status.toString(),
+          response: result,
+        };
+      }
+
+      const response = {
+        error: false,
+        status: result.status,
+        statusText: result.statusText,
+        headers: Object.fromEntries(result.headers.entries()),
+      };
+      response.data =
+        responseType === "json" ? await result.json() : await result.text();
+      return response;
+    } catch (e) {
+      return { error: true, message: e?.toString?.() };
+    }
+  };
+};
+
+const toHex = (bytes) => "0x" + Buffer.from(bytes).toString("hex");
+
+// Resolves to the same shape as simulateScript: `responseBytesHexstring` on
+// success, `errorString` when the source throws or returns something invalid.
+const runSource = async ({
+  source,
+  args = [],
+  bytesArgs = [],
+  secrets = {},
+  rewrite = {},
+  maxHttpRequests = DEFAULT_MAX_HTTP_REQUESTS,
+  maxOnChainResponseBytes = DEFAULT_MAX_ON_CHAIN_RESPONSE_BYTES,
+}) => {
+  const httpRequests = [];
+  const Functions = {
+    encodeUint256,
+    encodeInt256,
+    encodeString,
+    makeHttpRequest: makeHttpRequestFactory({
+      rewrite,
+      maxHttpRequests,
+      log: httpRequests,
+    }),
+  };
+
+  try {
+    const script = new AsyncFunction(
+      "args",
+      "bytesArgs",
+      "secrets",
+      "Functions",
+      source
+    );
+    const result = await script(args, bytesArgs, secrets, Functions);
+    if (!(result instanceof ArrayBuffer) && !(result instanceof Uint8Array)) {
+      throw Error("returned value not an ArrayBuffer or Uint8Array");
+    }
+    const responseBytesHexstring = toHex(new Uint8Array(result));
+    if ((responseBytesHexstring.length - 2) / 2 > maxOnChainResponseBytes) {
+      return {
+        errorString: `response >${maxOnChainResponseBytes} bytes`,
+        httpRequests,
+      };
+    }
+    return { responseBytesHexstring, httpRequests };
+  } catch (e) {
+    const message =
+      e instanceof Error
+        ? e.message
+        : typeof e === "string"
+          ? e
+          : `invalid value thrown of type ${typeof e}`;
+    return { errorString: message, httpRequests };
+  }
+};
+
+module.exports = { runSource };
@@ -0,0 +1,105 @@
+const {
+  ResponseListener,
+  FulfillmentCode,
+} = require("@chainlink/functions-toolkit");
+const functionsConsumerAbi = require("../../abi/functionsClient.json");
+const ethers = require("ethers");
+const { requireConfig } = require("./config");
+const { SOURCE_RESPONSES } = require("./stripe-response");
+const { preflight } = require("./preflight");
+
+// Sends a request through the generic Functions consumer contract and waits
+// for the router to fulfill it. `name` is the source's key in SOURCES; the
+// request is only sent once its pre-flight simulation passes.
+
+const sendRequest = async (config, signer, { name, source, args }) => {
+  const consumer = requireConfig(
+    config,
+    "consumer",
+    `pass --consumer or add contracts.FunctionsConsumer to deployments/${config.network.name}.json`
+  );
+  requireConfig(config, "subscriptionId", "pass --subscription-id");
+  requireConfig(config, "secretsVersion", "pass --secrets-version");
+
+  await preflight(
+    name,
+    { source, args, gasLimit: config.gasLimit, consumer: true },
+    config.preflight
+  );
+
+  const functionsConsumer = new ethers.Contract(
+    consumer,
+    functionsConsumerAbi,
+    signer
+  );
+
+  const transaction = await functionsConsumer.sendRequest(
+    source,
+    "0x", // user hosted secrets - empty
+    config.slotId,
+    config.secretsVersion,
+    args,
+    [], // bytesArgs
+    config.subscriptionId,
+    config.gasLimit,
+    ethers.utils.formatBytes32String(config.donId)
+  );
+
+  console.log(
+    `✅ Functions request sent! Transaction hash ${transaction.hash}. Waiting for a response...`
+  );
+  console.log(
+    `See your request in the explorer ${config.network.explorerUrl}/tx/${transaction.hash}`
+  );
+
+  return transaction;
+};
+
+const waitForResponse = async (config, provider, txHash) => {
+  const responseListener = new ResponseListener({
+    provider,
+    functionsRouterAddress: config.functionsRouter,
+  });
+  return responseListener.listenForResponseFromTransaction(txHash);
+};
+
+const logResponse = (response, name) => {
+  const cost = ethers.utils.formatEther(response.totalCostInJuels);
+  const { fulfillmentCode, requestId } = response;
+
+  if (fulfillmentCode === FulfillmentCode.FULFILLED) {
+    console.log(
+      `\n✅ Request ${requestId} successfully fulfilled. Cost is ${cost} LINK.Complete reponse: `,
+      response
+    );
+  } else if (fulfillmentCode === FulfillmentCode.USER_CALLBACK_ERROR) {
+    console.log(
+      `\n⚠️ Request ${requestId} fulfilled. However, the consumer contract callback failed. Cost is ${cost} LINK.Complete reponse: `,
+      response
+    );
+  } else {
+    console.log(
+      `\n❌ Request ${requestId} not fulfilled. Code: ${fulfillmentCode}. Cost is ${cost} LINK.Complete reponse: `,
+      response
+    );
+  }
+
+  logResult(response, name);
+};
+
+// Prints the error or the decoded response of a fulfillment or simulation of
+// source `name`.
+const logResult = ({ errorString, responseBytesHexstring }, name) => {
+  if (errorString) {
+    console.log(`\n❌ Error during the execution: `, errorString);
+    return;
+  }
+  if (ethers.utils.arrayify(responseBytesHexstring).length > 0) {
+    console.log(
+      `\n✅ Decoded ${name} response: `,
+      SOURCE_RESPONSES[name].decode(responseBytesHexstring)
+    );
+  }
+};
+
+module.exports = { logResponse, logResult, sendRequest, waitForResponse };
@@ -0,0 +1,95 @@
+const ethers = require("ethers");
+const { waitForEvent } = require("./logs");
+const { preflight } = require("./preflight");
+const { readOnChainSource } = require("./sources");
+
+// Pre-open check of a card hold. requestHoldVerification has verify-source.js
+// confirm the hold is a manual-capture USD authorization for the caller's
+// wallet that covers the position's pre-auth and outlives its expiry time.
+// While holdVerificationRequired is on, openLeveragePosition only accepts a
+// hold with a verdict from the last HOLD_VERIFICATION_TTL. Each request costs
+// the caller holdVerificationFee in ETH.
+
+const DEFAULT_TIMEOUT_MINUTES = 5;
+const POLL_INTERVAL_MS = 5000;
+
+// Sends the verification request from the leverage contract's signer once
+// its pre-flight simulation passes, and waits for the verdict: { verified:
+// true, requestId, holdCents, authorizationExpiry } or { verified: false,
+// requestId, reason }. `holdCents` is computePreAuth's for the same position;
+// `preflight` is config.preflight.
+const verifyHold = async (
+  leverage,
+  { leverageRatio, collateralAmount, expiryTime, paymentReference, holdCents },
+  {
+    timeoutMs = DEFAULT_TIMEOUT_MINUTES * 60 * 1000,
+    preflight: preflightOptions,
+  } = {}
+) => {
+  const user = await leverage.signer.getAddress();
+  // The args requestHoldVerification builds for the verify source
+  await preflight(
+    "verify",
+    {
+      source: readOnChainSource("verify"),
+      args: [
+        paymentReference,
+        holdCents.toString(),
+        String(expiryTime),
+        user.toLowerCase(),
+      ],
+      gasLimit: await leverage.gasLimit(),
+    },
+    preflightOptions
+  );
+  const fee = await leverage.holdVerificationFee();
+  if (fee.isZero()) {
+    throw new Error(
+      "holdVerificationFee is not set, so the contract refuses verification requests"
+    );
+  }
+  const transaction = await leverage.requestHoldVerification(
+    leverageRatio,
+    collateralAmount,
+    expiryTime,
+    paymentReference,
+    { value: fee }
+  );
+  console.log(
+    `Verifying ${paymentReference} for ${ethers.utils.formatEther(
+      fee
+    )} ETH. Transaction hash ${transaction.hash}`
+  );
+  const receipt = await transaction.wait();
+  const { requestId } = receipt.events.find(
+    (event) => event.event === "HoldVerificationInitiated"
+  ).args;
+
+  const event = await waitForEvent(
+    leverage,
+    [
+      leverage.filters.HoldVerified(user, requestId),
+      leverage.filters.HoldVerificationFailed(user, requestId),
+    ],
+    receipt.blockNumber,
+    { timeoutMs, intervalMs: POLL_INTERVAL_MS }
+  );
+  if (!event) {
+    throw new Error(
+      `Hold verification ${requestId} not fulfilled within ${
+        timeoutMs / 60000
+      } minutes`
+    );
+  }
+  if (event.event === "HoldVerificationFailed") {
+    return { verified: false, requestId, reason: event.args.reason };
+  }
+  return {
+    verified: true,
+    requestId,
+    holdCents: event.args.holdCents,
+    authorizationExpiry: event.args.authorizationExpiry.toNumber(),
+  };
+};
+
+module.exports = { DEFAULT_TIMEOUT_MINUTES, verifyHold };
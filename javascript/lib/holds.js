@@ -0,0 +1,187 @@
+const { getActiveUsers } = require("./leverage");
+const { fetchLogs } = require("./logs");
+
+// Finds the card holds of closed positions and releases the ones the payment
+// provider still holds. Positions closed before the close flow released holds
+// itself left them in place until the provider expired them, and the contract
+// leaves stray re-authorization holds (StrayHoldPlaced) for this to release.
+
+const DEFAULT_CHUNK_SIZE = 2000;
+const DEFAULT_BATCH_SIZE = 10;
+
+// The payment reference a position was opened with, from the arguments of the
+// openLeveragePosition call that emitted its PositionOpened.
+const openedIntentId = async (leverage, log) => {
+  const transaction = await leverage.provider.getTransaction(
+    log.transactionHash
+  );
+  try {
+    const call = leverage.interface.parseTransaction(transaction);
+    if (call.name === "openLeveragePosition")
+      return call.args.stripePaymentIntentId;
+  } catch (e) {
+    // Opened through another contract, so the call data is not ours
+  }
+  return null;
+};
+
+// The payment reference each position points at, replayed from the logs:
+// PositionOpened sets the one it was opened with, HoldReauthorized moves it
+// onto the replacement hold. Feed update() the logs in chain order; get()
+// is null for positions opened before the first log.
+const trackPaymentReferences = (leverage) => {
+  const references = {};
+  return {
+    update: async (log, { name, args }) => {
+      if (name === "PositionOpened") {
+        references[args.user] = await openedIntentId(leverage, log);
+      } else if (name === "HoldReauthorized") {
+        references[args.user] = args.newPaymentIntentId;
+      }
+    },
+    get: (user) => references[user] || null,
+  };
+};
+
+// The payment reference of every active position, mapped to its user. A
+// position reopened on the hold of a closed one still relies on it.
+const findActiveReferences = async (leverage) => {
+  const references = new Map();
+  for (const user of await getActiveUsers(leverage)) {
+    const position = await leverage.positions(user);
+    if (position.isActive && position.stripePaymentIntentId) {
+      references.set(position.stripePaymentIntentId, user);
+    }
+  }
+  return references;
+};
+
+// Every position closed in the range, with the reference it held when it
+// closed, and every stray hold: a replacement hold the contract reported with
+// StrayHoldPlaced because the position moved on while it was being placed.
+// A hold an active position uses again carries that position's `activeUser`.
+const findClosedHolds = async (
+  leverage,
+  { fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE }
+) => {
+  const logs = await fetchLogs(
+    leverage.provider,
+    {
+      address: leverage.address,
+      topics: [
+        [
+          "PositionOpened",
+          "HoldReauthorized",
+          "PositionClosed",
+          "StrayHoldPlaced",
+        ].map((name) => leverage.interface.getEventTopic(name)),
+      ],
+    },
+    fromBlock,
+    toBlock,
+    chunkSize
+  );
+
+  // Null for positions opened before --from-block and never re-authorized since
+  const references = trackPaymentReferences(leverage);
+  const holds = [];
+  for (const log of logs) {
+    const event = leverage.interface.parseLog(log);
+    const { name, args } = event;
+    if (name === "PositionClosed") {
+      holds.push({
+        user: args.user,
+        paymentIntentId: references.get(args.user),
+        closedBlock: log.blockNumber,
+        closeTransaction: log.transactionHash,
+      });
+    } else if (name === "StrayHoldPlaced") {
+      holds.push({
+        user: args.user,
+        paymentIntentId: args.paymentIntentId,
+        strayBlock: log.blockNumber,
+        strayTransaction: log.transactionHash,
+      });
+    } else {
+      await references.update(log, event);
+    }
+  }
+
+  const active = await findActiveReferences(leverage);
+  for (const hold of holds) {
+    const activeUser = active.get(hold.paymentIntentId);
+    if (activeUser) hold.activeUser = activeUser;
+  }
+  return holds;
+};
+
+// Releases the holds that are still authorized, batchSize at a time.
+// `resolvePayment` maps a payment reference to its provider and ID (see
+// createProviderResolver). Returns one report entry per hold.
+const releaseHolds = async (
+  resolvePayment,
+  holds,
+  { batchSize = DEFAULT_BATCH_SIZE, dryRun = false, onBatch = () => {} } = {}
+) => {
+  const release = async (hold) => {
+    if (!hold.paymentIntentId) {
+      return {
+        ...hold,
+        result: "skipped",
+        detail: "payment reference unknown",
+      };
+    }
+    if (hold.activeUser) {
+      return {
+        ...hold,
+        result: "skipped",
+        detail: `in use by the active position of ${hold.activeUser}`,
+      };
+    }
+    const { payments, id } = resolvePayment(hold.paymentIntentId);
+    const authorization = await payments.status(id);
+    if (authorization.state !== "authorized") {
+      return {
+        ...hold,
+        result: "skipped",
+        detail: `hold is ${authorization.state}`,
+      };
+    }
+    if (dryRun) {
+      return {
+        ...hold,
+        result: "would_release",
+        detail: `${authorization.capturableCents} cents held`,
+      };
+    }
+    const released = await payments.release(id, {
+      idempotencyKey: `creditshaft-release-${id}`,
+    });
+    return {
+      ...hold,
+      result: released.state === "released" ? "released" : "failed",
+      detail: `${authorization.capturableCents} cents, now ${released.state}`,
+    };
+  };
+
+  const report = [];
+  for (let i = 0; i < holds.length; i += batchSize) {
+    const batch = holds.slice(i, i + batchSize);
+    const results = await Promise.allSettled(batch.map(release));
+    const entries = results.map((result, j) =>
+      result.status === "fulfilled"
+        ? result.value
+        : { ...batch[j], result: "failed", detail: result.reason.message }
+    );
+    report.push(...entries);
+    onBatch(entries, report.length, holds.length);
+  }
+  return report;
+};
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  findClosedHolds,
+  releaseHolds,
+  trackPaymentReferences,
+};
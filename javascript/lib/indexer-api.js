@@ -0,0 +1,246 @@
+const http = require("http");
+const ethers = require("ethers");
+const { lastIndexedBlock } = require("./indexer");
+
+// Read-only HTTP/JSON API over the indexer's SQLite store:
+//   GET /positions[?status=open|closed][&limit=n]
+//   GET /positions/<user>            every position of a user, newest first
+//   GET /users/<user>/history        a user's indexed events in chain order
+//   GET /users/<user>/verifications  a user's hold verifications, newest first
+//   GET /stats                       protocol totals
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_LIMIT = 100;
+
+const sum = (values) =>
+  values.reduce((total, value) => total + BigInt(value || 0), 0n).toString();
+
+const positionRow = (row) => ({
+  id: row.id,
+  user: row.user,
+  status: row.status,
+  leverage: row.leverage,
+  collateralLINK: row.collateral_link,
+  totalExposureLINK: row.total_exposure_link,
+  borrowedUSDC: row.borrowed_usdc,
+  openedBlock: row.opened_block,
+  openedAt: row.opened_at,
+  closedBlock: row.closed_block,
+  closedAt: row.closed_at,
+  profitLINK: row.profit_link,
+  lpShareLINK: row.lp_share_link,
+  preAuth: {
+    status: row.preauth_status,
+    capturedCents: row.preauth_captured_cents,
+    releasedCents: row.preauth_released_cents,
+    failure: row.preauth_failure,
+  },
+  reauthorization: {
+    status: row.reauthorization_status,
+    count: row.reauthorizations,
+    paymentIntentId: row.reauthorized_intent_id,
+    holdCents: row.reauthorized_hold_cents,
+    preAuthExpiresAt: row.preauth_expires_at,
+    failure: row.reauthorization_failure,
+  },
+});
+
+const verificationRow = (row) => ({
+  requestId: row.request_id,
+  paymentIntentId: row.payment_intent_id,
+  status: row.status,
+  holdCents: row.hold_cents,
+  authorizationExpiry: row.authorization_expiry,
+  failure: row.failure,
+  requestedBlock: row.requested_block,
+  requestedAt: row.requested_at,
+  settledBlock: row.settled_block,
+});
+
+const eventRow = (row) => ({
+  name: row.name,
+  blockNumber: row.block_number,
+  logIndex: row.log_index,
+  txHash: row.tx_hash,
+  timestamp: row.timestamp,
+  args: JSON.parse(row.args),
+});
+
+const queries = (db) => ({
+  positions: ({ status, limit }) =>
+    db
+      .prepare(
+        `SELECT * FROM positions ${
+          status ? "WHERE status = @status" : ""
+        } ORDER BY id DESC LIMIT @limit`
+      )
+      .all({ status, limit })
+      .map(positionRow),
+
+  userPositions: (user) =>
+    db
+      .prepare("SELECT * FROM positions WHERE user = ? ORDER BY id DESC")
+      .all(user)
+      .map(positionRow),
+
+  userHistory: (user) =>
+    db
+      .prepare(
+        "SELECT * FROM events WHERE user = ? ORDER BY block_number, log_index"
+      )
+      .all(user)
+      .map(eventRow),
+
+  userVerifications: (user) =>
+    db
+      .prepare(
+        "SELECT * FROM hold_verifications WHERE user = ? ORDER BY requested_block DESC, rowid DESC"
+      )
+      .all(user)
+      .map(verificationRow),
+
+  stats: () => {
+    const positions = db.prepare("SELECT * FROM positions").all();
+    const open = positions.filter((p) => p.status === "open");
+    const closed = positions.filter((p) => p.status === "closed");
+    const settled = positions.filter((p) => p.preauth_status === "settled");
+    const automation = db
+      .prepare(
+        "SELECT args FROM events WHERE name = 'AutomationExecuted' ORDER BY block_number, log_index"
+      )
+      .all()
+      .map((row) => JSON.parse(row.args));
+
+    return {
+      lastBlock: lastIndexedBlock(db),
+      users: new Set(positions.map((p) => p.user)).size,
+      positions: {
+        total: positions.length,
+        open: open.length,
+        closed: closed.length,
+      },
+      open: {
+        collateralLINK: sum(open.map((p) => p.collateral_link)),
+        totalExposureLINK: sum(open.map((p) => p.total_exposure_link)),
+      },
+      closed: {
+        profitLINK: sum(closed.map((p) => p.profit_link)),
+        lpShareLINK: sum(closed.map((p) => p.lp_share_link)),
+      },
+      preAuth: {
+        settled: settled.length,
+        failed: positions.filter((p) => p.preauth_status === "failed").length,
+        capturedCents: sum(settled.map((p) => p.preauth_captured_cents)),
+        releasedCents: sum(settled.map((p) => p.preauth_released_cents)),
+      },
+      reauthorizations: {
+        total: positions.reduce((total, p) => total + p.reauthorizations, 0),
+        pending: positions.filter(
+          (p) => p.reauthorization_status === "reauthorizing"
+        ).length,
+        failed: positions.filter(
+          (p) => p.reauthorization_status === "reauthorization_failed"
+        ).length,
+        strayHolds: db
+          .prepare("SELECT COUNT(*) FROM events WHERE name = 'StrayHoldPlaced'")
+          .pluck()
+          .get(),
+      },
+      verifications: Object.fromEntries(
+        ["pending", "verified", "failed"].map((status) => [
+          status,
+          db
+            .prepare("SELECT COUNT(*) FROM hold_verifications WHERE status = ?")
+            .pluck()
+            .get(status),
+        ])
+      ),
+      automation: {
+        runs: automation.length,
+        attempts: sum(automation.map((a) => a.totalAttempts)),
+        successful: sum(automation.map((a) => a.successful)),
+        failed: sum(automation.map((a) => a.failed)),
+      },
+    };
+  },
+});
+
+const parseUser = (value) => {
+  if (!ethers.utils.isAddress(value)) return null;
+  return ethers.utils.getAddress(value);
+};
+
+const route = (query, url) => {
+  const parts = url.pathname.split("/").filter(Boolean);
+  if (parts[0] === "stats" && parts.length === 1) {
+    return { status: 200, body: query.stats() };
+  }
+  if (parts[0] === "positions" && parts.length === 1) {
+    const status = url.searchParams.get("status") || undefined;
+    if (status && !["open", "closed"].includes(status)) {
+      return { status: 400, body: { error: `Unknown status "${status}"` } };
+    }
+    // Anything but a positive whole number gets the default
+    const limit = Number(url.searchParams.get("limit"));
+    return {
+      status: 200,
+      body: query.positions({
+        status,
+        limit: Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_LIMIT,
+      }),
+    };
+  }
+
+  const userRoute =
+    (parts[0] === "positions" && parts.length === 2) ||
+    (parts[0] === "users" &&
+      ["history", "verifications"].includes(parts[2]) &&
+      parts.length === 3);
+  if (userRoute) {
+    const user = parseUser(parts[1]);
+    if (!user) {
+      return { status: 400, body: { error: `Invalid address "${parts[1]}"` } };
+    }
+    const body =
+      parts[0] === "positions"
+        ? query.userPositions(user)
+        : parts[2] === "history"
+        ? query.userHistory(user)
+        : query.userVerifications(user);
+    if (body.length === 0) {
+      return { status: 404, body: { error: `Nothing indexed for ${user}` } };
+    }
+    return { status: 200, body };
+  }
+  return { status: 404, body: { error: `Unknown route ${url.pathname}` } };
+};
+
+const createApiServer = ({ db, port = DEFAULT_PORT }) => {
+  const query = queries(db);
+  const server = http.createServer((req, res) => {
+    let result;
+    if (req.method !== "GET") {
+      result = { status: 405, body: { error: "Only GET is supported" } };
+    } else {
+      try {
+        result = route(query, new URL(req.url, "http://localhost"));
+      } catch (e) {
+        result = { status: 500, body: { error: e.message } };
+      }
+    }
+    res.writeHead(result.status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(result.body));
+  });
+
+  return {
+    start: () =>
+      new Promise((resolve) =>
+        server.listen(port, "127.0.0.1", () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        })
+      ),
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = { DEFAULT_PORT, createApiServer };
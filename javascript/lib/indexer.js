@@ -0,0 +1,454 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const leverageAbi = require("../../abis/CreditShaftLeverage.json");
+const ethers = require("ethers");
+const { fetchLogs } = require("./logs");
+const { STRIPE_STATUSES } = require("./stripe-response");
+
+// Indexes CreditShaftLeverage events into SQLite. `events` is the raw log in
+// chain order; `positions` and `hold_verifications` are projections of it that
+// are rebuilt by replaying `events` whenever a reorg rolls blocks back.
+
+const coreInterface = new ethers.utils.Interface([
+  "event FlashLoanProvided(address indexed recipient, uint256 amount, uint256 premium)",
+]);
+const FLASH_LOAN_TOPIC = coreInterface.getEventTopic("FlashLoanProvided");
+
+const DATA_DIR = path.resolve(__dirname, "../../data");
+const DEFAULT_CHUNK_SIZE = 2000;
+// Block hashes kept to find the fork point of a reorg
+const REORG_DEPTH = 64;
+// Bumped when the schema, INDEXED_EVENTS or the stored args change; an older
+// store is dropped and indexed again from the first block, since it lacks them
+const SCHEMA_VERSION = 5;
+
+const INDEXED_EVENTS = [
+  "PositionOpened",
+  "PositionClosed",
+  "AdditionalUSDCBorrowed",
+  "PreAuthChargeInitiated",
+  "StripeResponseReceived",
+  "PreAuthSettled",
+  "PreAuthCharged",
+  "PreAuthChargeFailed",
+  "HoldReleaseInitiated",
+  "HoldReleased",
+  "HoldReleaseFailed",
+  "HoldReauthorizationInitiated",
+  "HoldReauthorized",
+  "HoldReauthorizationFailed",
+  "StrayHoldPlaced",
+  "HoldVerificationInitiated",
+  "HoldVerified",
+  "HoldVerificationFailed",
+  "AutomationExecuted",
+];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  user TEXT,
+  args TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_user ON events (user, block_number);
+CREATE TABLE IF NOT EXISTS positions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user TEXT NOT NULL,
+  status TEXT NOT NULL,
+  leverage INTEGER NOT NULL,
+  collateral_link TEXT NOT NULL,
+  total_exposure_link TEXT NOT NULL,
+  borrowed_usdc TEXT,
+  opened_block INTEGER NOT NULL,
+  opened_at INTEGER NOT NULL,
+  closed_block INTEGER,
+  closed_at INTEGER,
+  profit_link TEXT,
+  lp_share_link TEXT,
+  preauth_status TEXT NOT NULL DEFAULT 'held',
+  preauth_captured_cents INTEGER,
+  preauth_released_cents INTEGER,
+  preauth_failure TEXT,
+  reauthorization_status TEXT,
+  reauthorizations INTEGER NOT NULL DEFAULT 0,
+  reauthorized_intent_id TEXT,
+  reauthorized_hold_cents INTEGER,
+  preauth_expires_at INTEGER,
+  reauthorization_failure TEXT
+);
+CREATE INDEX IF NOT EXISTS positions_user ON positions (user, id);
+CREATE TABLE IF NOT EXISTS hold_verifications (
+  request_id TEXT PRIMARY KEY,
+  user TEXT NOT NULL,
+  payment_intent_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  hold_cents INTEGER,
+  authorization_expiry INTEGER,
+  failure TEXT,
+  requested_block INTEGER NOT NULL,
+  requested_at INTEGER NOT NULL,
+  settled_block INTEGER
+);
+CREATE INDEX IF NOT EXISTS hold_verifications_user ON hold_verifications (user, requested_block);
+CREATE TABLE IF NOT EXISTS blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+`;
+
+const defaultDatabasePath = (config) =>
+  path.join(DATA_DIR, `positions-${config.network.name}.db`);
+
+const openDatabase = (file) => {
+  if (file !== ":memory:")
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  if (getMeta(db, "schemaVersion") !== String(SCHEMA_VERSION)) {
+    db.exec(
+      "DROP TABLE events; DROP TABLE positions; DROP TABLE IF EXISTS hold_verifications; DROP TABLE blocks; DROP TABLE meta;"
+    );
+    db.exec(SCHEMA);
+    setMeta(db, "schemaVersion", SCHEMA_VERSION);
+  }
+  return db;
+};
+
+const getMeta = (db, key) =>
+  db.prepare("SELECT value FROM meta WHERE key = ?").pluck().get(key);
+
+const setMeta = (db, key, value) =>
+  db
+    .prepare(
+      "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+    )
+    .run(key, String(value));
+
+const lastIndexedBlock = (db) => {
+  const value = getMeta(db, "lastBlock");
+  return value === undefined ? null : Number(value);
+};
+
+// Event args as JSON: BigNumbers become decimal strings, enums their names.
+const serializeArgs = (name, args) => {
+  const result = {};
+  for (const key of Object.keys(args).filter((k) => isNaN(Number(k)))) {
+    const value = args[key];
+    result[key] = ethers.BigNumber.isBigNumber(value)
+      ? value.toString()
+      : value;
+  }
+  if (name === "StripeResponseReceived") {
+    result.status = STRIPE_STATUSES[args.status] || `unknown(${args.status})`;
+    result.currency = ethers.utils
+      .toUtf8String(args.currency)
+      .replace(/\0/g, "");
+  }
+  return result;
+};
+
+// Updates the positions projection for one event.
+const project = (db, event) => {
+  const args = JSON.parse(event.args);
+  const latest = () =>
+    db
+      .prepare("SELECT id FROM positions WHERE user = ? ORDER BY id DESC")
+      .pluck()
+      .get(event.user);
+  const update = (columns) => {
+    const id = latest();
+    if (id === undefined) return;
+    const assignments = Object.keys(columns).map(
+      (column) => `${column} = @${column}`
+    );
+    db.prepare(
+      `UPDATE positions SET ${assignments.join(", ")} WHERE id = @id`
+    ).run({
+      ...columns,
+      id,
+    });
+  };
+
+  const settleVerification = (columns) =>
+    db
+      .prepare(
+        `UPDATE hold_verifications SET status = @status, hold_cents = @hold_cents,
+           authorization_expiry = @authorization_expiry, failure = @failure, settled_block = @settled_block
+         WHERE request_id = @request_id`
+      )
+      .run({
+        hold_cents: null,
+        authorization_expiry: null,
+        failure: null,
+        ...columns,
+        request_id: args.requestId,
+        settled_block: event.block_number,
+      });
+
+  switch (event.name) {
+    case "PositionOpened":
+      db.prepare(
+        `INSERT INTO positions (user, status, leverage, collateral_link, total_exposure_link, borrowed_usdc, opened_block, opened_at)
+         VALUES (?, 'open', ?, ?, ?, ?, ?, ?)`
+      ).run(
+        event.user,
+        Number(args.leverage),
+        args.collateral,
+        args.totalExposure,
+        args.borrowedUSDC,
+        event.block_number,
+        event.timestamp
+      );
+      break;
+    case "PositionClosed":
+      update({
+        status: "closed",
+        closed_block: event.block_number,
+        closed_at: event.timestamp,
+        profit_link: args.profit,
+        lp_share_link: args.lpShare,
+      });
+      break;
+    case "AdditionalUSDCBorrowed":
+      update({ borrowed_usdc: args.newTotalDebt });
+      break;
+    case "PreAuthChargeInitiated":
+      update({ preauth_status: "charging" });
+      break;
+    case "PreAuthSettled":
+      update({
+        preauth_status: "settled",
+        preauth_captured_cents: Number(args.capturedCents),
+        preauth_released_cents: Number(args.releasedCents),
+      });
+      break;
+    case "PreAuthChargeFailed":
+      update({ preauth_status: "failed", preauth_failure: args.reason });
+      break;
+    // Emitted after PositionClosed, so they land on the closed position
+    case "HoldReleaseInitiated":
+      update({ preauth_status: "releasing" });
+      break;
+    case "HoldReleased":
+      update({
+        preauth_status: "released",
+        preauth_released_cents: Number(args.releasedCents),
+      });
+      break;
+    case "HoldReleaseFailed":
+      update({
+        preauth_status: "release_failed",
+        preauth_failure: args.reason,
+      });
+      break;
+    case "HoldReauthorizationInitiated":
+      update({ reauthorization_status: "reauthorizing" });
+      break;
+    case "HoldReauthorized":
+      update({
+        reauthorization_status: "reauthorized",
+        reauthorized_intent_id: args.newPaymentIntentId,
+        reauthorized_hold_cents: Number(args.holdCents),
+        preauth_expires_at: Number(args.preAuthExpiryTime),
+        reauthorization_failure: null,
+      });
+      db.prepare(
+        "UPDATE positions SET reauthorizations = reauthorizations + 1 WHERE id = ?"
+      ).run(latest());
+      break;
+    case "HoldReauthorizationFailed":
+      update({
+        reauthorization_status: "reauthorization_failed",
+        reauthorization_failure: args.reason,
+      });
+      break;
+    // Checks run before the position they are for opens, so they are kept
+    // per request rather than on a position
+    case "HoldVerificationInitiated":
+      db.prepare(
+        `INSERT INTO hold_verifications (request_id, user, payment_intent_id, status, requested_block, requested_at)
+         VALUES (?, ?, ?, 'pending', ?, ?)`
+      ).run(
+        args.requestId,
+        event.user,
+        args.paymentIntentId,
+        event.block_number,
+        event.timestamp
+      );
+      break;
+    case "HoldVerified":
+      settleVerification({
+        status: "verified",
+        hold_cents: Number(args.holdCents),
+        authorization_expiry: Number(args.authorizationExpiry),
+      });
+      break;
+    case "HoldVerificationFailed":
+      settleVerification({ status: "failed", failure: args.reason });
+      break;
+  }
+};
+
+const rebuildProjections = (db) => {
+  db.prepare("DELETE FROM positions").run();
+  db.prepare("DELETE FROM sqlite_sequence WHERE name = 'positions'").run();
+  db.prepare("DELETE FROM hold_verifications").run();
+  const events = db
+    .prepare("SELECT * FROM events ORDER BY block_number, log_index")
+    .all();
+  for (const event of events) project(db, event);
+};
+
+// Compares stored block hashes with the chain, newest first. On a mismatch,
+// drops everything after the newest block that still matches and replays the
+// projection. Returns the number of blocks rolled back.
+const handleReorg = async (db, provider) => {
+  const stored = db
+    .prepare("SELECT number, hash FROM blocks ORDER BY number DESC")
+    .all();
+  const last = lastIndexedBlock(db);
+  if (last === null) return 0;
+
+  let forkBlock = null;
+  for (const { number, hash } of stored) {
+    const block = await provider.getBlock(number);
+    if (block && block.hash === hash) {
+      if (number === stored[0].number) return 0;
+      forkBlock = number;
+      break;
+    }
+  }
+  // Deeper than REORG_DEPTH: start over from the first indexed block
+  if (forkBlock === null) forkBlock = Number(getMeta(db, "fromBlock")) - 1;
+
+  db.transaction(() => {
+    db.prepare("DELETE FROM events WHERE block_number > ?").run(forkBlock);
+    db.prepare("DELETE FROM blocks WHERE number > ?").run(forkBlock);
+    setMeta(db, "lastBlock", forkBlock);
+    rebuildProjections(db);
+  })();
+  return last - forkBlock;
+};
+
+// PositionOpened does not carry the debt the open took on, so it is stored
+// with the event. The open borrows exactly what repays its flash loan, loan
+// plus premium, which the core's FlashLoanProvided in the same receipt
+// carries. Only without that log is the position read at the event's block,
+// which needs an archive node.
+const openedDebt = async (leverage, log, user) => {
+  const receipt = await leverage.provider.getTransactionReceipt(
+    log.transactionHash
+  );
+  const flashLoan = receipt.logs
+    .filter((receiptLog) => receiptLog.topics[0] === FLASH_LOAN_TOPIC)
+    .map((receiptLog) => coreInterface.parseLog(receiptLog).args)
+    .find(
+      ({ recipient }) => recipient === ethers.utils.getAddress(leverage.address)
+    );
+  if (flashLoan) return flashLoan.amount.add(flashLoan.premium);
+  const position = await leverage.positions(user, {
+    blockTag: log.blockNumber,
+  });
+  return position.borrowedUSDC;
+};
+
+const createIndexer = ({
+  db,
+  provider,
+  address,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+}) => {
+  const leverage = new ethers.Contract(address, leverageAbi, provider);
+  const leverageInterface = leverage.interface;
+  const filter = {
+    address,
+    topics: [
+      INDEXED_EVENTS.map((name) => leverageInterface.getEventTopic(name)),
+    ],
+  };
+
+  const insertEvent = db.prepare(
+    `INSERT OR IGNORE INTO events (block_number, log_index, block_hash, tx_hash, timestamp, name, user, args)
+     VALUES (@block_number, @log_index, @block_hash, @tx_hash, @timestamp, @name, @user, @args)`
+  );
+  const insertBlock = db.prepare(
+    "INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)"
+  );
+
+  // Indexes up to the chain head (or toBlock) and returns what changed.
+  const sync = async ({ fromBlock, toBlock } = {}) => {
+    const reorged = await handleReorg(db, provider);
+    const last = lastIndexedBlock(db);
+    const start = last !== null ? last + 1 : fromBlock || 0;
+    if (last === null) setMeta(db, "fromBlock", start);
+    const head = toBlock ?? (await provider.getBlockNumber());
+    if (head < start) return { reorged, events: 0, lastBlock: last };
+
+    const logs = await fetchLogs(provider, filter, start, head, chunkSize);
+    const blocks = {};
+    for (const log of logs) {
+      if (!blocks[log.blockNumber]) {
+        blocks[log.blockNumber] = await provider.getBlock(log.blockNumber);
+      }
+    }
+    const headBlock = blocks[head] || (await provider.getBlock(head));
+
+    const events = [];
+    for (const log of logs) {
+      const { name, args } = leverageInterface.parseLog(log);
+      const serialized = serializeArgs(name, args);
+      if (name === "PositionOpened") {
+        serialized.borrowedUSDC = (
+          await openedDebt(leverage, log, args.user)
+        ).toString();
+      }
+      events.push({
+        block_number: log.blockNumber,
+        log_index: log.logIndex,
+        block_hash: log.blockHash,
+        tx_hash: log.transactionHash,
+        timestamp: blocks[log.blockNumber].timestamp,
+        name,
+        user: args.user || null,
+        args: JSON.stringify(serialized),
+      });
+    }
+
+    db.transaction(() => {
+      for (const event of events) {
+        if (insertEvent.run(event).changes > 0) project(db, event);
+      }
+      for (const block of Object.values(blocks)) {
+        insertBlock.run(block.number, block.hash);
+      }
+      insertBlock.run(headBlock.number, headBlock.hash);
+      db.prepare("DELETE FROM blocks WHERE number <= ?").run(
+        head - REORG_DEPTH
+      );
+      setMeta(db, "lastBlock", head);
+    })();
+    return { reorged, events: events.length, lastBlock: head };
+  };
+
+  return { sync };
+};
+
+module.exports = {
+  INDEXED_EVENTS,
+  createIndexer,
+  defaultDatabasePath,
+  lastIndexedBlock,
+  openDatabase,
+};
@@ -0,0 +1,192 @@
+const ethers = require("ethers");
+const {
+  UNSAFE_LTV_BPS,
+  calculateLTV,
+  getActiveUsers,
+  getLinkPrice,
+} = require("./leverage");
+
+// Self-hosted fallback for the Automation upkeep: finds the positions to
+// charge or close, skips charges that already have a request in flight, and
+// sends the transactions with locally managed nonces and gas bumping.
+
+const DEFAULT_LOOKBACK_BLOCKS = 7200;
+const DEFAULT_CONFIRM_TIMEOUT_SECONDS = 120;
+const DEFAULT_MAX_BUMPS = 3;
+// Nodes only accept a replacement transaction with at least 10% higher fees
+const DEFAULT_BUMP_PERCENT = 20;
+
+const PERFORM_DATA_TYPES = ["address[]", "uint256", "address[]", "uint256"];
+
+const encodePerformData = (usersToCharge, usersToClose) =>
+  ethers.utils.defaultAbiCoder.encode(PERFORM_DATA_TYPES, [
+    usersToCharge,
+    usersToCharge.length,
+    usersToClose,
+    usersToClose.length,
+  ]);
+
+// What checkUpkeep would have Automation do. It only sees the first 50
+// activeUsers and at most 20 of each.
+const scanUpkeep = async (leverage) => {
+  const { upkeepNeeded, performData } = await leverage.checkUpkeep("0x");
+  if (!upkeepNeeded) return { charge: [], close: [] };
+  const [usersToCharge, chargeCount, usersToClose, closeCount] =
+    ethers.utils.defaultAbiCoder.decode(PERFORM_DATA_TYPES, performData);
+  return {
+    charge: usersToCharge.slice(0, chargeCount.toNumber()),
+    close: usersToClose.slice(0, closeCount.toNumber()),
+  };
+};
+
+// The same checks over every active user.
+const scanAll = async (leverage) => {
+  const linkPrice = await getLinkPrice(leverage);
+  const charge = [];
+  const close = [];
+  for (const user of await getActiveUsers(leverage)) {
+    if (await leverage.isReadyForPreAuthCharge(user)) charge.push(user);
+    const position = await leverage.positions(user);
+    if (calculateLTV(position, linkPrice).gt(UNSAFE_LTV_BPS)) close.push(user);
+  }
+  return { charge, close };
+};
+
+// Charge requests sent for `user` in the lookback window that the contract
+// still counts as in flight at `now`: fulfillRequest (and a close) clears
+// pendingCharges[user], and after REQUEST_TIMEOUT the request counts as lost,
+// as in _isPending, so the charge can be sent again.
+const findInFlightRequests = async (leverage, user, fromBlock, now) => {
+  const [events, pending, timeout] = await Promise.all([
+    leverage.queryFilter(
+      leverage.filters.PreAuthChargeInitiated(user),
+      fromBlock
+    ),
+    leverage.pendingCharges(user),
+    leverage.REQUEST_TIMEOUT(),
+  ]);
+  if (now >= pending.sentAt.add(timeout).toNumber()) return [];
+  return events
+    .map(({ args }) => args.requestId)
+    .filter((id) => id === pending.requestId);
+};
+
+// The args chargeExpiredPreAuth would send the capture source with now
+const chargeRequestArgs = async (leverage, user) => {
+  const position = await leverage.positions(user);
+  const captureCents = await leverage.getCaptureAmountCents(user);
+  const nonce = (await leverage.chargeRequestNonce()).add(1);
+  return [
+    position.stripePaymentIntentId,
+    captureCents.toString(),
+    nonce.toString(),
+  ];
+};
+
+// CreditShaftLeverage events in a receipt, skipping logs the ABI doesn't know.
+const receiptEvents = (leverage, receipt) =>
+  receipt.logs
+    .filter((log) => log.address === leverage.address)
+    .flatMap((log) => {
+      try {
+        return [leverage.interface.parseLog(log)];
+      } catch (e) {
+        return [];
+      }
+    });
+
+const bump = (fee, percent) => fee.mul(100 + percent).div(100);
+
+// Sends transactions from one signer with nonces tracked here rather than by
+// the node, so a stuck transaction can be replaced at the same nonce with
+// bumped fees.
+const createTransactionSender = (
+  signer,
+  {
+    confirmTimeoutSeconds = DEFAULT_CONFIRM_TIMEOUT_SECONDS,
+    maxBumps = DEFAULT_MAX_BUMPS,
+    bumpPercent = DEFAULT_BUMP_PERCENT,
+  } = {}
+) => {
+  let nonce = null;
+
+  const send = async (populate, label) => {
+    if (nonce === null) {
+      nonce = await signer.getTransactionCount("pending");
+    }
+    const unsigned = await populate();
+    const feeData = await signer.provider.getFeeData();
+    let fees = feeData.maxFeePerGas
+      ? {
+          maxFeePerGas: feeData.maxFeePerGas,
+          maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+        }
+      : { gasPrice: feeData.gasPrice };
+
+    // Every version sent at this nonce; whichever is mined wins
+    const hashes = [];
+    for (let attempt = 0; ; attempt++) {
+      const transaction = await signer.sendTransaction({
+        ...unsigned,
+        ...fees,
+        nonce,
+      });
+      hashes.push(transaction.hash);
+      console.log(
+        `${label}: sent ${transaction.hash} (nonce ${nonce}${
+          attempt > 0 ? `, bump ${attempt}` : ""
+        })`
+      );
+      try {
+        const receipt = await signer.provider.waitForTransaction(
+          transaction.hash,
+          1,
+          confirmTimeoutSeconds * 1000
+        );
+        nonce++;
+        return receipt;
+      } catch (e) {
+        if (e.code !== ethers.errors.TIMEOUT) {
+          // The nonce may or may not be used now; ask the node next time
+          nonce = null;
+          throw e;
+        }
+      }
+
+      for (const hash of hashes) {
+        const receipt = await signer.provider.getTransactionReceipt(hash);
+        if (receipt) {
+          nonce++;
+          return receipt;
+        }
+      }
+      if (attempt >= maxBumps) {
+        nonce = null;
+        throw new Error(
+          `${label}: not mined after ${maxBumps} fee bumps (${hashes.join(
+            ", "
+          )})`
+        );
+      }
+      fees = Object.fromEntries(
+        Object.entries(fees).map(([key, fee]) => [key, bump(fee, bumpPercent)])
+      );
+    }
+  };
+
+  return { send };
+};
+
+module.exports = {
+  DEFAULT_BUMP_PERCENT,
+  DEFAULT_CONFIRM_TIMEOUT_SECONDS,
+  DEFAULT_LOOKBACK_BLOCKS,
+  DEFAULT_MAX_BUMPS,
+  chargeRequestArgs,
+  createTransactionSender,
+  encodePerformData,
+  findInFlightRequests,
+  receiptEvents,
+  scanAll,
+  scanUpkeep,
+};
@@ -0,0 +1,339 @@
+const ethers = require("ethers");
+const leverageAbi = require("../../abis/CreditShaftLeverage.json");
+const erc20Abi = require("../../abis/ERC20.json");
+const { requireAddress } = require("./config");
+const { formatPaymentReference } = require("./payment-providers");
+const { verifyHold } = require("./hold-verification");
+
+// Helpers for CreditShaftLeverage positions. Calculations mirror the contract
+// so scripts can explain (or prepare for) what an on-chain call will do.
+
+const priceFeedAbi = ["function latestAnswer() view returns (int256)"];
+
+const PREAUTH_MULTIPLIER = 150; // CreditShaftLeverage.PREAUTH_MULTIPLIER
+// checkUpkeep closes positions above this LTV, in basis points
+const UNSAFE_LTV_BPS = 6500;
+// checkUpkeep only scans this many activeUsers
+const UPKEEP_SCAN_LIMIT = 50;
+// Held on top of the pre-auth, in basis points, for LINK moving before the open
+const DEFAULT_HOLD_BUFFER_BPS = 200;
+
+const getLeverageContract = (config, signerOrProvider) =>
+  new ethers.Contract(
+    requireAddress(config, "CreditShaftLeverage"),
+    leverageAbi,
+    signerOrProvider
+  );
+
+const getLinkPrice = async (leverage) => {
+  const priceFeed = new ethers.Contract(
+    await leverage.linkPriceFeed(),
+    priceFeedAbi,
+    leverage.provider
+  );
+  return priceFeed.latestAnswer();
+};
+
+// activeUsers has no length getter, so read it until the index runs past the end.
+const getActiveUsers = async (leverage) => {
+  const users = [];
+  for (;;) {
+    try {
+      users.push(await leverage.activeUsers(users.length));
+    } catch (e) {
+      if (e.code === "CALL_EXCEPTION") return users;
+      throw e;
+    }
+  }
+};
+
+// Active, uncharged positions - the card holds the contract still has to
+// charge or release. `due` when the pre-auth expires before `before` (unix
+// seconds), so automation sends a capture request for it; `reauthorizable`
+// when a saved card lets the hold be rolled over instead.
+const findOpenHolds = async (leverage, before) => {
+  const holds = [];
+  for (const user of await getActiveUsers(leverage)) {
+    const position = await leverage.positions(user);
+    if (!position.isActive || position.preAuthCharged) continue;
+    holds.push({
+      user,
+      preAuthExpiryTime: position.preAuthExpiryTime,
+      due: position.preAuthExpiryTime.toNumber() <= before,
+      reauthorizable: Boolean(
+        position.stripeCustomerId && position.stripePaymentMethodId
+      ),
+    });
+  }
+  return holds;
+};
+
+// USDC (6 decimals) value of LINK (18 decimals) at a price with 8 decimals,
+// as in CreditShaftLeverage._collateralValueUSD.
+const collateralValueUSDC = (suppliedLINK, linkPrice) =>
+  suppliedLINK.mul(linkPrice).div(ethers.BigNumber.from(10).pow(20));
+
+// LTV in basis points, as in CreditShaftLeverage._calculateUserLTV.
+const calculateLTV = (position, linkPrice) => {
+  if (!position.isActive || position.suppliedLINK.isZero())
+    return ethers.constants.Zero;
+  const collateralValue = collateralValueUSDC(position.suppliedLINK, linkPrice);
+  if (collateralValue.isZero()) return ethers.BigNumber.from(10000);
+  return position.borrowedUSDC.mul(10000).div(collateralValue);
+};
+
+// The card hold openPosition places: the pre-auth's cents plus bufferBps.
+const bufferedHoldCents = (holdCents, bufferBps) =>
+  ethers.BigNumber.from(holdCents)
+    .mul(10000 + bufferBps)
+    .add(9999)
+    .div(10000);
+
+// The borrow and card hold openLeveragePosition computes for a position,
+// given getLINKPrice(). holdCents rounds up so the hold covers preAuthAmount.
+const computePreAuth = (linkPrice, leverageRatio, collateralAmount) => {
+  const leverageMultiplier = ethers.BigNumber.from(leverageRatio).sub(100);
+  const collateralUSDValue = collateralValueUSDC(collateralAmount, linkPrice);
+  const borrowUSDValue = collateralUSDValue.mul(leverageMultiplier).div(100);
+  const preAuthAmount = borrowUSDValue.mul(PREAUTH_MULTIPLIER).div(100);
+  return {
+    collateralUSDValue,
+    borrowUSDValue,
+    preAuthAmount,
+    holdCents: preAuthAmount.add(9999).div(10000),
+  };
+};
+
+// What a pre-auth charge would capture now: the debt not covered by the
+// collateral, in cents, capped at the card hold. The rest of the hold is
+// released. Mirrors getUncoveredDebt and getCaptureAmountCents.
+const previewCapture = async (leverage, user) => {
+  const position = await leverage.positions(user);
+  if (!position.isActive) throw new Error(`${user} has no active position`);
+
+  const linkPrice = await getLinkPrice(leverage);
+  const collateralValue = collateralValueUSDC(position.suppliedLINK, linkPrice);
+  let uncoveredUSDC = position.borrowedUSDC.gt(collateralValue)
+    ? position.borrowedUSDC.sub(collateralValue)
+    : ethers.constants.Zero;
+  if (uncoveredUSDC.gt(position.preAuthAmount)) {
+    uncoveredUSDC = position.preAuthAmount;
+  }
+
+  const holdCents = position.preAuthAmount.div(10000);
+  let captureCents = uncoveredUSDC.add(9999).div(10000);
+  if (captureCents.gt(holdCents)) captureCents = holdCents;
+
+  return {
+    position,
+    linkPrice,
+    collateralValueUSDC: collateralValue,
+    uncoveredUSDC,
+    holdCents,
+    captureCents,
+    releaseCents: holdCents.sub(captureCents),
+    onChainCaptureCents: await leverage.getCaptureAmountCents(user),
+    readyToCharge: await leverage.isReadyForPreAuthCharge(user),
+  };
+};
+
+// Whether an open that threw may still have put the position on the hold:
+// the position points at it, or the open transaction was sent and its
+// receipt is missing (still pending, dropped or replaced) or succeeded.
+// Reads that fail count as "may have", since releasing is not undone.
+const openMayHaveHappened = async (
+  leverage,
+  user,
+  paymentReference,
+  transaction
+) => {
+  try {
+    const position = await leverage.positions(user);
+    if (
+      position.isActive &&
+      position.stripePaymentIntentId === paymentReference
+    )
+      return true;
+    if (!transaction) return false;
+    const receipt = await leverage.provider.getTransactionReceipt(
+      transaction.hash
+    );
+    return !receipt || receipt.status === 1;
+  } catch (e) {
+    return true;
+  }
+};
+
+// Holds the pre-auth on the card with the payment provider, then opens the
+// position with the hold's payment reference, first having the contract
+// verify the hold when it requires that. The hold is released again when the
+// open definitely did not happen, so a failed open never leaves money held;
+// one that may have gone through keeps its hold.
+// The contract prices the pre-auth at the open's block, so the hold carries
+// holdBufferBps on top, and the open is refused when LINK has risen past it.
+const openPosition = async (
+  leverage,
+  payments,
+  {
+    leverageRatio,
+    collateralAmount,
+    expiryTime,
+    customer,
+    paymentMethod,
+    metadata,
+    preflight,
+    holdBufferBps = DEFAULT_HOLD_BUFFER_BPS,
+  }
+) => {
+  const user = await leverage.signer.getAddress();
+  const linkPrice = await leverage.getLINKPrice();
+  const preAuth = computePreAuth(linkPrice, leverageRatio, collateralAmount);
+  if (preAuth.holdCents.isZero()) throw new Error("Pre-auth amount is zero");
+  const heldCents = bufferedHoldCents(preAuth.holdCents, holdBufferBps);
+
+  // LINK is pulled with transferFrom, so approve it before holding the card
+  const link = new ethers.Contract(
+    await leverage.link(),
+    erc20Abi,
+    leverage.signer
+  );
+  const balance = await link.balanceOf(user);
+  if (balance.lt(collateralAmount)) {
+    throw new Error(
+      `${user} holds ${ethers.utils.formatEther(
+        balance
+      )} LINK, ${ethers.utils.formatEther(collateralAmount)} needed`
+    );
+  }
+  const allowance = await link.allowance(user, leverage.address);
+  if (allowance.lt(collateralAmount)) {
+    const approval = await link.approve(leverage.address, collateralAmount);
+    console.log(`Approving LINK. Transaction hash ${approval.hash}`);
+    await approval.wait();
+  }
+
+  const authorization = await payments.authorize({
+    amountCents: heldCents.toString(),
+    customer,
+    paymentMethod,
+    metadata: {
+      wallet: user,
+      leverage_contract: leverage.address,
+      leverage_ratio: String(leverageRatio),
+      collateral_link: ethers.utils.formatEther(collateralAmount),
+      ...metadata,
+    },
+    idempotencyKey: `creditshaft-open-${user}-${expiryTime}-${heldCents}`,
+  });
+  if (authorization.state !== "authorized") {
+    throw new Error(
+      `Authorization ${authorization.id} is ${authorization.state}, expected authorized`
+    );
+  }
+  const paymentReference = formatPaymentReference(
+    payments.name,
+    authorization.id
+  );
+  console.log(
+    `Held ${ethers.utils.formatUnits(
+      heldCents,
+      2
+    )} USD with ${paymentReference}`
+  );
+
+  let transaction;
+  try {
+    if (await leverage.holdVerificationRequired()) {
+      const verdict = await verifyHold(
+        leverage,
+        {
+          leverageRatio,
+          collateralAmount,
+          expiryTime,
+          paymentReference,
+          holdCents: preAuth.holdCents,
+        },
+        { preflight }
+      );
+      if (!verdict.verified) {
+        throw new Error(`Hold ${paymentReference} rejected: ${verdict.reason}`);
+      }
+      console.log(
+        `Hold verified until ${new Date(
+          verdict.authorizationExpiry * 1000
+        ).toISOString()}`
+      );
+    }
+    const { holdCents: dueCents } = computePreAuth(
+      await leverage.getLINKPrice(),
+      leverageRatio,
+      collateralAmount
+    );
+    if (dueCents.gt(heldCents)) {
+      throw new Error(
+        `LINK rose past the hold buffer: the pre-auth is now ${ethers.utils.formatUnits(
+          dueCents,
+          2
+        )} USD, ${paymentReference} holds ${ethers.utils.formatUnits(
+          heldCents,
+          2
+        )} USD`
+      );
+    }
+    transaction = await leverage.openLeveragePosition(
+      leverageRatio,
+      collateralAmount,
+      expiryTime,
+      paymentReference,
+      customer,
+      paymentMethod
+    );
+    console.log(`Opening position. Transaction hash ${transaction.hash}`);
+    const receipt = await transaction.wait();
+    return {
+      authorization,
+      paymentReference,
+      preAuth,
+      heldCents,
+      linkPrice,
+      receipt,
+    };
+  } catch (e) {
+    // A wait() that fails or times out does not mean the open was not mined
+    if (
+      await openMayHaveHappened(leverage, user, paymentReference, transaction)
+    ) {
+      console.log(
+        `⚠️ Kept ${paymentReference}: the open may have gone through. Check the position before running "creditshaft release ${paymentReference}"`
+      );
+      throw e;
+    }
+    // The open's error is what the caller needs. No position points at the
+    // hold, so a release that fails here is left to a manual release
+    try {
+      await payments.release(authorization.id);
+      console.log(`Released ${paymentReference} after the open failed`);
+    } catch (releaseError) {
+      console.log(
+        `❌ Could not release ${paymentReference} after the open failed - ${releaseError.message}. Run "creditshaft release ${paymentReference}"`
+      );
+    }
+    throw e;
+  }
+};
+
+module.exports = {
+  DEFAULT_HOLD_BUFFER_BPS,
+  UNSAFE_LTV_BPS,
+  UPKEEP_SCAN_LIMIT,
+  bufferedHoldCents,
+  calculateLTV,
+  collateralValueUSDC,
+  computePreAuth,
+  findOpenHolds,
+  getActiveUsers,
+  getLeverageContract,
+  getLinkPrice,
+  openPosition,
+  previewCapture,
+};
@@ -0,0 +1,318 @@
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+const cbor = require("cbor");
+const {
+  callReportGasLimit,
+  deployFunctionsOracle,
+  simulatedCoordinatorConfig,
+} = require("@chainlink/functions-toolkit");
+const { runSource } = require("./functions-sandbox");
+const { SOURCES, readOnChainSource } = require("./sources");
+
+// The whole protocol on a local chain: the toolkit's Functions router and
+// mock coordinator, mock USDC, LINK, Aave pool, Uniswap router and a LINK/USD
+// feed whose latestAnswer scenarios move (src/mocks), and CreditShaftCore,
+// AaveStrategy, CreditShaftLeverage and StripeRequests wired as in
+// script/DeployCreditShaftLeverage.s.sol. Contracts load from forge's out/.
+
+const OUT_DIR = path.resolve(__dirname, "../../out");
+
+const DEFAULT_LINK_PRICE = "15.00"; // USD
+const SECRETS_VERSION = 1;
+const SUBSCRIPTION_LINK = "1000";
+const CORE_LIQUIDITY_USDC = "1000000";
+const POOL_RESERVE_USDC = "1000000";
+const ROUTER_RESERVE_USDC = "1000000";
+const ROUTER_RESERVE_LINK = "100000";
+
+const loadArtifact = (name) => {
+  const file = path.join(OUT_DIR, `${name}.sol`, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `${path.relative(process.cwd(), file)} missing - run forge build`
+    );
+  }
+  const { abi, bytecode } = JSON.parse(fs.readFileSync(file).toString());
+  return { abi, bytecode: bytecode.object };
+};
+
+const deployContract = async (signer, { abi, bytecode }, args = []) => {
+  const contract = await new ethers.ContractFactory(
+    abi,
+    bytecode,
+    signer
+  ).deploy(...args);
+  await contract.deployed();
+  return contract;
+};
+const deploy = (signer, name, args) =>
+  deployContract(signer, loadArtifact(name), args);
+const send = async (transaction) => (await transaction).wait();
+
+// Deploys everything from account 0 and seeds the liquidity a position needs:
+// the Core's flash loan pool (added by account 1, the LP), USDC for the Aave
+// pool to lend and both tokens for the router to swap.
+const deployLocalStack = async (
+  provider,
+  { linkPrice = DEFAULT_LINK_PRICE } = {}
+) => {
+  const deployer = provider.getSigner(0);
+  const lp = provider.getSigner(1);
+
+  const functions = await deployFunctionsOracle(deployer);
+  const functionsRouter = functions.functionsRouterContract;
+  const donId = ethers.utils.formatBytes32String(functions.donId);
+  const subscriptionId = await functionsRouter.callStatic.createSubscription();
+  await send(functionsRouter.createSubscription());
+
+  const priceFeed = await deploy(deployer, "MockPriceFeed", [
+    8,
+    ethers.utils.parseUnits(linkPrice, 8),
+  ]);
+  const usdc = await deploy(deployer, "MockERC20", ["USD Coin", "USDC", 6]);
+  const link = await deploy(deployer, "MockERC20", [
+    "ChainLink Token",
+    "LINK",
+    18,
+  ]);
+  const aavePool = await deploy(deployer, "MockAavePool", [
+    usdc.address,
+    link.address,
+    priceFeed.address,
+  ]);
+  const uniswapRouter = await deploy(deployer, "MockUniswapRouter", [
+    usdc.address,
+    link.address,
+    priceFeed.address,
+  ]);
+
+  const lpToken = await deploy(deployer, "SimplifiedLPToken", [
+    "CreditShaft Core LP",
+    "cscLP",
+  ]);
+  const core = await deploy(deployer, "CreditShaftCore", [
+    usdc.address,
+    lpToken.address,
+  ]);
+  const leverage = await deploy(deployer, "CreditShaftLeverage", [
+    core.address,
+    ethers.constants.AddressZero,
+    uniswapRouter.address,
+    priceFeed.address,
+    usdc.address,
+    link.address,
+    functionsRouter.address,
+    donId,
+    SECRETS_VERSION,
+    subscriptionId,
+  ]);
+  const aaveStrategy = await deploy(deployer, "AaveStrategy", [
+    aavePool.address,
+    core.address,
+    leverage.address,
+  ]);
+  await send(leverage.setAaveStrategy(aaveStrategy.address));
+  const stripeRequests = await deploy(deployer, "StripeRequests");
+  await send(leverage.setStripeRequests(stripeRequests.address));
+  await send(lpToken.transferOwnership(core.address));
+
+  await send(functionsRouter.addConsumer(subscriptionId, leverage.address));
+  await send(
+    functions.linkTokenContract.transferAndCall(
+      functionsRouter.address,
+      ethers.utils.parseEther(SUBSCRIPTION_LINK),
+      ethers.utils.defaultAbiCoder.encode(["uint64"], [subscriptionId])
+    )
+  );
+
+  const coreLiquidity = ethers.utils.parseUnits(CORE_LIQUIDITY_USDC, 6);
+  await send(usdc.mint(await lp.getAddress(), coreLiquidity));
+  await send(usdc.connect(lp).approve(core.address, coreLiquidity));
+  await send(core.connect(lp).addUSDCLiquidity(coreLiquidity));
+  await send(
+    usdc.mint(aavePool.address, ethers.utils.parseUnits(POOL_RESERVE_USDC, 6))
+  );
+  await send(
+    usdc.mint(
+      uniswapRouter.address,
+      ethers.utils.parseUnits(ROUTER_RESERVE_USDC, 6)
+    )
+  );
+  await send(
+    link.mint(
+      uniswapRouter.address,
+      ethers.utils.parseEther(ROUTER_RESERVE_LINK)
+    )
+  );
+
+  return {
+    deployer,
+    lp,
+    functions,
+    functionsRouter,
+    donId,
+    subscriptionId,
+    priceFeed,
+    usdc,
+    link,
+    aavePool,
+    uniswapRouter,
+    lpToken,
+    core,
+    aaveStrategy,
+    leverage,
+    stripeRequests,
+  };
+};
+
+// The request data contracts build with FunctionsRequest.encodeCBOR: a flat
+// CBOR sequence of keys and values (source, args, secrets location, ...).
+const decodeRequestData = async (data) => {
+  const items = await cbor.decodeAll(Buffer.from(data.slice(2), "hex"));
+  const request = {};
+  for (let i = 0; i + 1 < items.length; i += 2)
+    request[items[i]] = items[i + 1];
+  return request;
+};
+
+const COMMITMENT_TYPES = [
+  "bytes32",
+  "address",
+  "uint96",
+  "address",
+  "uint64",
+  "uint32",
+  "uint72",
+  "uint72",
+  "uint40",
+  "uint40",
+  "uint32",
+];
+
+// The report layout the coordinator's callReport takes for a single request
+const encodeReport = (commitment, { responseBytesHexstring, errorString }) =>
+  ethers.utils.defaultAbiCoder.encode(
+    ["bytes32[]", "bytes[]", "bytes[]", "bytes[]", "bytes[]"],
+    [
+      [commitment.requestId],
+      [responseBytesHexstring || "0x"],
+      [errorString ? ethers.utils.toUtf8Bytes(errorString) : "0x"],
+      [
+        ethers.utils.defaultAbiCoder.encode(COMMITMENT_TYPES, [
+          commitment.requestId,
+          commitment.coordinator,
+          commitment.estimatedTotalCostJuels,
+          commitment.client,
+          commitment.subscriptionId,
+          commitment.callbackGasLimit,
+          commitment.adminFee,
+          commitment.donFee,
+          commitment.gasOverheadBeforeCallback,
+          commitment.gasOverheadAfterCallback,
+          commitment.timeoutTimestamp,
+        ]),
+      ],
+      ["0x"],
+    ]
+  );
+
+// Plays the DON for the local router. fulfill() picks up the coordinator's
+// OracleRequest events since the last call, runs each request's source
+// in-process with `secrets` and `rewrite` (see runSource) and reports the
+// result, which has the router call the consumer's fulfillRequest. Each
+// fulfillment names the source, its result and the router's resultCode
+// (FulfillmentCode, 0 when the callback succeeded).
+const createLocalDon = (stack, { secrets, rewrite }) => {
+  const coordinator = stack.functions.functionsMockCoordinatorContract.connect(
+    stack.deployer
+  );
+  const routerInterface = stack.functions.functionsRouterContract.interface;
+  const sourceNames = Object.fromEntries(
+    Object.keys(SOURCES).map((name) => [readOnChainSource(name), name])
+  );
+  let fromBlock = 0;
+  // Straight from the node: the provider's getBlockNumber() never goes back,
+  // but reverting to a snapshot does
+  const headBlock = async () =>
+    Number(await coordinator.provider.send("eth_blockNumber", []));
+
+  const fulfill = async () => {
+    const toBlock = await headBlock();
+    // Nothing mined since the last call
+    if (toBlock < fromBlock) return [];
+    const events = await coordinator.queryFilter(
+      coordinator.filters.OracleRequest(),
+      fromBlock,
+      toBlock
+    );
+    fromBlock = toBlock + 1;
+
+    const fulfillments = [];
+    for (const { args } of events) {
+      const request = await decodeRequestData(args.data);
+      const result = await runSource({
+        source: request.source,
+        args: request.args || [],
+        secrets,
+        rewrite,
+      });
+      // At the coordinator's minimum gas price the cost never exceeds the
+      // commitment's estimate
+      const transaction = await coordinator.callReport(
+        encodeReport(args.commitment, result),
+        {
+          gasLimit: callReportGasLimit,
+          gasPrice: simulatedCoordinatorConfig.minimumEstimateGasPriceWei,
+        }
+      );
+      const receipt = await transaction.wait();
+      const processed = receipt.logs
+        .filter((log) => log.address === stack.functionsRouter.address)
+        .map((log) => routerInterface.parseLog(log))
+        .find((event) => event.name === "RequestProcessed");
+      fulfillments.push({
+        requestId: args.requestId,
+        source: sourceNames[request.source] || "unknown",
+        args: request.args || [],
+        result,
+        resultCode: processed ? processed.args.resultCode : null,
+        receipt,
+      });
+    }
+    return fulfillments;
+  };
+
+  // Requests sent before now are left alone, e.g. after reverting to a snapshot
+  const skipPending = async () => {
+    fromBlock = (await headBlock()) + 1;
+  };
+
+  // Keeps fulfilling in the background until the returned stop() is called,
+  // for flows that wait on a fulfillment themselves (e.g. verifyHold)
+  const autoFulfill = (intervalMs = 500) => {
+    let running = true;
+    const loop = (async () => {
+      while (running) {
+        await fulfill();
+        await new Promise((resolve) => setTimeout(resolve, intervalMs));
+      }
+    })();
+    // A failed fulfillment stops the loop and is thrown by stop()
+    loop.catch(() => {});
+    return async () => {
+      running = false;
+      await loop;
+    };
+  };
+
+  return { autoFulfill, fulfill, skipPending };
+};
+
+module.exports = {
+  DEFAULT_LINK_PRICE,
+  createLocalDon,
+  decodeRequestData,
+  deployLocalStack,
+  loadArtifact,
+};
@@ -0,0 +1,60 @@
+// Fetches logs for [fromBlock, toBlock] in chunks, halving the chunk whenever
+// the RPC rejects a range as too large.
+const fetchLogs = async (provider, filter, fromBlock, toBlock, chunkSize) => {
+  const logs = [];
+  let size = chunkSize;
+  for (let start = fromBlock; start <= toBlock; ) {
+    const end = Math.min(start + size - 1, toBlock);
+    try {
+      logs.push(
+        ...(await provider.getLogs({
+          ...filter,
+          fromBlock: start,
+          toBlock: end,
+        }))
+      );
+      start = end + 1;
+    } catch (e) {
+      if (size === 1) throw e;
+      size = Math.ceil(size / 2);
+    }
+  }
+  return logs;
+};
+
+// The contract's creation block, by binary search over getCode, so a first
+// backfill starts where the events do. Needs an archive RPC.
+const findDeploymentBlock = async (provider, address) => {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  if ((await provider.getCode(address, high)) === "0x") {
+    throw new Error(`No contract code at ${address}`);
+  }
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if ((await provider.getCode(address, mid)) === "0x") low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Polls for the first event matching any of `filters` from fromBlock on, in
+// filter order, resolving to null once timeoutMs passes without one.
+const waitForEvent = async (
+  contract,
+  filters,
+  fromBlock,
+  { timeoutMs, intervalMs = 5000 }
+) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    for (const filter of filters) {
+      const [event] = await contract.queryFilter(filter, fromBlock);
+      if (event) return event;
+    }
+    if (Date.now() >= deadline) return null;
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+};
+
+module.exports = { fetchLogs, findDeploymentBlock, waitForEvent };
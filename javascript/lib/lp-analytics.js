@@ -0,0 +1,369 @@
+const ethers = require("ethers");
+const erc20Abi = require("../../abis/ERC20.json");
+const { requireAddress } = require("./config");
+const { fetchLogs } = require("./logs");
+
+// What CreditShaftCore's liquidity providers earn. Replays deposits,
+// withdrawals, flash loan premiums and the LP profits CreditShaftLeverage
+// sends on close with the contract's own integer math, rebuilding the LP
+// token share price after every event, then derives the realized APY and each
+// LP's PnL from it.
+
+const coreAbi = [
+  "event FlashLoanProvided(address indexed recipient, uint256 amount, uint256 premium)",
+  "event USDCLiquidityProvided(address indexed lp, uint256 amount)",
+  "event USDCLiquidityWithdrawn(address indexed lp, uint256 amount)",
+  "function getAvailableUSDCLiquidity() view returns (uint256)",
+  "function getTotalUSDCLiquidity() view returns (uint256)",
+  "function lpToken() view returns (address)",
+  "function totalFlashLoanFees() view returns (uint256)",
+  "function usdc() view returns (address)",
+];
+
+const DEFAULT_CHUNK_SIZE = 2000;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+// USDC and the LP token both have 6 decimals; share prices are USDC per LP
+// token with 6 decimals too
+const ONE = ethers.BigNumber.from(10).pow(6);
+const { Zero } = ethers.constants;
+
+const CORE_EVENTS = {
+  USDCLiquidityProvided: "deposit",
+  USDCLiquidityWithdrawn: "withdrawal",
+  FlashLoanProvided: "flash_loan",
+};
+
+const getCoreContracts = async (config, provider) => {
+  const core = new ethers.Contract(
+    requireAddress(config, "CreditShaftCore"),
+    coreAbi,
+    provider
+  );
+  return {
+    core,
+    lpToken: new ethers.Contract(await core.lpToken(), erc20Abi, provider),
+    usdc: new ethers.Contract(await core.usdc(), erc20Abi, provider),
+  };
+};
+
+const addressTopic = (address) => ethers.utils.hexZeroPad(address, 32);
+
+const byLogPosition = (a, b) =>
+  a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+// receiveRewards emits nothing, so LP profits are found as USDC sent to the
+// core by a flash loan recipient (CreditShaftLeverage) beyond what repays
+// that transaction's flash loans.
+const findRewards = (usdcTransfers, flashLoans) => {
+  const byTransaction = new Map();
+  for (const transfer of usdcTransfers) {
+    const entry = byTransaction.get(transfer.transactionHash) || {
+      ...transfer,
+      amount: Zero,
+    };
+    entry.amount = entry.amount.add(transfer.amount);
+    byTransaction.set(transfer.transactionHash, entry);
+  }
+  for (const loan of flashLoans) {
+    const entry = byTransaction.get(loan.transactionHash);
+    if (entry) entry.amount = entry.amount.sub(loan.amount.add(loan.premium));
+  }
+  return [...byTransaction.values()]
+    .filter((entry) => entry.amount.gt(0))
+    .map((entry) => ({ ...entry, type: "rewards" }));
+};
+
+// Every event that moves the pool or the LP token, in chain order, with the
+// block timestamp of each.
+const fetchPoolEvents = async (
+  { core, lpToken, usdc },
+  { fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE }
+) => {
+  const provider = core.provider;
+  const position = (log) => ({
+    blockNumber: log.blockNumber,
+    logIndex: log.logIndex,
+    transactionHash: log.transactionHash,
+  });
+
+  const coreLogs = await fetchLogs(
+    provider,
+    {
+      address: core.address,
+      topics: [
+        Object.keys(CORE_EVENTS).map((name) =>
+          core.interface.getEventTopic(name)
+        ),
+      ],
+    },
+    fromBlock,
+    toBlock,
+    chunkSize
+  );
+  const coreEvents = coreLogs.map((log) => {
+    const { name, args } = core.interface.parseLog(log);
+    return {
+      ...position(log),
+      type: CORE_EVENTS[name],
+      account: args.lp || args.recipient,
+      amount: args.amount,
+      premium: args.premium,
+    };
+  });
+
+  const transfers = (
+    await fetchLogs(
+      provider,
+      {
+        address: lpToken.address,
+        topics: [lpToken.interface.getEventTopic("Transfer")],
+      },
+      fromBlock,
+      toBlock,
+      chunkSize
+    )
+  ).map((log) => {
+    const { from, to, value } = lpToken.interface.parseLog(log).args;
+    return { ...position(log), type: "transfer", from, to, amount: value };
+  });
+
+  const flashLoans = coreEvents.filter((event) => event.type === "flash_loan");
+  const recipients = [...new Set(flashLoans.map((loan) => loan.account))];
+  let rewards = [];
+  if (recipients.length > 0) {
+    const usdcTransfers = (
+      await fetchLogs(
+        provider,
+        {
+          address: usdc.address,
+          topics: [
+            usdc.interface.getEventTopic("Transfer"),
+            recipients.map(addressTopic),
+            addressTopic(core.address),
+          ],
+        },
+        fromBlock,
+        toBlock,
+        chunkSize
+      )
+    ).map((log) => ({
+      ...position(log),
+      account: usdc.interface.parseLog(log).args.from,
+      amount: usdc.interface.parseLog(log).args.value,
+    }));
+    rewards = findRewards(usdcTransfers, flashLoans);
+  }
+
+  const events = [...coreEvents, ...transfers, ...rewards].sort(byLogPosition);
+  const timestamps = {};
+  for (const blockNumber of new Set(events.map((event) => event.blockNumber))) {
+    timestamps[blockNumber] = (await provider.getBlock(blockNumber)).timestamp;
+  }
+  return events.map((event) => ({
+    ...event,
+    timestamp: timestamps[event.blockNumber],
+  }));
+};
+
+const lpEntry = (lps, lp) => {
+  if (!lps[lp]) {
+    lps[lp] = {
+      lp,
+      deposited: Zero,
+      withdrawn: Zero,
+      transferredIn: Zero,
+      transferredOut: Zero,
+      lpBalance: Zero,
+    };
+  }
+  return lps[lp];
+};
+
+// Mirrors addUSDCLiquidity / removeUSDCLiquidity / provideFlashLoan /
+// receiveRewards. LP token amounts come from the token's Transfer events, so
+// balances also follow tokens moved between wallets; those moves are valued
+// at the share price of the moment. Mints and burns precede the core event of
+// the same call, so every snapshot sees a consistent pool and supply.
+const replayPool = (events) => {
+  let liquidity = Zero;
+  let fees = Zero;
+  let supply = Zero;
+  const lps = {};
+  const snapshots = [];
+  const totals = {
+    deposited: Zero,
+    withdrawn: Zero,
+    flashLoanVolume: Zero,
+    flashLoanPremiums: Zero,
+    rewards: Zero,
+    flashLoans: 0,
+  };
+
+  const valueOf = (lpTokens) =>
+    supply.isZero() ? lpTokens : lpTokens.mul(liquidity.add(fees)).div(supply);
+
+  for (const event of events) {
+    if (event.type === "transfer") {
+      const { from, to, amount } = event;
+      if (from === ethers.constants.AddressZero) {
+        supply = supply.add(amount);
+      } else {
+        const entry = lpEntry(lps, from);
+        entry.lpBalance = entry.lpBalance.sub(amount);
+        if (to !== ethers.constants.AddressZero) {
+          entry.transferredOut = entry.transferredOut.add(valueOf(amount));
+        }
+      }
+      if (to === ethers.constants.AddressZero) {
+        supply = supply.sub(amount);
+      } else {
+        const entry = lpEntry(lps, to);
+        entry.lpBalance = entry.lpBalance.add(amount);
+        if (from !== ethers.constants.AddressZero) {
+          entry.transferredIn = entry.transferredIn.add(valueOf(amount));
+        }
+      }
+      continue;
+    }
+
+    if (event.type === "deposit") {
+      liquidity = liquidity.add(event.amount);
+      totals.deposited = totals.deposited.add(event.amount);
+      const entry = lpEntry(lps, event.account);
+      entry.deposited = entry.deposited.add(event.amount);
+    } else if (event.type === "withdrawal") {
+      if (event.amount.lte(fees)) {
+        fees = fees.sub(event.amount);
+      } else {
+        liquidity = liquidity.sub(event.amount.sub(fees));
+        fees = Zero;
+      }
+      totals.withdrawn = totals.withdrawn.add(event.amount);
+      const entry = lpEntry(lps, event.account);
+      entry.withdrawn = entry.withdrawn.add(event.amount);
+    } else if (event.type === "flash_loan") {
+      fees = fees.add(event.premium);
+      totals.flashLoans++;
+      totals.flashLoanVolume = totals.flashLoanVolume.add(event.amount);
+      totals.flashLoanPremiums = totals.flashLoanPremiums.add(event.premium);
+    } else if (event.type === "rewards") {
+      fees = fees.add(event.amount);
+      totals.rewards = totals.rewards.add(event.amount);
+    }
+
+    snapshots.push({
+      type: event.type,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash,
+      amount: event.type === "flash_loan" ? event.premium : event.amount,
+      liquidity,
+      fees,
+      supply,
+      sharePrice: supply.isZero() ? ONE : valueOf(ONE),
+    });
+  }
+
+  const positions = Object.values(lps).map((entry) => {
+    const value = valueOf(entry.lpBalance);
+    const invested = entry.deposited.add(entry.transferredIn);
+    const pnl = entry.withdrawn
+      .add(entry.transferredOut)
+      .add(value)
+      .sub(invested);
+    return {
+      ...entry,
+      value,
+      pnl,
+      returnPct: invested.isZero()
+        ? null
+        : (Number(pnl.toString()) / Number(invested.toString())) * 100,
+    };
+  });
+  positions.sort((a, b) =>
+    b.value.gt(a.value) ? 1 : b.value.lt(a.value) ? -1 : 0
+  );
+
+  return { liquidity, fees, supply, snapshots, positions, totals };
+};
+
+// Compounded annual growth of the share price between the first snapshot
+// with LP tokens outstanding and the last one.
+const realizedApy = (snapshots) => {
+  const live = snapshots.filter((snapshot) => !snapshot.supply.isZero());
+  if (live.length < 2) return null;
+  const first = live[0];
+  const last = live[live.length - 1];
+  const elapsed = last.timestamp - first.timestamp;
+  if (elapsed <= 0) return null;
+  const growth =
+    Number(last.sharePrice.toString()) / Number(first.sharePrice.toString());
+  return (Math.pow(growth, SECONDS_PER_YEAR / elapsed) - 1) * 100;
+};
+
+// The pool as the contract reports it now. utilizationPct is the share of LP
+// principal (getTotalUSDCLiquidity) not held by the core right now, i.e. out
+// on a flash loan; unattributed is pool value the replay cannot explain, such
+// as receiveRewards called directly or events before --from-block.
+const readPoolState = async ({ core, lpToken }, replay, blockTag) => {
+  const [available, total, fees, supply] = await Promise.all([
+    core.getAvailableUSDCLiquidity({ blockTag }),
+    core.getTotalUSDCLiquidity({ blockTag }),
+    core.totalFlashLoanFees({ blockTag }),
+    lpToken.totalSupply({ blockTag }),
+  ]);
+  const outstanding = total.gt(available) ? total.sub(available) : Zero;
+  return {
+    available,
+    total,
+    fees,
+    supply,
+    sharePrice: supply.isZero() ? ONE : total.add(fees).mul(ONE).div(supply),
+    utilizationPct: total.isZero()
+      ? 0
+      : (Number(outstanding.toString()) / Number(total.toString())) * 100,
+    unattributed: total.add(fees).sub(replay.liquidity.add(replay.fees)),
+  };
+};
+
+const buildReport = async (contracts, { fromBlock, toBlock, chunkSize }) => {
+  const events = await fetchPoolEvents(contracts, {
+    fromBlock,
+    toBlock,
+    chunkSize,
+  });
+  const replay = replayPool(events);
+  return {
+    core: contracts.core.address,
+    lpToken: contracts.lpToken.address,
+    fromBlock,
+    toBlock,
+    pool: await readPoolState(contracts, replay, toBlock),
+    apyPct: realizedApy(replay.snapshots),
+    totals: replay.totals,
+    snapshots: replay.snapshots,
+    positions: replay.positions,
+  };
+};
+
+// BigNumbers as USDC / LP token decimal strings, for JSON output.
+const toJson = (report) =>
+  JSON.stringify(
+    report,
+    (key, value) =>
+      value && value.type === "BigNumber"
+        ? ethers.utils.formatUnits(ethers.BigNumber.from(value.hex), 6)
+        : value,
+    2
+  );
+
+module.exports = {
+  buildReport,
+  fetchPoolEvents,
+  findRewards,
+  getCoreContracts,
+  readPoolState,
+  realizedApy,
+  replayPool,
+  toJson,
+};
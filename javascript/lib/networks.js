@@ -0,0 +1,81 @@
+// Chainlink Functions settings and token/feed addresses per network, used when
+// a value is not available from deployments/<network>.json or a command-line
+// flag. Addresses are Chainlink's published testnet deployments.
+
+const TESTNET_GATEWAYS = [
+  "https://01.functions-gateway.testnet.chain.link/",
+  "https://02.functions-gateway.testnet.chain.link/",
+];
+
+const NETWORKS = {
+  sepolia: {
+    chainId: 11155111,
+    rpcUrlEnv: ["SEPOLIA_RPC_URL", "ETHEREUM_SEPOLIA_RPC_URL"],
+    functionsRouter: "0xb83E47C2bC239B3bf370bc41e1459A34b41238D0",
+    linkToken: "0x779877A7B0D9E8603169DdbD7836e478b4624789",
+    linkUsdFeed: "0xc59E3633BAAC79493d908e63626716e204A45EdF",
+    donId: "fun-ethereum-sepolia-1",
+    gatewayUrls: TESTNET_GATEWAYS,
+    explorerUrl: "https://sepolia.etherscan.io",
+  },
+  "arbitrum-sepolia": {
+    chainId: 421614,
+    rpcUrlEnv: ["ARBITRUM_SEPOLIA_RPC_URL"],
+    functionsRouter: "0x234a5fb5Bd614a7AA2FfAB244D603abFA0Ac5C5C",
+    linkToken: "0xb1D4538B4571d411F07960EF2838Ce337FE1E80E",
+    linkUsdFeed: "0x0FB99723Aee6f420beAD13e6bBB79b7E6F034298",
+    donId: "fun-arbitrum-sepolia-1",
+    gatewayUrls: TESTNET_GATEWAYS,
+    explorerUrl: "https://sepolia.arbiscan.io",
+  },
+  "base-sepolia": {
+    chainId: 84532,
+    rpcUrlEnv: ["BASE_SEPOLIA_RPC_URL"],
+    functionsRouter: "0xf9B8fc078197181C841c296C876945aaa425B278",
+    linkToken: "0xE4aB69C077896252FAFBD49EFD26B5D171A32410",
+    linkUsdFeed: "0xb113F5A928BCfF189C998ab20d753a47F9dE5A61",
+    donId: "fun-base-sepolia-1",
+    gatewayUrls: TESTNET_GATEWAYS,
+    explorerUrl: "https://sepolia.basescan.org",
+  },
+  "avalanche-fuji": {
+    chainId: 43113,
+    rpcUrlEnv: ["AVALANCHE_FUJI_RPC_URL"],
+    functionsRouter: "0xA9d587a00A31A52Ed70D6026794a8FC5E2F5dCb0",
+    linkToken: "0x0b9d5D9136855f6FEc3c0993feE6E9CE8a297846",
+    linkUsdFeed: "0x34C4c526902d88a3Aa98DB8a9b802603EB1E3470",
+    donId: "fun-avalanche-fuji-1",
+    gatewayUrls: TESTNET_GATEWAYS,
+    explorerUrl: "https://testnet.snowtrace.io",
+  },
+  // Local node for indexer and scenario runs; addresses come from the
+  // broadcast/*/31337 run of the deploy script.
+  anvil: {
+    chainId: 31337,
+    rpcUrlEnv: ["ANVIL_RPC_URL"],
+    rpcUrl: "http://127.0.0.1:8545",
+    gatewayUrls: [],
+    explorerUrl: "",
+  },
+};
+
+// deployments/*.json dependency keys the registry can fill in
+const DEFAULT_DEPENDENCIES = {
+  FUNCTIONS_ROUTER: "functionsRouter",
+  LINK: "linkToken",
+  LINK_PRICE_FEED: "linkUsdFeed",
+};
+
+const getNetwork = (name) => {
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(
+      `Unknown network "${name}". Supported: ${Object.keys(NETWORKS).join(
+        ", "
+      )}`
+    );
+  }
+  return { name, ...network };
+};
+
+module.exports = { DEFAULT_DEPENDENCIES, NETWORKS, getNetwork };
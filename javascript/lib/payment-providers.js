@@ -0,0 +1,78 @@
+const { createStripeProvider } = require("./stripe");
+const { createRestProvider } = require("./rest-payments");
+
+// A payment provider holds a position's pre-auth on a card and later
+// captures or releases it. Every provider implements
+//   authorize({ amountCents, currency, customer, paymentMethod, metadata, idempotencyKey })
+//   capture(id, { amountCents, idempotencyKey })
+//   release(id, { idempotencyKey })
+//   status(id)
+// and resolves to the same authorization shape:
+//   { id, state, amountCents, capturableCents, capturedCents, currency, createdAt, metadata }
+// with state one of AUTHORIZATION_STATES and createdAt in unix seconds.
+//
+// Positions store a payment reference in stripePaymentIntentId: a bare ID is a
+// Stripe payment intent, other providers prefix their ID with "<name>:". The
+// Functions sources dispatch on the same prefix, so the contract's capture and
+// release flow works unchanged for every provider.
+
+const DEFAULT_PROVIDER = "stripe";
+
+const AUTHORIZATION_STATES = [
+  "pending",
+  "authorized",
+  "captured",
+  "released",
+  "expired",
+  "failed",
+];
+
+const PROVIDERS = {
+  stripe: createStripeProvider,
+  rest: createRestProvider,
+};
+
+const parsePaymentReference = (reference) => {
+  const match = reference.match(/^([a-z]+):(.+)$/);
+  return match
+    ? { provider: match[1], id: match[2] }
+    : { provider: DEFAULT_PROVIDER, id: reference };
+};
+
+const formatPaymentReference = (provider, id) =>
+  provider === DEFAULT_PROVIDER ? id : `${provider}:${id}`;
+
+const createPaymentProvider = (name = DEFAULT_PROVIDER) => {
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(
+      `Unknown payment provider "${name}". Supported: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}`
+    );
+  }
+  return create();
+};
+
+// Resolves payment references to their provider and ID, creating each
+// provider once and only when a reference needs it.
+const createProviderResolver = () => {
+  const providers = {};
+  return (reference) => {
+    const { provider, id } = parsePaymentReference(reference);
+    if (!providers[provider]) {
+      providers[provider] = createPaymentProvider(provider);
+    }
+    return { payments: providers[provider], id };
+  };
+};
+
+module.exports = {
+  AUTHORIZATION_STATES,
+  DEFAULT_PROVIDER,
+  PROVIDERS,
+  createPaymentProvider,
+  createProviderResolver,
+  formatPaymentReference,
+  parsePaymentReference,
+};
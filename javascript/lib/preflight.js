@@ -0,0 +1,231 @@
+const ethers = require("ethers");
+const { simulateScript } = require("@chainlink/functions-toolkit");
+const { runSource } = require("./functions-sandbox");
+const {
+  SOURCE_RESPONSES,
+  STRIPE_STATUSES,
+  hashPaymentIntentId,
+} = require("./stripe-response");
+
+// Pre-flight gate in front of every Functions request we send. The exact
+// source and args first run through simulateScript; the request only goes
+// out when the response decodes as the tuple the callback expects from that
+// source, answers for the payment reference in args[0] and fits the callback
+// gas limit. --skip-preflight sends it anyway.
+//
+// Simulations run with MOCK_SECRETS. With the real keys the capture and
+// release sources capture and cancel for real, so a "pre-flight" would be the
+// side effect it is meant to check. On the mock keys every source returns a
+// canned answer before its first HTTP call, so the gate checks the args, the
+// response encoding and the callback gas, not the provider path. Sources that
+// only read from the provider (READ_ONLY_SOURCES) can run on the real keys
+// instead with --preflight-real-secrets.
+
+// The simulation keys make every source answer without calling the provider,
+// for Stripe and `rest:` references alike
+const MOCK_SECRETS = {
+  STRIPE_SECRET_KEY: "sk_test_mock_key_for_simulation_only",
+  PAYMENTS_REST_URL: "https://payments.invalid",
+  PAYMENTS_REST_KEY: "rest_mock_key_for_simulation_only",
+};
+const REAL_SECRET_NAMES = [
+  "STRIPE_SECRET_KEY",
+  "PAYMENTS_REST_URL",
+  "PAYMENTS_REST_KEY",
+];
+
+// Sources whose requests change nothing at the provider
+const READ_ONLY_SOURCES = ["verify"];
+
+// Secrets from the environment, as uploaded to the DON, for an explicit
+// `simulate --real-secrets` or --preflight-real-secrets. A simulation with
+// them really calls the provider.
+const realSecrets = () =>
+  Object.fromEntries(
+    REAL_SECRET_NAMES.filter((name) => process.env[name]).map((name) => [
+      name,
+      process.env[name],
+    ])
+  );
+
+// Fulfillment gas apart from the response itself, with headroom: the storage
+// and events of each CreditShaftLeverage handler on its normal path. The
+// generic FunctionsConsumer behind sendRequest stores the raw response.
+const CALLBACK_BASE_GAS = {
+  capture: 150000,
+  release: 60000,
+  reauthorize: 120000,
+  verify: 130000,
+  consumer: 40000,
+};
+const CALLDATA_BYTE_GAS = 16;
+const STORAGE_WORD_GAS = 22100; // SSTORE to an empty slot
+
+// Slots a Solidity bytes/string of `length` bytes occupies
+const storageWords = (length) => (length < 32 ? 1 : Math.ceil(length / 32) + 1);
+
+const estimateCallbackGas = (name, responseBytes, decoded, consumer) => {
+  const length = ethers.utils.hexDataLength(responseBytes);
+  let gas =
+    CALLBACK_BASE_GAS[consumer ? "consumer" : name] +
+    length * CALLDATA_BYTE_GAS;
+  if (consumer) {
+    gas += storageWords(length) * STORAGE_WORD_GAS;
+  } else if (name === "reauthorize") {
+    // The new payment intent ID replaces the position's
+    const idLength = ethers.utils.toUtf8Bytes(
+      decoded.newPaymentIntentId
+    ).length;
+    gas += storageWords(idLength) * STORAGE_WORD_GAS;
+  }
+  return gas;
+};
+
+// What the contract would make of the response: it has to be exactly the
+// ABI encoding of the source's tuple, with a status the contract knows, for
+// the payment reference the request was about.
+const checkResponse = (name, args, responseBytes) => {
+  const { types, decode } = SOURCE_RESPONSES[name];
+  const coder = ethers.utils.defaultAbiCoder;
+  let decoded;
+  try {
+    decoded = decode(responseBytes);
+    const values = coder.decode(types, responseBytes);
+    if (coder.encode(types, values) !== responseBytes.toLowerCase()) {
+      throw new Error("not canonical");
+    }
+  } catch (e) {
+    return {
+      problems: [`response is not an encoded (${types.join(", ")})`],
+    };
+  }
+
+  const problems = [];
+  if (!STRIPE_STATUSES.includes(decoded.status) || decoded.status === "none") {
+    problems.push(
+      `response status ${decoded.status} is not one the contract handles`
+    );
+  }
+  if (decoded.paymentIntentHash !== hashPaymentIntentId(args[0])) {
+    problems.push(`response is not for payment reference ${args[0]}`);
+  }
+  return { decoded, problems };
+};
+
+// simulateScript needs Deno; without it the same source runs in-process
+let denoMissing = false;
+const simulateSource = async (request) => {
+  if (!denoMissing) {
+    try {
+      return await simulateScript(request);
+    } catch (e) {
+      if (!/deno/i.test(e.message)) throw e;
+      console.log("⚠️ Deno not found, simulating in-process instead");
+      denoMissing = true;
+    }
+  }
+  return runSource(request);
+};
+
+// Judges a simulation result of source `name` run with `args`: reports
+// { name, decoded, callbackGas, problems }. `consumer` marks requests the
+// generic FunctionsConsumer fulfills rather than CreditShaftLeverage.
+const assessSimulation = (
+  name,
+  { errorString, responseBytesHexstring, capturedTerminalOutput },
+  { args, gasLimit, consumer = false }
+) => {
+  const report = { name, output: capturedTerminalOutput, problems: [] };
+  if (errorString) {
+    report.problems.push(`source threw: ${errorString}`);
+    return report;
+  }
+
+  const { decoded, problems } = checkResponse(
+    name,
+    args,
+    responseBytesHexstring
+  );
+  report.decoded = decoded;
+  report.problems.push(...problems);
+  if (decoded) {
+    report.callbackGas = estimateCallbackGas(
+      name,
+      responseBytesHexstring,
+      decoded,
+      consumer
+    );
+    if (report.callbackGas > gasLimit) {
+      report.problems.push(
+        `fulfillment needs about ${report.callbackGas} gas, over the ${gasLimit} callback gas limit`
+      );
+    }
+  }
+  return report;
+};
+
+const simulateRequest = async (
+  name,
+  {
+    source,
+    args,
+    secrets = MOCK_SECRETS,
+    simulate = simulateSource,
+    ...limits
+  }
+) => {
+  if (!SOURCE_RESPONSES[name]) throw new Error(`Unknown source "${name}"`);
+  const result = await simulate({
+    source,
+    args,
+    bytesArgs: [],
+    secrets,
+  });
+  return assessSimulation(name, result, { args, ...limits });
+};
+
+// Runs the gate for a request about to be sent and throws unless the
+// simulation passes. `options` is config.preflight: { skip, realSecrets }.
+// realSecrets only applies to READ_ONLY_SOURCES; the others stay on mocks.
+const preflight = async (
+  name,
+  request,
+  { skip = false, realSecrets: withRealSecrets = false } = {}
+) => {
+  if (skip) {
+    console.log(
+      `⚠️ Sending the ${name} request without a pre-flight simulation`
+    );
+    return null;
+  }
+  let secrets = MOCK_SECRETS;
+  if (withRealSecrets && READ_ONLY_SOURCES.includes(name)) {
+    secrets = realSecrets();
+  } else if (withRealSecrets) {
+    console.log(
+      `⚠️ The ${name} source changes the hold, so its pre-flight stays on mock keys`
+    );
+  }
+  const report = await simulateRequest(name, { ...request, secrets });
+  if (report.problems.length > 0) {
+    throw new Error(
+      `Pre-flight simulation of the ${name} request failed: ${report.problems.join(
+        "; "
+      )} (--skip-preflight sends it anyway)`
+    );
+  }
+  console.log(
+    `🧪 Pre-flight ${name}: ${report.decoded.status}, about ${report.callbackGas} of ${request.gasLimit} callback gas`
+  );
+  return report;
+};
+
+module.exports = {
+  MOCK_SECRETS,
+  assessSimulation,
+  estimateCallbackGas,
+  preflight,
+  realSecrets,
+  simulateRequest,
+  simulateSource,
+};
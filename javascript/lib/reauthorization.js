@@ -0,0 +1,248 @@
+const ethers = require("ethers");
+const { getActiveUsers } = require("./leverage");
+const { receiptEvents } = require("./keeper");
+const { waitForEvent } = require("./logs");
+const { preflight } = require("./preflight");
+const { readOnChainSource } = require("./sources");
+
+// Rolls card holds forward before the payment provider lets them lapse.
+// Stripe authorizations last about 7 days while positions can stay open much
+// longer, so requestHoldReauthorization has reauthorize-source.js place a
+// fresh off-session hold on the position's saved card, cancel the old one and
+// point the position at the new intent instead of charging it.
+
+// How long the provider keeps a card authorization
+const HOLD_LIFETIME_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_WITHIN_HOURS = 24;
+const DEFAULT_TIMEOUT_MINUTES = 5;
+const POLL_INTERVAL_MS = 5000;
+// Holds the source can replace; a captured or failed one has nothing to roll
+const REPLACEABLE_STATES = ["authorized", "expired", "released"];
+
+// When the hold has to be replaced: when the provider lets it lapse or the
+// pre-auth falls due, whichever comes first. A hold already gone is due now.
+const holdDeadline = (position, authorization, now) =>
+  authorization.state === "authorized"
+    ? Math.min(
+        authorization.createdAt + HOLD_LIFETIME_SECONDS,
+        position.preAuthExpiryTime.toNumber()
+      )
+    : now;
+
+// The contract keeps the latest re-authorization request per user: its ID
+// until fulfillRequest clears it or REQUEST_TIMEOUT passes (`requestId`, null
+// when none is in flight), and when it was sent, which refuses another one
+// until REAUTHORIZATION_COOLDOWN later (`nextRequestAt`).
+const findPendingReauthorization = async (leverage, user, now) => {
+  const [request, timeout, cooldown] = await Promise.all([
+    leverage.pendingReauthorizations(user),
+    leverage.REQUEST_TIMEOUT(),
+    leverage.REAUTHORIZATION_COOLDOWN(),
+  ]);
+  const sentAt = request.sentAt.toNumber();
+  const inFlight =
+    request.requestId !== ethers.constants.HashZero &&
+    now < sentAt + timeout.toNumber();
+  return {
+    requestId: inFlight ? request.requestId : null,
+    nextRequestAt: sentAt > 0 ? sentAt + cooldown.toNumber() : 0,
+  };
+};
+
+// One entry per position: "due" when its hold must be replaced within
+// `withinSeconds` of `now`, otherwise "not_due", "pending" or "skipped".
+// `resolvePayment` maps a payment reference to its provider and ID (see
+// createProviderResolver).
+const findDueReauthorizations = async (
+  leverage,
+  resolvePayment,
+  { users, withinSeconds, now }
+) => {
+  const entries = [];
+  for (const user of users || (await getActiveUsers(leverage))) {
+    const position = await leverage.positions(user);
+    const entry = {
+      user,
+      paymentIntentId: position.stripePaymentIntentId,
+      preAuthExpiryTime: position.preAuthExpiryTime.toNumber(),
+    };
+    const skip = (detail) =>
+      entries.push({ ...entry, result: "skipped", detail });
+
+    if (!position.isActive) {
+      skip("no active position");
+      continue;
+    }
+    if (position.preAuthCharged) {
+      skip("pre-auth already charged");
+      continue;
+    }
+    if (entry.preAuthExpiryTime <= now) {
+      skip("pre-auth expired, the charge automation captures it");
+      continue;
+    }
+    if (!position.stripeCustomerId || !position.stripePaymentMethodId) {
+      skip("no saved payment method");
+      continue;
+    }
+    const pending = await findPendingReauthorization(leverage, user, now);
+    if (pending.requestId) {
+      entries.push({
+        ...entry,
+        result: "pending",
+        requestId: pending.requestId,
+        detail: "re-authorization request in flight",
+      });
+      continue;
+    }
+    if (now < pending.nextRequestAt) {
+      skip(
+        `re-authorized recently, next request allowed at ${new Date(
+          pending.nextRequestAt * 1000
+        ).toISOString()}`
+      );
+      continue;
+    }
+
+    const { payments, id } = resolvePayment(position.stripePaymentIntentId);
+    const authorization = await payments.status(id);
+    if (!REPLACEABLE_STATES.includes(authorization.state)) {
+      skip(`hold is ${authorization.state}`);
+      continue;
+    }
+    const deadline = holdDeadline(position, authorization, now);
+    entries.push({
+      ...entry,
+      deadline,
+      result: deadline - now <= withinSeconds ? "due" : "not_due",
+      detail: `hold is ${authorization.state}, replace by ${new Date(
+        deadline * 1000
+      ).toISOString()}`,
+    });
+  }
+  return entries;
+};
+
+// The args requestHoldReauthorization would send the source with now
+const reauthorizationRequestArgs = async (leverage, user) => {
+  const position = await leverage.positions(user);
+  const nonce = (await leverage.chargeRequestNonce()).add(1);
+  return [
+    position.stripePaymentIntentId,
+    position.preAuthAmount.add(9999).div(10000).toString(),
+    position.stripeCustomerId,
+    position.stripePaymentMethodId,
+    nonce.toString(),
+    user.toLowerCase(),
+  ];
+};
+
+// Polls for the fulfillment of a re-authorization request until timeoutMs.
+const waitForReauthorization = async (
+  leverage,
+  { user, requestId, fromBlock },
+  timeoutMs
+) => {
+  const event = await waitForEvent(
+    leverage,
+    [
+      leverage.filters.HoldReauthorized(user, requestId),
+      leverage.filters.HoldReauthorizationFailed(user, requestId),
+    ],
+    fromBlock,
+    { timeoutMs, intervalMs: POLL_INTERVAL_MS }
+  );
+  if (!event) return { result: "requested", detail: "not fulfilled yet" };
+  if (event.event === "HoldReauthorizationFailed") {
+    return { result: "failed", detail: event.args.reason };
+  }
+  const { newPaymentIntentId, preAuthExpiryTime } = event.args;
+  return {
+    result: "reauthorized",
+    newPaymentIntentId,
+    preAuthExpiryTime: preAuthExpiryTime.toNumber(),
+    detail: `now backed by ${newPaymentIntentId}`,
+  };
+};
+
+// Sends requestHoldReauthorization for a due entry and optionally waits for
+// its fulfillment.
+const requestReauthorization = async (leverage, entry, { wait, timeoutMs }) => {
+  const transaction = await leverage.requestHoldReauthorization(entry.user);
+  const receipt = await transaction.wait();
+  const initiated = receiptEvents(leverage, receipt).find(
+    (event) => event.name === "HoldReauthorizationInitiated"
+  );
+  const result = {
+    ...entry,
+    result: "requested",
+    requestId: initiated.args.requestId,
+    transactionHash: receipt.transactionHash,
+    detail: `request ${initiated.args.requestId}`,
+  };
+  if (!wait) return result;
+  return {
+    ...result,
+    ...(await waitForReauthorization(
+      leverage,
+      {
+        user: entry.user,
+        requestId: result.requestId,
+        fromBlock: receipt.blockNumber,
+      },
+      timeoutMs
+    )),
+  };
+};
+
+// Handles every due entry that passes its pre-flight simulation, one at a
+// time so the signer's nonces stay in order. `preflight` is config.preflight.
+const reauthorizeHolds = async (
+  leverage,
+  entries,
+  {
+    dryRun = false,
+    wait = false,
+    timeoutMs = DEFAULT_TIMEOUT_MINUTES * 60 * 1000,
+    onEntry = () => {},
+    preflight: preflightOptions,
+  } = {}
+) => {
+  const report = [];
+  for (const entry of entries) {
+    let result = entry;
+    if (entry.result === "due") {
+      try {
+        await preflight(
+          "reauthorize",
+          {
+            source: readOnChainSource("reauthorize"),
+            args: await reauthorizationRequestArgs(leverage, entry.user),
+            gasLimit: await leverage.gasLimit(),
+          },
+          preflightOptions
+        );
+        result = dryRun
+          ? { ...entry, result: "would_reauthorize" }
+          : await requestReauthorization(leverage, entry, { wait, timeoutMs });
+      } catch (e) {
+        result = { ...entry, result: "failed", detail: e.reason || e.message };
+      }
+    }
+    report.push(result);
+    onEntry(result);
+  }
+  return report;
+};
+
+module.exports = {
+  DEFAULT_TIMEOUT_MINUTES,
+  DEFAULT_WITHIN_HOURS,
+  HOLD_LIFETIME_SECONDS,
+  findDueReauthorizations,
+  findPendingReauthorization,
+  holdDeadline,
+  reauthorizationRequestArgs,
+  reauthorizeHolds,
+  waitForReauthorization,
+};
@@ -0,0 +1,263 @@
+const fs = require("fs");
+const ethers = require("ethers");
+const { trackPaymentReferences } = require("./holds");
+const { fetchLogs } = require("./logs");
+
+// Joins the contract's PreAuthCharged events with the Stripe payment intents
+// they were captured from. Every charge should match one captured intent of
+// the same amount in USD; every captured CreditShaft intent should match a
+// charge.
+
+const DEFAULT_CHUNK_SIZE = 2000;
+const PAGE_SIZE = 100;
+// PreAuthCharged amounts are USDC (6 decimals), Stripe amounts are cents
+const USDC_PER_CENT = 10000;
+
+const RESULTS = [
+  "matched",
+  "amount_mismatch",
+  "currency_mismatch",
+  "duplicate_charge",
+  "missing_in_stripe",
+  "orphan_capture",
+];
+
+// The events fetchCharges replays, in chain order
+const CHARGE_EVENTS = [
+  "PositionOpened",
+  "HoldReauthorized",
+  "PreAuthChargeInitiated",
+  "PreAuthSettled",
+  "PreAuthCharged",
+];
+
+// Every PreAuthCharged in the range with the request it settled and the
+// payment reference that request was sent for. The contract emits
+// PreAuthCharged right after the request's PreAuthSettled, and the reference
+// is the one the position pointed at at PreAuthChargeInitiated, so closed,
+// reopened and re-authorized positions join to the intent actually charged.
+// Requests sent before fromBlock have no reference (null).
+const fetchCharges = async (
+  leverage,
+  { fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE }
+) => {
+  const logs = await fetchLogs(
+    leverage.provider,
+    {
+      address: leverage.address,
+      topics: [
+        CHARGE_EVENTS.map((name) => leverage.interface.getEventTopic(name)),
+      ],
+    },
+    fromBlock,
+    toBlock,
+    chunkSize
+  );
+  const references = trackPaymentReferences(leverage);
+  const requestReferences = {};
+  const charges = [];
+  let settled;
+  for (const log of logs) {
+    const event = leverage.interface.parseLog(log);
+    const { user, requestId } = event.args;
+    if (event.name === "PreAuthChargeInitiated") {
+      requestReferences[requestId] = references.get(user);
+    } else if (event.name === "PreAuthSettled") {
+      settled = { user, requestId, transactionHash: log.transactionHash };
+    } else if (event.name === "PreAuthCharged") {
+      const request =
+        settled?.user === user &&
+        settled.transactionHash === log.transactionHash
+          ? settled.requestId
+          : null;
+      charges.push({
+        user,
+        requestId: request,
+        amount: event.args.amount,
+        paymentIntentId: (request && requestReferences[request]) || null,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+      });
+    } else {
+      await references.update(log, event);
+    }
+  }
+  return charges;
+};
+
+// Pages through the account's payment intents, newest first.
+const fetchPaymentIntents = async (stripe, { createdAfter } = {}) => {
+  const intents = [];
+  let startingAfter;
+  for (;;) {
+    const page = await stripe.listPaymentIntents({
+      limit: PAGE_SIZE,
+      starting_after: startingAfter,
+      created: createdAfter ? { gte: createdAfter } : undefined,
+    });
+    intents.push(...page.data);
+    if (!page.has_more || page.data.length === 0) return intents;
+    startingAfter = page.data[page.data.length - 1].id;
+  }
+};
+
+// A JSON export of payment intents: a plain array or a Stripe list object.
+const loadPaymentIntents = (file) => {
+  const json = JSON.parse(fs.readFileSync(file).toString());
+  return Array.isArray(json) ? json : json.data;
+};
+
+const row = (result, charge, intent, detail) => ({
+  result,
+  user: charge?.user || intent?.metadata?.wallet || "",
+  requestId: charge?.requestId || "",
+  paymentIntent: charge?.paymentIntentId || intent?.id || "",
+  chargedUSDC: charge ? ethers.utils.formatUnits(charge.amount, 6) : "",
+  capturedCents: intent ? intent.amount_received : "",
+  currency: intent ? intent.currency : "",
+  stripeStatus: intent ? intent.status : "",
+  blockNumber: charge ? charge.blockNumber : "",
+  transactionHash: charge ? charge.transactionHash : "",
+  detail,
+});
+
+const reconcile = (charges, intents) => {
+  const byId = new Map(intents.map((intent) => [intent.id, intent]));
+  // Intent ID to the request whose charge matched it
+  const matchedIntents = new Map();
+  const seenRequests = new Set();
+  const rows = [];
+
+  for (const charge of charges) {
+    if (charge.requestId && seenRequests.has(charge.requestId)) {
+      rows.push(
+        row(
+          "duplicate_charge",
+          charge,
+          byId.get(charge.paymentIntentId),
+          "request already charged"
+        )
+      );
+      continue;
+    }
+    if (charge.requestId) seenRequests.add(charge.requestId);
+
+    if (!charge.paymentIntentId) {
+      rows.push(
+        row(
+          "missing_in_stripe",
+          charge,
+          null,
+          "payment reference unknown, request sent before the first block scanned"
+        )
+      );
+      continue;
+    }
+    const intent = byId.get(charge.paymentIntentId);
+    if (!intent) {
+      rows.push(row("missing_in_stripe", charge, null, "intent not found"));
+      continue;
+    }
+    if (matchedIntents.has(intent.id)) {
+      rows.push(
+        row(
+          "duplicate_charge",
+          charge,
+          intent,
+          `intent already charged by request ${matchedIntents.get(intent.id)}`
+        )
+      );
+      continue;
+    }
+    matchedIntents.set(intent.id, charge.requestId);
+
+    if (intent.status !== "succeeded" || intent.amount_received === 0) {
+      rows.push(
+        row(
+          "missing_in_stripe",
+          charge,
+          intent,
+          `intent is ${intent.status}, nothing captured`
+        )
+      );
+    } else if (intent.currency !== "usd") {
+      rows.push(
+        row(
+          "currency_mismatch",
+          charge,
+          intent,
+          `captured in ${intent.currency}`
+        )
+      );
+    } else if (
+      !charge.amount.eq(
+        ethers.BigNumber.from(intent.amount_received).mul(USDC_PER_CENT)
+      )
+    ) {
+      const chargedCents = charge.amount.div(USDC_PER_CENT);
+      rows.push(
+        row(
+          "amount_mismatch",
+          charge,
+          intent,
+          `charged ${chargedCents} cents${
+            charge.amount.mod(USDC_PER_CENT).isZero()
+              ? ""
+              : " (plus a fraction of a cent)"
+          }, captured ${intent.amount_received}`
+        )
+      );
+    } else {
+      rows.push(row("matched", charge, intent, ""));
+    }
+  }
+
+  // Captures of our holds (opened with wallet metadata) that no charge
+  // accounts for
+  for (const intent of intents) {
+    if (
+      intent.metadata?.wallet &&
+      intent.status === "succeeded" &&
+      intent.amount_received > 0 &&
+      !matchedIntents.has(intent.id)
+    ) {
+      rows.push(
+        row("orphan_capture", null, intent, "no PreAuthCharged for this intent")
+      );
+    }
+  }
+  return rows;
+};
+
+const summarize = (rows) =>
+  Object.fromEntries(
+    RESULTS.map((result) => [
+      result,
+      rows.filter((entry) => entry.result === result).length,
+    ])
+  );
+
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  const columns = Object.keys(row("matched", null, null, ""));
+  return [
+    columns.join(","),
+    ...rows.map((entry) =>
+      columns.map((column) => csvField(entry[column])).join(",")
+    ),
+  ].join("\n");
+};
+
+module.exports = {
+  RESULTS,
+  fetchCharges,
+  fetchPaymentIntents,
+  loadPaymentIntents,
+  reconcile,
+  summarize,
+  toCsv,
+};
@@ -0,0 +1,129 @@
+const ethers = require("ethers");
+const aavePoolAbi = require("../../abis/AavePool.json");
+const erc20Abi = require("../../abis/ERC20.json");
+const { requireAddress } = require("./config");
+const { fetchLogs } = require("./logs");
+
+// Repays USDC debt on Aave on behalf of other addresses: finds the debtors,
+// plans how much each gets within a spending limit, then approves and repays.
+
+const VARIABLE_RATE_MODE = 2;
+// Public Sepolia RPCs reject getLogs ranges over 500 blocks
+const DEFAULT_CHUNK_SIZE = 499;
+
+const getRepayContracts = async (config, signer) => {
+  const usdcAddress = requireAddress(config, "USDC");
+  const pool = new ethers.Contract(
+    requireAddress(config, "AAVE_POOL"),
+    aavePoolAbi,
+    signer
+  );
+  const { variableDebtTokenAddress } = await pool.getReserveData(usdcAddress);
+  return {
+    pool,
+    usdc: new ethers.Contract(usdcAddress, erc20Abi, signer),
+    debtToken: new ethers.Contract(variableDebtTokenAddress, erc20Abi, signer),
+  };
+};
+
+// Every address the USDC variable debt token was ever minted to in the range,
+// i.e. everyone who borrowed USDC, with their current debt.
+const findDebtors = async (
+  debtToken,
+  { fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE }
+) => {
+  const logs = await fetchLogs(
+    debtToken.provider,
+    {
+      address: debtToken.address,
+      topics: [
+        debtToken.interface.getEventTopic("Transfer"),
+        ethers.utils.hexZeroPad(ethers.constants.AddressZero, 32),
+      ],
+    },
+    fromBlock,
+    toBlock,
+    chunkSize
+  );
+  const addresses = [
+    ...new Set(
+      logs.map(
+        (log) =>
+          ethers.utils.defaultAbiCoder.decode(["address"], log.topics[2])[0]
+      )
+    ),
+  ];
+  return getDebts(debtToken, addresses);
+};
+
+const getDebts = async (debtToken, addresses) => {
+  const debtors = [];
+  for (const address of addresses) {
+    debtors.push({ address, debt: await debtToken.balanceOf(address) });
+  }
+  return debtors;
+};
+
+// Largest debts first, each repaid in full or up to maxPerDebtor, until the
+// total reaches maxSpend or the wallet balance.
+const planRepayments = (
+  debtors,
+  { balance, maxSpend, maxPerDebtor, minDebt = ethers.constants.Zero }
+) => {
+  let budget = maxSpend && maxSpend.lt(balance) ? maxSpend : balance;
+  const plan = [];
+  const ranked = debtors
+    .filter((debtor) => debtor.debt.gt(0) && debtor.debt.gte(minDebt))
+    .sort((a, b) => (b.debt.gt(a.debt) ? 1 : b.debt.lt(a.debt) ? -1 : 0));
+
+  for (const debtor of ranked) {
+    let amount = debtor.debt;
+    if (maxPerDebtor && amount.gt(maxPerDebtor)) amount = maxPerDebtor;
+    if (amount.gt(budget)) amount = budget;
+    plan.push({ ...debtor, amount });
+    budget = budget.sub(amount);
+  }
+  const total = plan.reduce(
+    (sum, entry) => sum.add(entry.amount),
+    ethers.constants.Zero
+  );
+  return { plan, total };
+};
+
+const ensureAllowance = async (usdc, owner, spender, amount) => {
+  const allowance = await usdc.allowance(owner, spender);
+  if (allowance.gte(amount)) return null;
+  const transaction = await usdc.approve(spender, amount);
+  console.log(
+    `Approving ${ethers.utils.formatUnits(
+      amount,
+      6
+    )} USDC for the Aave pool. Transaction hash ${transaction.hash}`
+  );
+  return transaction.wait();
+};
+
+const repay = async ({ pool, usdc }, { address, amount }) => {
+  const transaction = await pool.repay(
+    usdc.address,
+    amount,
+    VARIABLE_RATE_MODE,
+    address
+  );
+  console.log(
+    `Repaying ${ethers.utils.formatUnits(
+      amount,
+      6
+    )} USDC for ${address}. Transaction hash ${transaction.hash}`
+  );
+  return transaction.wait();
+};
+
+module.exports = {
+  ensureAllowance,
+  findDebtors,
+  getDebts,
+  getRepayContracts,
+  planRepayments,
+  repay,
+};
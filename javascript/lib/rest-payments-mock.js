@@ -0,0 +1,255 @@
+const http = require("http");
+
+// Local stand-in for the generic REST payments API (see lib/rest-payments.js),
+// the counterpart of lib/stripe-mock.js for positions backed by the "rest"
+// provider. State lives in memory, one copy of the fixtures per instance.
+
+const DEFAULT_PORT = 12112;
+
+const authorization = (id, overrides = {}) => ({
+  id,
+  status: "authorized",
+  amount: 10000,
+  captured_amount: 0,
+  currency: "usd",
+  created: Math.floor(Date.now() / 1000),
+  metadata: {},
+  ...overrides,
+});
+
+const restError = (status, code, message) => ({
+  status,
+  body: { error: { code, message } },
+});
+
+// One fixture per outcome the sources have to handle. `faults` force an error
+// response for an operation ("capture", "release", "retrieve" or "*") before
+// the authorization state is consulted.
+const DEFAULT_FIXTURES = {
+  auth_authorized: { authorization: authorization("auth_authorized") },
+  auth_captured: {
+    authorization: authorization("auth_captured", {
+      status: "captured",
+      captured_amount: 10000,
+    }),
+  },
+  auth_released: {
+    authorization: authorization("auth_released", { status: "released" }),
+  },
+  auth_expired: {
+    authorization: authorization("auth_expired", { status: "expired" }),
+  },
+  auth_declined: {
+    authorization: authorization("auth_declined"),
+    faults: {
+      capture: restError(402, "card_declined", "The card was declined."),
+    },
+    afterFault: { status: "declined" },
+  },
+  auth_server_error: {
+    authorization: authorization("auth_server_error"),
+    faults: { "*": restError(500, "server_error", "Internal error") },
+  },
+};
+
+// Test payment methods the mock declines when authorizing
+const DECLINED_PAYMENT_METHODS = ["pm_card_chargeDeclined"];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+
+const unexpectedState = (current, action) =>
+  restError(
+    409,
+    "invalid_state",
+    `Authorization ${current.id} cannot be ${action} while ${current.status}`
+  );
+
+const capture = (current, params) => {
+  if (current.status !== "authorized") {
+    return unexpectedState(current, "captured");
+  }
+  const amount =
+    params.amount === undefined ? current.amount : Number(params.amount);
+  if (!(amount > 0) || amount > current.amount) {
+    return restError(
+      400,
+      "amount_too_large",
+      `amount must be between 1 and ${current.amount}`
+    );
+  }
+  current.captured_amount = amount;
+  current.status = "captured";
+  return { status: 200, body: current };
+};
+
+const release = (current) => {
+  if (current.status !== "authorized") {
+    return unexpectedState(current, "released");
+  }
+  current.status = "released";
+  return { status: 200, body: current };
+};
+
+const create = (state, params) => {
+  if (!(Number(params.amount) > 0) || !params.currency) {
+    return restError(400, "parameter_missing", "amount and currency required");
+  }
+  const id = `auth_mock_${Object.keys(state).length + 1}`;
+  const declined = DECLINED_PAYMENT_METHODS.includes(params.payment_method);
+  const created = authorization(id, {
+    amount: Number(params.amount),
+    currency: params.currency,
+    customer: params.customer || null,
+    payment_method: params.payment_method || null,
+    metadata: params.metadata || {},
+    status: declined ? "declined" : "authorized",
+  });
+  state[id] = { authorization: created };
+  if (declined)
+    return restError(402, "card_declined", "The card was declined.");
+  return { status: 200, body: created };
+};
+
+const route = (method, pathname) => {
+  if (pathname === "/authorizations" && method === "POST") {
+    return { operation: "create" };
+  }
+  const match = pathname.match(
+    /^\/authorizations\/([^/]+)(?:\/(capture|release))?$/
+  );
+  if (!match) return null;
+  const [, id, action] = match;
+  if (method === "GET" && !action) return { id, operation: "retrieve" };
+  if (method === "POST" && action) return { id, operation: action };
+  return null;
+};
+
+const createRestPaymentsMock = ({
+  fixtures = DEFAULT_FIXTURES,
+  port = 0,
+} = {}) => {
+  const state = clone(fixtures);
+  const requests = [];
+  const idempotentResults = {};
+
+  const handle = async (req) => {
+    const url = new URL(req.url, "http://localhost");
+    const body = await readBody(req);
+    // The Functions runtime sends JSON without a Content-Type, so always parse
+    const params = body ? JSON.parse(body) : {};
+    const idempotencyKey = req.headers["idempotency-key"];
+    requests.push({
+      method: req.method,
+      path: url.pathname,
+      params,
+      idempotencyKey,
+    });
+
+    // A reused key replays the stored result of the first request
+    if (req.method === "POST" && idempotencyKey) {
+      const signature = JSON.stringify([url.pathname, params]);
+      const stored = idempotentResults[idempotencyKey];
+      if (stored && stored.signature !== signature) {
+        return restError(
+          422,
+          "idempotency_error",
+          "Idempotency key reused with different parameters"
+        );
+      }
+      if (stored) {
+        requests[requests.length - 1].replayed = true;
+        return clone(stored.result);
+      }
+      const result = execute(req, url, params);
+      idempotentResults[idempotencyKey] = { signature, result: clone(result) };
+      return result;
+    }
+    return execute(req, url, params);
+  };
+
+  const execute = (req, url, params) => {
+    if (!/^Bearer \S+/.test(req.headers.authorization || "")) {
+      return restError(401, "unauthorized", "Missing API key");
+    }
+
+    const target = route(req.method, url.pathname);
+    if (!target) {
+      return restError(
+        404,
+        "not_found",
+        `Unrecognized request ${req.method} ${url.pathname}`
+      );
+    }
+    if (target.operation === "create") return create(state, params);
+
+    const fixture = state[target.id];
+    if (!fixture) {
+      return restError(404, "not_found", `No such authorization ${target.id}`);
+    }
+
+    const faults = fixture.faults || {};
+    const fault = faults[target.operation] || faults["*"];
+    if (fault) {
+      Object.assign(fixture.authorization, fixture.afterFault);
+      return fault;
+    }
+
+    if (target.operation === "capture") {
+      return capture(fixture.authorization, params);
+    }
+    if (target.operation === "release") return release(fixture.authorization);
+    return { status: 200, body: fixture.authorization };
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req)
+      .catch((e) => restError(500, "server_error", e.message))
+      .then(({ status, body }) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+      });
+  });
+
+  return {
+    requests,
+    authorizations: () =>
+      Object.fromEntries(
+        Object.entries(state).map(([id, fixture]) => [
+          id,
+          fixture.authorization,
+        ])
+      ),
+    start: () =>
+      new Promise((resolve) =>
+        server.listen(port, "127.0.0.1", () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        })
+      ),
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = {
+  DEFAULT_FIXTURES,
+  DEFAULT_PORT,
+  authorization,
+  createRestPaymentsMock,
+};
+
+if (require.main === module) {
+  const mock = createRestPaymentsMock({
+    port: parseInt(process.env.PAYMENTS_REST_MOCK_PORT || DEFAULT_PORT),
+  });
+  mock.start().then((url) => {
+    console.log(`🧪 REST payments mock listening on ${url}`);
+    console.log(`   Fixtures: ${Object.keys(DEFAULT_FIXTURES).join(", ")}`);
+  });
+}
@@ -0,0 +1,107 @@
+// Payment provider adapter for any processor behind a small REST API, so a
+// position can be backed by something other than Stripe. The Functions
+// sources speak the same API (see the "rest" branch of source.js):
+//
+//   POST /authorizations               { amount, currency, customer, payment_method, metadata }
+//   POST /authorizations/<id>/capture  { amount }  (omit amount to capture all)
+//   POST /authorizations/<id>/release
+//   GET  /authorizations/<id>
+//
+// Every call answers with an authorization,
+//   { id, status, amount, captured_amount, currency, created, metadata }
+// where status is authorized, captured, released, expired or declined and
+// created is in unix seconds, and errors as a non-2xx status with
+// { error: { code, message } }. Requests carry
+// `Authorization: Bearer <PAYMENTS_REST_KEY>`; POSTs an Idempotency-Key.
+
+const REST_STATES = {
+  authorized: "authorized",
+  captured: "captured",
+  released: "released",
+  expired: "expired",
+  declined: "failed",
+};
+
+class RestPaymentsError extends Error {
+  constructor(status, error = {}) {
+    super(`Payment provider ${status}: ${error.message || "request failed"}`);
+    this.status = status;
+    this.code = error.code;
+  }
+}
+
+const toAuthorization = (authorization) => ({
+  id: authorization.id,
+  state: REST_STATES[authorization.status] || "pending",
+  amountCents: authorization.amount,
+  capturableCents:
+    authorization.status === "authorized"
+      ? authorization.amount - authorization.captured_amount
+      : 0,
+  capturedCents: authorization.captured_amount,
+  currency: authorization.currency,
+  createdAt: authorization.created,
+  metadata: authorization.metadata || {},
+});
+
+const createRestProvider = ({
+  apiBase = process.env.PAYMENTS_REST_URL,
+  apiKey = process.env.PAYMENTS_REST_KEY,
+} = {}) => {
+  if (!apiBase || !apiKey)
+    throw new Error(
+      "PAYMENTS_REST_URL and PAYMENTS_REST_KEY not provided - check your environment variables"
+    );
+
+  const request = async (method, path, body, { idempotencyKey } = {}) => {
+    const headers = {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+    };
+    if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+    const response = await fetch(`${apiBase}/authorizations${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await response.json();
+    if (!response.ok) throw new RestPaymentsError(response.status, json.error);
+    return toAuthorization(json);
+  };
+
+  return {
+    name: "rest",
+    authorize: ({
+      amountCents,
+      currency = "usd",
+      customer,
+      paymentMethod,
+      metadata,
+      idempotencyKey,
+    }) =>
+      request(
+        "POST",
+        "",
+        {
+          amount: Number(amountCents),
+          currency,
+          customer,
+          payment_method: paymentMethod,
+          metadata,
+        },
+        { idempotencyKey }
+      ),
+    capture: (id, { amountCents, idempotencyKey } = {}) =>
+      request(
+        "POST",
+        `/${id}/capture`,
+        amountCents === undefined ? {} : { amount: Number(amountCents) },
+        { idempotencyKey }
+      ),
+    release: (id, { idempotencyKey } = {}) =>
+      request("POST", `/${id}/release`, {}, { idempotencyKey }),
+    status: (id) => request("GET", `/${id}`),
+  };
+};
+
+module.exports = { RestPaymentsError, createRestProvider };
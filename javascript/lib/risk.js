@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+const {
+  UNSAFE_LTV_BPS,
+  UPKEEP_SCAN_LIMIT,
+  calculateLTV,
+  getActiveUsers,
+  getLinkPrice,
+} = require("./leverage");
+
+// Off-chain LTV monitoring for every active position, not just the ones
+// checkUpkeep's scan window reaches. LTVs use the contract's own math, so a
+// position this flags as unsafe is one automation would close.
+
+const DATA_DIR = path.resolve(__dirname, "../../data");
+const DEFAULT_WARN_LEVELS = [5000, 6000, UNSAFE_LTV_BPS];
+const DEFAULT_SHOCKS = [-10, -20, -30];
+
+// LINK price (8 decimals) at which a position reaches the unsafe LTV
+const unsafePrice = (position) =>
+  position.suppliedLINK.isZero()
+    ? ethers.constants.Zero
+    : position.borrowedUSDC
+        .mul(10000)
+        .mul(ethers.BigNumber.from(10).pow(20))
+        .div(position.suppliedLINK.mul(UNSAFE_LTV_BPS));
+
+// Every active position with its LTV at `linkPrice`, riskiest first.
+// `distanceBps` is how far the LTV is below the unsafe threshold.
+const assessPositions = async (leverage, { linkPrice } = {}) => {
+  const price = linkPrice || (await getLinkPrice(leverage));
+  const users = await getActiveUsers(leverage);
+  const assessments = [];
+  for (const [index, user] of users.entries()) {
+    const position = await leverage.positions(user);
+    if (!position.isActive) continue;
+    const ltvBps = calculateLTV(position, price).toNumber();
+    assessments.push({
+      user,
+      position,
+      ltvBps,
+      distanceBps: UNSAFE_LTV_BPS - ltvBps,
+      unsafePrice: unsafePrice(position),
+      inUpkeepWindow: index < UPKEEP_SCAN_LIMIT,
+    });
+  }
+  return {
+    linkPrice: price,
+    assessments: assessments.sort((a, b) => a.distanceBps - b.distanceBps),
+  };
+};
+
+// LTVs after the LINK price moves by `percent` (e.g. -20).
+const applyShock = (assessments, linkPrice, percent) => {
+  const shockedPrice = linkPrice.mul(100 + percent).div(100);
+  return assessments.map((assessment) => {
+    const ltvBps = calculateLTV(assessment.position, shockedPrice).toNumber();
+    return { ...assessment, ltvBps, distanceBps: UNSAFE_LTV_BPS - ltvBps };
+  });
+};
+
+// The highest warning level an LTV has reached, or 0.
+const levelFor = (ltvBps, levels) =>
+  Math.max(0, ...levels.filter((level) => ltvBps >= level));
+
+const defaultStatePath = (config) =>
+  path.join(DATA_DIR, `risk-${config.network.name}.json`);
+
+const loadLevels = (file) =>
+  fs.existsSync(file) ? JSON.parse(fs.readFileSync(file).toString()) : {};
+
+const saveLevels = (file, levels) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(levels, null, 2) + "\n");
+};
+
+// Alerts for positions whose warning level changed since the last check,
+// including recoveries and positions that closed. Updates `previous`.
+const detectCrossings = (assessments, previous, levels) => {
+  const alerts = [];
+  const current = {};
+  for (const { user, ltvBps, inUpkeepWindow } of assessments) {
+    const level = levelFor(ltvBps, levels);
+    current[user] = level;
+    if (level !== (previous[user] || 0)) {
+      alerts.push({
+        user,
+        ltvBps,
+        level,
+        previousLevel: previous[user] || 0,
+        unsafe: ltvBps > UNSAFE_LTV_BPS,
+        inUpkeepWindow,
+      });
+    }
+  }
+  for (const user of Object.keys(previous)) {
+    if (!(user in current) && previous[user] > 0) {
+      alerts.push({ user, closed: true, previousLevel: previous[user] });
+    }
+  }
+  for (const user of Object.keys(previous)) delete previous[user];
+  Object.assign(previous, current);
+  return alerts;
+};
+
+module.exports = {
+  DEFAULT_SHOCKS,
+  DEFAULT_WARN_LEVELS,
+  applyShock,
+  assessPositions,
+  defaultStatePath,
+  detectCrossings,
+  levelFor,
+  loadLevels,
+  saveLevels,
+};
@@ -0,0 +1,132 @@
+const { SecretsManager } = require("@chainlink/functions-toolkit");
+const { saveDeployment } = require("./config");
+const { getLeverageContract } = require("./leverage");
+
+// DON-hosted secrets lifecycle: upload, list, record in the deployment file
+// and keep CreditShaftLeverage pointed at the live version.
+
+const DEFAULT_EXPIRATION_MINUTES = 3999;
+const DEFAULT_WARN_HOURS = 24;
+// CreditShaftLeverage always reads its secrets from slot 0.
+const CONTRACT_SLOT_ID = 0;
+
+const createSecretsManager = async (config, signer) => {
+  if (config.network.gatewayUrls.length === 0) {
+    throw new Error(
+      `${config.network.name} has no Functions gateways - DON-hosted secrets are not available`
+    );
+  }
+  const secretsManager = new SecretsManager({
+    signer,
+    functionsRouterAddress: config.functionsRouter,
+    donId: config.donId,
+  });
+  await secretsManager.initialize();
+  return secretsManager;
+};
+
+const readSecrets = () => {
+  const secrets = { STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY };
+  if (!secrets.STRIPE_SECRET_KEY)
+    throw new Error(
+      "STRIPE_SECRET_KEY not provided - check your environment variables"
+    );
+  // Only needed when positions are backed by the generic REST provider
+  for (const name of ["PAYMENTS_REST_URL", "PAYMENTS_REST_KEY"]) {
+    if (process.env[name]) secrets[name] = process.env[name];
+  }
+  return secrets;
+};
+
+const uploadSecrets = async (config, secretsManager, { expirationMinutes }) => {
+  const { gatewayUrls } = config.network;
+  const encryptedSecretsObj = await secretsManager.encryptSecrets(
+    readSecrets()
+  );
+
+  console.log(
+    `Upload encrypted secret to gateways ${gatewayUrls}. slotId ${config.slotId}. Expiration in minutes: ${expirationMinutes}`
+  );
+  const uploadedAt = Math.floor(Date.now() / 1000);
+  const uploadResult = await secretsManager.uploadEncryptedSecretsToDON({
+    encryptedSecretsHexstring: encryptedSecretsObj.encryptedSecrets,
+    gatewayUrls,
+    slotId: config.slotId,
+    minutesUntilExpiration: expirationMinutes,
+  });
+
+  if (!uploadResult.success)
+    throw new Error(`Encrypted secrets not uploaded to ${gatewayUrls}`);
+
+  return {
+    slotId: config.slotId,
+    version: uploadResult.version,
+    uploadedAt,
+    expiresAt: uploadedAt + expirationMinutes * 60,
+  };
+};
+
+// Returns the gateway's view of every slot as { slotId, version, expiresAt }.
+const listSecrets = async (config, secretsManager) => {
+  const { result, error } = await secretsManager.listDONHostedEncryptedSecrets(
+    config.network.gatewayUrls
+  );
+  if (error) throw new Error(`Listing DON-hosted secrets failed: ${error}`);
+
+  const node = result.nodeResponses.find((response) => response.success);
+  if (!node) {
+    throw new Error(
+      `Listing DON-hosted secrets failed: no gateway node responded (${config.network.gatewayUrls.join(
+        ", "
+      )})`
+    );
+  }
+  return (node.rows || []).map((row) => ({
+    slotId: row.slot_id,
+    version: row.version,
+    expiresAt: Math.floor(row.expiration / 1000),
+  }));
+};
+
+// Records an upload under deployment.secrets[slot]. Slot 0 also becomes the
+// default SECRETS_VERSION, since that is the slot the contract reads.
+const recordSecrets = (config, { slotId, version, uploadedAt, expiresAt }) => {
+  const { deployment } = config;
+  deployment.secrets = {
+    ...deployment.secrets,
+    [slotId]: { version, uploadedAt, expiresAt },
+  };
+  if (slotId === CONTRACT_SLOT_ID) {
+    deployment.dependencies.SECRETS_VERSION = String(version);
+  }
+  return saveDeployment(config);
+};
+
+const updateContractVersion = async (config, signer, version) => {
+  const leverage = getLeverageContract(config, signer);
+  const owner = await leverage.owner();
+  const account = await signer.getAddress();
+  if (owner !== account) {
+    throw new Error(
+      `${account} is not the CreditShaftLeverage owner (${owner}) - only the owner can update the secrets version`
+    );
+  }
+
+  const transaction = await leverage.updateDONHostedSecretsVersion(version);
+  console.log(
+    `Updating CreditShaftLeverage secrets version to ${version}. Transaction hash ${transaction.hash}`
+  );
+  await transaction.wait();
+  return transaction;
+};
+
+module.exports = {
+  CONTRACT_SLOT_ID,
+  DEFAULT_EXPIRATION_MINUTES,
+  DEFAULT_WARN_HOURS,
+  createSecretsManager,
+  listSecrets,
+  recordSecrets,
+  updateContractVersion,
+  uploadSecrets,
+};
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const { minify } = require("terser");
+
+// The readable sources in javascript/ are the single source of truth for the
+// Chainlink Functions code. build-sources.js minifies them into
+// src/StripeSources.sol, where the contract reads them as string constants.
+
+const JS_DIR = path.resolve(__dirname, "..");
+const SOLIDITY_PATH = path.resolve(__dirname, "../../src/StripeSources.sol");
+
+const SOURCES = {
+  capture: {
+    file: "source.js",
+    solidityFunction: "_getStripeChargeSource",
+    notice:
+      "Returns the JavaScript source code for capturing a Stripe Payment Intent.",
+    sampleArgs: ["pi_3RaShy3PrM4sdLLb1C4Lst1a", "1000000000", "1"],
+  },
+  release: {
+    file: "release-source.js",
+    solidityFunction: "_getStripeReleaseSource",
+    notice:
+      "Returns the JavaScript source code for canceling (releasing) a Stripe Payment Intent.",
+    sampleArgs: ["pi_3RaShD3PrM4sdLLb0D2e00Lu"],
+  },
+  reauthorize: {
+    file: "reauthorize-source.js",
+    solidityFunction: "_getStripeReauthorizationSource",
+    notice:
+      "Returns the JavaScript source code for replacing a Stripe Payment Intent with a fresh off-session hold.",
+    sampleArgs: [
+      "pi_3RaShy3PrM4sdLLb1C4Lst1a",
+      "1500000",
+      "cus_SVcY1g0d5tXs2H",
+      "pm_1RaShx3PrM4sdLLbHzQeD3Ls",
+      "1",
+      "0x1111111111111111111111111111111111111111",
+    ],
+  },
+  verify: {
+    file: "verify-source.js",
+    solidityFunction: "_getStripeVerificationSource",
+    notice:
+      "Returns the JavaScript source code for verifying a Stripe Payment Intent before a position opens on it.",
+    sampleArgs: [
+      "pi_3RaShy3PrM4sdLLb1C4Lst1a",
+      "1500000",
+      "1767225600",
+      "0x1111111111111111111111111111111111111111",
+    ],
+  },
+};
+
+const readSource = (name) =>
+  fs.readFileSync(path.join(JS_DIR, SOURCES[name].file)).toString();
+
+// Functions sources are the body of an async function (top-level `await` and
+// `return`), so wrap them in one for terser and unwrap the result.
+const WRAPPER_NAME = "__functionsSource";
+
+const minifySource = async (source) => {
+  const result = await minify(`async function ${WRAPPER_NAME}(){${source}}`, {
+    compress: { passes: 2 },
+    mangle: true,
+    format: { ascii_only: true, quote_style: 1 },
+  });
+  const prefix = `async function ${WRAPPER_NAME}(){`;
+  if (!result.code.startsWith(prefix) || !result.code.endsWith("}")) {
+    throw new Error(`Unexpected minifier output: ${result.code.slice(0, 60)}`);
+  }
+  return result.code.slice(prefix.length, -1);
+};
+
+const toSolidityString = (source) =>
+  source.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+
+const fromSolidityString = (literal) => literal.replace(/\\(["\\])/g, "$1");
+
+// Reads the source string a Solidity getter currently returns.
+const readOnChainSource = (name) => {
+  const solidity = fs.readFileSync(SOLIDITY_PATH).toString();
+  const { solidityFunction } = SOURCES[name];
+  const match = solidity.match(
+    new RegExp(
+      `function ${solidityFunction}\\(\\)[^{]*\\{\\s*return\\s*"((?:[^"\\\\]|\\\\.)*)";`
+    )
+  );
+  if (!match) {
+    throw new Error(`${solidityFunction} not found in ${SOLIDITY_PATH}`);
+  }
+  return fromSolidityString(match[1]);
+};
+
+module.exports = {
+  SOLIDITY_PATH,
+  SOURCES,
+  minifySource,
+  readOnChainSource,
+  readSource,
+  toSolidityString,
+};
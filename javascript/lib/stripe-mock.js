@@ -0,0 +1,347 @@
+const http = require("http");
+
+// Local stand-in for the parts of the Stripe PaymentIntents API that our
+// Functions sources and scripts talk to. State lives in memory, so every mock
+// instance starts from the same fixtures and only mutates its own copy.
+
+const DEFAULT_PORT = 12111; // same default port as stripe/stripe-mock
+
+const paymentIntent = (id, overrides = {}) => ({
+  id,
+  object: "payment_intent",
+  amount: 10000,
+  amount_capturable: 10000,
+  amount_received: 0,
+  capture_method: "manual",
+  created: Math.floor(Date.now() / 1000),
+  currency: "usd",
+  cancellation_reason: null,
+  status: "requires_capture",
+  metadata: {},
+  ...overrides,
+});
+
+const stripeError = (status, error) => ({ status, body: { error } });
+
+const cardDeclined = stripeError(402, {
+  type: "card_error",
+  code: "card_declined",
+  decline_code: "generic_decline",
+  message: "Your card was declined.",
+});
+
+const serverError = stripeError(500, {
+  type: "api_error",
+  message: "An unknown error occurred",
+});
+
+// One fixture per Stripe outcome our sources have to handle. `faults` force
+// an error response for an operation ("capture", "cancel", "retrieve" or "*")
+// before the intent state is consulted.
+const DEFAULT_FIXTURES = {
+  pi_requires_capture: { intent: paymentIntent("pi_requires_capture") },
+  pi_succeeded: {
+    intent: paymentIntent("pi_succeeded", {
+      status: "succeeded",
+      amount_capturable: 0,
+      amount_received: 10000,
+    }),
+  },
+  pi_canceled: {
+    intent: paymentIntent("pi_canceled", {
+      status: "canceled",
+      amount_capturable: 0,
+      cancellation_reason: "requested_by_customer",
+    }),
+  },
+  pi_card_declined: {
+    intent: paymentIntent("pi_card_declined"),
+    faults: { capture: cardDeclined },
+    afterFault: { status: "requires_payment_method", amount_capturable: 0 },
+  },
+  pi_expired: {
+    intent: paymentIntent("pi_expired", {
+      status: "canceled",
+      amount_capturable: 0,
+      cancellation_reason: "automatic",
+    }),
+    faults: {
+      capture: stripeError(400, {
+        type: "invalid_request_error",
+        code: "charge_expired_for_capture",
+        message: "The charge has expired and can no longer be captured.",
+      }),
+    },
+  },
+  pi_server_error: {
+    intent: paymentIntent("pi_server_error"),
+    faults: { "*": serverError },
+  },
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+
+// Stripe takes form-encoded bodies, but the Functions runtime can only send
+// JSON bodies, so our sources pass parameters in the query string. Accept all.
+const parseParams = (url, body, contentType = "") => {
+  const params = Object.fromEntries(url.searchParams.entries());
+  if (!body) return params;
+  if (contentType.includes("application/json")) {
+    return { ...params, ...JSON.parse(body) };
+  }
+  return { ...params, ...Object.fromEntries(new URLSearchParams(body)) };
+};
+
+const unexpectedState = (intent, action) =>
+  stripeError(400, {
+    type: "invalid_request_error",
+    code: "payment_intent_unexpected_state",
+    message: `This PaymentIntent could not be ${action} because it has a status of ${intent.status}.`,
+    payment_intent: intent,
+  });
+
+const capture = (intent, params) => {
+  if (intent.status !== "requires_capture") {
+    return unexpectedState(intent, "captured");
+  }
+  const amount = params.amount_to_capture
+    ? parseInt(params.amount_to_capture)
+    : intent.amount_capturable;
+  if (!(amount > 0) || amount > intent.amount_capturable) {
+    return stripeError(400, {
+      type: "invalid_request_error",
+      code: "amount_too_large",
+      param: "amount_to_capture",
+      message: `amount_to_capture must be between 1 and ${intent.amount_capturable}.`,
+    });
+  }
+  intent.amount_received = amount;
+  intent.amount_capturable = 0;
+  intent.status = "succeeded";
+  return { status: 200, body: intent };
+};
+
+const CANCELABLE_STATES = [
+  "requires_payment_method",
+  "requires_capture",
+  "requires_confirmation",
+  "requires_action",
+  "processing",
+];
+
+const cancel = (intent, params) => {
+  if (!CANCELABLE_STATES.includes(intent.status)) {
+    return unexpectedState(intent, "canceled");
+  }
+  intent.status = "canceled";
+  intent.amount_capturable = 0;
+  intent.cancellation_reason = params.cancellation_reason || null;
+  return { status: 200, body: intent };
+};
+
+// Test payment methods that Stripe declines on confirmation
+const DECLINED_PAYMENT_METHODS = ["pm_card_chargeDeclined"];
+
+// Form bodies flatten nested objects into `metadata[key]=value` pairs.
+const nestedParam = (params, name) =>
+  Object.fromEntries(
+    Object.entries(params)
+      .filter(([key]) => key.startsWith(`${name}[`))
+      .map(([key, value]) => [key.slice(name.length + 1, -1), value])
+  );
+
+const create = (state, params) => {
+  const amount = parseInt(params.amount);
+  if (!(amount > 0) || !params.currency) {
+    return stripeError(400, {
+      type: "invalid_request_error",
+      code: "parameter_missing",
+      message: "Missing required param: amount or currency.",
+    });
+  }
+
+  const paymentMethod = params.payment_method || null;
+  const confirmed = params.confirm === "true" && Boolean(paymentMethod);
+  const declined =
+    confirmed && DECLINED_PAYMENT_METHODS.includes(paymentMethod);
+  const manual = params.capture_method === "manual";
+  let status = "requires_payment_method";
+  if (paymentMethod && !confirmed) status = "requires_confirmation";
+  if (confirmed && !declined)
+    status = manual ? "requires_capture" : "succeeded";
+
+  const id = `pi_mock_${Object.keys(state).length + 1}`;
+  const intent = paymentIntent(id, {
+    amount,
+    amount_capturable: status === "requires_capture" ? amount : 0,
+    amount_received: status === "succeeded" ? amount : 0,
+    capture_method: manual ? "manual" : "automatic",
+    currency: params.currency,
+    customer: params.customer || null,
+    payment_method: declined ? null : paymentMethod,
+    metadata: nestedParam(params, "metadata"),
+    status,
+  });
+  state[id] = { intent };
+
+  if (declined) {
+    return stripeError(402, {
+      ...cardDeclined.body.error,
+      payment_intent: intent,
+    });
+  }
+  return { status: 200, body: intent };
+};
+
+const route = (method, pathname) => {
+  if (pathname === "/v1/payment_intents") {
+    if (method === "POST") return { operation: "create" };
+    if (method === "GET") return { operation: "list" };
+  }
+  const match = pathname.match(
+    /^\/v1\/payment_intents\/([^/]+)(?:\/(capture|cancel))?$/
+  );
+  if (!match) return null;
+  const [, id, action] = match;
+  if (method === "GET" && !action) return { id, operation: "retrieve" };
+  if (method === "POST" && action) return { id, operation: action };
+  return null;
+};
+
+const createStripeMock = ({ fixtures = DEFAULT_FIXTURES, port = 0 } = {}) => {
+  const state = clone(fixtures);
+  const requests = [];
+  const idempotentResults = {};
+
+  const handle = async (req) => {
+    const url = new URL(req.url, "http://localhost");
+    const body = await readBody(req);
+    const params = parseParams(url, body, req.headers["content-type"]);
+    const idempotencyKey = req.headers["idempotency-key"];
+    requests.push({
+      method: req.method,
+      path: url.pathname,
+      params,
+      idempotencyKey,
+    });
+
+    // Like Stripe, a reused key replays the stored result of the first
+    // request, and rejects the request if its parameters differ.
+    if (req.method === "POST" && idempotencyKey) {
+      const signature = JSON.stringify([url.pathname, params]);
+      const stored = idempotentResults[idempotencyKey];
+      if (stored && stored.signature !== signature) {
+        return stripeError(400, {
+          type: "idempotency_error",
+          message:
+            "Keys for idempotent requests can only be used with the same parameters they were first used with.",
+        });
+      }
+      if (stored) {
+        requests[requests.length - 1].replayed = true;
+        return clone(stored.result);
+      }
+      const result = await execute(req, url, params);
+      idempotentResults[idempotencyKey] = { signature, result: clone(result) };
+      return result;
+    }
+    return execute(req, url, params);
+  };
+
+  const execute = async (req, url, params) => {
+    if (!/^Bearer sk_(test|live)_/.test(req.headers.authorization || "")) {
+      return stripeError(401, {
+        type: "invalid_request_error",
+        message: "Invalid API Key provided.",
+      });
+    }
+
+    const target = route(req.method, url.pathname);
+    if (!target) {
+      return stripeError(404, {
+        type: "invalid_request_error",
+        message: `Unrecognized request URL (${req.method}: ${url.pathname}).`,
+      });
+    }
+
+    if (target.operation === "create") return create(state, params);
+    if (target.operation === "list") {
+      // Every intent on a single page
+      const data = Object.values(state).map((fixture) => fixture.intent);
+      return {
+        status: 200,
+        body: { object: "list", data, has_more: false, url: url.pathname },
+      };
+    }
+
+    const fixture = state[target.id];
+    if (!fixture) {
+      return stripeError(404, {
+        type: "invalid_request_error",
+        code: "resource_missing",
+        param: "intent",
+        message: `No such payment_intent: '${target.id}'`,
+      });
+    }
+
+    const faults = fixture.faults || {};
+    const fault = faults[target.operation] || faults["*"];
+    if (fault) {
+      Object.assign(fixture.intent, fixture.afterFault);
+      return fault;
+    }
+
+    if (target.operation === "capture") return capture(fixture.intent, params);
+    if (target.operation === "cancel") return cancel(fixture.intent, params);
+    return { status: 200, body: fixture.intent };
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req)
+      .catch((e) => stripeError(500, { type: "api_error", message: e.message }))
+      .then(({ status, body }) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+      });
+  });
+
+  return {
+    requests,
+    intents: () =>
+      Object.fromEntries(
+        Object.entries(state).map(([id, fixture]) => [id, fixture.intent])
+      ),
+    start: () =>
+      new Promise((resolve) =>
+        server.listen(port, "127.0.0.1", () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        })
+      ),
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = {
+  DEFAULT_FIXTURES,
+  DEFAULT_PORT,
+  createStripeMock,
+  paymentIntent,
+};
+
+if (require.main === module) {
+  const mock = createStripeMock({
+    port: parseInt(process.env.STRIPE_MOCK_PORT || DEFAULT_PORT),
+  });
+  mock.start().then((url) => {
+    console.log(`🧪 Stripe mock listening on ${url}`);
+    console.log(`   Fixtures: ${Object.keys(DEFAULT_FIXTURES).join(", ")}`);
+  });
+}
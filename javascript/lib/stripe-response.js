@@ -0,0 +1,176 @@
+const ethers = require("ethers");
+
+// The Stripe sources return one ABI-encoded tuple instead of a JSON string:
+//   (uint8 status, uint256 amountCents, uint256 releasedCents, bytes3 currency,
+//    bytes32 paymentIntentHash)
+// amountCents is what the payment intent has captured, releasedCents what was
+// left of the hold and released without being captured.
+// paymentIntentHash is sha256 of the payment reference (the payment intent ID
+// for Stripe), which the contract compares against the position's reference.
+// Sources for other payment providers return the same tuple and statuses.
+// The re-authorization source answers with its own tuple,
+//   (uint8 status, uint256 amountCents, bytes32 paymentIntentHash,
+//    string newPaymentIntentId)
+// where amountCents is the new hold, paymentIntentHash the sha256 of the
+// reference it replaces and newPaymentIntentId empty unless reauthorized.
+// The verification source checks a hold before a position opens on it and
+// answers with
+//   (uint8 status, uint256 holdCents, uint256 authorizationExpiry,
+//    bytes32 paymentIntentHash)
+// where holdCents is what the hold can still capture and authorizationExpiry
+// when it lapses (unix seconds); status is hold_verified or the first check
+// it failed.
+// build-sources.js renders STRIPE_STATUSES into the StripeStatus enum in
+// src/StripeSources.sol, and the sources use the same numbering, so the order
+// here must not change - only append.
+
+const STRIPE_STATUSES = [
+  "none",
+  "captured",
+  "already_captured",
+  "authorization_expired",
+  "canceled",
+  "card_declined",
+  "capture_failed",
+  "released",
+  "release_failed",
+  "reauthorized",
+  "reauthorization_failed",
+  "hold_verified",
+  "hold_not_found",
+  "hold_wallet_mismatch",
+  "hold_not_manual",
+  "hold_wrong_currency",
+  "hold_not_capturable",
+  "hold_insufficient",
+  "hold_expires_early",
+];
+
+const RESPONSE_TYPES = ["uint8", "uint256", "uint256", "bytes3", "bytes32"];
+const REAUTHORIZATION_RESPONSE_TYPES = [
+  "uint8",
+  "uint256",
+  "bytes32",
+  "string",
+];
+const VERIFICATION_RESPONSE_TYPES = ["uint8", "uint256", "uint256", "bytes32"];
+
+const hashPaymentIntentId = (paymentIntentId) =>
+  ethers.utils.sha256(ethers.utils.toUtf8Bytes(paymentIntentId));
+
+const encodeStripeResponse = ({
+  status,
+  amount,
+  released = 0,
+  currency,
+  paymentIntentId,
+}) => {
+  return ethers.utils.defaultAbiCoder.encode(RESPONSE_TYPES, [
+    statusIdOf(status),
+    amount,
+    released,
+    ethers.utils.toUtf8Bytes(currency),
+    hashPaymentIntentId(paymentIntentId),
+  ]);
+};
+
+const statusIdOf = (status) => {
+  const statusId = STRIPE_STATUSES.indexOf(status);
+  if (statusId < 0) throw new Error(`Unknown Stripe status "${status}"`);
+  return statusId;
+};
+
+const encodeReauthorizationResponse = ({
+  status,
+  amount = 0,
+  paymentIntentId,
+  newPaymentIntentId = "",
+}) =>
+  ethers.utils.defaultAbiCoder.encode(REAUTHORIZATION_RESPONSE_TYPES, [
+    statusIdOf(status),
+    amount,
+    hashPaymentIntentId(paymentIntentId),
+    newPaymentIntentId,
+  ]);
+
+const decodeReauthorizationResponse = (responseBytesHexstring) => {
+  const [statusId, amount, paymentIntentHash, newPaymentIntentId] =
+    ethers.utils.defaultAbiCoder.decode(
+      REAUTHORIZATION_RESPONSE_TYPES,
+      responseBytesHexstring
+    );
+  return {
+    status: STRIPE_STATUSES[statusId] || `unknown(${statusId})`,
+    amount: amount.toNumber(),
+    paymentIntentHash,
+    newPaymentIntentId,
+  };
+};
+
+const encodeVerificationResponse = ({
+  status,
+  holdCents = 0,
+  authorizationExpiry = 0,
+  paymentIntentId,
+}) =>
+  ethers.utils.defaultAbiCoder.encode(VERIFICATION_RESPONSE_TYPES, [
+    statusIdOf(status),
+    holdCents,
+    authorizationExpiry,
+    hashPaymentIntentId(paymentIntentId),
+  ]);
+
+const decodeVerificationResponse = (responseBytesHexstring) => {
+  const [statusId, holdCents, authorizationExpiry, paymentIntentHash] =
+    ethers.utils.defaultAbiCoder.decode(
+      VERIFICATION_RESPONSE_TYPES,
+      responseBytesHexstring
+    );
+  return {
+    status: STRIPE_STATUSES[statusId] || `unknown(${statusId})`,
+    holdCents: holdCents.toNumber(),
+    authorizationExpiry: authorizationExpiry.toNumber(),
+    paymentIntentHash,
+  };
+};
+
+const decodeStripeResponse = (responseBytesHexstring) => {
+  const [statusId, amount, released, currency, paymentIntentHash] =
+    ethers.utils.defaultAbiCoder.decode(RESPONSE_TYPES, responseBytesHexstring);
+  return {
+    status: STRIPE_STATUSES[statusId] || `unknown(${statusId})`,
+    amount: amount.toNumber(),
+    released: released.toNumber(),
+    currency: ethers.utils.toUtf8String(currency).replace(/\0/g, ""),
+    paymentIntentHash,
+  };
+};
+
+// The tuple each source answers with, keyed like SOURCES in lib/sources.js
+const SOURCE_RESPONSES = {
+  capture: { types: RESPONSE_TYPES, decode: decodeStripeResponse },
+  release: { types: RESPONSE_TYPES, decode: decodeStripeResponse },
+  reauthorize: {
+    types: REAUTHORIZATION_RESPONSE_TYPES,
+    decode: decodeReauthorizationResponse,
+  },
+  verify: {
+    types: VERIFICATION_RESPONSE_TYPES,
+    decode: decodeVerificationResponse,
+  },
+};
+
+module.exports = {
+  REAUTHORIZATION_RESPONSE_TYPES,
+  RESPONSE_TYPES,
+  SOURCE_RESPONSES,
+  STRIPE_STATUSES,
+  VERIFICATION_RESPONSE_TYPES,
+  decodeReauthorizationResponse,
+  decodeStripeResponse,
+  decodeVerificationResponse,
+  encodeReauthorizationResponse,
+  encodeStripeResponse,
+  encodeVerificationResponse,
+  hashPaymentIntentId,
+};
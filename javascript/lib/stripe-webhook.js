@@ -0,0 +1,258 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const ethers = require("ethers");
+const { findPendingReauthorization } = require("./reauthorization");
+
+// Receives Stripe webhooks and checks each card event against the position it
+// belongs to (found through the payment intent's `wallet` metadata). A hold
+// that was canceled, reduced or disputed while the position still relies on
+// it is recorded as a mismatch and handed to the configured reactions.
+
+const DATA_DIR = path.resolve(__dirname, "../../data");
+const DEFAULT_PORT = 4242;
+const WEBHOOK_PATH = "/webhooks/stripe";
+// Stripe's default: reject signatures older than five minutes
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const HANDLED_EVENTS = [
+  "payment_intent.canceled",
+  "payment_intent.amount_capturable_updated",
+  "charge.dispute.created",
+];
+
+class WebhookSignatureError extends Error {}
+
+const sign = (payload, secret, timestamp) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+// Builds a Stripe-Signature header, for replaying fixture payloads.
+const signPayload = (
+  payload,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) => `t=${timestamp},v1=${sign(payload, secret, timestamp)}`;
+
+// Verifies a Stripe-Signature header the way Stripe's libraries do: any v1
+// signature may match, and the timestamp must be within the tolerance.
+const verifySignature = (
+  payload,
+  header,
+  secret,
+  {
+    toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+    now = Math.floor(Date.now() / 1000),
+  } = {}
+) => {
+  const parts = (header || "").split(",").map((part) => part.split("="));
+  const timestamp = Number(parts.find(([key]) => key === "t")?.[1]);
+  const signatures = parts
+    .filter(([key]) => key === "v1")
+    .map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) {
+    throw new WebhookSignatureError("Malformed Stripe-Signature header");
+  }
+
+  const expected = Buffer.from(sign(payload, secret, timestamp));
+  const matches = signatures.some((signature) => {
+    const actual = Buffer.from(signature);
+    return (
+      actual.length === expected.length &&
+      crypto.timingSafeEqual(actual, expected)
+    );
+  });
+  if (!matches) throw new WebhookSignatureError("Signature mismatch");
+  if (Math.abs(now - timestamp) > toleranceSeconds) {
+    throw new WebhookSignatureError("Timestamp outside the tolerance");
+  }
+  return JSON.parse(payload);
+};
+
+const defaultStorePath = (config) =>
+  path.join(DATA_DIR, `stripe-events-${config.network.name}.json`);
+
+const loadStore = (file) =>
+  fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file).toString())
+    : { events: {}, mismatches: [] };
+
+const saveStore = (file, store) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(store, null, 2) + "\n");
+};
+
+// The payment intent an event is about. Disputes only carry the intent ID,
+// so its metadata comes from Stripe.
+const eventPaymentIntent = async (event, stripe) => {
+  const object = event.data.object;
+  if (event.type.startsWith("payment_intent.")) return object;
+  if (!object.payment_intent) return null;
+  return stripe.retrievePaymentIntent(object.payment_intent);
+};
+
+// Compares one event with the on-chain position. Returns the mismatch, or
+// null when the position does not depend on this intent (anymore).
+// `reauthorizing` when the contract has a re-authorization of the position
+// in flight (see findPendingReauthorization).
+const checkEvent = (
+  event,
+  paymentIntent,
+  position,
+  reauthorizing = false
+) => {
+  if (!position.isActive) return null;
+  if (position.stripePaymentIntentId !== paymentIntent.id) return null;
+
+  const object = event.data.object;
+  if (event.type === "charge.dispute.created") {
+    return {
+      reason: "disputed",
+      detail: `${object.reason} dispute of ${object.amount} ${object.currency}`,
+    };
+  }
+  // Once the pre-auth is settled the hold is no longer needed
+  if (position.preAuthCharged) return null;
+
+  const holdCents = position.preAuthAmount.add(9999).div(10000).toNumber();
+  if (event.type === "payment_intent.canceled") {
+    // The re-authorization source cancels the hold it replaces as a
+    // duplicate, before the contract has moved the position onto the new one.
+    // Without a re-authorization in flight it is canceled like any other.
+    if (object.cancellation_reason === "duplicate" && reauthorizing)
+      return null;
+    return {
+      reason: "hold_canceled",
+      detail: `canceled (${object.cancellation_reason || "unknown reason"})`,
+    };
+  }
+  if (object.amount_capturable < holdCents) {
+    return {
+      reason: object.amount_capturable === 0 ? "hold_released" : "hold_reduced",
+      detail: `${object.amount_capturable} of ${holdCents} cents capturable`,
+    };
+  }
+  return null;
+};
+
+// Handles one verified event once (Stripe retries deliveries) and returns
+// what was recorded for it.
+const createEventHandler = ({ leverage, stripe, store, onMismatch }) => {
+  return async (event) => {
+    if (store.events[event.id]) return store.events[event.id];
+
+    const record = { type: event.type, created: event.created };
+    if (HANDLED_EVENTS.includes(event.type)) {
+      const paymentIntent = await eventPaymentIntent(event, stripe);
+      const wallet = paymentIntent?.metadata?.wallet;
+      record.paymentIntent = paymentIntent?.id;
+      if (!wallet || !ethers.utils.isAddress(wallet)) {
+        record.outcome = "unmatched";
+      } else {
+        record.wallet = ethers.utils.getAddress(wallet);
+        const position = await leverage.positions(record.wallet);
+        // A request past REQUEST_TIMEOUT is lost, so it explains no cancel
+        const latest = await leverage.provider.getBlock("latest");
+        const pending = await findPendingReauthorization(
+          leverage,
+          record.wallet,
+          latest.timestamp
+        );
+        const mismatch = checkEvent(
+          event,
+          paymentIntent,
+          position,
+          pending.requestId !== null
+        );
+        record.outcome = mismatch ? mismatch.reason : "consistent";
+        if (mismatch) {
+          // Recorded before the reactions run: when one throws, Stripe's
+          // retry finds the event handled instead of adding it again
+          store.events[event.id] = record;
+          const entry = {
+            eventId: event.id,
+            wallet: record.wallet,
+            paymentIntent: paymentIntent.id,
+            ...mismatch,
+            recordedAt: Math.floor(Date.now() / 1000),
+          };
+          store.mismatches.push(entry);
+          entry.actions = await onMismatch(entry, { paymentIntent, position });
+        }
+      }
+    } else {
+      record.outcome = "ignored";
+    }
+    store.events[event.id] = record;
+    return record;
+  };
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString()));
+    req.on("error", reject);
+  });
+
+const createWebhookServer = ({
+  secret,
+  handleEvent,
+  onHandled = () => {},
+  port = DEFAULT_PORT,
+}) => {
+  const respond = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== "POST" || req.url !== WEBHOOK_PATH) {
+      return respond(res, 404, { error: "Not found" });
+    }
+    let event;
+    try {
+      const payload = await readBody(req);
+      event = verifySignature(payload, req.headers["stripe-signature"], secret);
+    } catch (e) {
+      return respond(res, 400, { error: e.message });
+    }
+    try {
+      const record = await handleEvent(event);
+      onHandled(event, record);
+      respond(res, 200, { received: true, outcome: record.outcome });
+    } catch (e) {
+      // A non-2xx answer makes Stripe retry the delivery later
+      respond(res, 500, { error: e.message });
+    }
+  });
+
+  return {
+    start: () =>
+      new Promise((resolve) =>
+        server.listen(port, "127.0.0.1", () => {
+          resolve(`http://127.0.0.1:${server.address().port}${WEBHOOK_PATH}`);
+        })
+      ),
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = {
+  DEFAULT_PORT,
+  HANDLED_EVENTS,
+  WEBHOOK_PATH,
+  WebhookSignatureError,
+  checkEvent,
+  createEventHandler,
+  createWebhookServer,
+  defaultStorePath,
+  loadStore,
+  saveStore,
+  signPayload,
+  verifySignature,
+};
@@ -0,0 +1,146 @@
+// Minimal Stripe REST client for the PaymentIntent calls our scripts make.
+// STRIPE_API_BASE points it at the local mock (npm run stripe-mock).
+
+const DEFAULT_API_BASE = "https://api.stripe.com";
+
+// Stripe takes form-encoded bodies with nested keys, e.g. metadata[wallet].
+const formEncode = (params, prefix) =>
+  Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .flatMap(([key, value]) => {
+      const name = prefix ? `${prefix}[${key}]` : key;
+      if (Array.isArray(value)) {
+        return value.map(
+          (item) =>
+            `${encodeURIComponent(`${name}[]`)}=${encodeURIComponent(item)}`
+        );
+      }
+      if (typeof value === "object") return [formEncode(value, name)];
+      return [`${encodeURIComponent(name)}=${encodeURIComponent(value)}`];
+    })
+    .join("&");
+
+class StripeError extends Error {
+  constructor(status, error) {
+    super(`Stripe ${status}: ${error.message}`);
+    this.status = status;
+    this.type = error.type;
+    this.code = error.decline_code ? "card_declined" : error.code;
+    this.paymentIntent = error.payment_intent;
+  }
+}
+
+const createStripeClient = ({
+  secretKey = process.env.STRIPE_SECRET_KEY,
+  apiBase = process.env.STRIPE_API_BASE || DEFAULT_API_BASE,
+} = {}) => {
+  if (!secretKey)
+    throw new Error(
+      "STRIPE_SECRET_KEY not provided - check your environment variables"
+    );
+
+  const request = async (method, path, params, { idempotencyKey } = {}) => {
+    const headers = { Authorization: `Bearer ${secretKey}` };
+    if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+    let body;
+    if (params && method === "GET") {
+      path = `${path}?${formEncode(params)}`;
+    } else if (params) {
+      headers["Content-Type"] = "application/x-www-form-urlencoded";
+      body = formEncode(params);
+    }
+
+    const response = await fetch(`${apiBase}/v1${path}`, {
+      method,
+      headers,
+      body,
+    });
+    const json = await response.json();
+    if (!response.ok) throw new StripeError(response.status, json.error);
+    return json;
+  };
+
+  return {
+    createPaymentIntent: (params, options) =>
+      request("POST", "/payment_intents", params, options),
+    retrievePaymentIntent: (id) => request("GET", `/payment_intents/${id}`),
+    capturePaymentIntent: (id, params, options) =>
+      request("POST", `/payment_intents/${id}/capture`, params, options),
+    listPaymentIntents: (params) => request("GET", "/payment_intents", params),
+    cancelPaymentIntent: (id, params, options) =>
+      request("POST", `/payment_intents/${id}/cancel`, params, options),
+  };
+};
+
+// Payment provider adapter (see lib/payment-providers.js) over the client.
+const STRIPE_STATES = {
+  requires_capture: "authorized",
+  succeeded: "captured",
+  requires_payment_method: "failed",
+};
+
+const toAuthorization = (intent) => ({
+  id: intent.id,
+  state:
+    intent.status === "canceled"
+      ? intent.cancellation_reason === "automatic"
+        ? "expired"
+        : "released"
+      : STRIPE_STATES[intent.status] || "pending",
+  amountCents: intent.amount,
+  capturableCents: intent.amount_capturable,
+  capturedCents: intent.amount_received,
+  currency: intent.currency,
+  createdAt: intent.created,
+  metadata: intent.metadata || {},
+});
+
+const createStripeProvider = (client = createStripeClient()) => ({
+  name: "stripe",
+  authorize: async ({
+    amountCents,
+    currency = "usd",
+    customer,
+    paymentMethod,
+    metadata,
+    idempotencyKey,
+  }) =>
+    toAuthorization(
+      await client.createPaymentIntent(
+        {
+          amount: String(amountCents),
+          currency,
+          customer,
+          payment_method: paymentMethod,
+          payment_method_types: ["card"],
+          capture_method: "manual",
+          confirm: "true",
+          off_session: "true",
+          metadata,
+        },
+        { idempotencyKey }
+      )
+    ),
+  capture: async (id, { amountCents, idempotencyKey } = {}) =>
+    toAuthorization(
+      await client.capturePaymentIntent(
+        id,
+        amountCents === undefined
+          ? undefined
+          : { amount_to_capture: String(amountCents) },
+        { idempotencyKey }
+      )
+    ),
+  release: async (id, { idempotencyKey } = {}) =>
+    toAuthorization(
+      await client.cancelPaymentIntent(id, undefined, { idempotencyKey })
+    ),
+  status: async (id) => toAuthorization(await client.retrievePaymentIntent(id)),
+});
+
+module.exports = {
+  StripeError,
+  createStripeClient,
+  createStripeProvider,
+  formEncode,
+};
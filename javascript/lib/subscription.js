@@ -0,0 +1,126 @@
+const { SubscriptionManager } = require("@chainlink/functions-toolkit");
+const ethers = require("ethers");
+const { requireConfig } = require("./config");
+
+// Functions subscription upkeep: what each kind of request costs, how many
+// the balance covers, and topping it up before it runs dry.
+
+const DEFAULT_WINDOW_HOURS = 24;
+
+const createSubscriptionManager = async (config, signer) => {
+  requireConfig(config, "subscriptionId", "pass --subscription-id");
+  requireConfig(config, "linkToken", "add LINK to the deployment");
+  const subscriptionManager = new SubscriptionManager({
+    signer,
+    linkTokenAddress: config.linkToken,
+    functionsRouterAddress: config.functionsRouter,
+  });
+  await subscriptionManager.initialize();
+  return subscriptionManager;
+};
+
+// The requests CreditShaftLeverage sends itself, all with its own gasLimit:
+// pre-auth charges, the hold release of every close that finds the pre-auth
+// uncharged, hold re-authorizations and pre-open hold verifications.
+const LEVERAGE_REQUESTS = ["charge", "release", "reauthorize", "verify"];
+
+// Costs in juels at the current gas price, per kind of leverage request and
+// for the manual `capture` and `release` commands, which go through the
+// Functions consumer with --gas-limit.
+const estimateRequestCosts = async (config, subscriptionManager, leverage) => {
+  const gasPriceWei = await leverage.provider.getGasPrice();
+  const estimate = (callbackGasLimit) =>
+    subscriptionManager.estimateFunctionsRequestCost({
+      donId: config.donId,
+      subscriptionId: config.subscriptionId,
+      callbackGasLimit,
+      gasPriceWei: BigInt(gasPriceWei.toString()),
+    });
+
+  const leverageGasLimit = await leverage.gasLimit();
+  const leverageRequest = {
+    callbackGasLimit: leverageGasLimit,
+    costInJuels: await estimate(leverageGasLimit),
+  };
+  const consumerRequest = {
+    callbackGasLimit: config.gasLimit,
+    costInJuels: await estimate(config.gasLimit),
+  };
+  return {
+    gasPriceWei,
+    leverage: Object.fromEntries(
+      LEVERAGE_REQUESTS.map((name) => [name, leverageRequest])
+    ),
+    consumer: { capture: consumerRequest, release: consumerRequest },
+  };
+};
+
+const getSubscription = async (config, subscriptionManager) => {
+  const subscription = await subscriptionManager.getSubscriptionInfo(
+    config.subscriptionId
+  );
+  return {
+    ...subscription,
+    // Juels held for requests that are still in flight
+    availableBalance: subscription.balance - subscription.blockedBalance,
+  };
+};
+
+// The leverage requests the open holds send within the window (see
+// findOpenHolds): a charge for every hold whose pre-auth falls due in it, and
+// a re-authorization first for the due ones with a saved card. Each of the
+// other holds sends a single charge or release too, but only when its
+// position closes or its pre-auth falls due after the window, so `later`
+// counts them apart and they are not reserved for. Verifications depend on
+// positions not opened yet and are not reserved for either.
+const countHoldRequests = (holds) => {
+  const due = holds.filter((hold) => hold.due);
+  return {
+    requests: {
+      charge: due.length,
+      reauthorize: due.filter((hold) => hold.reauthorizable).length,
+    },
+    later: holds.length - due.length,
+  };
+};
+
+// How many leverage requests the available balance pays for, and what the
+// requests `counts` of each kind need.
+const projectRequests = (subscription, leverageCosts, counts) => {
+  const { costInJuels } = leverageCosts.charge;
+  const coveredRequests =
+    costInJuels > 0n ? subscription.availableBalance / costInJuels : 0n;
+  const requiredBalance = Object.entries(counts).reduce(
+    (total, [name, count]) =>
+      total + leverageCosts[name].costInJuels * BigInt(count),
+    0n
+  );
+  const shortfall =
+    requiredBalance > subscription.availableBalance
+      ? requiredBalance - subscription.availableBalance
+      : 0n;
+  return { coveredRequests, requiredBalance, shortfall };
+};
+
+const fundSubscription = async (config, subscriptionManager, juelsAmount) => {
+  console.log(
+    `Funding subscription ${
+      config.subscriptionId
+    } with ${ethers.utils.formatEther(juelsAmount)} LINK`
+  );
+  return subscriptionManager.fundSubscription({
+    subscriptionId: config.subscriptionId,
+    juelsAmount: juelsAmount.toString(),
+  });
+};
+
+module.exports = {
+  DEFAULT_WINDOW_HOURS,
+  LEVERAGE_REQUESTS,
+  countHoldRequests,
+  createSubscriptionManager,
+  estimateRequestCosts,
+  fundSubscription,
+  getSubscription,
+  projectRequests,
+};
@@ -0,0 +1,215 @@
+// The position's current payment reference: a Stripe payment intent ID, or
+// "<provider>:<id>" for another provider (see lib/payment-providers.js)
+const paymentReference = args[0];
+// Cents to hold on the card again - the position's pre-auth
+const amountCents = args[1];
+// The customer and payment method saved on the position at open
+const customer = args[2];
+const paymentMethod = args[3];
+// Per-request nonce from the contract, shared by every DON node and retry
+const requestNonce = args[4];
+const wallet = args[5];
+
+if (!paymentReference) {
+  throw Error("Payment Intent ID required");
+}
+if (!amountCents || !customer || !paymentMethod) {
+  throw Error("Amount, customer and payment method required");
+}
+
+const [, provider = "stripe", paymentIntentId = paymentReference] =
+  paymentReference.match(/^([a-z]+):(.+)$/) || [];
+
+if (provider === "stripe" && !secrets.STRIPE_SECRET_KEY) {
+  throw Error("STRIPE_SECRET_KEY required");
+}
+if (
+  provider === "rest" &&
+  !(secrets.PAYMENTS_REST_URL && secrets.PAYMENTS_REST_KEY)
+) {
+  throw Error("PAYMENTS_REST_URL and PAYMENTS_REST_KEY required");
+}
+if (!["stripe", "rest"].includes(provider)) {
+  throw Error(`Unknown payment provider ${provider}`);
+}
+
+// Response statuses, numbered as STRIPE_STATUSES in lib/stripe-response.js
+const ALREADY_CAPTURED = 2;
+const CARD_DECLINED = 5;
+const REAUTHORIZED = 9;
+const REAUTHORIZATION_FAILED = 10;
+
+// ABI-encodes (uint8 status, uint256 amountCents, bytes32 paymentIntentHash,
+// string newPaymentReference); the hash is of the reference being replaced
+const encodeResponse = async (status, amount, newReference) => {
+  const reference = new TextEncoder().encode(newReference);
+  const response = new Uint8Array(160 + Math.ceil(reference.length / 32) * 32);
+  const setWord = (word, value) => {
+    for (let i = word * 32 + 31; value > 0; i--, value = Math.floor(value / 256)) {
+      response[i] = value % 256;
+    }
+  };
+  setWord(0, status);
+  setWord(1, amount);
+  const hash = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(paymentReference)
+  );
+  response.set(new Uint8Array(hash), 64);
+  setWord(3, 128);
+  setWord(4, reference.length);
+  response.set(reference, 160);
+  return response;
+};
+
+const createKey = `creditshaft-reauth-${paymentIntentId}-${requestNonce || "0"}`;
+const cancelKey = `creditshaft-reauth-cancel-${paymentIntentId}-${requestNonce || "0"}`;
+
+// Check if this is a simulation (mock key of the reference's provider)
+const isSimulation = (
+  provider === "rest" ? secrets.PAYMENTS_REST_KEY : secrets.STRIPE_SECRET_KEY
+).includes("mock_key_for_simulation");
+
+if (isSimulation) {
+  // Return mock response for simulation
+  return encodeResponse(REAUTHORIZED, Number(amountCents), "pi_simulated_reauthorization");
+}
+
+if (provider === "rest") {
+  const restBase = `${secrets.PAYMENTS_REST_URL}/authorizations`;
+  const restHeaders = {
+    Authorization: `Bearer ${secrets.PAYMENTS_REST_KEY}`,
+  };
+  const releaseRest = (id, key) =>
+    Functions.makeHttpRequest({
+      url: `${restBase}/${id}/release`,
+      method: "POST",
+      headers: { ...restHeaders, "Idempotency-Key": key },
+    });
+
+  const created = await Functions.makeHttpRequest({
+    url: restBase,
+    method: "POST",
+    headers: { ...restHeaders, "Idempotency-Key": createKey },
+    data: {
+      amount: Number(amountCents),
+      currency: "usd",
+      customer,
+      payment_method: paymentMethod,
+      metadata: { wallet, replaces: paymentReference },
+    },
+  });
+  if (created.error) {
+    if (Number(created.code) >= 500 || !created.code) {
+      throw new Error(`Payment provider authorization failed: ${created.code} ${created.message}`);
+    }
+    return encodeResponse(
+      Number(created.code) === 402 ? CARD_DECLINED : REAUTHORIZATION_FAILED,
+      0,
+      ""
+    );
+  }
+  const replacement = created.data;
+  if (replacement.status !== "authorized") {
+    return encodeResponse(REAUTHORIZATION_FAILED, 0, "");
+  }
+
+  // Release the old hold; one that already lapsed needs nothing
+  const released = await releaseRest(paymentIntentId, cancelKey);
+  if (released.error) {
+    const old = await Functions.makeHttpRequest({
+      url: `${restBase}/${paymentIntentId}`,
+      headers: restHeaders,
+    });
+    const lapsed = ["released", "expired", "declined"];
+    if (old.error || !lapsed.includes(old.data.status)) {
+      await releaseRest(replacement.id, `${cancelKey}-replacement`);
+      if (!old.error && old.data.status === "captured") {
+        return encodeResponse(ALREADY_CAPTURED, 0, "");
+      }
+      if (old.error || Number(released.code) >= 500) {
+        throw new Error(
+          `Payment provider release failed: ${released.code} ${released.message}`
+        );
+      }
+      return encodeResponse(REAUTHORIZATION_FAILED, 0, "");
+    }
+  }
+  return encodeResponse(REAUTHORIZED, replacement.amount, `rest:${replacement.id}`);
+}
+
+const stripeBase = "https://api.stripe.com/v1/payment_intents";
+const headers = {
+  Authorization: `Bearer ${secrets.STRIPE_SECRET_KEY}`,
+};
+const cancelStripe = (id, key, reason) =>
+  Functions.makeHttpRequest({
+    url: `${stripeBase}/${id}/cancel`,
+    method: "POST",
+    headers: { ...headers, "Idempotency-Key": key },
+    params: reason ? { cancellation_reason: reason } : undefined,
+  });
+
+// 1. Hold the pre-auth again, off-session on the saved card. The idempotency
+// key makes every node and retry of this request share one new intent.
+const created = await Functions.makeHttpRequest({
+  url: stripeBase,
+  method: "POST",
+  headers: { ...headers, "Idempotency-Key": createKey },
+  params: {
+    amount: amountCents,
+    currency: "usd",
+    customer,
+    payment_method: paymentMethod,
+    "payment_method_types[]": "card",
+    capture_method: "manual",
+    confirm: "true",
+    off_session: "true",
+    "metadata[wallet]": wallet || "",
+    "metadata[replaces]": paymentReference,
+  },
+});
+
+if (created.error) {
+  if (Number(created.code) >= 500 || !created.code) {
+    throw new Error(`Stripe authorization failed: ${created.code} ${created.message}`);
+  }
+  // A declined card, or one that needs the customer present (3DS)
+  return encodeResponse(
+    Number(created.code) === 402 ? CARD_DECLINED : REAUTHORIZATION_FAILED,
+    0,
+    ""
+  );
+}
+
+const replacement = created.data;
+if (replacement.status !== "requires_capture") {
+  await cancelStripe(replacement.id, `${cancelKey}-replacement`);
+  return encodeResponse(REAUTHORIZATION_FAILED, 0, "");
+}
+
+// 2. Cancel the hold it replaces. "duplicate" tells the webhook receiver the
+// cancellation is a roll-over, not a lost hold.
+const canceled = await cancelStripe(paymentIntentId, cancelKey, "duplicate");
+if (canceled.error) {
+  const statusResponse = await Functions.makeHttpRequest({
+    url: `${stripeBase}/${paymentIntentId}`,
+    method: "GET",
+    headers: headers,
+  });
+  // An authorization that already expired or was canceled needs nothing
+  const old = statusResponse.error ? null : statusResponse.data;
+  if (!old || old.status !== "canceled") {
+    await cancelStripe(replacement.id, `${cancelKey}-replacement`);
+    if (old && old.status === "succeeded") {
+      return encodeResponse(ALREADY_CAPTURED, 0, "");
+    }
+    if (!old || Number(canceled.code) >= 500) {
+      throw new Error(`Stripe cancel failed: ${canceled.code} ${canceled.message}`);
+    }
+    return encodeResponse(REAUTHORIZATION_FAILED, 0, "");
+  }
+}
+
+// 3. Report the new intent so the contract rolls the position onto it
+return encodeResponse(REAUTHORIZED, replacement.amount, replacement.id);
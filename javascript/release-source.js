@@ -1,49 +1,119 @@
-const paymentIntentId = args[0];
+// The position's payment reference: a Stripe payment intent ID, or
+// "<provider>:<id>" for another provider (see lib/payment-providers.js)
+const paymentReference = args[0];
 
-if (!secrets.STRIPE_SECRET_KEY) {
-  throw Error("STRIPE_SECRET_KEY required");
+if (!paymentReference) {
+  throw Error("Payment Intent ID required");
 }
 
-if (!paymentIntentId) {
-  throw Error("Payment Intent ID required");
+const [, provider = "stripe", paymentIntentId = paymentReference] =
+  paymentReference.match(/^([a-z]+):(.+)$/) || [];
+
+// The secrets each provider needs
+const requiredSecrets = {
+  stripe: ["STRIPE_SECRET_KEY"],
+  rest: ["PAYMENTS_REST_URL", "PAYMENTS_REST_KEY"],
+}[provider];
+if (!requiredSecrets) {
+  throw Error(`Unknown payment provider ${provider}`);
 }
+if (!requiredSecrets.every((name) => secrets[name])) {
+  throw Error(`${requiredSecrets.join(" and ")} required`);
+}
+
+// Response statuses, numbered as STRIPE_STATUSES in lib/stripe-response.js
+const ALREADY_CAPTURED = 2;
+const RELEASED = 7;
+const RELEASE_FAILED = 8;
+
+// ABI-encodes (uint8 status, uint256 amountCents, uint256 releasedCents,
+// bytes3 currency, bytes32 paymentIntentHash), hashing the whole reference
+const encodeResponse = async (status, amount, released, currency) => {
+  const response = new Uint8Array(160);
+  const setWord = (word, value) => {
+    for (let i = word * 32 + 31; value > 0; i--, value = Math.floor(value / 256)) {
+      response[i] = value % 256;
+    }
+  };
+  setWord(0, status);
+  setWord(1, amount);
+  setWord(2, released);
+  const encoder = new TextEncoder();
+  response.set(encoder.encode(currency.slice(0, 3)), 96);
+  const hash = await crypto.subtle.digest(
+    "SHA-256",
+    encoder.encode(paymentReference)
+  );
+  response.set(new Uint8Array(hash), 128);
+  return response;
+};
 
-// Check if this is a simulation (mock key)
-const isSimulation = secrets.STRIPE_SECRET_KEY.includes("mock_key_for_simulation");
+// Check if this is a simulation (mock key of the reference's provider)
+const isSimulation = (
+  provider === "rest" ? secrets.PAYMENTS_REST_KEY : secrets.STRIPE_SECRET_KEY
+).includes("mock_key_for_simulation");
 
 if (isSimulation) {
   // Return mock response for simulation
-  return Functions.encodeString(
-    JSON.stringify({
-      success: true,
-      paymentIntentId: paymentIntentId,
-      status: "canceled",
-      simulation: true,
-    })
+  return encodeResponse(RELEASED, 0, 5000, "usd");
+}
+
+if (provider === "rest") {
+  const restUrl = `${secrets.PAYMENTS_REST_URL}/authorizations/${paymentIntentId}`;
+  const restHeaders = {
+    Authorization: `Bearer ${secrets.PAYMENTS_REST_KEY}`,
+  };
+  // Release, then read the authorization back whatever the release answered
+  await Functions.makeHttpRequest({
+    url: `${restUrl}/release`,
+    method: "POST",
+    headers: {
+      ...restHeaders,
+      "Idempotency-Key": `creditshaft-release-${paymentIntentId}`,
+    },
+  });
+  const restStatus = await Functions.makeHttpRequest({
+    url: restUrl,
+    headers: restHeaders,
+  });
+  if (restStatus.error) {
+    throw new Error(
+      `Payment provider status check failed: ${JSON.stringify(restStatus)}`
+    );
+  }
+  const authorization = restStatus.data;
+  let restOutcome = RELEASE_FAILED;
+  if (["released", "expired", "declined"].includes(authorization.status)) {
+    restOutcome = RELEASED;
+  } else if (authorization.status === "captured") {
+    restOutcome = ALREADY_CAPTURED;
+  }
+  return encodeResponse(
+    restOutcome,
+    authorization.captured_amount,
+    restOutcome === RELEASED
+      ? authorization.amount - authorization.captured_amount
+      : 0,
+    authorization.currency
   );
 }
 
-// 1. First, send the request to cancel the Payment Intent
-const cancelUrl = `https://api.stripe.com/v1/payment_intents/${paymentIntentId}/cancel`;
-const cancelRequest = Functions.makeHttpRequest({
-  url: cancelUrl,
+const intentUrl = `https://api.stripe.com/v1/payment_intents/${paymentIntentId}`;
+const headers = {
+  Authorization: `Bearer ${secrets.STRIPE_SECRET_KEY}`,
+};
+
+// 1. First, send the request to cancel the Payment Intent and wait for it
+await Functions.makeHttpRequest({
+  url: `${intentUrl}/cancel`,
   method: "POST",
-  headers: {
-    Authorization: `Bearer ${secrets.STRIPE_SECRET_KEY}`,
-  },
+  headers: headers,
 });
 
-// Wait for the cancellation request to complete
-await cancelRequest;
-
 // 2. Second, get the status to confirm it was canceled
-const statusUrl = `https://api.stripe.com/v1/payment_intents/${paymentIntentId}`;
 const statusResponse = await Functions.makeHttpRequest({
-  url: statusUrl,
-  method: "GET",
-  headers: {
-    Authorization: `Bearer ${secrets.STRIPE_SECRET_KEY}`,
-  },
+  url: intentUrl,
+  headers: headers,
 });
 
 if (statusResponse.error) {
@@ -54,11 +124,16 @@ if (statusResponse.error) {
 
 const paymentIntent = statusResponse.data;
 
-// Return the final status
-return Functions.encodeString(
-  JSON.stringify({
-    success: paymentIntent.status === "canceled",
-    paymentIntentId: paymentIntent.id,
-    status: paymentIntent.status,
-  })
+// Return the final status with what was captured before and what was released
+let status = RELEASE_FAILED;
+if (paymentIntent.status === "canceled") {
+  status = RELEASED;
+} else if (paymentIntent.status === "succeeded") {
+  status = ALREADY_CAPTURED;
+}
+return encodeResponse(
+  status,
+  paymentIntent.amount_received,
+  status === RELEASED ? paymentIntent.amount - paymentIntent.amount_received : 0,
+  paymentIntent.currency
 );
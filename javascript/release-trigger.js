@@ -1,146 +0,0 @@
-const fs = require("fs");
-const path = require("path");
-const {
-  ResponseListener,
-  ReturnType,
-  decodeResult,
-  FulfillmentCode,
-} = require("@chainlink/functions-toolkit");
-const functionsConsumerAbi = require("../abi/functionsClient.json");
-const ethers = require("ethers");
-require("@chainlink/env-enc").config();
-
-const consumerAddress = "0xdee92b2751f6ca6c962ecc3f849d089146968e3d";
-const subscriptionId = 4986;
-
-const releasePayment = async () => {
-  // hardcoded for Ethereum Sepolia
-  const routerAddress = "0xb83E47C2bC239B3bf370bc41e1459A34b41238D0";
-  const donId = "fun-ethereum-sepolia-1";
-  const explorerUrl = "https://sepolia.etherscan.io";
-
-  // Initialize functions settings
-  const source = fs
-    .readFileSync(path.resolve(__dirname, "release-source.js"))
-    .toString();
-
-  const args = ["pi_3RaShD3PrM4sdLLb0D2e00Lu"]; // Update with your payment intent ID
-  const slotIdNumber = 0; // slot ID where secrets are already uploaded
-  const donHostedSecretsVersion = 1750048992; // Update with your latest version from previous upload
-  const gasLimit = 300000;
-
-  // Initialize ethers signer and provider
-  const privateKey = process.env.PRIVATE_KEY;
-  if (!privateKey)
-    throw new Error(
-      "private key not provided - check your environment variables"
-    );
-
-  const rpcUrl = process.env.ETHEREUM_SEPOLIA_RPC_URL;
-  if (!rpcUrl)
-    throw new Error(`rpcUrl not provided  - check your environment variables`);
-
-  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-  const wallet = new ethers.Wallet(privateKey);
-  const signer = wallet.connect(provider);
-
-  const functionsConsumer = new ethers.Contract(
-    consumerAddress,
-    functionsConsumerAbi,
-    signer
-  );
-
-  // Send the request
-  const transaction = await functionsConsumer.sendRequest(
-    source,
-    "0x", // user hosted secrets - empty
-    slotIdNumber,
-    donHostedSecretsVersion,
-    args,
-    [], // bytesArgs
-    subscriptionId,
-    gasLimit,
-    ethers.utils.formatBytes32String(donId)
-  );
-
-  console.log(
-    `✅ Functions request sent! Transaction hash ${transaction.hash}. Waiting for a response...`
-  );
-
-  console.log(
-    `See your request in the explorer ${explorerUrl}/tx/${transaction.hash}`
-  );
-
-  const responseListener = new ResponseListener({
-    provider: provider,
-    functionsRouterAddress: routerAddress,
-  });
-
-  try {
-    const response = await new Promise((resolve, reject) => {
-      responseListener
-        .listenForResponseFromTransaction(transaction.hash)
-        .then((response) => {
-          resolve(response);
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
-
-    const fulfillmentCode = response.fulfillmentCode;
-
-    if (fulfillmentCode === FulfillmentCode.FULFILLED) {
-      console.log(
-        `\n✅ Request ${
-          response.requestId
-        } successfully fulfilled. Cost is ${ethers.utils.formatEther(
-          response.totalCostInJuels
-        )} LINK.Complete reponse: `,
-        response
-      );
-    } else if (fulfillmentCode === FulfillmentCode.USER_CALLBACK_ERROR) {
-      console.log(
-        `\n⚠️ Request ${
-          response.requestId
-        } fulfilled. However, the consumer contract callback failed. Cost is ${ethers.utils.formatEther(
-          response.totalCostInJuels
-        )} LINK.Complete reponse: `,
-        response
-      );
-    } else {
-      console.log(
-        `\n❌ Request ${
-          response.requestId
-        } not fulfilled. Code: ${fulfillmentCode}. Cost is ${ethers.utils.formatEther(
-          response.totalCostInJuels
-        )} LINK.Complete reponse: `,
-        response
-      );
-    }
-
-    const errorString = response.errorString;
-    if (errorString) {
-      console.log(`\n❌ Error during the execution: `, errorString);
-    } else {
-      const responseBytesHexstring = response.responseBytesHexstring;
-      if (ethers.utils.arrayify(responseBytesHexstring).length > 0) {
-        const decodedResponse = decodeResult(
-          response.responseBytesHexstring,
-          ReturnType.string
-        );
-        console.log(
-          `\n✅ Decoded response to ${ReturnType.string}: `,
-          decodedResponse
-        );
-      }
-    }
-  } catch (error) {
-    console.error("Error listening for response:", error);
-  }
-};
-
-releasePayment().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
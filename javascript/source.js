@@ -1,64 +1,219 @@
-const paymentIntentId = args[0];
+// The position's payment reference: a Stripe payment intent ID, or
+// "<provider>:<id>" for another provider (see lib/payment-providers.js)
+const paymentReference = args[0];
+// Cents to capture - the position's uncovered debt. Stripe releases the rest
+// of the hold; "0" releases all of it.
 const amountToCapture = args[1];
+// Per-request nonce from the contract: every DON node (and every DON retry) of
+// one on-chain request shares it, a new on-chain request gets a new one.
+const requestNonce = args[2];
 
-if (!secrets.STRIPE_SECRET_KEY) {
-  throw Error("STRIPE_SECRET_KEY required");
+if (!paymentReference) {
+  throw Error("Payment Intent ID required");
 }
 
-if (!paymentIntentId) {
-  throw Error("Payment Intent ID required");
+const [, provider = "stripe", paymentIntentId = paymentReference] =
+  paymentReference.match(/^([a-z]+):(.+)$/) || [];
+
+// The secrets each provider needs
+const requiredSecrets = {
+  stripe: ["STRIPE_SECRET_KEY"],
+  rest: ["PAYMENTS_REST_URL", "PAYMENTS_REST_KEY"],
+}[provider];
+if (!requiredSecrets) {
+  throw Error(`Unknown payment provider ${provider}`);
+}
+if (!requiredSecrets.every((name) => secrets[name])) {
+  throw Error(`${requiredSecrets.join(" and ")} required`);
 }
 
-// Check if this is a simulation (mock key)
-const isSimulation = secrets.STRIPE_SECRET_KEY.includes("mock_key_for_simulation");
+// Response statuses, numbered as STRIPE_STATUSES in lib/stripe-response.js
+const CAPTURED = 1;
+const ALREADY_CAPTURED = 2;
+const AUTHORIZATION_EXPIRED = 3;
+const CANCELED = 4;
+const CARD_DECLINED = 5;
+const CAPTURE_FAILED = 6;
+const RELEASED = 7;
+const RELEASE_FAILED = 8;
+
+// ABI-encodes (uint8 status, uint256 amountCents, uint256 releasedCents,
+// bytes3 currency, bytes32 paymentIntentHash), hashing the whole reference
+const encodeResponse = async (status, amount, released, currency) => {
+  const response = new Uint8Array(160);
+  const setWord = (word, value) => {
+    for (let i = word * 32 + 31; value > 0; i--, value = Math.floor(value / 256)) {
+      response[i] = value % 256;
+    }
+  };
+  setWord(0, status);
+  setWord(1, amount);
+  setWord(2, released);
+  const encoder = new TextEncoder();
+  response.set(encoder.encode(currency.slice(0, 3)), 96);
+  const hash = await crypto.subtle.digest(
+    "SHA-256",
+    encoder.encode(paymentReference)
+  );
+  response.set(new Uint8Array(hash), 128);
+  return response;
+};
+
+const releaseOnly = amountToCapture === "0";
+const operation = releaseOnly ? "cancel" : "capture";
+// The idempotency key makes every node and every retry of the same request
+// get the provider's stored result instead of a second capture attempt.
+const idempotencyKey = `creditshaft-${operation}-${paymentIntentId}-${amountToCapture || "full"}-${requestNonce || "0"}`;
+
+// Check if this is a simulation (mock key of the reference's provider)
+const isSimulation = (
+  provider === "rest" ? secrets.PAYMENTS_REST_KEY : secrets.STRIPE_SECRET_KEY
+).includes("mock_key_for_simulation");
 
 if (isSimulation) {
   // Return mock response for simulation
-  return Functions.encodeString(
-    JSON.stringify({
-      success: true,
-      paymentIntentId: paymentIntentId,
-      status: "succeeded",
-      amountCaptured: amountToCapture || 5000,
-      currency: "usd",
-      simulation: true,
-    })
+  if (releaseOnly) return encodeResponse(RELEASED, 0, 5000, "usd");
+  return encodeResponse(CAPTURED, Number(amountToCapture || 5000), 0, "usd");
+}
+
+if (provider === "rest") {
+  const restUrl = `${secrets.PAYMENTS_REST_URL}/authorizations/${paymentIntentId}`;
+  const restHeaders = {
+    Authorization: `Bearer ${secrets.PAYMENTS_REST_KEY}`,
+  };
+  // Released and expired holds keep nothing beyond what was captured
+  const respondRest = (status, authorization) =>
+    encodeResponse(
+      status,
+      authorization.captured_amount,
+      authorization.status === "authorized"
+        ? 0
+        : authorization.amount - authorization.captured_amount,
+      authorization.currency
+    );
+
+  const restResponse = await Functions.makeHttpRequest({
+    url: `${restUrl}/${releaseOnly ? "release" : "capture"}`,
+    method: "POST",
+    headers: { ...restHeaders, "Idempotency-Key": idempotencyKey },
+    data:
+      amountToCapture && !releaseOnly ? { amount: Number(amountToCapture) } : {},
+  });
+  if (!restResponse.error) {
+    return respondRest(releaseOnly ? RELEASED : CAPTURED, restResponse.data);
+  }
+
+  const restStatus = await Functions.makeHttpRequest({
+    url: restUrl,
+    headers: restHeaders,
+  });
+  if (restStatus.error) {
+    throw new Error(
+      `Payment provider status check failed: ${JSON.stringify(restStatus)}`
+    );
+  }
+  const authorization = restStatus.data;
+  const outcome = {
+    captured: ALREADY_CAPTURED,
+    expired: releaseOnly ? RELEASED : AUTHORIZATION_EXPIRED,
+    released: releaseOnly ? RELEASED : CANCELED,
+    declined: releaseOnly ? RELEASED : CARD_DECLINED,
+  }[authorization.status];
+  if (outcome) return respondRest(outcome, authorization);
+  if (Number(restResponse.code) < 500) {
+    return respondRest(releaseOnly ? RELEASE_FAILED : CAPTURE_FAILED, authorization);
+  }
+  throw new Error(
+    `Payment provider ${operation} failed: ${restResponse.code} ${restResponse.message}`
   );
 }
 
-// Build URL with query parameters for POST request
-let url = `https://api.stripe.com/v1/payment_intents/${paymentIntentId}/capture`;
-if (amountToCapture) {
+const headers = {
+  Authorization: `Bearer ${secrets.STRIPE_SECRET_KEY}`,
+};
+const intentUrl = `https://api.stripe.com/v1/payment_intents/${paymentIntentId}`;
+
+// Once the intent is captured or canceled, whatever was not captured has
+// been released.
+const respond = (status, paymentIntent) =>
+  encodeResponse(
+    status,
+    paymentIntent.amount_received,
+    ["succeeded", "canceled"].includes(paymentIntent.status)
+      ? paymentIntent.amount - paymentIntent.amount_received
+      : 0,
+    paymentIntent.currency
+  );
+
+// Capture the amount, or cancel the intent when there is nothing to capture
+let url = `${intentUrl}/${operation}`;
+if (amountToCapture && !releaseOnly) {
   url += `?amount_to_capture=${amountToCapture}`;
 }
 
-const stripeRequest = Functions.makeHttpRequest({
+const captureResponse = await Functions.makeHttpRequest({
   url: url,
   method: "POST",
   headers: {
-    Authorization: `Bearer ${secrets.STRIPE_SECRET_KEY}`,
+    ...headers,
+    "Idempotency-Key": idempotencyKey,
   },
 });
 
-// Capture the payment
-await stripeRequest;
+if (!captureResponse.error) {
+  return respond(releaseOnly ? RELEASED : CAPTURED, captureResponse.data);
+}
+
+// Stripe's error code, when the runtime exposes the error body
+let stripeErrorCode;
+try {
+  const errorResponse = captureResponse.response;
+  const body = errorResponse.data || (await errorResponse.json());
+  stripeErrorCode = body.error.decline_code ? "card_declined" : body.error.code;
+} catch (e) {}
 
-// Check the payment status
+// The capture or cancel failed; the payment intent tells us why
 const statusResponse = await Functions.makeHttpRequest({
-  url: `https://api.stripe.com/v1/payment_intents/${paymentIntentId}`,
-  method: "GET",
-  headers: {
-    Authorization: `Bearer ${secrets.STRIPE_SECRET_KEY}`,
-  },
+  url: intentUrl,
+  headers: headers,
 });
 
+if (statusResponse.error) {
+  throw new Error(
+    `Stripe status check failed: ${JSON.stringify(statusResponse)}`
+  );
+}
+
 const paymentIntent = statusResponse.data;
-return Functions.encodeString(
-  JSON.stringify({
-    success: paymentIntent.status === "succeeded",
-    paymentIntentId: paymentIntent.id,
-    status: paymentIntent.status,
-    amountCaptured: paymentIntent.amount_received,
-    currency: paymentIntent.currency,
-  })
+
+if (paymentIntent.status === "succeeded") {
+  return respond(ALREADY_CAPTURED, paymentIntent);
+}
+if (releaseOnly) {
+  // Any cancellation, including an expired authorization, frees the hold
+  if (paymentIntent.status === "canceled") {
+    return respond(RELEASED, paymentIntent);
+  }
+} else if (
+  stripeErrorCode === "charge_expired_for_capture" ||
+  (paymentIntent.status === "canceled" &&
+    paymentIntent.cancellation_reason === "automatic")
+) {
+  return respond(AUTHORIZATION_EXPIRED, paymentIntent);
+} else if (paymentIntent.status === "canceled") {
+  return respond(CANCELED, paymentIntent);
+} else if (
+  stripeErrorCode === "card_declined" ||
+  paymentIntent.status === "requires_payment_method"
+) {
+  return respond(CARD_DECLINED, paymentIntent);
+}
+if (stripeErrorCode && Number(captureResponse.code) < 500) {
+  return respond(releaseOnly ? RELEASE_FAILED : CAPTURE_FAILED, paymentIntent);
+}
+
+// Transient failure with the hold still in place: fail the request so it can
+// be sent again with a new nonce
+throw new Error(
+  `Stripe ${operation} failed: ${captureResponse.code} ${captureResponse.message}`
 );
@@ -0,0 +1,828 @@
+const assert = require("assert");
+const ethers = require("ethers");
+const { releaseHolds } = require("./lib/holds");
+const { findRewards, realizedApy, replayPool } = require("./lib/lp-analytics");
+const { MOCK_SECRETS, preflight } = require("./lib/preflight");
+const { reconcile, summarize, toCsv } = require("./lib/reconcile");
+const { planRepayments } = require("./lib/repay");
+const { detectCrossings } = require("./lib/risk");
+const {
+  checkEvent,
+  createEventHandler,
+  signPayload,
+  verifySignature,
+} = require("./lib/stripe-webhook");
+
+// Unit tests for the pure logic behind the CLI commands: risk alerts,
+// repayment plans, Stripe webhook checks, charge reconciliation and LP
+// analytics. They need no chain, payment provider or network; the Functions
+// sources have the harness and the contracts the e2e scenarios.
+// Usage: npm run unit [-- <test name filter>]
+
+const ALICE = "0x1111111111111111111111111111111111111111";
+const BOB = "0x2222222222222222222222222222222222222222";
+const CAROL = "0x3333333333333333333333333333333333333333";
+const LEVELS = [5000, 6000, 6500];
+
+const assessment = (user, ltvBps) => ({ user, ltvBps, inUpkeepWindow: true });
+const usdc = (amount) => ethers.utils.parseUnits(amount, 6);
+// A repayment plan as [address, amount] pairs in USDC
+const planned = ({ plan, total }) => ({
+  plan: plan.map(({ address, amount }) => [
+    address,
+    ethers.utils.formatUnits(amount, 6),
+  ]),
+  total: ethers.utils.formatUnits(total, 6),
+});
+const DEBTORS = [
+  { address: ALICE, debt: usdc("50") },
+  { address: BOB, debt: usdc("200") },
+  { address: CAROL, debt: usdc("0") },
+];
+
+const WEBHOOK_SECRET = "whsec_unit";
+const SIGNED_AT = 1767225600;
+const EVENT_PAYLOAD = JSON.stringify({ id: "evt_1", type: "ping" });
+// An open position holding 1000.00 USD on pi_1 unless overridden
+const webhookPosition = (overrides = {}) => ({
+  isActive: true,
+  preAuthCharged: false,
+  stripePaymentIntentId: "pi_1",
+  preAuthAmount: ethers.BigNumber.from(1000 * 10000 * 100),
+  ...overrides,
+});
+// The contract the handler reads at block time `now`, with a
+// re-authorization sent at `sentAt` (none by default) and a one hour
+// REQUEST_TIMEOUT
+const webhookLeverage = ({ sentAt = 0, now = 10000 } = {}) => ({
+  provider: { getBlock: async () => ({ timestamp: now }) },
+  positions: async () => webhookPosition(),
+  pendingReauthorizations: async () => ({
+    requestId: sentAt > 0 ? "0x01" : ethers.constants.HashZero,
+    sentAt: ethers.BigNumber.from(sentAt),
+  }),
+  REQUEST_TIMEOUT: async () => ethers.BigNumber.from(3600),
+  REAUTHORIZATION_COOLDOWN: async () => ethers.BigNumber.from(86400),
+});
+const intentEvent = (type, object = {}) => ({
+  id: `evt_${type}`,
+  type,
+  data: { object: { id: "pi_1", metadata: { wallet: ALICE }, ...object } },
+});
+
+// A PreAuthCharged of `cents` (in USDC) joined to pi_<n>, from request 0x0<n>
+const charge = (n, cents, overrides = {}) => ({
+  user: ALICE,
+  requestId: `0x0${n}`,
+  amount: ethers.BigNumber.from(cents).mul(10000),
+  paymentIntentId: `pi_${n}`,
+  blockNumber: 100 + n,
+  transactionHash: `0xt${n}`,
+  ...overrides,
+});
+// A captured CreditShaft intent
+const capture = (n, cents, overrides = {}) => ({
+  id: `pi_${n}`,
+  status: "succeeded",
+  amount_received: cents,
+  currency: "usd",
+  metadata: { wallet: ALICE },
+  ...overrides,
+});
+const results = (rows) => rows.map((entry) => entry.result);
+
+// Pool events one block and one day apart, in the order fetchPoolEvents
+// returns them
+const poolEvents = (events) =>
+  events.map((event, index) => ({
+    blockNumber: index + 1,
+    timestamp: SIGNED_AT + index * 24 * 60 * 60,
+    transactionHash: `0xt${index + 1}`,
+    ...event,
+  }));
+const lpTransfer = (from, to, amount) => ({
+  type: "transfer",
+  from,
+  to,
+  amount: usdc(amount),
+});
+const { AddressZero } = ethers.constants;
+
+const tests = [
+  // --- Risk crossings (lib/risk.js) ---
+  {
+    name: "risk: a crossing alerts once and is remembered",
+    run: () => {
+      const previous = {};
+      assert.deepStrictEqual(
+        detectCrossings([assessment(ALICE, 5500)], previous, LEVELS),
+        [
+          {
+            user: ALICE,
+            ltvBps: 5500,
+            level: 5000,
+            previousLevel: 0,
+            unsafe: false,
+            inUpkeepWindow: true,
+          },
+        ]
+      );
+      assert.deepStrictEqual(previous, { [ALICE]: 5000 });
+      assert.deepStrictEqual(
+        detectCrossings([assessment(ALICE, 5900)], previous, LEVELS),
+        []
+      );
+    },
+  },
+  {
+    name: "risk: a position past the unsafe LTV is flagged unsafe",
+    run: () => {
+      const previous = { [ALICE]: 6000 };
+      const [alert] = detectCrossings(
+        [assessment(ALICE, 6600)],
+        previous,
+        LEVELS
+      );
+      assert.strictEqual(alert.level, 6500);
+      assert.strictEqual(alert.previousLevel, 6000);
+      assert.strictEqual(alert.unsafe, true);
+    },
+  },
+  {
+    name: "risk: exactly the unsafe LTV reaches the level but is not unsafe",
+    run: () => {
+      const [alert] = detectCrossings([assessment(ALICE, 6500)], {}, LEVELS);
+      assert.strictEqual(alert.level, 6500);
+      assert.strictEqual(alert.unsafe, false);
+    },
+  },
+  {
+    name: "risk: falling below every level alerts the recovery",
+    run: () => {
+      const previous = { [ALICE]: 6000 };
+      const [alert] = detectCrossings(
+        [assessment(ALICE, 4000)],
+        previous,
+        LEVELS
+      );
+      assert.strictEqual(alert.level, 0);
+      assert.strictEqual(alert.previousLevel, 6000);
+      assert.deepStrictEqual(previous, { [ALICE]: 0 });
+    },
+  },
+  {
+    name: "risk: a closed position alerts only if it was above a level",
+    run: () => {
+      const previous = { [ALICE]: 6000, [BOB]: 0 };
+      assert.deepStrictEqual(detectCrossings([], previous, LEVELS), [
+        { user: ALICE, closed: true, previousLevel: 6000 },
+      ]);
+      assert.deepStrictEqual(previous, {});
+    },
+  },
+  {
+    name: "risk: levels are matched regardless of their order",
+    run: () => {
+      const [alert] = detectCrossings(
+        [assessment(ALICE, 6100)],
+        {},
+        [6500, 5000, 6000]
+      );
+      assert.strictEqual(alert.level, 6000);
+    },
+  },
+
+  // --- Repayment plans (lib/repay.js) ---
+  {
+    name: "repay: largest debts first, each in full within the balance",
+    run: () => {
+      assert.deepStrictEqual(
+        planned(planRepayments(DEBTORS, { balance: usdc("1000") })),
+        {
+          plan: [
+            [BOB, "200.0"],
+            [ALICE, "50.0"],
+          ],
+          total: "250.0",
+        }
+      );
+    },
+  },
+  {
+    name: "repay: the budget is the lower of maxSpend and the balance",
+    run: () => {
+      const plan = (options) => planned(planRepayments(DEBTORS, options));
+      assert.deepStrictEqual(
+        plan({ balance: usdc("1000"), maxSpend: usdc("220") }),
+        {
+          plan: [
+            [BOB, "200.0"],
+            [ALICE, "20.0"],
+          ],
+          total: "220.0",
+        }
+      );
+      assert.deepStrictEqual(
+        plan({ balance: usdc("150"), maxSpend: usdc("220") }),
+        {
+          plan: [
+            [BOB, "150.0"],
+            [ALICE, "0.0"],
+          ],
+          total: "150.0",
+        }
+      );
+    },
+  },
+  {
+    name: "repay: maxPerDebtor caps each repayment",
+    run: () => {
+      assert.deepStrictEqual(
+        planned(
+          planRepayments(DEBTORS, {
+            balance: usdc("1000"),
+            maxPerDebtor: usdc("100"),
+          })
+        ),
+        {
+          plan: [
+            [BOB, "100.0"],
+            [ALICE, "50.0"],
+          ],
+          total: "150.0",
+        }
+      );
+    },
+  },
+  {
+    name: "repay: debts below minDebt and cleared debts are left out",
+    run: () => {
+      assert.deepStrictEqual(
+        planned(
+          planRepayments(DEBTORS, {
+            balance: usdc("1000"),
+            minDebt: usdc("51"),
+          })
+        ),
+        { plan: [[BOB, "200.0"]], total: "200.0" }
+      );
+    },
+  },
+
+  // --- Stripe webhooks (lib/stripe-webhook.js) ---
+  {
+    name: "webhook: a signed payload verifies and parses",
+    run: () => {
+      const header = signPayload(EVENT_PAYLOAD, WEBHOOK_SECRET, SIGNED_AT);
+      assert.deepStrictEqual(
+        verifySignature(EVENT_PAYLOAD, header, WEBHOOK_SECRET, {
+          now: SIGNED_AT + 10,
+        }),
+        { id: "evt_1", type: "ping" }
+      );
+    },
+  },
+  {
+    name: "webhook: any v1 signature may match, as during a secret roll",
+    run: () => {
+      const header = signPayload(EVENT_PAYLOAD, WEBHOOK_SECRET, SIGNED_AT);
+      const rolled = `${header},v1=${"0".repeat(64)}`;
+      assert.ok(
+        verifySignature(EVENT_PAYLOAD, rolled, WEBHOOK_SECRET, {
+          now: SIGNED_AT,
+        })
+      );
+    },
+  },
+  {
+    name: "webhook: a wrong secret, body or stale timestamp is rejected",
+    run: () => {
+      const header = signPayload(EVENT_PAYLOAD, WEBHOOK_SECRET, SIGNED_AT);
+      const verify = (payload, secret, now) => () =>
+        verifySignature(payload, header, secret, { now });
+      assert.throws(verify(EVENT_PAYLOAD, "whsec_other", SIGNED_AT), {
+        name: "Error",
+        message: "Signature mismatch",
+      });
+      assert.throws(verify(`${EVENT_PAYLOAD} `, WEBHOOK_SECRET, SIGNED_AT), {
+        message: "Signature mismatch",
+      });
+      assert.throws(verify(EVENT_PAYLOAD, WEBHOOK_SECRET, SIGNED_AT + 301), {
+        message: "Timestamp outside the tolerance",
+      });
+    },
+  },
+  {
+    name: "webhook: a header without timestamp or v1 signature is malformed",
+    run: () => {
+      for (const header of [undefined, "v1=abc", `t=${SIGNED_AT}`, "junk"]) {
+        assert.throws(
+          () => verifySignature(EVENT_PAYLOAD, header, WEBHOOK_SECRET),
+          { message: "Malformed Stripe-Signature header" }
+        );
+      }
+    },
+  },
+  {
+    name: "webhook: a canceled hold the position relies on is a mismatch",
+    run: () => {
+      const event = intentEvent("payment_intent.canceled", {
+        cancellation_reason: "requested_by_customer",
+      });
+      assert.deepStrictEqual(
+        checkEvent(event, event.data.object, webhookPosition()),
+        {
+          reason: "hold_canceled",
+          detail: "canceled (requested_by_customer)",
+        }
+      );
+    },
+  },
+  {
+    name: "webhook: a duplicate cancel is a mismatch unless a re-authorization is in flight",
+    run: () => {
+      const event = intentEvent("payment_intent.canceled", {
+        cancellation_reason: "duplicate",
+      });
+      assert.strictEqual(
+        checkEvent(event, event.data.object, webhookPosition(), true),
+        null
+      );
+      assert.deepStrictEqual(
+        checkEvent(event, event.data.object, webhookPosition()),
+        { reason: "hold_canceled", detail: "canceled (duplicate)" }
+      );
+    },
+  },
+  {
+    name: "webhook: a hold capturing less than the pre-auth is reduced or released",
+    run: () => {
+      const check = (amountCapturable) => {
+        const event = intentEvent("payment_intent.amount_capturable_updated", {
+          amount_capturable: amountCapturable,
+        });
+        return checkEvent(event, event.data.object, webhookPosition());
+      };
+      assert.deepStrictEqual(check(50000), {
+        reason: "hold_reduced",
+        detail: "50000 of 100000 cents capturable",
+      });
+      assert.strictEqual(check(0).reason, "hold_released");
+      assert.strictEqual(check(100000), null);
+    },
+  },
+  {
+    name: "webhook: events on holds a position no longer relies on are ignored",
+    run: () => {
+      const event = intentEvent("payment_intent.canceled");
+      const check = (position) =>
+        checkEvent(event, event.data.object, webhookPosition(position));
+      assert.strictEqual(check({ isActive: false }), null);
+      assert.strictEqual(check({ stripePaymentIntentId: "pi_2" }), null);
+      assert.strictEqual(check({ preAuthCharged: true }), null);
+    },
+  },
+  {
+    name: "webhook: a dispute is a mismatch even after the pre-auth settled",
+    run: () => {
+      const event = {
+        type: "charge.dispute.created",
+        data: {
+          object: { amount: 5000, currency: "usd", reason: "fraudulent" },
+        },
+      };
+      assert.deepStrictEqual(
+        checkEvent(
+          event,
+          { id: "pi_1" },
+          webhookPosition({ preAuthCharged: true })
+        ),
+        { reason: "disputed", detail: "fraudulent dispute of 5000 usd" }
+      );
+    },
+  },
+  {
+    name: "webhook: each event is handled once and unknown wallets are unmatched",
+    run: async () => {
+      const mismatches = [];
+      const handle = createEventHandler({
+        leverage: webhookLeverage(),
+        stripe: {},
+        store: { events: {}, mismatches: [] },
+        onMismatch: async (entry) => {
+          mismatches.push(entry);
+          return { alerted: true };
+        },
+      });
+      const canceled = intentEvent("payment_intent.canceled");
+      const record = await handle(canceled);
+      assert.strictEqual(record.outcome, "hold_canceled");
+      assert.strictEqual(record.wallet, ALICE);
+      assert.strictEqual(await handle(canceled), record);
+      assert.strictEqual(mismatches.length, 1);
+      assert.deepStrictEqual(mismatches[0].actions, { alerted: true });
+
+      const unmatched = intentEvent("payment_intent.canceled", {
+        metadata: {},
+      });
+      unmatched.id = "evt_unmatched";
+      assert.strictEqual((await handle(unmatched)).outcome, "unmatched");
+      assert.strictEqual(
+        (await handle({ id: "evt_other", type: "customer.created" })).outcome,
+        "ignored"
+      );
+    },
+  },
+  {
+    name: "webhook: a duplicate cancel after the re-authorization timed out is a mismatch",
+    run: async () => {
+      const duplicate = intentEvent("payment_intent.canceled", {
+        cancellation_reason: "duplicate",
+      });
+      const outcome = async (leverage) => {
+        const handle = createEventHandler({
+          leverage,
+          stripe: {},
+          store: { events: {}, mismatches: [] },
+          onMismatch: async () => [],
+        });
+        return (await handle(duplicate)).outcome;
+      };
+      assert.strictEqual(
+        await outcome(webhookLeverage({ sentAt: 9000 })),
+        "consistent"
+      );
+      assert.strictEqual(
+        await outcome(webhookLeverage({ sentAt: 5000 })),
+        "hold_canceled"
+      );
+    },
+  },
+  {
+    name: "webhook: a failed reaction does not record the mismatch twice on retry",
+    run: async () => {
+      const store = { events: {}, mismatches: [] };
+      const handle = createEventHandler({
+        leverage: webhookLeverage(),
+        stripe: {},
+        store,
+        onMismatch: async () => {
+          throw new Error("alert webhook down");
+        },
+      });
+      const canceled = intentEvent("payment_intent.canceled");
+      await assert.rejects(handle(canceled), { message: "alert webhook down" });
+      assert.strictEqual((await handle(canceled)).outcome, "hold_canceled");
+      assert.strictEqual(store.mismatches.length, 1);
+    },
+  },
+
+  // --- Charge reconciliation (lib/reconcile.js) ---
+  {
+    name: "reconcile: a charge of the captured amount in USD matches",
+    run: () => {
+      const [matched] = reconcile([charge(1, 5000)], [capture(1, 5000)]);
+      assert.deepStrictEqual(matched, {
+        result: "matched",
+        user: ALICE,
+        requestId: "0x01",
+        paymentIntent: "pi_1",
+        chargedUSDC: "50.0",
+        capturedCents: 5000,
+        currency: "usd",
+        stripeStatus: "succeeded",
+        blockNumber: 101,
+        transactionHash: "0xt1",
+        detail: "",
+      });
+    },
+  },
+  {
+    name: "reconcile: amount, currency and uncaptured intents are mismatches",
+    run: () => {
+      const rows = reconcile(
+        [
+          charge(1, 5000),
+          charge(2, 5000, { amount: ethers.BigNumber.from(50000001) }),
+          charge(3, 5000),
+          charge(4, 5000),
+        ],
+        [
+          capture(1, 4999),
+          capture(2, 5000),
+          capture(3, 5000, { currency: "eur" }),
+          capture(4, 0, { status: "requires_capture" }),
+        ]
+      );
+      assert.deepStrictEqual(results(rows), [
+        "amount_mismatch",
+        "amount_mismatch",
+        "currency_mismatch",
+        "missing_in_stripe",
+      ]);
+      assert.strictEqual(rows[0].detail, "charged 5000 cents, captured 4999");
+      assert.strictEqual(
+        rows[1].detail,
+        "charged 5000 cents (plus a fraction of a cent), captured 5000"
+      );
+      assert.strictEqual(
+        rows[3].detail,
+        "intent is requires_capture, nothing captured"
+      );
+    },
+  },
+  {
+    name: "reconcile: charges without a known or listed intent are missing",
+    run: () => {
+      const rows = reconcile(
+        [
+          charge(1, 5000, { requestId: null, paymentIntentId: null }),
+          charge(2, 5000),
+        ],
+        []
+      );
+      assert.deepStrictEqual(results(rows), [
+        "missing_in_stripe",
+        "missing_in_stripe",
+      ]);
+      assert.match(rows[0].detail, /payment reference unknown/);
+      assert.strictEqual(rows[1].detail, "intent not found");
+    },
+  },
+  {
+    name: "reconcile: a request or intent charged twice is a duplicate",
+    run: () => {
+      const rows = reconcile(
+        [
+          charge(1, 5000),
+          charge(1, 5000, { transactionHash: "0xt1b" }),
+          charge(2, 5000, { paymentIntentId: "pi_1" }),
+        ],
+        [capture(1, 5000)]
+      );
+      assert.deepStrictEqual(results(rows), [
+        "matched",
+        "duplicate_charge",
+        "duplicate_charge",
+      ]);
+      assert.strictEqual(rows[1].detail, "request already charged");
+      assert.strictEqual(
+        rows[2].detail,
+        "intent already charged by request 0x01"
+      );
+    },
+  },
+  {
+    name: "reconcile: only captures of our holds without a charge are orphans",
+    run: () => {
+      const rows = reconcile(
+        [charge(1, 5000)],
+        [
+          capture(1, 5000),
+          capture(2, 700, { metadata: { wallet: BOB } }),
+          capture(3, 700, { metadata: {} }),
+          capture(4, 0, { status: "canceled" }),
+        ]
+      );
+      assert.deepStrictEqual(results(rows), ["matched", "orphan_capture"]);
+      assert.strictEqual(rows[1].user, BOB);
+      assert.strictEqual(rows[1].paymentIntent, "pi_2");
+      assert.strictEqual(rows[1].chargedUSDC, "");
+    },
+  },
+  {
+    name: "reconcile: the summary counts every result and the CSV quotes fields",
+    run: () => {
+      const rows = reconcile(
+        [charge(1, 5000)],
+        [capture(1, 5000), capture(2, 700)]
+      );
+      assert.deepStrictEqual(summarize(rows), {
+        matched: 1,
+        amount_mismatch: 0,
+        currency_mismatch: 0,
+        duplicate_charge: 0,
+        missing_in_stripe: 0,
+        orphan_capture: 1,
+      });
+      const lines = toCsv([{ ...rows[0], detail: 'say "hi", twice' }]).split(
+        "\n"
+      );
+      assert.strictEqual(lines.length, 2);
+      assert.ok(lines[0].startsWith("result,user,requestId,paymentIntent,"));
+      assert.ok(lines[1].endsWith(',"say ""hi"", twice"'));
+    },
+  },
+
+  // --- Closed holds (lib/holds.js) ---
+  {
+    name: "holds: a closed hold an active position uses again is not released",
+    run: async () => {
+      const released = [];
+      const payments = {
+        status: async () => ({ state: "authorized", capturableCents: 5000 }),
+        release: async (id) => {
+          released.push(id);
+          return { state: "released" };
+        },
+      };
+      const report = await releaseHolds(
+        (paymentIntentId) => ({ payments, id: paymentIntentId }),
+        [
+          { user: ALICE, paymentIntentId: "pi_1" },
+          { user: BOB, paymentIntentId: "pi_2", activeUser: BOB },
+        ]
+      );
+      assert.deepStrictEqual(
+        report.map(({ result, detail }) => [result, detail]),
+        [
+          ["released", "5000 cents, now released"],
+          ["skipped", `in use by the active position of ${BOB}`],
+        ]
+      );
+      assert.deepStrictEqual(released, ["pi_1"]);
+    },
+  },
+
+  // --- Pre-flight gate (lib/preflight.js) ---
+  {
+    name: "preflight: only the read-only verify source runs on the real keys",
+    run: async () => {
+      const previous = process.env.STRIPE_SECRET_KEY;
+      process.env.STRIPE_SECRET_KEY = "sk_test_real";
+      const secretsFor = async (name, options) => {
+        let secrets;
+        await assert.rejects(
+          preflight(
+            name,
+            {
+              source: "",
+              args: ["pi_1"],
+              gasLimit: 300000,
+              simulate: async (request) => {
+                secrets = request.secrets;
+                return { errorString: "stopped" };
+              },
+            },
+            options
+          ),
+          /source threw: stopped/
+        );
+        return secrets;
+      };
+      try {
+        assert.strictEqual(await secretsFor("verify", {}), MOCK_SECRETS);
+        assert.strictEqual(
+          (await secretsFor("verify", { realSecrets: true })).STRIPE_SECRET_KEY,
+          "sk_test_real"
+        );
+        assert.strictEqual(
+          await secretsFor("capture", { realSecrets: true }),
+          MOCK_SECRETS
+        );
+      } finally {
+        if (previous === undefined) delete process.env.STRIPE_SECRET_KEY;
+        else process.env.STRIPE_SECRET_KEY = previous;
+      }
+    },
+  },
+
+  // --- LP analytics (lib/lp-analytics.js) ---
+  {
+    name: "lp: USDC sent to the core beyond a flash loan repayment is rewards",
+    run: () => {
+      const sent = (transactionHash, amount) => ({
+        transactionHash,
+        account: ALICE,
+        amount: usdc(amount),
+      });
+      const loan = (transactionHash, amount, premium) => ({
+        transactionHash,
+        amount: usdc(amount),
+        premium: usdc(premium),
+      });
+      const rewards = findRewards(
+        [sent("0xa", "1005"), sent("0xb", "1005"), sent("0xb", "40")],
+        [loan("0xa", "1000", "5"), loan("0xb", "1000", "5")]
+      );
+      assert.deepStrictEqual(
+        rewards.map(({ transactionHash, amount, type }) => [
+          transactionHash,
+          ethers.utils.formatUnits(amount, 6),
+          type,
+        ]),
+        [["0xb", "40.0", "rewards"]]
+      );
+    },
+  },
+  {
+    name: "lp: premiums and rewards raise the share price, withdrawals take fees first",
+    run: () => {
+      const replay = replayPool(
+        poolEvents([
+          lpTransfer(AddressZero, ALICE, "1000"),
+          { type: "deposit", account: ALICE, amount: usdc("1000") },
+          {
+            type: "flash_loan",
+            account: BOB,
+            amount: usdc("500"),
+            premium: usdc("100"),
+          },
+          { type: "rewards", account: BOB, amount: usdc("100") },
+          lpTransfer(ALICE, AddressZero, "250"),
+          { type: "withdrawal", account: ALICE, amount: usdc("300") },
+        ])
+      );
+      assert.deepStrictEqual(
+        replay.snapshots.map(({ type, sharePrice }) => [
+          type,
+          ethers.utils.formatUnits(sharePrice, 6),
+        ]),
+        [
+          ["deposit", "1.0"],
+          ["flash_loan", "1.1"],
+          ["rewards", "1.2"],
+          ["withdrawal", "1.2"],
+        ]
+      );
+      assert.strictEqual(replay.liquidity.toString(), usdc("900").toString());
+      assert.ok(replay.fees.isZero());
+      assert.strictEqual(replay.supply.toString(), usdc("750").toString());
+      assert.strictEqual(replay.totals.flashLoans, 1);
+      assert.strictEqual(
+        replay.totals.rewards.toString(),
+        usdc("100").toString()
+      );
+    },
+  },
+  {
+    name: "lp: tokens moved between wallets carry their value into the PnL",
+    run: () => {
+      const { positions } = replayPool(
+        poolEvents([
+          lpTransfer(AddressZero, ALICE, "1000"),
+          { type: "deposit", account: ALICE, amount: usdc("1000") },
+          { type: "rewards", account: CAROL, amount: usdc("200") },
+          lpTransfer(ALICE, BOB, "500"),
+        ])
+      );
+      assert.deepStrictEqual(
+        positions.map(({ lp, value, pnl, returnPct }) => [
+          lp,
+          ethers.utils.formatUnits(value, 6),
+          ethers.utils.formatUnits(pnl, 6),
+          returnPct,
+        ]),
+        [
+          [ALICE, "600.0", "200.0", 20],
+          [BOB, "600.0", "0.0", 0],
+        ]
+      );
+    },
+  },
+  {
+    name: "lp: the APY compounds the share price growth over the period",
+    run: () => {
+      const { snapshots } = replayPool(
+        poolEvents([
+          lpTransfer(AddressZero, ALICE, "1000"),
+          { type: "deposit", account: ALICE, amount: usdc("1000") },
+          { type: "rewards", account: BOB, amount: usdc("10") },
+        ])
+      );
+      // 1% over one day
+      assert.ok(
+        Math.abs(realizedApy(snapshots) - (Math.pow(1.01, 365) - 1) * 100) <
+          1e-6
+      );
+      assert.strictEqual(realizedApy(snapshots.slice(0, 1)), null);
+    },
+  },
+];
+
+const main = async () => {
+  const filter = process.argv[2] || "";
+  const selected = tests.filter((t) => t.name.includes(filter));
+
+  console.log(`\n🧪 Running ${selected.length} unit tests\n`);
+
+  let failed = 0;
+  for (const test of selected) {
+    try {
+      await test.run();
+      console.log(`  ✅ ${test.name}`);
+    } catch (e) {
+      failed++;
+      console.log(`  ❌ ${test.name}\n     ${e.message.split("\n")[0]}`);
+    }
+  }
+
+  const total = selected.length;
+  console.log(`\n${total - failed} passed, ${failed} failed (${total} total)`);
+  if (failed > 0) process.exit(1);
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,146 @@
+// The payment reference the position will be opened with: a Stripe payment
+// intent ID, or "<provider>:<id>" for another provider (see
+// lib/payment-providers.js)
+const paymentReference = args[0];
+// Smallest hold in cents that covers the position's pre-auth
+const minHoldCents = Number(args[1]);
+// The position's preAuthExpiryTime (unix seconds); the hold must outlive it
+const expiryTime = Number(args[2]);
+// The wallet opening the position, which the hold's metadata must name
+const wallet = args[3];
+
+if (!paymentReference) {
+  throw Error("Payment Intent ID required");
+}
+if (!(minHoldCents > 0) || !(expiryTime > 0) || !wallet) {
+  throw Error("Hold amount, expiry time and wallet required");
+}
+
+const [, provider = "stripe", paymentIntentId = paymentReference] =
+  paymentReference.match(/^([a-z]+):(.+)$/) || [];
+
+if (provider === "stripe" && !secrets.STRIPE_SECRET_KEY) {
+  throw Error("STRIPE_SECRET_KEY required");
+}
+if (
+  provider === "rest" &&
+  !(secrets.PAYMENTS_REST_URL && secrets.PAYMENTS_REST_KEY)
+) {
+  throw Error("PAYMENTS_REST_URL and PAYMENTS_REST_KEY required");
+}
+if (!["stripe", "rest"].includes(provider)) {
+  throw Error(`Unknown payment provider ${provider}`);
+}
+
+// Response statuses, numbered as STRIPE_STATUSES in lib/stripe-response.js
+const HOLD_VERIFIED = 11;
+const HOLD_NOT_FOUND = 12;
+const HOLD_WALLET_MISMATCH = 13;
+const HOLD_NOT_MANUAL = 14;
+const HOLD_WRONG_CURRENCY = 15;
+const HOLD_NOT_CAPTURABLE = 16;
+const HOLD_INSUFFICIENT = 17;
+const HOLD_EXPIRES_EARLY = 18;
+
+// Card authorizations lapse 7 days after they are placed unless the provider
+// says otherwise
+const HOLD_LIFETIME_SECONDS = 7 * 24 * 60 * 60;
+
+// ABI-encodes (uint8 status, uint256 holdCents, uint256 authorizationExpiry,
+// bytes32 paymentIntentHash)
+const encodeResponse = async (status, holdCents, authorizationExpiry) => {
+  const response = new Uint8Array(128);
+  const setWord = (word, value) => {
+    for (let i = word * 32 + 31; value > 0; i--, value = Math.floor(value / 256)) {
+      response[i] = value % 256;
+    }
+  };
+  setWord(0, status);
+  setWord(1, holdCents);
+  setWord(2, authorizationExpiry);
+  const hash = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(paymentReference)
+  );
+  response.set(new Uint8Array(hash), 96);
+  return response;
+};
+
+// Checks shared by every provider, in the order the verdict reports them
+const verify = (hold) => {
+  if (String(hold.wallet || "").toLowerCase() !== wallet.toLowerCase()) {
+    return HOLD_WALLET_MISMATCH;
+  }
+  if (!hold.manual) return HOLD_NOT_MANUAL;
+  if (hold.currency !== "usd") return HOLD_WRONG_CURRENCY;
+  if (!hold.capturable) return HOLD_NOT_CAPTURABLE;
+  if (hold.holdCents < minHoldCents) return HOLD_INSUFFICIENT;
+  if (hold.expiresAt < expiryTime) return HOLD_EXPIRES_EARLY;
+  return HOLD_VERIFIED;
+};
+const verdict = (hold) =>
+  encodeResponse(verify(hold), hold.holdCents, hold.expiresAt);
+
+// Check if this is a simulation (mock key of the reference's provider)
+const isSimulation = (
+  provider === "rest" ? secrets.PAYMENTS_REST_KEY : secrets.STRIPE_SECRET_KEY
+).includes("mock_key_for_simulation");
+
+if (isSimulation) {
+  // Return mock response for simulation
+  return encodeResponse(HOLD_VERIFIED, minHoldCents, expiryTime);
+}
+
+if (provider === "rest") {
+  const response = await Functions.makeHttpRequest({
+    url: `${secrets.PAYMENTS_REST_URL}/authorizations/${paymentIntentId}`,
+    headers: { Authorization: `Bearer ${secrets.PAYMENTS_REST_KEY}` },
+  });
+  if (response.error) {
+    if (Number(response.code) === 404) {
+      return encodeResponse(HOLD_NOT_FOUND, 0, 0);
+    }
+    throw new Error(`Payment provider status check failed: ${response.code} ${response.message}`);
+  }
+  const authorization = response.data;
+  // REST authorizations are always captured manually
+  return verdict({
+    wallet: (authorization.metadata || {}).wallet,
+    manual: true,
+    currency: authorization.currency,
+    capturable: authorization.status === "authorized",
+    holdCents: authorization.amount - authorization.captured_amount,
+    expiresAt: authorization.created + HOLD_LIFETIME_SECONDS,
+  });
+}
+
+// The latest charge carries the card's capture_before deadline
+const response = await Functions.makeHttpRequest({
+  url: `https://api.stripe.com/v1/payment_intents/${paymentIntentId}`,
+  method: "GET",
+  headers: {
+    Authorization: `Bearer ${secrets.STRIPE_SECRET_KEY}`,
+  },
+  params: { "expand[]": "latest_charge" },
+});
+
+if (response.error) {
+  if (Number(response.code) === 404) {
+    return encodeResponse(HOLD_NOT_FOUND, 0, 0);
+  }
+  throw new Error(`Stripe status check failed: ${response.code} ${response.message}`);
+}
+
+const intent = response.data;
+const card =
+  intent.latest_charge &&
+  intent.latest_charge.payment_method_details &&
+  intent.latest_charge.payment_method_details.card;
+return verdict({
+  wallet: (intent.metadata || {}).wallet,
+  manual: intent.capture_method === "manual",
+  currency: intent.currency,
+  capturable: intent.status === "requires_capture",
+  holdCents: intent.amount_capturable,
+  expiresAt: (card && card.capture_before) || intent.created + HOLD_LIFETIME_SECONDS,
+});
@@ -5,6 +5,7 @@ import "forge-std/Script.sol";
 import "../src/CreditShaftCore.sol";
 import "../src/AaveStrategy.sol";
 import "../src/CreditShaftLeverage.sol";
+import "../src/StripeRequests.sol";
 import "../src/SimplifiedLPToken.sol";
 
 import {IAaveFaucet} from "../src/interfaces/ISharedInterfaces.sol";
@@ -17,6 +18,7 @@ import {IAaveFaucet} from "../src/interfaces/ISharedInterfaces.sol";
  * - CreditShaftCore (USDC flash loan provider with LP token)
  * - AaveStrategy (Aave V3 integration contract)
  * - CreditShaftLeverage (main leverage contract)
+ * - StripeRequests (Chainlink Functions sources and request encoding used by CreditShaftLeverage)
  *
  * What this script DOES NOT deploy:
  * - External dependencies (USDC, LINK, Aave Pool, Uniswap Router, Chainlink components)
@@ -79,10 +81,14 @@ contract DeployCreditShaftLeverage is Script {
         // 5. Update CreditShaftLeverage with actual AaveStrategy address
         creditShaftLeverage.setAaveStrategy(address(aaveStrategy));
 
-        // 6. Transfer LP token ownership to CreditShaftCore so it can mint/burn tokens
+        // 6. Point CreditShaftLeverage at the Functions sources it sends
+        StripeRequests stripeRequests = new StripeRequests();
+        creditShaftLeverage.setStripeRequests(address(stripeRequests));
+
+        // 7. Transfer LP token ownership to CreditShaftCore so it can mint/burn tokens
         lpToken.transferOwnership(address(creditShaftCore));
 
-        // 7. Post-deployment setup complete - no additional permissions needed
+        // 8. Post-deployment setup complete - no additional permissions needed
         // CreditShaftCore flash loans are publicly accessible
         vm.stopBroadcast();
 
@@ -108,6 +114,9 @@ contract DeployCreditShaftLeverage is Script {
             '",\n',
             '    "CreditShaftLeverage": "',
             vm.toString(address(creditShaftLeverage)),
+            '",\n',
+            '    "StripeRequests": "',
+            vm.toString(address(stripeRequests)),
             '"\n',
             "  },\n",
             '  "dependencies": {\n',
@@ -149,6 +158,7 @@ contract DeployCreditShaftLeverage is Script {
         console.log("CreditShaftCore contract:", address(creditShaftCore));
         console.log("AaveStrategy contract:", address(aaveStrategy));
         console.log("CreditShaftLeverage contract:", address(creditShaftLeverage));
+        console.log("StripeRequests contract:", address(stripeRequests));
         console.log("AAVE Pool:", SEPOLIA_AAVE_POOL);
         console.log("Uniswap Router:", SEPOLIA_UNISWAP_ROUTER);
         console.log("LINK Price Feed:", SEPOLIA_LINK_PRICE_FEED);
@@ -166,6 +176,7 @@ contract DeployCreditShaftLeverage is Script {
         console.log('const CREDIT_SHAFT_CORE_ADDRESS = "%s";', address(creditShaftCore));
         console.log('const AAVE_STRATEGY_ADDRESS = "%s";', address(aaveStrategy));
         console.log('const CREDIT_SHAFT_LEVERAGE_ADDRESS = "%s";', address(creditShaftLeverage));
+        console.log('const STRIPE_REQUESTS_ADDRESS = "%s";', address(stripeRequests));
 
         console.log("\n=== NEXT STEPS ===");
         console.log("1. Add USDC liquidity: Call addUSDCLiquidity() on CreditShaftCore (for flash loan LPs)");
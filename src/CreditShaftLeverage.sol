@@ -15,10 +15,10 @@ interface MockAggregatorInterface {
 
 import {FunctionsClient} from "@chainlink/contracts/v0.8/functions/dev/v1_0_0/FunctionsClient.sol";
 import {ConfirmedOwner} from "@chainlink/contracts/v0.8/shared/access/ConfirmedOwner.sol";
-import {FunctionsRequest} from "@chainlink/contracts/v0.8/functions/dev/v1_0_0/libraries/FunctionsRequest.sol";
 import {AutomationCompatibleInterface} from "@chainlink/contracts/v0.8/automation/AutomationCompatible.sol";
 import {AaveStrategy} from "./AaveStrategy.sol";
-import {StripeSources} from "./StripeSources.sol";
+import {StripeStatus} from "./StripeSources.sol";
+import {StripeRequests} from "./StripeRequests.sol";
 
 import {IERC20, IFlashLoanReceiver, ICreditShaftCore} from "./interfaces/ISharedInterfaces.sol";
 
@@ -27,10 +27,8 @@ contract CreditShaftLeverage is
     ReentrancyGuard,
     IFlashLoanReceiver,
     FunctionsClient,
-    StripeSources,
     AutomationCompatibleInterface
 {
-    using FunctionsRequest for FunctionsRequest.Request;
     // Core addresses
 
     address public immutable creditShaftCore;
@@ -46,13 +44,24 @@ contract CreditShaftLeverage is
     uint64 public donHostedSecretsVersion;
     uint64 public subscriptionId;
     uint32 public gasLimit = 300000;
+    StripeRequests public stripeRequests; // Functions sources, request encoding and response decoding
 
     // Chainlink request tracking
-    mapping(bytes32 => address) public requestIdToUser;
+    uint256 public chargeRequestNonce; // Part of the Stripe idempotency key, unique per charge request
+
+    // The latest request of a kind per user. It is in flight until its callback clears requestId,
+    // or until REQUEST_TIMEOUT: the DON never fulfills a request after the router times it out.
+    struct PendingRequest {
+        bytes32 requestId;
+        uint256 sentAt;
+    }
+
+    mapping(address => PendingRequest) public pendingCharges;
+    mapping(address => PendingRequest) public pendingReauthorizations;
 
     // Position tracking
     // Note: preAuthAmount is stored in USDC format (6 decimals) and represents 150% of borrowed amount
-    // When sending to Stripe, convert to cents: preAuthAmount / 10000 (6 decimals → 2 decimals)
+    // When charging, only the uncovered debt is captured, converted to cents (6 decimals → 2 decimals)
     struct Position {
         uint256 collateralLINK; // User's initial LINK
         uint256 leverageRatio; // 2x, 3x, etc (scaled by 100)
@@ -70,6 +79,60 @@ contract CreditShaftLeverage is
     }
 
     mapping(address => Position) public positions;
+
+    // Outcome of a settled pre-auth: the uncovered debt is captured, the rest of the hold released
+    struct PreAuthSettlement {
+        uint256 capturedCents;
+        uint256 releasedCents;
+        uint256 settledAt;
+    }
+
+    mapping(address => PreAuthSettlement) public preAuthSettlements;
+
+    // Charge requests in flight. The payment intent is kept with the request, so a charge that
+    // settles after its position closed is still recorded
+    struct ChargeRequest {
+        address user;
+        bytes32 paymentIntentHash;
+    }
+
+    mapping(bytes32 => ChargeRequest) internal chargeRequests; // Per user: pendingCharges
+
+    // Release requests sent when a position closes with its card hold still in place
+    struct HoldRelease {
+        address user;
+        bytes32 paymentIntentHash;
+    }
+
+    mapping(bytes32 => HoldRelease) public releaseRequests;
+
+    // Re-authorization requests that replace a position's card hold before it lapses
+    struct HoldReauthorization {
+        address user;
+        bytes32 paymentIntentHash;
+    }
+
+    mapping(bytes32 => HoldReauthorization) internal reauthorizationRequests; // Per user: pendingReauthorizations
+
+    // Verification requests that check a card hold before a position opens on it
+    struct HoldVerificationRequest {
+        address user;
+        bytes32 paymentIntentHash;
+    }
+
+    mapping(bytes32 => HoldVerificationRequest) internal verificationRequests;
+
+    // The latest accepted verdict per user, consumed by openLeveragePosition
+    struct HoldVerification {
+        bytes32 paymentIntentHash;
+        uint256 holdCents;
+        uint256 authorizationExpiry;
+        uint256 verifiedAt;
+    }
+
+    mapping(address => HoldVerification) public holdVerifications;
+    bool public holdVerificationRequired; // openLeveragePosition needs a fresh verdict for its hold
+    uint256 public holdVerificationFee; // Wei a caller pays per verification request, 0 refuses them
     uint256 public nextPositionId = 1;
 
     // Track active positions for efficient automation
@@ -83,6 +146,11 @@ contract CreditShaftLeverage is
     uint256 public constant LP_PROFIT_SHARE = 2000; // 20% of profits to LPs
     uint256 public constant SAFE_LTV = 6500;
     uint256 public constant PREAUTH_TIMEOUT = 7 days; // Charge pre-auth after 7 days
+    uint256 public constant REAUTHORIZED_HOLD_PERIOD = 6 days; // Stripe holds last 7 days; keep a day to charge or roll over
+    uint256 public constant HOLD_VERIFICATION_TTL = 1 hours; // How long a verdict vouches for a hold
+    uint256 public constant REQUEST_TIMEOUT = 1 hours; // After this a request counts as lost, not in flight
+    uint256 public constant REAUTHORIZATION_COOLDOWN = 1 days; // Between re-authorization requests per user
+    uint256 internal constant UPKEEP_CLOSE_GAS = 1500000; // Kept per performUpkeep close: unwind plus ~330k release
 
     // Automation tracking
     uint256 public automationCounter = 0;
@@ -96,8 +164,37 @@ contract CreditShaftLeverage is
         address indexed user, address indexed initiator, bytes32 indexed requestId, uint256 amount
     );
     event PreAuthChargeFailed(address indexed user, bytes32 indexed requestId, string reason);
-    event StripeResponseReceived(address indexed user, bytes32 indexed requestId, string response);
+    event StripeResponseReceived(
+        address indexed user,
+        bytes32 indexed requestId,
+        StripeStatus status,
+        uint256 amountCents,
+        uint256 releasedCents,
+        bytes3 currency
+    );
+    event PreAuthSettled(address indexed user, bytes32 indexed requestId, uint256 capturedCents, uint256 releasedCents);
+    event HoldReleaseInitiated(address indexed user, bytes32 indexed requestId, string paymentIntentId);
+    event HoldReleased(address indexed user, bytes32 indexed requestId, uint256 releasedCents);
+    event HoldReleaseFailed(address indexed user, bytes32 indexed requestId, string reason);
+    event HoldReauthorizationInitiated(
+        address indexed user, address indexed initiator, bytes32 indexed requestId, string paymentIntentId
+    );
+    event HoldReauthorized(
+        address indexed user,
+        bytes32 indexed requestId,
+        string newPaymentIntentId,
+        uint256 holdCents,
+        uint256 preAuthExpiryTime
+    );
+    event HoldReauthorizationFailed(address indexed user, bytes32 indexed requestId, string reason);
+    event StrayHoldPlaced(address indexed user, bytes32 indexed requestId, string paymentIntentId, uint256 holdCents);
+    event HoldVerificationInitiated(address indexed user, bytes32 indexed requestId, string paymentIntentId);
+    event HoldVerified(address indexed user, bytes32 indexed requestId, uint256 holdCents, uint256 authorizationExpiry);
+    event HoldVerificationFailed(address indexed user, bytes32 indexed requestId, string reason);
+    event HoldVerificationUpdated(bool required, uint256 fee);
     event AutomationExecuted(uint256 indexed counter, uint256 totalAttempts, uint256 successful, uint256 failed);
+    event DONHostedSecretsVersionUpdated(uint64 version);
+    event StripeRequestsUpdated(address stripeRequests);
 
     constructor(
         address _creditShaftCore,
@@ -163,6 +260,9 @@ contract CreditShaftLeverage is
 
         uint256 preAuthAmount = (borrowUSDValue * PREAUTH_MULTIPLIER) / 100;
         require(preAuthAmount > 0, "Pre-auth amount is zero");
+        if (holdVerificationRequired) {
+            _consumeHoldVerification(msg.sender, stripePaymentIntentId, preAuthAmount, expiryTime);
+        }
         // Note: PreAuthCharged event is emitted only when actually charged via Stripe, not during position opening
 
         // Store position data
@@ -345,8 +445,19 @@ contract CreditShaftLeverage is
             emit PositionClosed(user, 0, 0);
         }
 
-        // 5. Clean up state.
+        // 5. Release the card hold unless the pre-auth was already settled or a charge request is
+        // in flight: that capture releases the rest of the hold itself, and a release would race it.
+        // A failing request (e.g. an underfunded subscription) must not block the close.
+        if (!pos.preAuthCharged && !_isPending(pendingCharges[user]) && bytes(pos.stripePaymentIntentId).length > 0) {
+            try this.requestHoldRelease(user, pos.stripePaymentIntentId) {}
+            catch {
+                emit HoldReleaseFailed(user, bytes32(0), "Release request failed");
+            }
+        }
+
+        // 6. Clean up state. A charge still in flight settles against its own request.
         _removeActiveUser(user);
+        delete pendingCharges[user].requestId;
         delete positions[user];
     }
 
@@ -380,168 +491,227 @@ contract CreditShaftLeverage is
      */
     function isReadyForPreAuthCharge(address user) external view returns (bool ready) {
         Position storage pos = positions[user];
-        return pos.isActive && !pos.preAuthCharged && block.timestamp >= pos.preAuthExpiryTime;
+        return pos.isActive && !pos.preAuthCharged && block.timestamp >= pos.preAuthExpiryTime
+            && !_isPending(pendingCharges[user]);
+    }
+
+    function _isPending(PendingRequest storage request) internal view returns (bool) {
+        return request.requestId != bytes32(0) && block.timestamp < request.sentAt + REQUEST_TIMEOUT;
     }
 
     // Chainlink Functions integration
 
     function fulfillRequest(bytes32 requestId, bytes memory response, bytes memory err) internal override {
-        address user = requestIdToUser[requestId];
+        HoldRelease memory release = releaseRequests[requestId];
+        if (release.user != address(0)) {
+            _fulfillHoldRelease(requestId, release, response, err);
+            return;
+        }
+        HoldReauthorization memory reauthorization = reauthorizationRequests[requestId];
+        if (reauthorization.user != address(0)) {
+            _fulfillHoldReauthorization(requestId, reauthorization, response, err);
+            return;
+        }
+        HoldVerificationRequest memory verification = verificationRequests[requestId];
+        if (verification.user != address(0)) {
+            _fulfillHoldVerification(requestId, verification, response, err);
+            return;
+        }
+
+        ChargeRequest memory charge = chargeRequests[requestId];
+        address user = charge.user;
         require(user != address(0), "Invalid request ID");
 
+        delete chargeRequests[requestId];
         Position storage pos = positions[user];
+        // A close clears its position's pending charge, and the DON never answers a request that
+        // timed out, so a request that is not pending answers for a position that closed
+        bool positionOpen = pendingCharges[user].requestId == requestId;
+        if (positionOpen) delete pendingCharges[user].requestId;
 
         // Handle error cases
-        if (err.length > 0) {
-            emit PreAuthChargeFailed(user, requestId, string(err));
-            delete requestIdToUser[requestId];
+        string memory reason = _responseError(response, err);
+        if (bytes(reason).length > 0) {
+            emit PreAuthChargeFailed(user, requestId, reason);
             return;
         }
 
-        // Parse Stripe response
-        if (response.length > 0) {
-            // Debug: Log the raw response
-            emit StripeResponseReceived(user, requestId, string(response));
-
-            try this.parseStripeResponse(response) returns (bool success, string memory /* status */ ) {
-                if (success) {
-                    // Successfully charged - mark as charged
+        // Decode Stripe response
+        try stripeRequests.decodeStripeResponse(response) returns (
+            StripeStatus status,
+            uint256 amountCents,
+            uint256 releasedCents,
+            bytes3 currency,
+            bytes32 paymentIntentHash
+        ) {
+            emit StripeResponseReceived(user, requestId, status, amountCents, releasedCents, currency);
+
+            if (paymentIntentHash != charge.paymentIntentHash) {
+                // Response is for another payment intent
+                emit PreAuthChargeFailed(user, requestId, "Payment intent mismatch");
+            } else if (
+                status == StripeStatus.Captured || status == StripeStatus.AlreadyCaptured
+                    || status == StripeStatus.Released
+            ) {
+                // Settled: the shortfall was captured (now or by an earlier request) and the rest released.
+                // Only the first settlement counts; a late duplicate would book the capture twice. The
+                // capture stands even if the position closed meanwhile
+                if (!positionOpen) {
+                    _settlePreAuth(user, requestId, amountCents, releasedCents);
+                } else if (!pos.preAuthCharged) {
                     pos.preAuthCharged = true;
-                    emit PreAuthCharged(user, pos.preAuthAmount);
-                } else {
-                    // Charge failed
-                    emit PreAuthChargeFailed(user, requestId, "Stripe charge failed");
+                    _settlePreAuth(user, requestId, amountCents, releasedCents);
                 }
-            } catch {
-                // Failed to parse response
-                emit PreAuthChargeFailed(user, requestId, "Failed to parse Stripe response");
+            } else {
+                // Charge failed - e.g. card_declined or authorization_expired
+                emit PreAuthChargeFailed(
+                    user, requestId, string.concat("Stripe charge failed: ", stripeRequests.statusName(status))
+                );
             }
-        } else {
-            emit PreAuthChargeFailed(user, requestId, "Empty response from Stripe");
+        } catch {
+            // Failed to parse response
+            emit PreAuthChargeFailed(user, requestId, "Failed to parse Stripe response");
         }
-
-        // Clean up the mapping
-        delete requestIdToUser[requestId];
     }
 
-    /**
-     * @notice Parse Stripe API response from Chainlink Functions - Simplified Version
-     * @dev External function to allow try/catch in fulfillRequest
-     * @param response Raw response bytes from Chainlink Functions
-     * @return success Whether the charge was successful
-     * @return status Simple status indicator
-     */
-    function parseStripeResponse(bytes memory response) external pure returns (bool success, string memory status) {
-        // Expected success format: {"success":true,"paymentIntentId":"pi_xxx","status":"succeeded","amountCaptured":1000,"currency":"usd"}
-
-        string memory responseStr = string(response);
+    // Why a Functions response is unusable: the DON's error, or no response at all. Empty if usable
+    function _responseError(bytes memory response, bytes memory err) internal pure returns (string memory) {
+        if (err.length > 0) return string(err);
+        if (response.length == 0) return "Empty response from Stripe";
+        return "";
+    }
 
-        // Simple checks for success case
-        bool hasSuccessTrue = _contains(responseStr, '"success":true');
-        bool hasStatusSucceeded = _contains(responseStr, '"status":"succeeded"');
+    function _settlePreAuth(address user, bytes32 requestId, uint256 capturedCents, uint256 releasedCents) internal {
+        preAuthSettlements[user] = PreAuthSettlement(capturedCents, releasedCents, block.timestamp);
+        emit PreAuthSettled(user, requestId, capturedCents, releasedCents);
+        if (capturedCents > 0) {
+            emit PreAuthCharged(user, capturedCents * 10000); // cents (2 decimals) → USDC (6 decimals)
+        }
+    }
 
-        // Must have both conditions for success
-        success = hasSuccessTrue && hasStatusSucceeded;
+    function _fulfillHoldRelease(bytes32 requestId, HoldRelease memory release, bytes memory response, bytes memory err)
+        internal
+    {
+        delete releaseRequests[requestId];
 
-        // Return simple status
-        if (success) {
-            status = "succeeded";
-        } else {
-            status = "failed";
+        string memory reason = _responseError(response, err);
+        if (bytes(reason).length > 0) {
+            emit HoldReleaseFailed(release.user, requestId, reason);
+            return;
         }
 
-        return (success, status);
+        try stripeRequests.decodeStripeResponse(response) returns (
+            StripeStatus status, uint256, uint256 releasedCents, bytes3, bytes32 paymentIntentHash
+        ) {
+            if (paymentIntentHash != release.paymentIntentHash) {
+                emit HoldReleaseFailed(release.user, requestId, "Payment intent mismatch");
+            } else if (status == StripeStatus.Released) {
+                emit HoldReleased(release.user, requestId, releasedCents);
+            } else {
+                emit HoldReleaseFailed(
+                    release.user, requestId, string.concat("Stripe release failed: ", stripeRequests.statusName(status))
+                );
+            }
+        } catch {
+            emit HoldReleaseFailed(release.user, requestId, "Failed to parse Stripe response");
+        }
     }
 
-    function _uint2str(uint256 _i) internal pure returns (string memory) {
-        if (_i == 0) {
-            return "0";
+    function _fulfillHoldReauthorization(
+        bytes32 requestId,
+        HoldReauthorization memory reauthorization,
+        bytes memory response,
+        bytes memory err
+    ) internal {
+        delete reauthorizationRequests[requestId];
+        address user = reauthorization.user;
+        if (pendingReauthorizations[user].requestId == requestId) {
+            delete pendingReauthorizations[user].requestId;
         }
-        uint256 j = _i;
-        uint256 len;
-        while (j != 0) {
-            len++;
-            j /= 10;
+
+        string memory reason = _responseError(response, err);
+        if (bytes(reason).length > 0) {
+            emit HoldReauthorizationFailed(user, requestId, reason);
+            return;
         }
-        bytes memory bstr = new bytes(len);
-        uint256 k = len;
-        while (_i != 0) {
-            k = k - 1;
-            uint8 temp = (48 + uint8(_i - _i / 10 * 10));
-            bytes1 b1 = bytes1(temp);
-            bstr[k] = b1;
-            _i /= 10;
+
+        try stripeRequests.decodeReauthorizationResponse(response) returns (
+            StripeStatus status, uint256 holdCents, bytes32 paymentIntentHash, string memory newPaymentIntentId
+        ) {
+            Position storage pos = positions[user];
+            if (status != StripeStatus.Reauthorized) {
+                emit HoldReauthorizationFailed(
+                    user, requestId, string.concat("Stripe reauthorization failed: ", stripeRequests.statusName(status))
+                );
+            } else if (
+                paymentIntentHash != reauthorization.paymentIntentHash || !pos.isActive || pos.preAuthCharged
+                    || sha256(bytes(pos.stripePaymentIntentId)) != paymentIntentHash
+            ) {
+                // The position moved on while the request was in flight (closed, charged or
+                // rolled over by another request), so the new hold backs nothing. Releasing it
+                // would send another request from this callback; release-closed cancels it instead
+                emit HoldReauthorizationFailed(user, requestId, "Position changed");
+                emit StrayHoldPlaced(user, requestId, newPaymentIntentId, holdCents);
+            } else {
+                pos.stripePaymentIntentId = newPaymentIntentId;
+                pos.preAuthExpiryTime = block.timestamp + REAUTHORIZED_HOLD_PERIOD;
+                emit HoldReauthorized(user, requestId, newPaymentIntentId, holdCents, pos.preAuthExpiryTime);
+            }
+        } catch {
+            emit HoldReauthorizationFailed(user, requestId, "Failed to parse Stripe response");
         }
-        return string(bstr);
     }
 
-    /**
-     * @notice Check if a string contains a substring
-     * @param str The string to search in
-     * @param substr The substring to search for
-     * @return True if substr is found in str
-     */
-    function _contains(string memory str, string memory substr) internal pure returns (bool) {
-        bytes memory strBytes = bytes(str);
-        bytes memory substrBytes = bytes(substr);
-
-        if (substrBytes.length > strBytes.length) {
-            return false;
+    function _fulfillHoldVerification(
+        bytes32 requestId,
+        HoldVerificationRequest memory verification,
+        bytes memory response,
+        bytes memory err
+    ) internal {
+        delete verificationRequests[requestId];
+        address user = verification.user;
+
+        string memory reason = _responseError(response, err);
+        if (bytes(reason).length > 0) {
+            emit HoldVerificationFailed(user, requestId, reason);
+            return;
         }
 
-        for (uint256 i = 0; i <= strBytes.length - substrBytes.length; i++) {
-            bool found = true;
-            for (uint256 j = 0; j < substrBytes.length; j++) {
-                if (strBytes[i + j] != substrBytes[j]) {
-                    found = false;
-                    break;
-                }
-            }
-            if (found) {
-                return true;
+        try stripeRequests.decodeVerificationResponse(response) returns (
+            StripeStatus status, uint256 holdCents, uint256 authorizationExpiry, bytes32 paymentIntentHash
+        ) {
+            if (paymentIntentHash != verification.paymentIntentHash) {
+                emit HoldVerificationFailed(user, requestId, "Payment intent mismatch");
+            } else if (status != StripeStatus.HoldVerified) {
+                emit HoldVerificationFailed(
+                    user, requestId, string.concat("Hold rejected: ", stripeRequests.statusName(status))
+                );
+            } else {
+                holdVerifications[user] =
+                    HoldVerification(paymentIntentHash, holdCents, authorizationExpiry, block.timestamp);
+                emit HoldVerified(user, requestId, holdCents, authorizationExpiry);
             }
+        } catch {
+            emit HoldVerificationFailed(user, requestId, "Failed to parse Stripe response");
         }
-        return false;
     }
 
-    /**
-     * @notice Extract a JSON value after a given key
-     * @param json The JSON string
-     * @param key The key to search for (including quotes and colon)
-     * @return The extracted value (without quotes)
-     */
-    function _extractJsonValue(string memory json, string memory key) internal pure returns (string memory) {
-        bytes memory jsonBytes = bytes(json);
-        bytes memory keyBytes = bytes(key);
-
-        // Find the key
-        for (uint256 i = 0; i <= jsonBytes.length - keyBytes.length; i++) {
-            bool found = true;
-            for (uint256 j = 0; j < keyBytes.length; j++) {
-                if (jsonBytes[i + j] != keyBytes[j]) {
-                    found = false;
-                    break;
-                }
-            }
-            if (found) {
-                // Found the key, now extract the value
-                uint256 valueStart = i + keyBytes.length;
-                if (valueStart < jsonBytes.length && jsonBytes[valueStart] == '"') {
-                    valueStart++; // Skip opening quote
-                    uint256 valueEnd = valueStart;
-                    while (valueEnd < jsonBytes.length && jsonBytes[valueEnd] != '"') {
-                        valueEnd++;
-                    }
-                    // Extract the value without quotes
-                    bytes memory value = new bytes(valueEnd - valueStart);
-                    for (uint256 k = 0; k < valueEnd - valueStart; k++) {
-                        value[k] = jsonBytes[valueStart + k];
-                    }
-                    return string(value);
-                }
-            }
-        }
-        return "";
+    // Checks the open against the user's verdict and uses it up, so every open needs its own check
+    function _consumeHoldVerification(
+        address user,
+        string memory stripePaymentIntentId,
+        uint256 preAuthAmount,
+        uint256 expiryTime
+    ) internal {
+        HoldVerification memory verification = holdVerifications[user];
+        require(
+            verification.verifiedAt > 0 && verification.paymentIntentHash == sha256(bytes(stripePaymentIntentId)),
+            "Hold not verified"
+        );
+        require(block.timestamp <= verification.verifiedAt + HOLD_VERIFICATION_TTL, "Hold verification expired");
+        require(verification.holdCents * 10000 >= preAuthAmount, "Hold does not cover pre-auth");
+        require(verification.authorizationExpiry >= expiryTime, "Hold lapses before expiry time");
+        delete holdVerifications[user];
     }
 
     // Chainlink Automation to charge expired PreAuths and close unsafe positions
@@ -567,7 +737,10 @@ contract CreditShaftLeverage is
             if (!pos.isActive) continue;
 
             // Check if position needs PreAuth charging
-            if (!pos.preAuthCharged && block.timestamp >= pos.preAuthExpiryTime && chargeCount < 20) {
+            if (
+                !pos.preAuthCharged && block.timestamp >= pos.preAuthExpiryTime && !_isPending(pendingCharges[user])
+                    && chargeCount < 20
+            ) {
                 usersToCharge[chargeCount] = user;
                 chargeCount++;
             }
@@ -611,6 +784,11 @@ contract CreditShaftLeverage is
         // Handle unsafe position closures
         for (uint256 i = 0; i < closeCount; i++) {
             address user = usersToClose[i];
+            // Too little gas left for another close and its hold release: the next upkeep gets it
+            if (gasleft() < UPKEEP_CLOSE_GAS) {
+                failedClosures++;
+                continue;
+            }
             try this.closeUnsafePositionPublic(user) {
                 successfulClosures++;
             } catch {
@@ -636,28 +814,127 @@ contract CreditShaftLeverage is
         require(pos.isActive, "Position not active");
         require(!pos.preAuthCharged, "Pre-auth already charged");
         require(block.timestamp >= pos.preAuthExpiryTime, "Pre-auth not expired");
+        require(!_isPending(pendingCharges[user]), "Charge already in flight");
 
         // NOTE: This only affects payment processing, NOT position functionality
         // Position remains active and tradeable even after preAuth is charged
 
         // Create Chainlink Functions request to charge Stripe PreAuth
-        FunctionsRequest.Request memory req;
-        req.initializeRequestForInlineJavaScript(_getStripeChargeSource());
-        req.addDONHostedSecrets(0, donHostedSecretsVersion);
-
-        // Pass payment intent ID and amount to charge
-        // Convert preAuthAmount from USDC format (6 decimals) to Stripe cents (2 decimals)
-        string[] memory args = new string[](2);
-        args[0] = pos.stripePaymentIntentId;
-        args[1] = _uint2str(pos.preAuthAmount / 10000); // USDC (6 decimals) → cents (2 decimals)
-        req.setArgs(args);
+        // Only the uncovered debt is captured; "0" releases the whole hold
+        // The nonce keys Stripe's idempotency: DON retries of this request reuse it, a new request does not
+        uint256 captureCents = getCaptureAmountCents(user);
+        chargeRequestNonce++;
+        bytes memory request = stripeRequests.chargeRequest(
+            pos.stripePaymentIntentId, captureCents, chargeRequestNonce, donHostedSecretsVersion
+        );
 
         // Send the request
-        bytes32 requestId = _sendRequest(req.encodeCBOR(), subscriptionId, gasLimit, donId);
-        requestIdToUser[requestId] = user;
+        bytes32 requestId = _sendRequest(request, subscriptionId, gasLimit, donId);
+        chargeRequests[requestId] = ChargeRequest(user, sha256(bytes(pos.stripePaymentIntentId)));
+        pendingCharges[user] = PendingRequest(requestId, block.timestamp);
 
         // Emit event for tracking
-        emit PreAuthChargeInitiated(user, msg.sender, requestId, pos.preAuthAmount);
+        emit PreAuthChargeInitiated(user, msg.sender, requestId, captureCents * 10000);
+    }
+
+    /**
+     * @notice Send a Functions request that cancels a closed position's card hold
+     * @dev Only callable by the contract itself, so the close flow can try/catch it
+     * @param user Address of the user whose position closed
+     * @param paymentIntentId Stripe payment intent holding the pre-auth
+     */
+    function requestHoldRelease(address user, string calldata paymentIntentId) external {
+        require(msg.sender == address(this), "Only the close flow can call this");
+
+        bytes32 requestId = _sendRequest(
+            stripeRequests.releaseRequest(paymentIntentId, donHostedSecretsVersion), subscriptionId, gasLimit, donId
+        );
+        releaseRequests[requestId] = HoldRelease(user, sha256(bytes(paymentIntentId)));
+        emit HoldReleaseInitiated(user, requestId, paymentIntentId);
+    }
+
+    /**
+     * @notice Replace a position's card hold with a fresh off-session hold on its saved card
+     * @dev Stripe authorizations lapse after about 7 days; rolling the hold over keeps the position
+     * backed instead of charging it. On success the position points at the new payment intent and
+     * its pre-auth is due again after REAUTHORIZED_HOLD_PERIOD.
+     * @param user Address of the user whose hold to replace
+     * @return requestId The Chainlink Functions request ID
+     */
+    function requestHoldReauthorization(address user) external returns (bytes32 requestId) {
+        require(msg.sender == owner() || msg.sender == user, "Only the owner or the position holder");
+        Position storage pos = positions[user];
+        require(pos.isActive, "Position not active");
+        require(!pos.preAuthCharged, "Pre-auth already charged");
+        require(block.timestamp < pos.preAuthExpiryTime, "Pre-auth expired");
+        require(
+            bytes(pos.stripeCustomerId).length > 0 && bytes(pos.stripePaymentMethodId).length > 0,
+            "No saved payment method"
+        );
+        // Every request places a hold and is paid from the subscription. The cooldown outlasts
+        // REQUEST_TIMEOUT, so it also keeps a second request from racing one still in flight.
+        require(!_isPending(pendingCharges[user]), "Charge already in flight");
+        require(
+            block.timestamp >= pendingReauthorizations[user].sentAt + REAUTHORIZATION_COOLDOWN,
+            "Re-authorized too recently"
+        );
+
+        // The same hold as at open, rounded up to a whole cent; the nonce keys Stripe's idempotency
+        chargeRequestNonce++;
+        bytes memory request = stripeRequests.reauthorizationRequest(
+            pos.stripePaymentIntentId,
+            (pos.preAuthAmount + 9999) / 10000,
+            pos.stripeCustomerId,
+            pos.stripePaymentMethodId,
+            chargeRequestNonce,
+            user,
+            donHostedSecretsVersion
+        );
+        requestId = _sendRequest(request, subscriptionId, gasLimit, donId);
+        reauthorizationRequests[requestId] = HoldReauthorization(user, sha256(bytes(pos.stripePaymentIntentId)));
+        pendingReauthorizations[user] = PendingRequest(requestId, block.timestamp);
+        emit HoldReauthorizationInitiated(user, msg.sender, requestId, pos.stripePaymentIntentId);
+    }
+
+    /**
+     * @notice Check a card hold before opening a position on it
+     * @dev The Functions request confirms the intent is a manual-capture USD hold in requires_capture
+     * with the caller's wallet in its metadata, covering the pre-auth these parameters give at the
+     * current LINK price and lasting until expiryTime. An accepted verdict is stored for
+     * HOLD_VERIFICATION_TTL and required by openLeveragePosition while holdVerificationRequired.
+     * The caller pays holdVerificationFee with the call; it stays in the contract until the owner
+     * withdraws it with withdrawVerificationFees to fund the subscription.
+     * @param leverageRatio Leverage the position will open with (scaled by 100)
+     * @param collateralAmount LINK collateral the position will open with
+     * @param expiryTime The position's pre-auth expiry time
+     * @param stripePaymentIntentId The hold's payment reference
+     * @return requestId The Chainlink Functions request ID
+     */
+    function requestHoldVerification(
+        uint256 leverageRatio,
+        uint256 collateralAmount,
+        uint256 expiryTime,
+        string calldata stripePaymentIntentId
+    ) external payable returns (bytes32 requestId) {
+        // Anyone can call this, from any number of addresses, and the subscription pays for every
+        // request: the fee makes the caller pay for it instead
+        require(holdVerificationFee > 0 && msg.value == holdVerificationFee, "Wrong verification fee");
+        require(!positions[msg.sender].isActive, "Position already active");
+        require(leverageRatio >= MIN_LEVERAGE && leverageRatio <= MAX_LEVERAGE, "Invalid leverage");
+        require(expiryTime > block.timestamp, "Expiry time must be in the future");
+        require(bytes(stripePaymentIntentId).length > 0, "Payment intent ID required");
+
+        // The pre-auth openLeveragePosition computes, rounded up to a whole cent
+        uint256 collateralUSDValue = (collateralAmount * getLINKPrice()) / 1e20;
+        uint256 preAuthAmount = (((collateralUSDValue * (leverageRatio - 100)) / 100) * PREAUTH_MULTIPLIER) / 100;
+        require(preAuthAmount > 0, "Pre-auth amount is zero");
+
+        bytes memory request = stripeRequests.verificationRequest(
+            stripePaymentIntentId, (preAuthAmount + 9999) / 10000, expiryTime, msg.sender, donHostedSecretsVersion
+        );
+        requestId = _sendRequest(request, subscriptionId, gasLimit, donId);
+        verificationRequests[requestId] = HoldVerificationRequest(msg.sender, sha256(bytes(stripePaymentIntentId)));
+        emit HoldVerificationInitiated(msg.sender, requestId, stripePaymentIntentId);
     }
 
     // Public function to close unsafe positions (called by automation)
@@ -680,6 +957,44 @@ contract CreditShaftLeverage is
         ICreditShaftCore(creditShaftCore).provideFlashLoan(address(this), address(usdc), pos.borrowedUSDC, params);
     }
 
+    /**
+     * @notice Debt of a position not covered by its collateral, capped at the card hold
+     * @param user Address of the user to check
+     * @return uncoveredUSDC Shortfall in USDC (6 decimals)
+     */
+    function getUncoveredDebt(address user) public view returns (uint256 uncoveredUSDC) {
+        Position storage pos = positions[user];
+        if (!pos.isActive) return 0;
+
+        uint256 collateralValueUSD = _collateralValueUSD(pos);
+        if (pos.borrowedUSDC <= collateralValueUSD) return 0;
+
+        uncoveredUSDC = pos.borrowedUSDC - collateralValueUSD;
+        if (uncoveredUSDC > pos.preAuthAmount) uncoveredUSDC = pos.preAuthAmount;
+    }
+
+    /**
+     * @notice Amount a pre-auth charge would capture now, in Stripe cents
+     * @dev Rounds the shortfall up to a whole cent, without exceeding the hold
+     * @param user Address of the user to check
+     * @return captureCents Cents to capture; the rest of the hold is released
+     */
+    function getCaptureAmountCents(address user) public view returns (uint256 captureCents) {
+        captureCents = (getUncoveredDebt(user) + 9999) / 10000; // USDC (6 decimals) → cents (2 decimals)
+        uint256 holdCents = positions[user].preAuthAmount / 10000;
+        if (captureCents > holdCents) captureCents = holdCents;
+    }
+
+    // Value of the position's supplied LINK in USD, scaled to USDC decimals
+    function _collateralValueUSD(Position storage pos) internal view returns (uint256) {
+        // Get current LINK price from Chainlink price feed
+        int256 price = MockAggregatorInterface(address(linkPriceFeed)).latestAnswer();
+        require(price > 0, "Invalid LINK price");
+
+        // LINK has 18 decimals, USDC has 6 decimals, price feed has 8 decimals
+        return (pos.suppliedLINK * uint256(price)) / (10 ** 20); // 18 + 8 - 6 = 20
+    }
+
     // LTV calculation helper function
     function _calculateUserLTV(address user) internal view returns (uint256) {
         Position storage pos = positions[user];
@@ -687,13 +1002,8 @@ contract CreditShaftLeverage is
             return 0;
         }
 
-        // Get current LINK price from Chainlink price feed
-        int256 price = MockAggregatorInterface(address(linkPriceFeed)).latestAnswer();
-        require(price > 0, "Invalid LINK price");
-
         // Calculate total collateral value in USD (scaled to USDC decimals)
-        // LINK has 18 decimals, USDC has 6 decimals, price feed has 8 decimals
-        uint256 collateralValueUSD = (pos.suppliedLINK * uint256(price)) / (10 ** 20); // 18 + 8 - 6 = 20
+        uint256 collateralValueUSD = _collateralValueUSD(pos);
 
         // Calculate LTV: (debt / collateral) * 10000 for basis points
         // borrowedUSDC already in 6 decimals, collateralValueUSD in 6 decimals
@@ -737,6 +1047,33 @@ contract CreditShaftLeverage is
         aaveStrategy = AaveStrategy(_aaveStrategy);
     }
 
+    // Points the Functions requests at a StripeRequests deployment, e.g. one with updated sources
+    function setStripeRequests(address _stripeRequests) external onlyOwner {
+        require(_stripeRequests != address(0), "Invalid address");
+        stripeRequests = StripeRequests(_stripeRequests);
+        emit StripeRequestsUpdated(_stripeRequests);
+    }
+
+    // Called after re-uploading DON-hosted secrets so charges use the live version
+    function updateDONHostedSecretsVersion(uint64 _donHostedSecretsVersion) external onlyOwner {
+        donHostedSecretsVersion = _donHostedSecretsVersion;
+        emit DONHostedSecretsVersionUpdated(_donHostedSecretsVersion);
+    }
+
+    // Turns on the pre-open hold check once the verification source is funded and live, and prices
+    // verification requests at about what one costs the subscription
+    function setHoldVerification(bool required, uint256 fee) external onlyOwner {
+        holdVerificationRequired = required;
+        holdVerificationFee = fee;
+        emit HoldVerificationUpdated(required, fee);
+    }
+
+    // Sends the verification fees collected so far to `to`, which funds the subscription from them
+    function withdrawVerificationFees(address payable to) external onlyOwner {
+        (bool sent,) = to.call{value: address(this).balance}("");
+        require(sent, "Fee transfer failed");
+    }
+
     // Emergency functions
     function emergencyWithdraw() external onlyOwner {
         // Implementation for emergency withdrawal
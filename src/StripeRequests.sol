@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+import {FunctionsRequest} from "@chainlink/contracts/v0.8/functions/dev/v1_0_0/libraries/FunctionsRequest.sol";
+import {StripeSources, StripeStatus} from "./StripeSources.sol";
+
+/**
+ * @title StripeRequests
+ * @notice Builds the Chainlink Functions requests for the Stripe sources and decodes their responses
+ * @dev Stateless. CreditShaftLeverage sends the requests and tracks them, but loads the sources,
+ * the request encoding and the response decoding from here by reference: embedded, they take it
+ * past the EIP-170 contract size limit.
+ */
+contract StripeRequests is StripeSources {
+    using FunctionsRequest for FunctionsRequest.Request;
+
+    /**
+     * @notice CBOR request data for the capture source
+     * @param paymentIntentId Payment reference of the hold to settle
+     * @param captureCents Uncovered debt to capture, in cents; 0 releases the whole hold
+     * @param nonce Request nonce keying the payment provider's idempotency
+     * @param secretsVersion Version of the DON-hosted secrets
+     */
+    function chargeRequest(string calldata paymentIntentId, uint256 captureCents, uint256 nonce, uint64 secretsVersion)
+        external
+        pure
+        returns (bytes memory)
+    {
+        string[] memory args = new string[](3);
+        args[0] = paymentIntentId;
+        args[1] = Strings.toString(captureCents);
+        args[2] = Strings.toString(nonce);
+        return _encodeRequest(_getStripeChargeSource(), args, secretsVersion);
+    }
+
+    /**
+     * @notice CBOR request data for the release source
+     * @param paymentIntentId Payment reference of the hold to cancel
+     * @param secretsVersion Version of the DON-hosted secrets
+     */
+    function releaseRequest(string calldata paymentIntentId, uint64 secretsVersion)
+        external
+        pure
+        returns (bytes memory)
+    {
+        string[] memory args = new string[](1);
+        args[0] = paymentIntentId;
+        return _encodeRequest(_getStripeReleaseSource(), args, secretsVersion);
+    }
+
+    /**
+     * @notice CBOR request data for the re-authorization source
+     * @param paymentIntentId Payment reference of the hold to replace
+     * @param holdCents Amount the new hold must cover, in cents
+     * @param customerId Customer the saved card belongs to
+     * @param paymentMethodId Saved card to place the new hold on
+     * @param nonce Request nonce keying the payment provider's idempotency
+     * @param wallet Position holder, recorded in the new hold's metadata
+     * @param secretsVersion Version of the DON-hosted secrets
+     */
+    function reauthorizationRequest(
+        string calldata paymentIntentId,
+        uint256 holdCents,
+        string calldata customerId,
+        string calldata paymentMethodId,
+        uint256 nonce,
+        address wallet,
+        uint64 secretsVersion
+    ) external pure returns (bytes memory) {
+        string[] memory args = new string[](6);
+        args[0] = paymentIntentId;
+        args[1] = Strings.toString(holdCents);
+        args[2] = customerId;
+        args[3] = paymentMethodId;
+        args[4] = Strings.toString(nonce);
+        args[5] = Strings.toHexString(wallet);
+        return _encodeRequest(_getStripeReauthorizationSource(), args, secretsVersion);
+    }
+
+    /**
+     * @notice CBOR request data for the hold verification source
+     * @param paymentIntentId Payment reference of the hold to check
+     * @param holdCents Amount the hold must cover, in cents
+     * @param expiryTime Time the hold must last until (unix seconds)
+     * @param wallet Wallet the hold's metadata must name
+     * @param secretsVersion Version of the DON-hosted secrets
+     */
+    function verificationRequest(
+        string calldata paymentIntentId,
+        uint256 holdCents,
+        uint256 expiryTime,
+        address wallet,
+        uint64 secretsVersion
+    ) external pure returns (bytes memory) {
+        string[] memory args = new string[](4);
+        args[0] = paymentIntentId;
+        args[1] = Strings.toString(holdCents);
+        args[2] = Strings.toString(expiryTime);
+        args[3] = Strings.toHexString(wallet);
+        return _encodeRequest(_getStripeVerificationSource(), args, secretsVersion);
+    }
+
+    /**
+     * @notice Decode the ABI-encoded response of the capture and release sources
+     * @dev Reverts on malformed responses, so callers can try/catch it
+     * @param response Raw response bytes from Chainlink Functions
+     * @return status Outcome of the capture or release
+     * @return amountCents Amount captured on the payment intent, in cents
+     * @return releasedCents Amount of the hold released without being captured, in cents
+     * @return currency ISO currency code, e.g. "usd"
+     * @return paymentIntentHash sha256 of the payment intent ID
+     */
+    function decodeStripeResponse(bytes memory response)
+        external
+        pure
+        returns (
+            StripeStatus status,
+            uint256 amountCents,
+            uint256 releasedCents,
+            bytes3 currency,
+            bytes32 paymentIntentHash
+        )
+    {
+        return abi.decode(response, (StripeStatus, uint256, uint256, bytes3, bytes32));
+    }
+
+    /**
+     * @notice Decode the ABI-encoded response of the re-authorization source
+     * @dev Reverts on malformed responses, so callers can try/catch it
+     * @param response Raw response bytes from Chainlink Functions
+     * @return status Reauthorized, or why the old hold was kept
+     * @return holdCents Amount held by the new payment intent, in cents
+     * @return paymentIntentHash sha256 of the payment intent ID being replaced
+     * @return newPaymentIntentId The new payment intent, empty unless reauthorized
+     */
+    function decodeReauthorizationResponse(bytes memory response)
+        external
+        pure
+        returns (StripeStatus status, uint256 holdCents, bytes32 paymentIntentHash, string memory newPaymentIntentId)
+    {
+        return abi.decode(response, (StripeStatus, uint256, bytes32, string));
+    }
+
+    /**
+     * @notice Decode the ABI-encoded response of the hold verification source
+     * @dev Reverts on malformed responses, so callers can try/catch it
+     * @param response Raw response bytes from Chainlink Functions
+     * @return status HoldVerified, or the first check the hold failed
+     * @return holdCents Amount the hold can still capture, in cents
+     * @return authorizationExpiry When the card authorization lapses (unix seconds)
+     * @return paymentIntentHash sha256 of the payment intent ID
+     */
+    function decodeVerificationResponse(bytes memory response)
+        external
+        pure
+        returns (StripeStatus status, uint256 holdCents, uint256 authorizationExpiry, bytes32 paymentIntentHash)
+    {
+        return abi.decode(response, (StripeStatus, uint256, uint256, bytes32));
+    }
+
+    /**
+     * @notice The status as the sources name it, e.g. "card_declined"
+     */
+    function statusName(StripeStatus status) external pure returns (string memory) {
+        return _stripeStatusName(status);
+    }
+
+    function _encodeRequest(string memory source, string[] memory args, uint64 secretsVersion)
+        internal
+        pure
+        returns (bytes memory)
+    {
+        FunctionsRequest.Request memory req;
+        req.initializeRequestForInlineJavaScript(source);
+        req.addDONHostedSecrets(0, secretsVersion);
+        req.setArgs(args);
+        return req.encodeCBOR();
+    }
+}
@@ -3,14 +3,63 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+// Generated by javascript/build-sources.js from the readable sources in javascript/.
+// Do not edit by hand: change the JavaScript and run `npm run build:sources`.
+
+/// @notice Status of an ABI-encoded Stripe source response, numbered as STRIPE_STATUSES in
+/// javascript/lib/stripe-response.js.
+enum StripeStatus {
+    None,
+    Captured,
+    AlreadyCaptured,
+    AuthorizationExpired,
+    Canceled,
+    CardDeclined,
+    CaptureFailed,
+    Released,
+    ReleaseFailed,
+    Reauthorized,
+    ReauthorizationFailed,
+    HoldVerified,
+    HoldNotFound,
+    HoldWalletMismatch,
+    HoldNotManual,
+    HoldWrongCurrency,
+    HoldNotCapturable,
+    HoldInsufficient,
+    HoldExpiresEarly
+}
+
 contract StripeSources {
+    function _stripeStatusName(StripeStatus status) internal pure returns (string memory) {
+        if (status == StripeStatus.Captured) return "captured";
+        if (status == StripeStatus.AlreadyCaptured) return "already_captured";
+        if (status == StripeStatus.AuthorizationExpired) return "authorization_expired";
+        if (status == StripeStatus.Canceled) return "canceled";
+        if (status == StripeStatus.CardDeclined) return "card_declined";
+        if (status == StripeStatus.CaptureFailed) return "capture_failed";
+        if (status == StripeStatus.Released) return "released";
+        if (status == StripeStatus.ReleaseFailed) return "release_failed";
+        if (status == StripeStatus.Reauthorized) return "reauthorized";
+        if (status == StripeStatus.ReauthorizationFailed) return "reauthorization_failed";
+        if (status == StripeStatus.HoldVerified) return "hold_verified";
+        if (status == StripeStatus.HoldNotFound) return "hold_not_found";
+        if (status == StripeStatus.HoldWalletMismatch) return "hold_wallet_mismatch";
+        if (status == StripeStatus.HoldNotManual) return "hold_not_manual";
+        if (status == StripeStatus.HoldWrongCurrency) return "hold_wrong_currency";
+        if (status == StripeStatus.HoldNotCapturable) return "hold_not_capturable";
+        if (status == StripeStatus.HoldInsufficient) return "hold_insufficient";
+        if (status == StripeStatus.HoldExpiresEarly) return "hold_expires_early";
+        return "none";
+    }
+
     /**
      * @notice Returns the JavaScript source code for capturing a Stripe Payment Intent.
      * @dev This is called by the main contract and passed to a Chainlink Functions request.
      */
     function _getStripeChargeSource() internal pure returns (string memory) {
         return
-        "const a=args[0],b=args[1],k=secrets.STRIPE_SECRET_KEY;if(!k)throw Error('Key required');if(!a)throw Error('ID required');if(k.includes('mock'))return Functions.encodeString(JSON.stringify({success:true,paymentIntentId:a,status:'succeeded',amountCaptured:b||5000,currency:'usd',simulation:true}));let u=`https://api.stripe.com/v1/payment_intents/${a}/capture`;if(b)u+=`?amount_to_capture=${b}`;const h={Authorization:`Bearer ${k}`};await Functions.makeHttpRequest({url:u,method:'POST',headers:h});const r=await Functions.makeHttpRequest({url:`https://api.stripe.com/v1/payment_intents/${a}`,method:'GET',headers:h});const p=r.data;return Functions.encodeString(JSON.stringify({success:p.status==='succeeded',paymentIntentId:p.id,status:p.status,amountCaptured:p.amount_received,currency:p.currency}));";
+        "const e=args[0],t=args[1],r=args[2];if(!e)throw Error('Payment Intent ID required');const[,a='stripe',n=e]=e.match(/^([a-z]+):(.+)$/)||[],s={stripe:['STRIPE_SECRET_KEY'],rest:['PAYMENTS_REST_URL','PAYMENTS_REST_KEY']}[a];if(!s)throw Error(`Unknown payment provider ${a}`);if(!s.every(e=>secrets[e]))throw Error(`${s.join(' and ')} required`);const c=async(t,r,a,n)=>{const s=new Uint8Array(160),c=(e,t)=>{for(let r=32*e+31;t>0;r--,t=Math.floor(t/256))s[r]=t%256};c(0,t),c(1,r),c(2,a);const o=new TextEncoder;s.set(o.encode(n.slice(0,3)),96);const i=await crypto.subtle.digest('SHA-256',o.encode(e));return s.set(new Uint8Array(i),128),s},o='0'===t,i=o?'cancel':'capture',u=`creditshaft-${i}-${n}-${t||'full'}-${r||'0'}`;if(('rest'===a?secrets.PAYMENTS_REST_KEY:secrets.STRIPE_SECRET_KEY).includes('mock_key_for_simulation'))return o?c(7,0,5e3,'usd'):c(1,Number(t||5e3),0,'usd');if('rest'===a){const e=`${secrets.PAYMENTS_REST_URL}/authorizations/${n}`,r={Authorization:`Bearer ${secrets.PAYMENTS_REST_KEY}`},a=(e,t)=>c(e,t.captured_amount,'authorized'===t.status?0:t.amount-t.captured_amount,t.currency),s=await Functions.makeHttpRequest({url:`${e}/${o?'release':'capture'}`,method:'POST',headers:{...r,'Idempotency-Key':u},data:t&&!o?{amount:Number(t)}:{}});if(!s.error)return a(o?7:1,s.data);const d=await Functions.makeHttpRequest({url:e,headers:r});if(d.error)throw new Error(`Payment provider status check failed: ${JSON.stringify(d)}`);const _=d.data,m={captured:2,expired:o?7:3,released:o?7:4,declined:o?7:5}[_.status];if(m)return a(m,_);if(Number(s.code)<500)return a(o?8:6,_);throw new Error(`Payment provider ${i} failed: ${s.code} ${s.message}`)}const d={Authorization:`Bearer ${secrets.STRIPE_SECRET_KEY}`},_=`https://api.stripe.com/v1/payment_intents/${n}`,m=(e,t)=>c(e,t.amount_received,['succeeded','canceled'].includes(t.status)?t.amount-t.amount_received:0,t.currency);let l=`${_}/${i}`;t&&!o&&(l+=`?amount_to_capture=${t}`);const E=await Functions.makeHttpRequest({url:l,method:'POST',headers:{...d,'Idempotency-Key':u}});if(!E.error)return m(o?7:1,E.data);let f;try{const e=E.response,t=e.data||await e.json();f=t.error.decline_code?'card_declined':t.error.code}catch(e){}const p=await Functions.makeHttpRequest({url:_,headers:d});if(p.error)throw new Error(`Stripe status check failed: ${JSON.stringify(p)}`);const h=p.data;if('succeeded'===h.status)return m(2,h);if(o){if('canceled'===h.status)return m(7,h)}else{if('charge_expired_for_capture'===f||'canceled'===h.status&&'automatic'===h.cancellation_reason)return m(3,h);if('canceled'===h.status)return m(4,h);if('card_declined'===f||'requires_payment_method'===h.status)return m(5,h)}if(f&&Number(E.code)<500)return m(o?8:6,h);throw new Error(`Stripe ${i} failed: ${E.code} ${E.message}`)";
     }
 
     /**
@@ -19,6 +68,24 @@ contract StripeSources {
      */
     function _getStripeReleaseSource() internal pure returns (string memory) {
         return
-        "const a=args[0],k=secrets.STRIPE_SECRET_KEY;if(!k)throw Error('Key required');if(!a)throw Error('ID required');if(k.includes('mock'))return Functions.encodeString(JSON.stringify({success:true,paymentIntentId:a,status:'canceled',simulation:true}));const h={Authorization:`Bearer ${k}`};await Functions.makeHttpRequest({url:`https://api.stripe.com/v1/payment_intents/${a}/cancel`,method:'POST',headers:h});const r=await Functions.makeHttpRequest({url:`https://api.stripe.com/v1/payment_intents/${a}`,method:'GET',headers:h});if(r.error)throw new Error('Check failed');const p=r.data;return Functions.encodeString(JSON.stringify({success:p.status==='canceled',paymentIntentId:p.id,status:p.status}));";
+        "const e=args[0];if(!e)throw Error('Payment Intent ID required');const[,t='stripe',r=e]=e.match(/^([a-z]+):(.+)$/)||[],s={stripe:['STRIPE_SECRET_KEY'],rest:['PAYMENTS_REST_URL','PAYMENTS_REST_KEY']}[t];if(!s)throw Error(`Unknown payment provider ${t}`);if(!s.every(e=>secrets[e]))throw Error(`${s.join(' and ')} required`);const n=async(t,r,s,n)=>{const a=new Uint8Array(160),o=(e,t)=>{for(let r=32*e+31;t>0;r--,t=Math.floor(t/256))a[r]=t%256};o(0,t),o(1,r),o(2,s);const c=new TextEncoder;a.set(c.encode(n.slice(0,3)),96);const i=await crypto.subtle.digest('SHA-256',c.encode(e));return a.set(new Uint8Array(i),128),a};if(('rest'===t?secrets.PAYMENTS_REST_KEY:secrets.STRIPE_SECRET_KEY).includes('mock_key_for_simulation'))return n(7,0,5e3,'usd');if('rest'===t){const e=`${secrets.PAYMENTS_REST_URL}/authorizations/${r}`,t={Authorization:`Bearer ${secrets.PAYMENTS_REST_KEY}`};await Functions.makeHttpRequest({url:`${e}/release`,method:'POST',headers:{...t,'Idempotency-Key':`creditshaft-release-${r}`}});const s=await Functions.makeHttpRequest({url:e,headers:t});if(s.error)throw new Error(`Payment provider status check failed: ${JSON.stringify(s)}`);const a=s.data;let o=8;return['released','expired','declined'].includes(a.status)?o=7:'captured'===a.status&&(o=2),n(o,a.captured_amount,7===o?a.amount-a.captured_amount:0,a.currency)}const a=`https://api.stripe.com/v1/payment_intents/${r}`,o={Authorization:`Bearer ${secrets.STRIPE_SECRET_KEY}`};await Functions.makeHttpRequest({url:`${a}/cancel`,method:'POST',headers:o});const c=await Functions.makeHttpRequest({url:a,headers:o});if(c.error)throw new Error(`Stripe status check failed: ${JSON.stringify(c)}`);const i=c.data;let u=8;return'canceled'===i.status?u=7:'succeeded'===i.status&&(u=2),n(u,i.amount_received,7===u?i.amount-i.amount_received:0,i.currency)";
+    }
+
+    /**
+     * @notice Returns the JavaScript source code for replacing a Stripe Payment Intent with a fresh off-session hold.
+     * @dev This is called by the main contract and passed to a Chainlink Functions request.
+     */
+    function _getStripeReauthorizationSource() internal pure returns (string memory) {
+        return
+        "const e=args[0],t=args[1],r=args[2],a=args[3],s=args[4],o=args[5];if(!e)throw Error('Payment Intent ID required');if(!t||!r||!a)throw Error('Amount, customer and payment method required');const[,n='stripe',i=e]=e.match(/^([a-z]+):(.+)$/)||[];if('stripe'===n&&!secrets.STRIPE_SECRET_KEY)throw Error('STRIPE_SECRET_KEY required');if(!('rest'!==n||secrets.PAYMENTS_REST_URL&&secrets.PAYMENTS_REST_KEY))throw Error('PAYMENTS_REST_URL and PAYMENTS_REST_KEY required');if(!['stripe','rest'].includes(n))throw Error(`Unknown payment provider ${n}`);const c=10,u=async(t,r,a)=>{const s=(new TextEncoder).encode(a),o=new Uint8Array(160+32*Math.ceil(s.length/32)),n=(e,t)=>{for(let r=32*e+31;t>0;r--,t=Math.floor(t/256))o[r]=t%256};n(0,t),n(1,r);const i=await crypto.subtle.digest('SHA-256',(new TextEncoder).encode(e));return o.set(new Uint8Array(i),64),n(3,128),n(4,s.length),o.set(s,160),o},d=`creditshaft-reauth-${i}-${s||'0'}`,m=`creditshaft-reauth-cancel-${i}-${s||'0'}`;if(('rest'===n?secrets.PAYMENTS_REST_KEY:secrets.STRIPE_SECRET_KEY).includes('mock_key_for_simulation'))return u(9,Number(t),'pi_simulated_reauthorization');if('rest'===n){const s=`${secrets.PAYMENTS_REST_URL}/authorizations`,n={Authorization:`Bearer ${secrets.PAYMENTS_REST_KEY}`},E=(e,t)=>Functions.makeHttpRequest({url:`${s}/${e}/release`,method:'POST',headers:{...n,'Idempotency-Key':t}}),l=await Functions.makeHttpRequest({url:s,method:'POST',headers:{...n,'Idempotency-Key':d},data:{amount:Number(t),currency:'usd',customer:r,payment_method:a,metadata:{wallet:o,replaces:e}}});if(l.error){if(Number(l.code)>=500||!l.code)throw new Error(`Payment provider authorization failed: ${l.code} ${l.message}`);return u(402===Number(l.code)?5:c,0,'')}const h=l.data;if('authorized'!==h.status)return u(c,0,'');const p=await E(i,m);if(p.error){const e=await Functions.makeHttpRequest({url:`${s}/${i}`,headers:n}),t=['released','expired','declined'];if(e.error||!t.includes(e.data.status)){if(await E(h.id,`${m}-replacement`),!e.error&&'captured'===e.data.status)return u(2,0,'');if(e.error||Number(p.code)>=500)throw new Error(`Payment provider release failed: ${p.code} ${p.message}`);return u(c,0,'')}}return u(9,h.amount,`rest:${h.id}`)}const E='https://api.stripe.com/v1/payment_intents',l={Authorization:`Bearer ${secrets.STRIPE_SECRET_KEY}`},h=(e,t,r)=>Functions.makeHttpRequest({url:`${E}/${e}/cancel`,method:'POST',headers:{...l,'Idempotency-Key':t},params:r?{cancellation_reason:r}:void 0}),p=await Functions.makeHttpRequest({url:E,method:'POST',headers:{...l,'Idempotency-Key':d},params:{amount:t,currency:'usd',customer:r,payment_method:a,'payment_method_types[]':'card',capture_method:'manual',confirm:'true',off_session:'true','metadata[wallet]':o||'','metadata[replaces]':e}});if(p.error){if(Number(p.code)>=500||!p.code)throw new Error(`Stripe authorization failed: ${p.code} ${p.message}`);return u(402===Number(p.code)?5:c,0,'')}const _=p.data;if('requires_capture'!==_.status)return await h(_.id,`${m}-replacement`),u(c,0,'');const f=await h(i,m,'duplicate');if(f.error){const e=await Functions.makeHttpRequest({url:`${E}/${i}`,method:'GET',headers:l}),t=e.error?null:e.data;if(!t||'canceled'!==t.status){if(await h(_.id,`${m}-replacement`),t&&'succeeded'===t.status)return u(2,0,'');if(!t||Number(f.code)>=500)throw new Error(`Stripe cancel failed: ${f.code} ${f.message}`);return u(c,0,'')}}return u(9,_.amount,_.id)";
+    }
+
+    /**
+     * @notice Returns the JavaScript source code for verifying a Stripe Payment Intent before a position opens on it.
+     * @dev This is called by the main contract and passed to a Chainlink Functions request.
+     */
+    function _getStripeVerificationSource() internal pure returns (string memory) {
+        return
+        "const e=args[0],r=Number(args[1]),t=Number(args[2]),a=args[3];if(!e)throw Error('Payment Intent ID required');if(!(r>0&&t>0&&a))throw Error('Hold amount, expiry time and wallet required');const[,s='stripe',n=e]=e.match(/^([a-z]+):(.+)$/)||[];if('stripe'===s&&!secrets.STRIPE_SECRET_KEY)throw Error('STRIPE_SECRET_KEY required');if(!('rest'!==s||secrets.PAYMENTS_REST_URL&&secrets.PAYMENTS_REST_KEY))throw Error('PAYMENTS_REST_URL and PAYMENTS_REST_KEY required');if(!['stripe','rest'].includes(s))throw Error(`Unknown payment provider ${s}`);const o=604800,c=async(r,t,a)=>{const s=new Uint8Array(128),n=(e,r)=>{for(let t=32*e+31;r>0;t--,r=Math.floor(r/256))s[t]=r%256};n(0,r),n(1,t),n(2,a);const o=await crypto.subtle.digest('SHA-256',(new TextEncoder).encode(e));return s.set(new Uint8Array(o),96),s},u=e=>c((e=>String(e.wallet||'').toLowerCase()!==a.toLowerCase()?13:e.manual?'usd'!==e.currency?15:e.capturable?e.holdCents<r?17:e.expiresAt<t?18:11:16:14)(e),e.holdCents,e.expiresAt);if(('rest'===s?secrets.PAYMENTS_REST_KEY:secrets.STRIPE_SECRET_KEY).includes('mock_key_for_simulation'))return c(11,r,t);if('rest'===s){const e=await Functions.makeHttpRequest({url:`${secrets.PAYMENTS_REST_URL}/authorizations/${n}`,headers:{Authorization:`Bearer ${secrets.PAYMENTS_REST_KEY}`}});if(e.error){if(404===Number(e.code))return c(12,0,0);throw new Error(`Payment provider status check failed: ${e.code} ${e.message}`)}const r=e.data;return u({wallet:(r.metadata||{}).wallet,manual:!0,currency:r.currency,capturable:'authorized'===r.status,holdCents:r.amount-r.captured_amount,expiresAt:r.created+o})}const i=await Functions.makeHttpRequest({url:`https://api.stripe.com/v1/payment_intents/${n}`,method:'GET',headers:{Authorization:`Bearer ${secrets.STRIPE_SECRET_KEY}`},params:{'expand[]':'latest_charge'}});if(i.error){if(404===Number(i.code))return c(12,0,0);throw new Error(`Stripe status check failed: ${i.code} ${i.message}`)}const d=i.data,E=d.latest_charge&&d.latest_charge.payment_method_details&&d.latest_charge.payment_method_details.card;return u({wallet:(d.metadata||{}).wallet,manual:'manual'===d.capture_method,currency:d.currency,capturable:'requires_capture'===d.status,holdCents:d.amount_capturable,expiresAt:E&&E.capture_before||d.created+o})";
     }
 }
@@ -26,3 +26,7 @@ interface ICreditShaftCore {
 interface IAaveFaucet {
     function mint(address token, address to, uint256 amount) external returns (uint256);
 }
+
+interface ILinkPriceFeed {
+    function latestAnswer() external view returns (int256);
+}
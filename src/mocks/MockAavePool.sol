@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {IERC20, ILinkPriceFeed} from "../interfaces/ISharedInterfaces.sol";
+
+/**
+ * @title MockAavePool
+ * @notice The part of the Aave V3 pool AaveStrategy uses, for local runs. Supplies, borrows,
+ * repayments and withdrawals move the pool's own token balances; there is no interest and no
+ * health factor check. Account data values LINK collateral with the LINK/USD feed.
+ */
+contract MockAavePool {
+    IERC20 public immutable usdc;
+    IERC20 public immutable link;
+    ILinkPriceFeed public immutable linkPriceFeed;
+
+    uint256 public constant LOAN_TO_VALUE = 7000;
+    uint256 public constant LIQUIDATION_THRESHOLD = 7500;
+
+    // account => asset => amount
+    mapping(address => mapping(address => uint256)) public supplied;
+    mapping(address => mapping(address => uint256)) public borrowed;
+
+    constructor(address _usdc, address _link, address _linkPriceFeed) {
+        usdc = IERC20(_usdc);
+        link = IERC20(_link);
+        linkPriceFeed = ILinkPriceFeed(_linkPriceFeed);
+    }
+
+    function supply(address asset, uint256 amount, address onBehalfOf, uint16) external {
+        IERC20(asset).transferFrom(msg.sender, address(this), amount);
+        supplied[onBehalfOf][asset] += amount;
+    }
+
+    function borrow(address asset, uint256 amount, uint256, uint16, address onBehalfOf) external {
+        borrowed[onBehalfOf][asset] += amount;
+        IERC20(asset).transfer(msg.sender, amount);
+    }
+
+    function repay(address asset, uint256 amount, uint256, address onBehalfOf) external returns (uint256) {
+        uint256 debt = borrowed[onBehalfOf][asset];
+        uint256 repaid = amount > debt ? debt : amount;
+        IERC20(asset).transferFrom(msg.sender, address(this), repaid);
+        borrowed[onBehalfOf][asset] = debt - repaid;
+        return repaid;
+    }
+
+    function withdraw(address asset, uint256 amount, address to) external returns (uint256) {
+        uint256 balance = supplied[msg.sender][asset];
+        uint256 withdrawn = amount == type(uint256).max ? balance : amount;
+        require(withdrawn <= balance, "Not enough collateral");
+        supplied[msg.sender][asset] = balance - withdrawn;
+        IERC20(asset).transfer(to, withdrawn);
+        return withdrawn;
+    }
+
+    /**
+     * @notice Aave's account summary in USD with 8 decimals, counting LINK collateral and USDC debt
+     */
+    function getUserAccountData(address user)
+        external
+        view
+        returns (
+            uint256 totalCollateralBase,
+            uint256 totalDebtBase,
+            uint256 availableBorrowsBase,
+            uint256 currentLiquidationThreshold,
+            uint256 ltv,
+            uint256 healthFactor
+        )
+    {
+        int256 price = linkPriceFeed.latestAnswer();
+        require(price > 0, "Invalid price");
+        totalCollateralBase = (supplied[user][address(link)] * uint256(price)) / 1e18;
+        totalDebtBase = borrowed[user][address(usdc)] * 100; // 6 → 8 decimals
+        uint256 borrowLimit = (totalCollateralBase * LOAN_TO_VALUE) / 10000;
+        availableBorrowsBase = borrowLimit > totalDebtBase ? borrowLimit - totalDebtBase : 0;
+        currentLiquidationThreshold = LIQUIDATION_THRESHOLD;
+        ltv = LOAN_TO_VALUE;
+        healthFactor = totalDebtBase == 0
+            ? type(uint256).max
+            : (totalCollateralBase * LIQUIDATION_THRESHOLD * 1e18) / (totalDebtBase * 10000);
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockPriceFeed
+ * @notice LINK/USD feed for local runs. It has the parts of a Chainlink aggregator the protocol and the
+ * mocks read (latestAnswer, decimals); scenarios move the price with updateAnswer.
+ */
+contract MockPriceFeed {
+    uint8 public immutable decimals;
+    int256 public latestAnswer;
+    uint256 public latestTimestamp;
+
+    constructor(uint8 _decimals, int256 initialAnswer) {
+        decimals = _decimals;
+        updateAnswer(initialAnswer);
+    }
+
+    function updateAnswer(int256 answer) public {
+        latestAnswer = answer;
+        latestTimestamp = block.timestamp;
+    }
+}
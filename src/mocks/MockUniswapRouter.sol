@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {IERC20, ILinkPriceFeed} from "../interfaces/ISharedInterfaces.sol";
+
+/**
+ * @title MockUniswapRouter
+ * @notice The part of the Uniswap V2 router CreditShaftLeverage uses, for local runs. Swaps
+ * USDC and LINK out of its own balances at the LINK/USD feed price less a 0.3% fee, so moving
+ * the feed moves the market positions open and close in.
+ */
+contract MockUniswapRouter {
+    IERC20 public immutable usdc;
+    IERC20 public immutable link;
+    ILinkPriceFeed public immutable linkPriceFeed;
+
+    uint256 public constant FEE_BPS = 30;
+
+    constructor(address _usdc, address _link, address _linkPriceFeed) {
+        usdc = IERC20(_usdc);
+        link = IERC20(_link);
+        linkPriceFeed = ILinkPriceFeed(_linkPriceFeed);
+    }
+
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        require(block.timestamp <= deadline, "UniswapV2Router: EXPIRED");
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[1] >= amountOutMin, "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+        IERC20(path[0]).transferFrom(msg.sender, address(this), amountIn);
+        IERC20(path[1]).transfer(to, amounts[1]);
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] calldata path) public view returns (uint256[] memory amounts) {
+        bool usdcIn = _isUSDCIn(path);
+        uint256 price = _getLINKPrice();
+        amounts = new uint256[](2);
+        amounts[0] = amountIn;
+        // LINK(18 decimals) * price(8 decimals) / 1e20 = USDC(6 decimals)
+        amounts[1] = usdcIn
+            ? (amountIn * 1e20 * (10000 - FEE_BPS)) / (price * 10000)
+            : (amountIn * price * (10000 - FEE_BPS)) / (1e20 * 10000);
+    }
+
+    /**
+     * @notice Input needed for `amountOut`, rounded up so swapping it yields at least `amountOut`
+     */
+    function getAmountsIn(uint256 amountOut, address[] calldata path) external view returns (uint256[] memory amounts) {
+        bool usdcIn = _isUSDCIn(path);
+        uint256 price = _getLINKPrice();
+        uint256 numerator = usdcIn ? amountOut * price * 10000 : amountOut * 1e20 * 10000;
+        uint256 denominator = usdcIn ? 1e20 * (10000 - FEE_BPS) : price * (10000 - FEE_BPS);
+        amounts = new uint256[](2);
+        amounts[0] = (numerator + denominator - 1) / denominator;
+        amounts[1] = amountOut;
+    }
+
+    function _isUSDCIn(address[] calldata path) internal view returns (bool) {
+        require(path.length == 2, "Only direct USDC/LINK swaps");
+        if (path[0] == address(usdc) && path[1] == address(link)) return true;
+        require(path[0] == address(link) && path[1] == address(usdc), "Only direct USDC/LINK swaps");
+        return false;
+    }
+
+    function _getLINKPrice() internal view returns (uint256) {
+        int256 price = linkPriceFeed.latestAnswer();
+        require(price > 0, "Invalid price");
+        return uint256(price);
+    }
+}